@@ -0,0 +1,381 @@
+/**
+ * Analytics - Inmobiliaria Mega Proyectos
+ * Lead analytics events for the map, the home page and the reservation form
+ *
+ * Responsibilities:
+ * - One event schema for the whole site (ANALYTICS_EVENTS): unknown events
+ *   are rejected and properties outside the schema are dropped
+ * - Batching: events are sent in groups, on a timer and when the page is hidden
+ * - Consent gate: nothing leaves the browser until the visitor accepts the
+ *   'analytics' category (consent-manager.js); events are held in memory while
+ *   the choice is pending and dropped on refusal
+ * - Pluggable sink: Supabase table (default), a generic endpoint or the
+ *   console (development only, opt-in)
+ *
+ * Every event is sent as:
+ *   { event_id, event, properties, session_id, page, language, occurred_at }
+ *
+ * Pages record events with:
+ *   Analytics.track('lot_viewed', { lot_id, loteamiento_id, estado, surface })
+ *
+ * @requires consent-manager.js
+ * @requires supabase-client.js (supabase sink)
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Analytics configuration
+   */
+  const ANALYTICS_CONFIG = {
+    /**
+     * 'supabase', 'endpoint' or 'console' (or a name added with registerSink).
+     * 'console' only logs events for local development and collects nothing;
+     * switch to it with Analytics.useSink('console').
+     */
+    sink: 'supabase',
+
+    supabase: {
+      table: 'analytics_events'
+    },
+
+    endpoint: {
+      /** Receives POST { events: [...] } */
+      url: '',
+      headers: {}
+    },
+
+    /** Send as soon as this many events are waiting */
+    batchSize: 20,
+
+    /** Otherwise send this long after the first waiting event */
+    flushIntervalMs: 10000,
+
+    /** Oldest events are dropped beyond this (e.g. consent pending, sink down) */
+    maxQueueSize: 200,
+
+    /** Hold events until the visitor accepts analytics */
+    requireConsent: true,
+
+    sessionStorageKey: 'analytics-session'
+  };
+
+  /**
+   * Event schema: event name -> allowed properties
+   */
+  const ANALYTICS_EVENTS = {
+    /** A lote was opened (surface: 'sidebar' or 'mobile_card') */
+    lot_viewed: ['lot_id', 'loteamiento_id', 'estado', 'surface'],
+
+    /** A loteamiento detail page (loteamiento.html) was shown */
+    loteamiento_viewed: ['loteamiento_id'],
+
+    /** The desktop parcel sidebar went from closed to open */
+    sidebar_opened: ['lot_id', 'loteamiento_id'],
+
+    /** A filter was switched by the visitor (filter: 'estado', 'location', 'type' or 'feature') */
+    filter_toggled: ['filter', 'value', 'active', 'loteamiento_id'],
+
+    /** A route to an interest point was drawn */
+    interest_point_route_drawn: ['point_id', 'point_name', 'distance_m', 'loteamiento_id'],
+
+    /** A form step was shown (form: 'reservation') */
+    form_step_reached: ['form', 'step', 'step_index', 'lot_id'],
+
+    /** A submission finished (form: 'reservation' or 'interest'; result: 'success', 'queued' or 'error') */
+    submission_result: ['form', 'result', 'error_code', 'lot_id'],
+
+    /** The visitor switched language */
+    language_changed: ['from', 'to']
+  };
+
+  // ===========================
+  // SINKS
+  // ===========================
+
+  /**
+   * Built-in sinks: send(events, { keepalive }) => Promise<boolean>
+   */
+  const SINKS = {
+    console: {
+      async send(events) {
+        events.forEach(event => console.info(`[analytics] ${event.event}`, event.properties));
+        return true;
+      }
+    },
+
+    supabase: {
+      async send(events, { keepalive }) {
+        const supabase = window.SupabaseClient;
+        if (!supabase || !supabase.isReady()) return false;
+
+        if (keepalive) {
+          return supabase.insertKeepalive(ANALYTICS_CONFIG.supabase.table, events);
+        }
+
+        const { error } = await supabase.getClient()
+          .from(ANALYTICS_CONFIG.supabase.table)
+          .insert(events);
+
+        if (error) {
+          console.warn('Analytics insert failed:', error.message);
+          return false;
+        }
+        return true;
+      }
+    },
+
+    endpoint: {
+      async send(events, { keepalive }) {
+        const { url, headers } = ANALYTICS_CONFIG.endpoint;
+        if (!url) return false;
+
+        const response = await fetch(url, {
+          method: 'POST',
+          keepalive,
+          headers: { 'Content-Type': 'application/json', ...headers },
+          body: JSON.stringify({ events })
+        });
+        return response.ok;
+      }
+    }
+  };
+
+  /**
+   * Analytics Class
+   * Event validation, consent gate and batched delivery to the sink
+   */
+  class Analytics {
+    constructor() {
+      this.queue = [];
+      this.flushTimer = null;
+      this.isFlushing = false;
+      this.sinks = { ...SINKS };
+      this.sessionId = this.loadSessionId();
+      this.language = this.getLanguage();
+
+      this.flush = this.flush.bind(this);
+
+      if (typeof document !== 'undefined') {
+        document.addEventListener('languageChanged', (e) => this.handleLanguageChange(e.detail.language));
+        document.addEventListener('consentChanged', () => this.handleConsentChange());
+        document.addEventListener('visibilitychange', () => {
+          if (document.visibilityState === 'hidden') this.flush({ keepalive: true });
+        });
+        window.addEventListener('pagehide', () => this.flush({ keepalive: true }));
+      }
+    }
+
+    /**
+     * Record an event
+     * @param {string} event - ANALYTICS_EVENTS key
+     * @param {Object} [properties] - Event properties (see ANALYTICS_EVENTS)
+     * @returns {boolean} True if the event was accepted
+     */
+    track(event, properties = {}) {
+      const schema = ANALYTICS_EVENTS[event];
+      if (!schema) {
+        console.warn(`Analytics: unknown event "${event}"`);
+        return false;
+      }
+
+      if (this.getConsent() === 'denied') {
+        return false;
+      }
+
+      const cleanProperties = {};
+      schema.forEach(key => {
+        cleanProperties[key] = properties[key] !== undefined ? properties[key] : null;
+      });
+
+      this.queue.push({
+        event_id: this.createId(),
+        event,
+        properties: cleanProperties,
+        session_id: this.sessionId,
+        page: window.location.pathname,
+        language: this.getLanguage(),
+        occurred_at: new Date().toISOString()
+      });
+
+      if (this.queue.length > ANALYTICS_CONFIG.maxQueueSize) {
+        this.queue.splice(0, this.queue.length - ANALYTICS_CONFIG.maxQueueSize);
+      }
+
+      this.scheduleFlush();
+      return true;
+    }
+
+    /**
+     * Send waiting events (if consent allows)
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.keepalive=false] - Page is being hidden/unloaded
+     * @returns {Promise<boolean>} True if a batch was delivered
+     */
+    async flush({ keepalive = false } = {}) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+
+      if (this.isFlushing || this.queue.length === 0 || !this.canSend()) {
+        return false;
+      }
+
+      const sink = this.sinks[ANALYTICS_CONFIG.sink];
+      if (!sink) {
+        console.warn(`Analytics: unknown sink "${ANALYTICS_CONFIG.sink}"`);
+        return false;
+      }
+
+      const batch = this.queue.splice(0, ANALYTICS_CONFIG.batchSize);
+      this.isFlushing = true;
+
+      let delivered = false;
+      try {
+        delivered = await sink.send(batch, { keepalive });
+      } catch (error) {
+        console.warn('Analytics: sending failed', error);
+      } finally {
+        this.isFlushing = false;
+      }
+
+      if (!delivered) {
+        // Keep the batch for the next attempt
+        this.queue = batch.concat(this.queue).slice(-ANALYTICS_CONFIG.maxQueueSize);
+      }
+
+      if (this.queue.length > 0) {
+        this.scheduleFlush();
+      }
+
+      return delivered;
+    }
+
+    /**
+     * Send now when the batch is full, otherwise after flushIntervalMs
+     */
+    scheduleFlush() {
+      if (!this.canSend()) return;
+
+      if (this.queue.length >= ANALYTICS_CONFIG.batchSize) {
+        this.flush();
+      } else if (!this.flushTimer) {
+        this.flushTimer = setTimeout(this.flush, ANALYTICS_CONFIG.flushIntervalMs);
+      }
+    }
+
+    /**
+     * Add or replace a sink
+     * @param {string} name - Name used in ANALYTICS_CONFIG.sink
+     * @param {Object} sink - Object with send(events, { keepalive }) => Promise<boolean>
+     */
+    registerSink(name, sink) {
+      this.sinks[name] = sink;
+    }
+
+    /**
+     * Send the following batches to another sink (e.g. 'console' while developing)
+     * @param {string} name - Built-in or registered sink name
+     */
+    useSink(name) {
+      if (!this.sinks[name]) {
+        console.warn(`Analytics: unknown sink "${name}"`);
+        return;
+      }
+      ANALYTICS_CONFIG.sink = name;
+    }
+
+    // ===========================
+    // CONSENT
+    // ===========================
+
+    /**
+     * Get the visitor's analytics choice (consent-manager.js)
+     * @returns {string|null} 'granted', 'denied' or null while pending
+     */
+    getConsent() {
+      return window.ConsentManager ? window.ConsentManager.getStatus('analytics') : null;
+    }
+
+    /**
+     * Apply a new consent choice: granting sends the held events, refusing drops them
+     */
+    handleConsentChange() {
+      if (this.getConsent() === 'granted') {
+        this.scheduleFlush();
+      } else {
+        this.queue = [];
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+      }
+    }
+
+    /**
+     * Whether events may leave the browser
+     * @returns {boolean}
+     */
+    canSend() {
+      return !ANALYTICS_CONFIG.requireConsent || this.getConsent() === 'granted';
+    }
+
+    // ===========================
+    // HELPERS
+    // ===========================
+
+    /**
+     * Track language switches (the initial language is only remembered)
+     * @param {string} language - New language code
+     */
+    handleLanguageChange(language) {
+      if (this.language && this.language !== language) {
+        this.track('language_changed', { from: this.language, to: language });
+      }
+      this.language = language;
+    }
+
+    /**
+     * Get the current language code
+     * @returns {string|null} 'es', 'en', 'de' or null before i18n is ready
+     */
+    getLanguage() {
+      return (window.i18n && window.i18n.isInitialized && window.i18n.isInitialized())
+        ? window.i18n.getCurrentLanguage()
+        : null;
+    }
+
+    /**
+     * Session ID shared by the pages of one visit (sessionStorage)
+     * @returns {string} Session ID
+     */
+    loadSessionId() {
+      try {
+        let sessionId = sessionStorage.getItem(ANALYTICS_CONFIG.sessionStorageKey);
+        if (!sessionId) {
+          sessionId = this.createId();
+          sessionStorage.setItem(ANALYTICS_CONFIG.sessionStorageKey, sessionId);
+        }
+        return sessionId;
+      } catch (error) {
+        return this.createId();
+      }
+    }
+
+    /**
+     * Random ID (UUID where available)
+     * @returns {string} ID
+     */
+    createId() {
+      if (window.crypto && window.crypto.randomUUID) {
+        return window.crypto.randomUUID();
+      }
+      return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+  }
+
+  // Create singleton instance
+  const analytics = new Analytics();
+
+  // Export to window for global access
+  window.Analytics = analytics;
+
+})();
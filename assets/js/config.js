@@ -37,12 +37,107 @@ const RESERVATION_CONFIG = {
    * Request timeout in milliseconds
    * @default 30000 (30 seconds)
    */
-  timeout: 30000
+  timeout: 30000,
+
+  /**
+   * Buyer document uploads (ID scans) stored in Supabase Storage
+   * The bucket should be private, allowing anonymous inserts only
+   */
+  documents: {
+    bucket: 'reservation-documents',
+    maxSizeMB: 5,
+    allowedTypes: ['image/jpeg', 'image/png', 'application/pdf']
+  },
+
+  /**
+   * Temporary hold on the lote while the reservation form is open
+   * Renewed while the buyer is active, released on submit or when leaving
+   */
+  hold: {
+    durationSeconds: 600,
+    renewIntervalSeconds: 60,
+    idleTimeoutSeconds: 300
+  },
+
+  /**
+   * Where reservations are delivered (see reservation-adapters.js)
+   * - 'rest': the backend API above (apiBase, apiKey, endpoint)
+   * - 'supabase': direct insert into the reservations table
+   * - 'whatsapp': prefilled click-to-chat message to the sales team
+   * - 'webhook': JSON POST to any URL
+   */
+  submission: {
+    /** Adapter for loteamientos not listed below */
+    defaultAdapter: 'rest',
+
+    /**
+     * Per loteamiento ID: an adapter name or { adapter, ...settings }
+     * @example { '3': 'whatsapp', '7': { adapter: 'webhook', url: 'https://hooks.example.com/lote-7' } }
+     */
+    loteamientos: {},
+
+    supabase: {
+      table: 'reservations'
+    },
+
+    whatsapp: {
+      /** International format, digits only */
+      phone: '595986755222'
+    },
+
+    webhook: {
+      url: '',
+      /** Extra request headers, e.g. a shared secret checked by the receiver */
+      headers: {}
+    }
+  }
+};
+
+/**
+ * Contact verification (one-time code by SMS or email) before submitting
+ * The endpoints are pluggable: any backend implementing the same two calls works
+ *
+ * POST {apiBase}{sendEndpoint}   { channel, destination, lot_id }
+ *   -> { success, request_id, expires_in }
+ * POST {apiBase}{verifyEndpoint} { request_id, code }
+ *   -> { success, verification_token }
+ *
+ * For local development run `node scripts/mock-verification-server.js`
+ * and set apiBase to 'http://localhost:8787' (codes are printed in its console)
+ */
+const VERIFICATION_CONFIG = {
+  /** Require a verified contact before submitting */
+  enabled: true,
+
+  /**
+   * Base URL of the verification backend
+   * @default RESERVATION_CONFIG.apiBase
+   */
+  apiBase: RESERVATION_CONFIG.apiBase,
+
+  /** Send a code to the chosen channel */
+  sendEndpoint: '/api/verification/send',
+
+  /** Exchange a code for a verification token */
+  verifyEndpoint: '/api/verification/verify',
+
+  /** Channels offered to the buyer ('sms' uses the phone, 'email' the email) */
+  channels: ['sms', 'email'],
+
+  /** Digits in the code */
+  codeLength: 6,
+
+  /** Seconds before a new code can be requested */
+  resendCooldownSeconds: 60,
+
+  /** Request timeout in milliseconds */
+  timeout: 15000
 };
 
 // Export to global scope for use by reservation-service.js
 if (typeof window !== 'undefined') {
   window.ReservationConfig = RESERVATION_CONFIG;
+  window.VerificationConfig = VERIFICATION_CONFIG;
   console.log('✓ Reservation API configuration loaded');
 }
 
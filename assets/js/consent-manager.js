@@ -0,0 +1,397 @@
+/**
+ * Consent Manager - Inmobiliaria Mega Proyectos
+ * Cookie/consent banner and stored consent per category (GDPR)
+ *
+ * Categories:
+ * - necessary: language, drafts, offline queue, lote holds (always on)
+ * - media: third-party map tiles (OpenStreetMap, Google) and video backgrounds
+ * - analytics: lead analytics events (analytics.js)
+ *
+ * Responsibilities:
+ * - Localized banner (i18n.js) with accept all / necessary only / per category
+ * - Store the choice with a version and a maximum age, then ask again
+ * - Run gated code once a category is granted (whenGranted) and load
+ *   deferred sources: <source data-consent-src="..." data-consent-category="media">
+ * - Placeholders with a "load" button where gated content would be
+ * - Reopen the settings from any [data-consent-settings] element
+ * - `consentChanged` event on document ({ detail: { categories } })
+ *
+ * Revoking a category stops new loads and tracking; content already loaded
+ * on the page stays until the next page load.
+ *
+ * Other modules ask before loading or tracking:
+ *   ConsentManager.hasConsent('analytics')
+ *   ConsentManager.whenGranted('media', () => tileLayer.addTo(map))
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Consent configuration
+   */
+  const CONSENT_CONFIG = {
+    storageKey: 'consent-preferences',
+
+    /** Bump when categories or their purposes change, to ask again */
+    version: 1,
+
+    /** Ask again after this many days */
+    maxAgeDays: 365,
+
+    /** Optional categories in display order ('necessary' is implicit) */
+    categories: ['media', 'analytics']
+  };
+
+  /**
+   * Spanish fallbacks for the banner (used until i18n.js is ready)
+   */
+  const CONSENT_TEXT = {
+    'consent.title': 'Su privacidad',
+    'consent.text': 'Usamos almacenamiento local necesario para que el sitio funcione. Con su permiso también cargamos mapas y videos de terceros y medimos el uso del sitio para mejorar nuestra oferta.',
+    'consent.accept_all': 'Aceptar todo',
+    'consent.reject_all': 'Solo necesarias',
+    'consent.customize': 'Configurar',
+    'consent.save': 'Guardar selección',
+    'consent.categories.necessary.title': 'Necesarias',
+    'consent.categories.necessary.text': 'Idioma, borradores del formulario y envíos pendientes. Siempre activas.',
+    'consent.categories.media.title': 'Mapas y videos',
+    'consent.categories.media.text': 'Mapas base de OpenStreetMap y Google, y videos de fondo. Estos servicios reciben su dirección IP.',
+    'consent.categories.analytics.title': 'Estadísticas',
+    'consent.categories.analytics.text': 'Qué lotes y filtros se usan y en qué paso se abandona la reservación.',
+    'consent.placeholder.media.text': 'El mapa base se carga desde OpenStreetMap y Google, que reciben su dirección IP.',
+    'consent.placeholder.media.button': 'Cargar mapa',
+    'consent.placeholder.analytics.text': 'Las estadísticas están desactivadas.',
+    'consent.placeholder.analytics.button': 'Activar estadísticas'
+  };
+
+  /**
+   * ConsentManager Class
+   * Stored consent, banner and gated loading
+   */
+  class ConsentManager {
+    constructor() {
+      this.preferences = this.loadPreferences();
+      this.pending = [];
+      this.banner = null;
+
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => this.init());
+      } else {
+        this.init();
+      }
+    }
+
+    /**
+     * Show the banner if no valid choice is stored and bind the settings links
+     */
+    init() {
+      this.applyDeferredSources();
+
+      document.querySelectorAll('[data-consent-settings]').forEach(element => {
+        element.addEventListener('click', (e) => {
+          e.preventDefault();
+          this.openSettings();
+        });
+      });
+
+      if (!this.preferences) {
+        this.renderBanner();
+      }
+    }
+
+    // ===========================
+    // PUBLIC API
+    // ===========================
+
+    /**
+     * Get the visitor's choice for a category
+     * @param {string} category - 'necessary', 'media' or 'analytics'
+     * @returns {string|null} 'granted', 'denied' or null while undecided
+     */
+    getStatus(category) {
+      if (category === 'necessary') return 'granted';
+      if (!this.preferences) return null;
+      return this.preferences.categories[category] ? 'granted' : 'denied';
+    }
+
+    /**
+     * Check whether a category is granted
+     * @param {string} category - Category
+     * @returns {boolean}
+     */
+    hasConsent(category) {
+      return this.getStatus(category) === 'granted';
+    }
+
+    /**
+     * Run a callback now if the category is granted, otherwise once it is
+     * @param {string} category - Category
+     * @param {Function} callback - Gated code
+     */
+    whenGranted(category, callback) {
+      if (this.hasConsent(category)) {
+        callback();
+      } else {
+        this.pending.push({ category, callback });
+      }
+    }
+
+    /**
+     * Grant one category, keeping the other choices
+     * @param {string} category - Category
+     */
+    grant(category) {
+      const categories = this.preferences ? { ...this.preferences.categories } : {};
+      categories[category] = true;
+      this.save(categories);
+    }
+
+    /**
+     * Store a choice for every optional category
+     * @param {Object} choices - { category: boolean }
+     */
+    save(choices) {
+      const categories = {};
+      CONSENT_CONFIG.categories.forEach(category => {
+        categories[category] = !!choices[category];
+      });
+
+      this.preferences = {
+        version: CONSENT_CONFIG.version,
+        decidedAt: new Date().toISOString(),
+        categories
+      };
+
+      try {
+        localStorage.setItem(CONSENT_CONFIG.storageKey, JSON.stringify(this.preferences));
+      } catch (error) {
+        console.warn('Consent could not be stored; it applies to this page only', error);
+      }
+
+      this.closeBanner();
+      this.runPending();
+      this.applyDeferredSources();
+
+      document.dispatchEvent(new CustomEvent('consentChanged', {
+        detail: { categories: { ...categories } }
+      }));
+    }
+
+    /**
+     * Grant every optional category
+     */
+    acceptAll() {
+      this.save(Object.fromEntries(CONSENT_CONFIG.categories.map(category => [category, true])));
+    }
+
+    /**
+     * Keep only the necessary category
+     */
+    rejectAll() {
+      this.save({});
+    }
+
+    /**
+     * Reopen the banner with the category choices
+     */
+    openSettings() {
+      this.renderBanner({ expanded: true });
+    }
+
+    /**
+     * Show a placeholder with a load button in place of gated content
+     * Removed automatically once the category is granted.
+     * @param {HTMLElement} container - Element covered by the placeholder
+     * @param {string} category - Category
+     */
+    renderPlaceholder(container, category) {
+      if (!container || this.hasConsent(category)) return;
+
+      const placeholder = document.createElement('div');
+      placeholder.className = 'consent-placeholder';
+      placeholder.innerHTML = `
+        <p class="consent-placeholder__text" data-i18n="consent.placeholder.${category}.text">${this.t(`consent.placeholder.${category}.text`)}</p>
+        <button type="button" class="consent-btn consent-btn--primary" data-i18n="consent.placeholder.${category}.button">${this.t(`consent.placeholder.${category}.button`)}</button>
+        <button type="button" class="consent-placeholder__settings" data-i18n="consent.customize">${this.t('consent.customize')}</button>
+      `;
+
+      placeholder.querySelector('.consent-btn').addEventListener('click', () => this.grant(category));
+      placeholder.querySelector('.consent-placeholder__settings').addEventListener('click', () => this.openSettings());
+
+      // Keep clicks and drags off a map underneath
+      ['click', 'mousedown', 'touchstart', 'wheel', 'dblclick'].forEach(eventName => {
+        placeholder.addEventListener(eventName, (e) => e.stopPropagation());
+      });
+
+      container.appendChild(placeholder);
+      this.whenGranted(category, () => placeholder.remove());
+    }
+
+    // ===========================
+    // BANNER
+    // ===========================
+
+    /**
+     * Render the banner
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.expanded=false] - Show the category choices
+     */
+    renderBanner({ expanded = false } = {}) {
+      this.closeBanner();
+
+      const categories = ['necessary', ...CONSENT_CONFIG.categories].map(category => `
+        <label class="consent-category">
+          <input type="checkbox" name="consent-category" value="${category}"
+            ${category === 'necessary' || this.hasConsent(category) ? 'checked' : ''}
+            ${category === 'necessary' ? 'disabled' : ''} />
+          <span>
+            <strong data-i18n="consent.categories.${category}.title">${this.t(`consent.categories.${category}.title`)}</strong>
+            <small data-i18n="consent.categories.${category}.text">${this.t(`consent.categories.${category}.text`)}</small>
+          </span>
+        </label>
+      `).join('');
+
+      const banner = document.createElement('div');
+      banner.className = 'consent-banner';
+      banner.setAttribute('role', 'dialog');
+      banner.setAttribute('aria-labelledby', 'consentBannerTitle');
+      banner.innerHTML = `
+        <div class="consent-banner__content">
+          <h2 class="consent-banner__title" id="consentBannerTitle" data-i18n="consent.title">${this.t('consent.title')}</h2>
+          <p class="consent-banner__text" data-i18n="consent.text">${this.t('consent.text')}</p>
+          <div class="consent-banner__categories" ${expanded ? '' : 'hidden'}>${categories}</div>
+          <div class="consent-banner__actions">
+            <button type="button" class="consent-btn" data-consent-action="reject" data-i18n="consent.reject_all">${this.t('consent.reject_all')}</button>
+            <button type="button" class="consent-btn" data-consent-action="customize" data-i18n="consent.customize" ${expanded ? 'hidden' : ''}>${this.t('consent.customize')}</button>
+            <button type="button" class="consent-btn" data-consent-action="save" data-i18n="consent.save" ${expanded ? '' : 'hidden'}>${this.t('consent.save')}</button>
+            <button type="button" class="consent-btn consent-btn--primary" data-consent-action="accept" data-i18n="consent.accept_all">${this.t('consent.accept_all')}</button>
+          </div>
+        </div>
+      `;
+
+      banner.addEventListener('click', (e) => {
+        const action = e.target.getAttribute('data-consent-action');
+        if (action) this.handleBannerAction(action);
+      });
+
+      document.body.appendChild(banner);
+      this.banner = banner;
+    }
+
+    /**
+     * Handle a banner button
+     * @param {string} action - 'accept', 'reject', 'customize' or 'save'
+     */
+    handleBannerAction(action) {
+      switch (action) {
+        case 'accept':
+          this.acceptAll();
+          break;
+        case 'reject':
+          this.rejectAll();
+          break;
+        case 'customize':
+          this.banner.querySelector('.consent-banner__categories').hidden = false;
+          this.banner.querySelector('[data-consent-action="customize"]').hidden = true;
+          this.banner.querySelector('[data-consent-action="save"]').hidden = false;
+          break;
+        case 'save': {
+          const choices = {};
+          this.banner.querySelectorAll('input[name="consent-category"]:not(:disabled)').forEach(input => {
+            choices[input.value] = input.checked;
+          });
+          this.save(choices);
+          break;
+        }
+      }
+    }
+
+    /**
+     * Remove the banner
+     */
+    closeBanner() {
+      if (this.banner) {
+        this.banner.remove();
+        this.banner = null;
+      }
+    }
+
+    // ===========================
+    // HELPERS
+    // ===========================
+
+    /**
+     * Run the callbacks whose category is now granted
+     */
+    runPending() {
+      const ready = this.pending.filter(entry => this.hasConsent(entry.category));
+      this.pending = this.pending.filter(entry => !this.hasConsent(entry.category));
+
+      ready.forEach(entry => {
+        try {
+          entry.callback();
+        } catch (error) {
+          console.error(`Consent callback for ${entry.category} failed:`, error);
+        }
+      });
+    }
+
+    /**
+     * Load elements whose src waits for a category (e.g. background videos)
+     */
+    applyDeferredSources() {
+      document.querySelectorAll('[data-consent-src]').forEach(element => {
+        if (!this.hasConsent(element.getAttribute('data-consent-category') || 'media')) return;
+
+        element.src = element.getAttribute('data-consent-src');
+        element.removeAttribute('data-consent-src');
+
+        // <source> inside <video>/<audio>: reload the media element
+        const media = element.tagName === 'SOURCE' ? element.parentElement : null;
+        if (media && typeof media.load === 'function') {
+          media.load();
+          if (media.autoplay) {
+            media.play().catch(() => {});
+          }
+        }
+      });
+    }
+
+    /**
+     * Read the stored choice; outdated or expired choices count as undecided
+     * @returns {Object|null} { version, decidedAt, categories }
+     */
+    loadPreferences() {
+      try {
+        const stored = JSON.parse(localStorage.getItem(CONSENT_CONFIG.storageKey));
+        if (!stored || stored.version !== CONSENT_CONFIG.version) return null;
+
+        const ageDays = (Date.now() - new Date(stored.decidedAt).getTime()) / 86400000;
+        return ageDays <= CONSENT_CONFIG.maxAgeDays ? stored : null;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    /**
+     * Translate a key with the Spanish fallback
+     * @param {string} key - i18n key
+     * @returns {string} Translated text
+     */
+    t(key) {
+      if (window.i18n && window.i18n.isInitialized && window.i18n.isInitialized()) {
+        const text = window.i18n.t(key);
+        if (text !== key) return text;
+      }
+      return CONSENT_TEXT[key] || key;
+    }
+  }
+
+  // Create singleton instance
+  const consentManager = new ConsentManager();
+
+  // Export to window for global access
+  window.ConsentManager = consentManager;
+
+})();
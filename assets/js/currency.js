@@ -0,0 +1,327 @@
+/**
+ * Currency System - Inmobiliaria Mega Proyectos
+ * Converts and formats lot prices in Guaraní, US dollars or euros
+ *
+ * Responsibilities:
+ * - Load exchange rates from a configurable JSON source (with fallback rates)
+ * - Pick the default currency per domain or language (mirrors i18n.js)
+ * - Remember the visitor's choice and keep #currency-selector in sync
+ * - Format prices with Intl.NumberFormat in the current language's locale
+ *
+ * Prices in Supabase are stored in CURRENCY_CONFIG.baseCurrency.
+ *
+ * @requires i18n.js (optional, for the current language)
+ */
+
+(function() {
+  'use strict';
+
+  // Configuration
+  const CURRENCY_CONFIG = {
+    baseCurrency: 'EUR',
+    defaultCurrency: 'PYG',
+    supportedCurrencies: ['PYG', 'USD', 'EUR'],
+    storageKey: 'selected-currency',
+    ratesUrl: 'assets/data/exchange-rates.json',
+    // Used until (or if) the rates file can't be loaded - units per 1 EUR
+    fallbackRates: { EUR: 1, USD: 1.08, PYG: 8300 },
+    // Guaraní has no minor unit in practice
+    fractionDigits: { PYG: 0, USD: 2, EUR: 2 }
+  };
+
+  // Domains that default to a currency regardless of language
+  // (same domains as HOSTNAME_LANGUAGE_MAP in i18n.js)
+  const HOSTNAME_CURRENCY_MAP = {
+    'grundstucke-paraguay.com': 'EUR',
+    'www.grundstucke-paraguay.com': 'EUR'
+  };
+
+  // Currency each language's buyers usually think in
+  const LANGUAGE_CURRENCY_MAP = {
+    'es': 'PYG',
+    'en': 'USD',
+    'de': 'EUR'
+  };
+
+  // Number formatting locale per language
+  const LOCALE_MAP = { 'es': 'es-PY', 'en': 'en-US', 'de': 'de-DE' };
+
+  let rates = { ...CURRENCY_CONFIG.fallbackRates };
+  let ratesUpdatedAt = null;
+  let currentCurrency = CURRENCY_CONFIG.defaultCurrency;
+  let isInitialized = false;
+
+  /**
+   * Initialize the currency system
+   */
+  async function initializeCurrency() {
+    currentCurrency = detectCurrency();
+    setupCurrencySwitcher();
+    updateCurrencySwitcherUI(currentCurrency);
+
+    // Follow language changes unless the visitor picked a currency
+    document.addEventListener('languageChanged', (e) => {
+      if (hasExplicitCurrency()) return;
+
+      const languageCurrency = getLanguageCurrency(e.detail.language);
+      if (languageCurrency && languageCurrency !== currentCurrency) {
+        applyCurrency(languageCurrency);
+      }
+    });
+
+    await loadRates();
+
+    isInitialized = true;
+    console.log(`Currency initialized: ${currentCurrency}`);
+
+    // Re-render prices with the loaded rates
+    dispatchCurrencyChanged();
+  }
+
+  /**
+   * Detect the default currency
+   * @returns {string} Currency code
+   */
+  function detectCurrency() {
+    // 1. Visitor's previous choice
+    const savedCurrency = localStorage.getItem(CURRENCY_CONFIG.storageKey);
+    if (savedCurrency && CURRENCY_CONFIG.supportedCurrencies.includes(savedCurrency)) {
+      return savedCurrency;
+    }
+
+    // 2. Domain the site is served on
+    const hostnameCurrency = getHostnameCurrency();
+    if (hostnameCurrency) {
+      return hostnameCurrency;
+    }
+
+    // 3. Current (or detected) language
+    const language = window.I18n && window.I18n.getCurrentLanguage
+      ? window.I18n.getCurrentLanguage()
+      : (navigator.language || 'es').split('-')[0].toLowerCase();
+
+    return getLanguageCurrency(language) || CURRENCY_CONFIG.defaultCurrency;
+  }
+
+  /**
+   * Whether the currency was chosen explicitly (saved choice or domain)
+   * @returns {boolean}
+   */
+  function hasExplicitCurrency() {
+    return !!(localStorage.getItem(CURRENCY_CONFIG.storageKey) || getHostnameCurrency());
+  }
+
+  /**
+   * Get currency forced by the current hostname, if any
+   * @returns {string|null} Currency code or null
+   */
+  function getHostnameCurrency() {
+    const hostname = (window.location && window.location.hostname || '').toLowerCase();
+    return HOSTNAME_CURRENCY_MAP[hostname] || null;
+  }
+
+  /**
+   * Get the default currency for a language
+   * @param {string} language - Language code
+   * @returns {string|null} Currency code or null
+   */
+  function getLanguageCurrency(language) {
+    return LANGUAGE_CURRENCY_MAP[language] || null;
+  }
+
+  /**
+   * Load exchange rates from CURRENCY_CONFIG.ratesUrl
+   * Expected format: { "base": "EUR", "updated_at": "...", "rates": { "EUR": 1, "USD": 1.08, ... } }
+   */
+  async function loadRates() {
+    try {
+      const response = await fetch(CURRENCY_CONFIG.ratesUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      const base = data.base || CURRENCY_CONFIG.baseCurrency;
+
+      if (!data.rates || !data.rates[base]) {
+        throw new Error('Invalid exchange rates file');
+      }
+
+      rates = { ...data.rates };
+      ratesUpdatedAt = data.updated_at ? new Date(data.updated_at) : null;
+
+      // Normalize so rates are expressed per 1 unit of the base currency
+      if (base !== CURRENCY_CONFIG.baseCurrency && rates[CURRENCY_CONFIG.baseCurrency]) {
+        const baseRate = rates[CURRENCY_CONFIG.baseCurrency];
+        Object.keys(rates).forEach(code => {
+          rates[code] = rates[code] / baseRate;
+        });
+      }
+
+      console.log('✓ Exchange rates loaded');
+    } catch (error) {
+      console.warn('Could not load exchange rates, using fallback rates:', error);
+    }
+  }
+
+  /**
+   * Set the current currency (visitor's choice, remembered)
+   * @param {string} currencyCode - Currency code
+   */
+  function setCurrency(currencyCode) {
+    if (!CURRENCY_CONFIG.supportedCurrencies.includes(currencyCode)) {
+      console.warn(`Unsupported currency: ${currencyCode}`);
+      return;
+    }
+
+    localStorage.setItem(CURRENCY_CONFIG.storageKey, currencyCode);
+    applyCurrency(currencyCode);
+  }
+
+  /**
+   * Switch currency and notify listeners
+   * @param {string} currencyCode - Currency code
+   */
+  function applyCurrency(currencyCode) {
+    currentCurrency = currencyCode;
+    updateCurrencySwitcherUI(currencyCode);
+    dispatchCurrencyChanged();
+  }
+
+  /**
+   * Dispatch the currencyChanged event
+   */
+  function dispatchCurrencyChanged() {
+    document.dispatchEvent(new CustomEvent('currencyChanged', {
+      detail: { currency: currentCurrency }
+    }));
+  }
+
+  /**
+   * Convert an amount between currencies
+   * @param {number} amount - Amount
+   * @param {string} [from] - Source currency (defaults to the base currency)
+   * @param {string} [to] - Target currency (defaults to the current currency)
+   * @returns {number} Converted amount
+   */
+  function convert(amount, from = CURRENCY_CONFIG.baseCurrency, to = currentCurrency) {
+    if (from === to) return amount;
+    return amount / rates[from] * rates[to];
+  }
+
+  /**
+   * Format a price stored in the base currency
+   * @param {number|string} amount - Price in the base currency
+   * @param {Object} [options] - Options
+   * @param {string} [options.currency] - Target currency (defaults to the current one)
+   * @returns {string} Formatted price (e.g. "₲ 1.245.000.000", "$150,000.00", "150.000,00 €")
+   */
+  function formatPrice(amount, options = {}) {
+    const currency = options.currency || currentCurrency;
+    const numAmount = typeof amount === 'number' ? amount : parseFloat(amount);
+    const converted = convert(numAmount, CURRENCY_CONFIG.baseCurrency, currency);
+    const digits = CURRENCY_CONFIG.fractionDigits[currency];
+
+    const formatted = new Intl.NumberFormat(getLocale(), {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }).format(converted);
+
+    // Converted prices follow the exchange rate, so mark them as approximate
+    return currency === CURRENCY_CONFIG.baseCurrency ? formatted : `≈ ${formatted}`;
+  }
+
+  /**
+   * Get the number formatting locale for the current language
+   * @returns {string} Locale (e.g. 'es-PY')
+   */
+  function getLocale() {
+    const language = window.I18n && window.I18n.getCurrentLanguage ? window.I18n.getCurrentLanguage() : 'es';
+    return LOCALE_MAP[language] || LOCALE_MAP.es;
+  }
+
+  /**
+   * Setup currency switcher functionality
+   */
+  function setupCurrencySwitcher() {
+    const currencySelector = document.getElementById('currency-selector');
+    if (!currencySelector) return;
+
+    currencySelector.addEventListener('change', (e) => {
+      const selectedCurrency = e.target.value;
+      if (selectedCurrency && selectedCurrency !== currentCurrency) {
+        setCurrency(selectedCurrency);
+      }
+    });
+  }
+
+  /**
+   * Update currency switcher UI
+   * @param {string} currencyCode - Current currency code
+   */
+  function updateCurrencySwitcherUI(currencyCode) {
+    const currencySelector = document.getElementById('currency-selector');
+    if (currencySelector) {
+      currencySelector.value = currencyCode;
+    }
+  }
+
+  /**
+   * Get current currency
+   * @returns {string} Currency code
+   */
+  function getCurrentCurrency() {
+    return currentCurrency;
+  }
+
+  /**
+   * Get available currencies
+   * @returns {string[]} Array of supported currency codes
+   */
+  function getSupportedCurrencies() {
+    return [...CURRENCY_CONFIG.supportedCurrencies];
+  }
+
+  /**
+   * Get the date of the loaded exchange rates
+   * @returns {Date|null} Rates date, or null when using fallback rates
+   */
+  function getRatesUpdatedAt() {
+    return ratesUpdatedAt;
+  }
+
+  /**
+   * Check if the currency system is initialized
+   * @returns {boolean} Initialization status
+   */
+  function isCurrencyInitialized() {
+    return isInitialized;
+  }
+
+  /**
+   * Public API
+   */
+  window.Currency = {
+    init: initializeCurrency,
+    setCurrency: setCurrency,
+    getCurrentCurrency: getCurrentCurrency,
+    getSupportedCurrencies: getSupportedCurrencies,
+    getRatesUpdatedAt: getRatesUpdatedAt,
+    isInitialized: isCurrencyInitialized,
+    convert: convert,
+    format: formatPrice,
+    baseCurrency: CURRENCY_CONFIG.baseCurrency
+
+    // Events: 'currencyChanged'
+  };
+
+  // Auto-initialize when DOM is loaded
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeCurrency);
+  } else {
+    initializeCurrency();
+  }
+
+})();
@@ -0,0 +1,668 @@
+/**
+ * Favorites - Inmobiliaria Mega Proyectos
+ * Shortlist of lots and loteamientos kept across sessions
+ *
+ * Responsibilities:
+ * - Heart buttons on the parcel sidebar, the mobile parcel card and the
+ *   product cards of the home page (bindButton)
+ * - Persist the shortlist in localStorage (synced between open tabs)
+ * - Favorites drawer with the live estado of each lote (LoteService.fetchById),
+ *   flagging lotes that became reservado or vendido since they were saved
+ * - Shareable link: index.html?favoritos=lote-12,loteamiento-3 opens the
+ *   shared list in the drawer, where it can be saved into one's own list
+ *
+ * Entries:
+ *   { type: 'lote'|'loteamiento', id, name, loteamientoId, loteamientoName,
+ *     area, estado (when saved), url, savedAt }
+ *
+ * Pages bind a button and an entry getter (null hides the button):
+ *   Favorites.bindButton(button, () => ({ type: 'lote', id, name, ... }))
+ * and open the drawer from any [data-favorites-open] element; the count is
+ * written into [data-favorites-count] elements.
+ *
+ * @requires lote-service.js (optional, live estado and shared lotes)
+ * @requires loteamiento-service.js (optional, shared loteamientos)
+ * @requires i18n.js (optional, Spanish fallbacks otherwise)
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Favorites configuration
+   */
+  const FAVORITES_CONFIG = {
+    storageKey: 'favorite-lots',
+
+    /** Query parameter of the share link */
+    shareParam: 'favoritos',
+
+    /** Page opened by the share link */
+    sharePage: 'index.html',
+
+    maxItems: 50
+  };
+
+  /**
+   * Spanish fallbacks (used until i18n.js is ready)
+   */
+  const FAVORITES_TEXT = {
+    'favorites.title': 'Mis favoritos',
+    'favorites.open': 'Favoritos',
+    'favorites.close': 'Cerrar',
+    'favorites.add': 'Guardar en favoritos',
+    'favorites.added': 'En favoritos',
+    'favorites.remove': 'Quitar de favoritos',
+    'favorites.empty': 'Todavía no guardaste lotes. Tocá el corazón de un lote para agregarlo.',
+    'favorites.share': 'Copiar enlace para compartir',
+    'favorites.link_copied': 'Enlace copiado',
+    'favorites.limit': 'Podés guardar hasta {max} favoritos.',
+    'favorites.changed': 'Ahora {estado}: cambió desde que lo guardaste',
+    'favorites.loteamiento': 'Loteamiento',
+    'favorites.shared_title': 'Lista compartida',
+    'favorites.shared_text': 'Te compartieron estos lotes.',
+    'favorites.save_shared': 'Guardar en mis favoritos',
+    'favorites.show_mine': 'Ver mis favoritos',
+    'favorites.shared_empty': 'Los lotes de este enlace ya no están publicados.',
+    'favorites.loading': 'Cargando…'
+  };
+
+  /**
+   * Favorites Class
+   * Stored shortlist, heart buttons and drawer
+   */
+  class Favorites {
+    constructor() {
+      this.items = this.load();
+      this.buttons = [];
+      this.liveEstados = {};
+      this.sharedItems = null;
+      this.isShowingShared = false;
+      this.drawer = null;
+
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => this.init());
+      } else {
+        this.init();
+      }
+    }
+
+    /**
+     * Bind the drawer openers and open a shared list from the URL
+     */
+    init() {
+      document.querySelectorAll('[data-favorites-open]').forEach(element => {
+        element.addEventListener('click', (e) => {
+          e.preventDefault();
+          this.openDrawer();
+        });
+      });
+
+      // Keep tabs in sync
+      window.addEventListener('storage', (e) => {
+        if (e.key !== FAVORITES_CONFIG.storageKey) return;
+        this.items = this.load();
+        this.refresh();
+      });
+
+      document.addEventListener('languageChanged', () => this.refresh());
+
+      this.updateCount();
+
+      const shared = new URLSearchParams(window.location.search).get(FAVORITES_CONFIG.shareParam);
+      if (shared) {
+        this.openShared(this.parseShareParam(shared));
+      }
+    }
+
+    // ===========================
+    // SHORTLIST STATE
+    // ===========================
+
+    /**
+     * Get the saved entries (newest first)
+     * @returns {Array<Object>} Entries
+     */
+    getAll() {
+      return this.items.slice();
+    }
+
+    /**
+     * Check if an entry is saved
+     * @param {string} type - 'lote' or 'loteamiento'
+     * @param {string|number} id - ID
+     * @returns {boolean}
+     */
+    has(type, id) {
+      return this.items.some(item => item.type === type && String(item.id) === String(id));
+    }
+
+    /**
+     * Save an entry
+     * @param {Object} entry - Entry (see file header)
+     * @returns {boolean} True if it was added
+     */
+    add(entry) {
+      if (!entry || this.has(entry.type, entry.id)) return false;
+
+      if (this.items.length >= FAVORITES_CONFIG.maxItems) {
+        window.alert(this.t('favorites.limit').replace('{max}', FAVORITES_CONFIG.maxItems));
+        return false;
+      }
+
+      this.items.unshift({
+        type: entry.type,
+        id: entry.id,
+        name: entry.name || null,
+        loteamientoId: entry.loteamientoId || null,
+        loteamientoName: entry.loteamientoName || null,
+        area: entry.area || null,
+        estado: entry.estado || null,
+        url: entry.url,
+        savedAt: new Date().toISOString()
+      });
+
+      this.persist();
+      return true;
+    }
+
+    /**
+     * Remove an entry
+     * @param {string} type - 'lote' or 'loteamiento'
+     * @param {string|number} id - ID
+     */
+    remove(type, id) {
+      this.items = this.items.filter(item => !(item.type === type && String(item.id) === String(id)));
+      this.persist();
+    }
+
+    /**
+     * Save or remove an entry
+     * @param {Object} entry - Entry
+     * @returns {boolean} True if the entry is saved afterwards
+     */
+    toggle(entry) {
+      if (!entry) return false;
+
+      if (this.has(entry.type, entry.id)) {
+        this.remove(entry.type, entry.id);
+        return false;
+      }
+      return this.add(entry);
+    }
+
+    // ===========================
+    // HEART BUTTONS
+    // ===========================
+
+    /**
+     * Make a button toggle the displayed lote or loteamiento
+     * Buttons with the class favorite-btn--icon only show the heart.
+     * @param {HTMLElement} button - Button
+     * @param {Function} getEntry - () => entry shown next to the button, or null
+     */
+    bindButton(button, getEntry) {
+      if (!button) return;
+
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.toggle(getEntry());
+      });
+
+      this.buttons.push({ button, getEntry });
+      this.syncButton(button, getEntry());
+    }
+
+    /**
+     * Update every bound button (call when the displayed lote changes)
+     */
+    refreshButtons() {
+      // Forget buttons removed from the page (e.g. re-rendered product cards)
+      this.buttons = this.buttons.filter(binding => {
+        binding.wasConnected = binding.wasConnected || binding.button.isConnected;
+        return !binding.wasConnected || binding.button.isConnected;
+      });
+      this.buttons.forEach(({ button, getEntry }) => this.syncButton(button, getEntry()));
+    }
+
+    /**
+     * Show the saved state on a button
+     * @param {HTMLElement} button - Button
+     * @param {Object|null} entry - Entry shown next to the button
+     */
+    syncButton(button, entry) {
+      button.hidden = !entry;
+      if (!entry) return;
+
+      const saved = this.has(entry.type, entry.id);
+      const label = this.t(saved ? 'favorites.remove' : 'favorites.add');
+
+      button.classList.toggle('active', saved);
+      button.setAttribute('aria-pressed', saved ? 'true' : 'false');
+      button.setAttribute('aria-label', label);
+      button.title = label;
+      button.textContent = button.classList.contains('favorite-btn--icon')
+        ? (saved ? '♥' : '♡')
+        : `${saved ? '♥' : '♡'} ${this.t(saved ? 'favorites.added' : 'favorites.add')}`;
+    }
+
+    // ===========================
+    // DRAWER
+    // ===========================
+
+    /**
+     * Open the drawer with the own list and check the live estados
+     */
+    openDrawer() {
+      this.isShowingShared = false;
+      this.ensureDrawer();
+      this.renderDrawer();
+      this.drawer.classList.add('visible');
+      this.drawer.querySelector('.favorites-drawer__close').focus();
+
+      this.refreshLiveEstados(this.items);
+    }
+
+    /**
+     * Close the drawer
+     */
+    closeDrawer() {
+      if (this.drawer) {
+        this.drawer.classList.remove('visible');
+      }
+    }
+
+    /**
+     * Open the drawer with a shared list
+     * @param {Array<Object>} refs - [{ type, id }] from the share link
+     */
+    async openShared(refs) {
+      if (refs.length === 0) return;
+
+      this.sharedItems = null;
+      this.isShowingShared = true;
+      this.ensureDrawer();
+      this.renderDrawer();
+      this.drawer.classList.add('visible');
+
+      const resolved = await Promise.all(refs.map(ref => this.resolveEntry(ref)));
+      this.sharedItems = resolved.filter(Boolean);
+      this.sharedItems.forEach(item => {
+        if (item.type === 'lote') this.liveEstados[item.id] = item.estado;
+      });
+      this.renderDrawer();
+    }
+
+    /**
+     * Create the drawer element once
+     */
+    ensureDrawer() {
+      if (this.drawer) return;
+
+      const drawer = document.createElement('div');
+      drawer.className = 'favorites-drawer-layer';
+      drawer.innerHTML = `
+        <div class="favorites-backdrop"></div>
+        <aside class="favorites-drawer" role="dialog" aria-labelledby="favoritesDrawerTitle">
+          <div class="favorites-drawer__header">
+            <h2 class="favorites-drawer__title" id="favoritesDrawerTitle"></h2>
+            <button type="button" class="favorites-drawer__close">&times;</button>
+          </div>
+          <div class="favorites-drawer__shared" hidden>
+            <p class="favorites-drawer__shared-text"></p>
+            <button type="button" class="favorites-drawer__btn favorites-drawer__btn--primary" data-favorites-action="save-shared"></button>
+            <button type="button" class="favorites-drawer__btn" data-favorites-action="show-mine"></button>
+          </div>
+          <ul class="favorites-list"></ul>
+          <p class="favorites-empty" hidden></p>
+          <div class="favorites-drawer__footer">
+            <button type="button" class="favorites-drawer__btn" data-favorites-action="share"></button>
+          </div>
+        </aside>
+      `;
+
+      drawer.querySelector('.favorites-backdrop').addEventListener('click', () => this.closeDrawer());
+      drawer.querySelector('.favorites-drawer__close').addEventListener('click', () => this.closeDrawer());
+      drawer.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-favorites-action]');
+        if (target) this.handleDrawerAction(target.getAttribute('data-favorites-action'), target);
+      });
+
+      document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && this.drawer.classList.contains('visible')) {
+          this.closeDrawer();
+        }
+      });
+
+      document.body.appendChild(drawer);
+      this.drawer = drawer;
+    }
+
+    /**
+     * Handle a drawer button
+     * @param {string} action - 'share', 'save-shared', 'show-mine' or 'remove'
+     * @param {HTMLElement} target - Clicked element
+     */
+    handleDrawerAction(action, target) {
+      switch (action) {
+        case 'share':
+          this.copyShareLink(target);
+          break;
+        case 'save-shared':
+          (this.sharedItems || []).slice().reverse().forEach(item => this.add(item));
+          this.openDrawer();
+          break;
+        case 'show-mine':
+          this.openDrawer();
+          break;
+        case 'remove':
+          this.remove(target.getAttribute('data-type'), target.getAttribute('data-id'));
+          break;
+      }
+    }
+
+    /**
+     * Render the drawer content (own or shared list)
+     */
+    renderDrawer() {
+      if (!this.drawer) return;
+
+      const drawer = this.drawer;
+      const shared = this.isShowingShared;
+      const items = shared ? (this.sharedItems || []) : this.items;
+
+      drawer.querySelector('.favorites-drawer__title').textContent = this.t(shared ? 'favorites.shared_title' : 'favorites.title');
+      drawer.querySelector('.favorites-drawer__close').setAttribute('aria-label', this.t('favorites.close'));
+
+      const sharedBox = drawer.querySelector('.favorites-drawer__shared');
+      sharedBox.hidden = !shared;
+      sharedBox.querySelector('.favorites-drawer__shared-text').textContent = this.t('favorites.shared_text');
+      sharedBox.querySelector('[data-favorites-action="save-shared"]').textContent = this.t('favorites.save_shared');
+      sharedBox.querySelector('[data-favorites-action="save-shared"]').disabled = items.length === 0;
+      sharedBox.querySelector('[data-favorites-action="show-mine"]').textContent = this.t('favorites.show_mine');
+
+      const shareBtn = drawer.querySelector('[data-favorites-action="share"]');
+      shareBtn.textContent = this.t('favorites.share');
+      shareBtn.hidden = shared || items.length === 0;
+
+      const empty = drawer.querySelector('.favorites-empty');
+      const isLoading = shared && this.sharedItems === null;
+      empty.hidden = items.length > 0;
+      empty.textContent = this.t(isLoading ? 'favorites.loading' : (shared ? 'favorites.shared_empty' : 'favorites.empty'));
+
+      drawer.querySelector('.favorites-list').innerHTML = items.map(item => this.renderItem(item, !shared)).join('');
+    }
+
+    /**
+     * Build the HTML of one drawer entry
+     * @param {Object} item - Entry
+     * @param {boolean} removable - Show the remove button
+     * @returns {string} List item HTML
+     */
+    renderItem(item, removable) {
+      const liveEstado = item.type === 'lote' ? (this.liveEstados[item.id] || item.estado) : null;
+      const details = [
+        item.type === 'loteamiento' ? this.t('favorites.loteamiento') : item.loteamientoName,
+        item.area ? `${Math.round(item.area).toLocaleString()} m²` : null
+      ].filter(Boolean).join(' · ');
+
+      const status = liveEstado
+        ? `<span class="favorites-item__status favorites-item__status--${this.escapeHtml(liveEstado)}">${this.escapeHtml(this.getEstadoText(liveEstado))}</span>`
+        : '';
+
+      const changed = this.hasBecomeUnavailable(item)
+        ? `<p class="favorites-item__changed">${this.escapeHtml(this.t('favorites.changed').replace('{estado}', this.getEstadoText(liveEstado).toLowerCase()))}</p>`
+        : '';
+
+      const remove = removable
+        ? `<button type="button" class="favorites-item__remove" data-favorites-action="remove" data-type="${this.escapeHtml(item.type)}" data-id="${this.escapeHtml(String(item.id))}" aria-label="${this.escapeHtml(this.t('favorites.remove'))}">&times;</button>`
+        : '';
+
+      return `
+        <li class="favorites-item${changed ? ' favorites-item--changed' : ''}">
+          <div class="favorites-item__body">
+            <a class="favorites-item__name" href="${this.escapeHtml(item.url || '#')}">${this.escapeHtml(item.name || String(item.id))}</a>
+            ${details ? `<span class="favorites-item__details">${this.escapeHtml(details)}</span>` : ''}
+            ${status}
+            ${changed}
+          </div>
+          ${remove}
+        </li>
+      `;
+    }
+
+    // ===========================
+    // LIVE ESTADO
+    // ===========================
+
+    /**
+     * Fetch the current estado of the saved lotes and re-render
+     * @param {Array<Object>} items - Entries to check
+     * @returns {Promise<void>}
+     */
+    async refreshLiveEstados(items) {
+      if (!window.LoteService) return;
+
+      const lotes = items.filter(item => item.type === 'lote');
+      await Promise.all(lotes.map(async item => {
+        try {
+          const lote = await window.LoteService.fetchById(item.id);
+          if (lote) this.liveEstados[item.id] = lote.estado;
+        } catch (error) {
+          // Keep showing the saved estado (offline, lote unpublished)
+        }
+      }));
+
+      this.renderDrawer();
+    }
+
+    /**
+     * Whether a saved lote went from disponible to reservado or vendido
+     * @param {Object} item - Entry
+     * @returns {boolean}
+     */
+    hasBecomeUnavailable(item) {
+      const liveEstado = this.liveEstados[item.id];
+      return item.type === 'lote' && !!item.estado && !!liveEstado &&
+        liveEstado !== item.estado && liveEstado !== 'disponible';
+    }
+
+    /**
+     * Load the details of a shared entry
+     * @param {Object} ref - { type, id }
+     * @returns {Promise<Object|null>} Entry or null if it no longer exists
+     */
+    async resolveEntry(ref) {
+      try {
+        if (ref.type === 'lote' && window.LoteService) {
+          const lote = await window.LoteService.fetchById(ref.id);
+          if (!lote) return null;
+
+          const loteamiento = window.LoteamientoService && lote.loteamiento_id
+            ? await window.LoteamientoService.fetchById(lote.loteamiento_id).catch(() => null)
+            : null;
+
+          const params = new URLSearchParams({ loteamiento: lote.loteamiento_id, lote: lote.id });
+          if (loteamiento) params.set('name', loteamiento.name);
+
+          return {
+            type: 'lote',
+            id: lote.id,
+            name: lote.nombre,
+            loteamientoId: lote.loteamiento_id,
+            loteamientoName: loteamiento ? loteamiento.name : null,
+            area: lote.area,
+            estado: lote.estado,
+            url: `mapa.html?${params.toString()}`
+          };
+        }
+
+        if (ref.type === 'loteamiento' && window.LoteamientoService) {
+          const loteamiento = await window.LoteamientoService.fetchById(ref.id);
+          if (!loteamiento) return null;
+
+          return {
+            type: 'loteamiento',
+            id: loteamiento.id,
+            name: loteamiento.name,
+            area: loteamiento.total_dim_m2 || null,
+            url: this.getLoteamientoUrl(loteamiento)
+          };
+        }
+      } catch (error) {
+        console.warn(`Could not load shared favorite ${ref.type} ${ref.id}:`, error);
+      }
+      return null;
+    }
+
+    // ===========================
+    // SHARING
+    // ===========================
+
+    /**
+     * Build the share link of the own list
+     * @returns {string} Absolute URL
+     */
+    getShareUrl() {
+      const value = this.items.map(item => `${item.type}-${item.id}`).join(',');
+      const url = new URL(FAVORITES_CONFIG.sharePage, window.location.href);
+      url.searchParams.set(FAVORITES_CONFIG.shareParam, value);
+      return url.toString();
+    }
+
+    /**
+     * Parse the share parameter
+     * @param {string} value - e.g. 'lote-12,loteamiento-3'
+     * @returns {Array<Object>} [{ type, id }]
+     */
+    parseShareParam(value) {
+      return value.split(',').map(part => {
+        const separator = part.indexOf('-');
+        return { type: part.slice(0, separator), id: part.slice(separator + 1) };
+      }).filter(ref => (ref.type === 'lote' || ref.type === 'loteamiento') && ref.id)
+        .slice(0, FAVORITES_CONFIG.maxItems);
+    }
+
+    /**
+     * Copy the share link and confirm on the button
+     * @param {HTMLElement} button - Share button
+     */
+    async copyShareLink(button) {
+      const url = this.getShareUrl();
+
+      try {
+        await navigator.clipboard.writeText(url);
+        button.textContent = this.t('favorites.link_copied');
+        setTimeout(() => { button.textContent = this.t('favorites.share'); }, 2500);
+      } catch (error) {
+        // Clipboard API unavailable (e.g. insecure context) - let the user copy manually
+        window.prompt(this.t('favorites.share'), url);
+      }
+    }
+
+    /**
+     * Map link of a loteamiento (same as the product card "Ver Mapa" button)
+     * @param {Object} loteamiento - Loteamiento DTO
+     * @returns {string} Relative URL
+     */
+    getLoteamientoUrl(loteamiento) {
+      const params = new URLSearchParams({
+        loteamiento: loteamiento.id,
+        name: loteamiento.name,
+        lat: loteamiento.lat || loteamiento.centroid_lat || 0,
+        lng: loteamiento.long || loteamiento.centroid_long || 0
+      });
+      return `mapa.html?${params.toString()}`;
+    }
+
+    // ===========================
+    // HELPERS
+    // ===========================
+
+    /**
+     * Store the list and update buttons, count and drawer
+     */
+    persist() {
+      try {
+        localStorage.setItem(FAVORITES_CONFIG.storageKey, JSON.stringify(this.items));
+      } catch (error) {
+        console.warn('Favorites could not be stored:', error);
+      }
+      this.refresh();
+    }
+
+    /**
+     * Update buttons, count and an open drawer
+     */
+    refresh() {
+      this.refreshButtons();
+      this.updateCount();
+      this.renderDrawer();
+    }
+
+    /**
+     * Write the number of favorites into [data-favorites-count]
+     */
+    updateCount() {
+      document.querySelectorAll('[data-favorites-count]').forEach(element => {
+        element.textContent = this.items.length;
+        element.hidden = this.items.length === 0;
+      });
+    }
+
+    /**
+     * Read the stored list
+     * @returns {Array<Object>} Entries
+     */
+    load() {
+      try {
+        const stored = JSON.parse(localStorage.getItem(FAVORITES_CONFIG.storageKey));
+        return Array.isArray(stored) ? stored.filter(item => item && item.type && item.id !== undefined) : [];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    /**
+     * Translated estado name
+     * @param {string} estado - 'disponible', 'reservado' or 'vendido'
+     * @returns {string} Estado text
+     */
+    getEstadoText(estado) {
+      const text = this.t(`mapa.sidebar.status.${estado}`);
+      return text === `mapa.sidebar.status.${estado}` ? estado.charAt(0).toUpperCase() + estado.slice(1) : text;
+    }
+
+    /**
+     * Translate a key with the Spanish fallback
+     * @param {string} key - i18n key
+     * @returns {string} Translated text
+     */
+    t(key) {
+      if (window.i18n && window.i18n.isInitialized && window.i18n.isInitialized()) {
+        const text = window.i18n.t(key);
+        if (text !== key) return text;
+      }
+      return FAVORITES_TEXT[key] || key;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+      const div = document.createElement('div');
+      div.textContent = text;
+      return div.innerHTML.replace(/"/g, '&quot;');
+    }
+  }
+
+  // Create singleton instance
+  const favorites = new Favorites();
+
+  // Export to window for global access
+  window.Favorites = favorites;
+
+})();
@@ -0,0 +1,418 @@
+/**
+ * Financing Calculator - Inmobiliaria Mega Proyectos
+ *
+ * Instalment (cuotas) calculator for a lot price, used in the map sidebar
+ * and on the reservation form.
+ *
+ * Features:
+ * - Down payment percentage, term in months and annual interest rate
+ * - Monthly instalment (French amortization) and totals
+ * - Full amortization schedule table
+ * - Terms per loteamiento (LoteamientoService `financing`) with
+ *   FINANCING_CONFIG as fallback
+ * - Prices shown in the selected currency (currency.js), re-rendered on
+ *   language and currency changes
+ *
+ * @requires i18n.js
+ * @requires currency.js (optional, falls back to EUR formatting)
+ */
+
+// ===========================
+// CONFIGURATION
+// ===========================
+
+/**
+ * Default financing terms, used when the loteamiento has none in Supabase
+ */
+const FINANCING_CONFIG = {
+  /** Suggested down payment (% of the lot price) */
+  downPaymentPercent: 30,
+
+  /** Allowed down payment range (%) */
+  minDownPaymentPercent: 10,
+  maxDownPaymentPercent: 90,
+
+  /** Suggested term and available terms (months) */
+  termMonths: 60,
+  termOptions: [12, 24, 36, 48, 60, 84, 120],
+
+  /** Annual interest rate (%) */
+  annualInterestRate: 9
+};
+
+// ===========================
+// FINANCING CALCULATOR
+// ===========================
+
+/**
+ * FinancingCalculator Class
+ * Renders a collapsible calculator into a container element
+ */
+class FinancingCalculator {
+  /**
+   * @param {HTMLElement} container - Element the calculator is rendered into
+   * @param {Object} [options] - Options
+   * @param {Function} [options.onChange] - Called with getPlan() whenever the plan changes
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onChange = options.onChange || null;
+
+    this.price = null;
+    this.terms = FinancingCalculator.resolveTerms(null);
+    this.state = {
+      downPaymentPercent: this.terms.downPaymentPercent,
+      termMonths: this.terms.termMonths,
+      annualInterestRate: this.terms.annualInterestRate
+    };
+
+    // Whether the buyer opened the calculator (plan is only attached then)
+    this.isEngaged = false;
+    this.isScheduleVisible = false;
+
+    this.handleExternalChange = this.handleExternalChange.bind(this);
+    document.addEventListener('languageChanged', this.handleExternalChange);
+    document.addEventListener('currencyChanged', this.handleExternalChange);
+  }
+
+  /**
+   * Merge loteamiento financing terms with the defaults
+   * @param {Object|null} loteamientoTerms - Terms from LoteamientoService (`financing`)
+   * @returns {Object} Complete terms
+   */
+  static resolveTerms(loteamientoTerms) {
+    const terms = { ...FINANCING_CONFIG, ...(loteamientoTerms || {}) };
+
+    if (!Array.isArray(terms.termOptions) || terms.termOptions.length === 0) {
+      terms.termOptions = [...FINANCING_CONFIG.termOptions];
+    }
+    if (!terms.termOptions.includes(terms.termMonths)) {
+      terms.termOptions = [...terms.termOptions, terms.termMonths].sort((a, b) => a - b);
+    }
+
+    return terms;
+  }
+
+  /**
+   * Calculate the instalment plan
+   * @param {Object} params - Plan parameters
+   * @param {number} params.price - Lot price
+   * @param {number} params.downPaymentPercent - Down payment (%)
+   * @param {number} params.termMonths - Term (months)
+   * @param {number} params.annualInterestRate - Annual interest rate (%)
+   * @returns {Object} Down payment, financed amount, monthly payment and totals
+   */
+  static calculate({ price, downPaymentPercent, termMonths, annualInterestRate }) {
+    const downPayment = price * downPaymentPercent / 100;
+    const financedAmount = price - downPayment;
+    const monthlyRate = annualInterestRate / 100 / 12;
+
+    // French amortization: constant instalment
+    const monthlyPayment = monthlyRate === 0
+      ? financedAmount / termMonths
+      : financedAmount * monthlyRate / (1 - Math.pow(1 + monthlyRate, -termMonths));
+
+    const totalPaid = downPayment + monthlyPayment * termMonths;
+
+    return {
+      downPayment,
+      financedAmount,
+      monthlyPayment,
+      totalInterest: totalPaid - price,
+      totalPaid
+    };
+  }
+
+  /**
+   * Build the amortization schedule
+   * @param {number} financedAmount - Amount financed
+   * @param {number} termMonths - Term (months)
+   * @param {number} annualInterestRate - Annual interest rate (%)
+   * @returns {Array<Object>} Rows: { month, payment, interest, principal, balance }
+   */
+  static buildSchedule(financedAmount, termMonths, annualInterestRate) {
+    const monthlyRate = annualInterestRate / 100 / 12;
+    const { monthlyPayment } = FinancingCalculator.calculate({
+      price: financedAmount,
+      downPaymentPercent: 0,
+      termMonths,
+      annualInterestRate
+    });
+
+    const rows = [];
+    let balance = financedAmount;
+
+    for (let month = 1; month <= termMonths; month++) {
+      const interest = balance * monthlyRate;
+      const principal = monthlyPayment - interest;
+      balance = Math.max(balance - principal, 0);
+
+      rows.push({ month, payment: monthlyPayment, interest, principal, balance });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Set the lot to finance
+   * @param {number|string|null} price - Lot price in the base currency (null hides the calculator)
+   * @param {Object|null} loteamientoTerms - Financing terms of the lot's loteamiento
+   */
+  setLot(price, loteamientoTerms) {
+    const numPrice = typeof price === 'number' ? price : parseFloat(price);
+    this.price = numPrice > 0 ? numPrice : null;
+
+    this.terms = FinancingCalculator.resolveTerms(loteamientoTerms);
+    this.state = {
+      downPaymentPercent: this.terms.downPaymentPercent,
+      termMonths: this.terms.termMonths,
+      annualInterestRate: this.terms.annualInterestRate
+    };
+    this.isScheduleVisible = false;
+
+    this.render();
+  }
+
+  /**
+   * Get the chosen plan in the reservation payload format
+   * @returns {Object|null} Plan (amounts in the base currency) or null without a price
+   */
+  getPlan() {
+    if (!this.price) return null;
+
+    const result = FinancingCalculator.calculate({ price: this.price, ...this.state });
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return {
+      currency: window.Currency ? window.Currency.baseCurrency : 'EUR',
+      lot_price: round(this.price),
+      down_payment_percent: this.state.downPaymentPercent,
+      down_payment_amount: round(result.downPayment),
+      financed_amount: round(result.financedAmount),
+      term_months: this.state.termMonths,
+      annual_interest_rate: this.state.annualInterestRate,
+      monthly_payment: round(result.monthlyPayment),
+      total_interest: round(result.totalInterest),
+      total_paid: round(result.totalPaid)
+    };
+  }
+
+  /**
+   * Render the calculator (hidden when the lot has no price)
+   */
+  render() {
+    if (!this.container) return;
+
+    if (!this.price) {
+      this.container.innerHTML = '';
+      this.container.style.display = 'none';
+      return;
+    }
+
+    this.container.style.display = '';
+
+    const termOptions = this.terms.termOptions.map(months => `
+      <option value="${months}" ${months === this.state.termMonths ? 'selected' : ''}>
+        ${this.t('financing.months', '{months} meses').replace('{months}', months)}
+      </option>
+    `).join('');
+
+    this.container.innerHTML = `
+      <details class="financing-calculator" ${this.isEngaged ? 'open' : ''}>
+        <summary class="financing-title">${this.t('financing.title', 'Calcular cuotas')}</summary>
+        <div class="financing-body">
+          <label class="financing-field">
+            <span class="financing-label">
+              ${this.t('financing.down_payment', 'Entrega inicial')}
+              <strong class="financing-down-payment-value"></strong>
+            </span>
+            <input type="range" class="financing-down-payment"
+              min="${this.terms.minDownPaymentPercent}" max="${this.terms.maxDownPaymentPercent}" step="5"
+              value="${this.state.downPaymentPercent}">
+          </label>
+
+          <div class="financing-field-row">
+            <label class="financing-field">
+              <span class="financing-label">${this.t('financing.term', 'Plazo')}</span>
+              <select class="financing-term">${termOptions}</select>
+            </label>
+            <label class="financing-field">
+              <span class="financing-label">${this.t('financing.interest_rate', 'Interés anual (%)')}</span>
+              <input type="number" class="financing-rate" min="0" max="50" step="0.1"
+                value="${this.state.annualInterestRate}">
+            </label>
+          </div>
+
+          <div class="financing-result">
+            <span>${this.t('financing.monthly_payment', 'Cuota mensual')}</span>
+            <strong class="financing-monthly"></strong>
+          </div>
+
+          <dl class="financing-summary">
+            <dt>${this.t('financing.financed_amount', 'Monto financiado')}</dt>
+            <dd class="financing-financed"></dd>
+            <dt>${this.t('financing.total_interest', 'Intereses totales')}</dt>
+            <dd class="financing-interest"></dd>
+            <dt>${this.t('financing.total_paid', 'Total a pagar')}</dt>
+            <dd class="financing-total"></dd>
+          </dl>
+
+          <button type="button" class="financing-schedule-toggle"></button>
+          <div class="financing-schedule" ${this.isScheduleVisible ? '' : 'hidden'}></div>
+
+          <p class="financing-disclaimer">${this.t('financing.disclaimer', 'Cálculo orientativo. Las condiciones finales se confirman al reservar.')}</p>
+        </div>
+      </details>
+    `;
+
+    this.bindEvents();
+    this.updateResults();
+  }
+
+  /**
+   * Wire up the rendered inputs
+   */
+  bindEvents() {
+    const details = this.container.querySelector('.financing-calculator');
+    details.addEventListener('toggle', () => {
+      if (details.open && !this.isEngaged) {
+        this.isEngaged = true;
+        this.notifyChange();
+      }
+    });
+
+    this.container.querySelector('.financing-down-payment').addEventListener('input', (e) => {
+      this.state.downPaymentPercent = parseFloat(e.target.value);
+      this.updateResults();
+    });
+
+    this.container.querySelector('.financing-term').addEventListener('change', (e) => {
+      this.state.termMonths = parseInt(e.target.value, 10);
+      this.updateResults();
+    });
+
+    this.container.querySelector('.financing-rate').addEventListener('input', (e) => {
+      const rate = parseFloat(e.target.value);
+      if (!isNaN(rate) && rate >= 0) {
+        this.state.annualInterestRate = rate;
+        this.updateResults();
+      }
+    });
+
+    this.container.querySelector('.financing-schedule-toggle').addEventListener('click', () => {
+      this.isScheduleVisible = !this.isScheduleVisible;
+      this.updateResults();
+    });
+  }
+
+  /**
+   * Update the computed values and schedule
+   */
+  updateResults() {
+    const result = FinancingCalculator.calculate({ price: this.price, ...this.state });
+    const query = (selector) => this.container.querySelector(selector);
+
+    query('.financing-down-payment-value').textContent =
+      `${this.state.downPaymentPercent}% · ${this.formatMoney(result.downPayment)}`;
+    query('.financing-monthly').textContent = this.formatMoney(result.monthlyPayment);
+    query('.financing-financed').textContent = this.formatMoney(result.financedAmount);
+    query('.financing-interest').textContent = this.formatMoney(result.totalInterest);
+    query('.financing-total').textContent = this.formatMoney(result.totalPaid);
+
+    const toggle = query('.financing-schedule-toggle');
+    toggle.textContent = this.isScheduleVisible
+      ? this.t('financing.hide_schedule', 'Ocultar plan de pagos')
+      : this.t('financing.show_schedule', 'Ver plan de pagos');
+    toggle.setAttribute('aria-expanded', String(this.isScheduleVisible));
+
+    const schedule = query('.financing-schedule');
+    schedule.hidden = !this.isScheduleVisible;
+    if (this.isScheduleVisible) {
+      this.renderSchedule(schedule, result.financedAmount);
+    }
+
+    this.notifyChange();
+  }
+
+  /**
+   * Render the amortization table
+   * @param {HTMLElement} element - Schedule container
+   * @param {number} financedAmount - Amount financed
+   */
+  renderSchedule(element, financedAmount) {
+    const rows = FinancingCalculator.buildSchedule(financedAmount, this.state.termMonths, this.state.annualInterestRate);
+
+    element.innerHTML = `
+      <table class="financing-schedule-table">
+        <thead>
+          <tr>
+            <th>${this.t('financing.schedule.month', 'Mes')}</th>
+            <th>${this.t('financing.schedule.payment', 'Cuota')}</th>
+            <th>${this.t('financing.schedule.interest', 'Interés')}</th>
+            <th>${this.t('financing.schedule.principal', 'Capital')}</th>
+            <th>${this.t('financing.schedule.balance', 'Saldo')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr>
+              <td>${row.month}</td>
+              <td>${this.formatMoney(row.payment)}</td>
+              <td>${this.formatMoney(row.interest)}</td>
+              <td>${this.formatMoney(row.principal)}</td>
+              <td>${this.formatMoney(row.balance)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Re-render after a language or currency change, keeping the chosen values
+   */
+  handleExternalChange() {
+    if (this.price) {
+      this.render();
+    }
+  }
+
+  /**
+   * Report the current plan to the owner
+   */
+  notifyChange() {
+    if (this.onChange && this.isEngaged) {
+      this.onChange(this.getPlan());
+    }
+  }
+
+  /**
+   * Format an amount in the base currency for display
+   * @param {number} amount - Amount in the base currency
+   * @returns {string} Formatted amount
+   */
+  formatMoney(amount) {
+    if (window.Currency) {
+      return window.Currency.format(amount);
+    }
+    return new Intl.NumberFormat('de-DE', { style: 'currency', currency: 'EUR' }).format(amount);
+  }
+
+  /**
+   * Translate with a Spanish fallback when i18n isn't ready
+   * @param {string} key - Translation key
+   * @param {string} fallback - Fallback text
+   * @returns {string} Translated text
+   */
+  t(key, fallback) {
+    if (window.i18n && window.i18n.t) {
+      const translated = window.i18n.t(key);
+      if (translated !== key) return translated;
+    }
+    return fallback;
+  }
+}
+
+// Export for use in mapa.js and reservation-form.html
+window.FinancingCalculator = FinancingCalculator;
+window.FINANCING_CONFIG = FINANCING_CONFIG;
@@ -0,0 +1,280 @@
+/**
+ * Form Guard - Inmobiliaria Mega Proyectos
+ * Client-side bot and spam protection for the interest and reservation forms
+ *
+ * Responsibilities:
+ * - Honeypot field that people never see or fill in
+ * - Minimum time between showing a form and submitting it
+ * - Per-browser rate limit of successful submissions (localStorage)
+ * - Proof of work: a SHA-256 nonce over a fresh challenge, so every
+ *   submission costs the sender CPU time
+ *
+ * The services add the resulting token to their submissions (`anti_bot`),
+ * so the backend can verify the proof, reject reused or stale challenges
+ * and apply its own server-side limits. Nothing here is trusted on its own.
+ *
+ * Pages register their forms:
+ *   FormGuard.arm(formElement, 'interest')
+ * and services call before sending:
+ *   const guard = await FormGuard.protect('interest')
+ * or, for a submission resent from the offline queue:
+ *   const guard = await FormGuard.renew(originalToken, 'interest')
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Form guard configuration
+   */
+  const FORM_GUARD_CONFIG = {
+    storageKey: 'form-guard-submissions',
+
+    // Leading zero bits required in SHA-256(challenge:nonce)
+    powDifficulty: 15,
+
+    // Per form: minimum fill time and successful submissions allowed per window
+    forms: {
+      interest: { minFillTimeMs: 3000, maxSubmissions: 3, windowMs: 10 * 60 * 1000 },
+      reservation: { minFillTimeMs: 8000, maxSubmissions: 3, windowMs: 60 * 60 * 1000 }
+    }
+  };
+
+  /**
+   * Localized error messages by code
+   */
+  const GUARD_MESSAGES = {
+    BOT_SUSPECTED: {
+      message_es: 'No pudimos procesar el envío. Por favor, recargue la página e intente nuevamente.',
+      message_en: 'We could not process the submission. Please reload the page and try again.',
+      message_de: 'Die Übermittlung konnte nicht verarbeitet werden. Bitte laden Sie die Seite neu und versuchen Sie es erneut.'
+    },
+    TOO_FAST: {
+      message_es: 'Por favor, revise sus datos y vuelva a enviar en unos segundos.',
+      message_en: 'Please check your details and submit again in a few seconds.',
+      message_de: 'Bitte überprüfen Sie Ihre Angaben und senden Sie in einigen Sekunden erneut.'
+    },
+    RATE_LIMITED: {
+      message_es: 'Demasiados envíos desde este navegador. Intente nuevamente en {minutes} minutos.',
+      message_en: 'Too many submissions from this browser. Please try again in {minutes} minutes.',
+      message_de: 'Zu viele Übermittlungen von diesem Browser. Bitte versuchen Sie es in {minutes} Minuten erneut.'
+    }
+  };
+
+  /**
+   * FormGuard Class
+   * Honeypot, fill time, rate limit and proof-of-work token per form
+   */
+  class FormGuard {
+    constructor() {
+      this.forms = {};
+    }
+
+    /**
+     * Register a form and start its fill timer
+     * Call again whenever the form is shown anew (e.g. a modal reopening).
+     * @param {HTMLFormElement} form - Form with a [data-form-guard-honeypot] input
+     * @param {string} formId - Key of FORM_GUARD_CONFIG.forms
+     */
+    arm(form, formId) {
+      this.forms[formId] = {
+        form,
+        armedAt: Date.now()
+      };
+    }
+
+    /**
+     * Run the checks and build the token for a submission
+     * @param {string} formId - Key of FORM_GUARD_CONFIG.forms
+     * @returns {Promise<Object>} { success, data: token } or { success: false, error }
+     */
+    async protect(formId) {
+      const config = FORM_GUARD_CONFIG.forms[formId];
+      const state = this.forms[formId];
+
+      // Forms submitted without arm() (scripts calling the service directly)
+      // still get a token; the backend sees fill_time_ms: null
+      const honeypot = state ? state.form.querySelector('[data-form-guard-honeypot]') : null;
+      if (honeypot && honeypot.value) {
+        console.warn('Form guard: honeypot filled');
+        return this.createError('BOT_SUSPECTED');
+      }
+
+      const fillTimeMs = state ? Date.now() - state.armedAt : null;
+      if (fillTimeMs !== null && fillTimeMs < config.minFillTimeMs) {
+        return this.createError('TOO_FAST');
+      }
+
+      const retryAfterMs = this.getRetryAfter(formId);
+      if (retryAfterMs > 0) {
+        return this.createError('RATE_LIMITED', { minutes: Math.ceil(retryAfterMs / 60000) });
+      }
+
+      const proof = await this.solveChallenge(formId);
+
+      return {
+        success: true,
+        data: {
+          form: formId,
+          fill_time_ms: fillTimeMs,
+          honeypot_empty: true,
+          ...proof
+        }
+      };
+    }
+
+    /**
+     * Renew the token of a submission resent from the offline queue
+     * The honeypot and fill time checks passed when it was first sent and
+     * are kept from the original token; the proof of work is solved again
+     * over a fresh challenge, so the backend never sees a stale one.
+     * @param {Object|null} token - Original token (null if it had none)
+     * @param {string} formId - Key of FORM_GUARD_CONFIG.forms
+     * @returns {Promise<Object>} { success, data: token }
+     */
+    async renew(token, formId) {
+      const proof = await this.solveChallenge(formId);
+
+      return {
+        success: true,
+        data: {
+          form: formId,
+          fill_time_ms: token ? token.fill_time_ms : null,
+          honeypot_empty: true,
+          ...proof
+        }
+      };
+    }
+
+    /**
+     * Record a successful submission for the rate limit
+     * @param {string} formId - Key of FORM_GUARD_CONFIG.forms
+     */
+    recordSubmission(formId) {
+      const history = this.loadHistory();
+      history[formId] = (history[formId] || []).concat(Date.now());
+      this.saveHistory(history);
+
+      // A new submission needs a new fill time
+      if (this.forms[formId]) {
+        this.forms[formId].armedAt = Date.now();
+      }
+    }
+
+    /**
+     * Milliseconds until another submission is allowed
+     * @param {string} formId - Key of FORM_GUARD_CONFIG.forms
+     * @returns {number} 0 when allowed
+     */
+    getRetryAfter(formId) {
+      const config = FORM_GUARD_CONFIG.forms[formId];
+      const now = Date.now();
+      const recent = (this.loadHistory()[formId] || []).filter(time => now - time < config.windowMs);
+
+      if (recent.length < config.maxSubmissions) return 0;
+
+      return config.windowMs - (now - recent[recent.length - config.maxSubmissions]);
+    }
+
+    /**
+     * Find a nonce whose SHA-256(challenge:nonce) has powDifficulty leading zero bits
+     * Without Web Crypto (insecure context) the challenge is sent unsolved.
+     * @param {string} formId - Form ID (part of the challenge)
+     * @returns {Promise<Object>} { challenge, nonce, difficulty }
+     */
+    async solveChallenge(formId) {
+      const randomPart = Array.from(window.crypto.getRandomValues(new Uint8Array(8)))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+      const challenge = `${formId}:${Date.now()}:${randomPart}`;
+      const difficulty = FORM_GUARD_CONFIG.powDifficulty;
+
+      if (!window.crypto.subtle) {
+        return { challenge, nonce: null, difficulty };
+      }
+
+      const encoder = new TextEncoder();
+      for (let nonce = 0; ; nonce++) {
+        const digest = await window.crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+        if (this.countLeadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+          return { challenge, nonce, difficulty };
+        }
+      }
+    }
+
+    /**
+     * Count leading zero bits of a hash
+     * @param {Uint8Array} bytes - Hash bytes
+     * @returns {number} Leading zero bits
+     */
+    countLeadingZeroBits(bytes) {
+      let bits = 0;
+      for (const byte of bytes) {
+        if (byte === 0) {
+          bits += 8;
+          continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+      }
+      return bits;
+    }
+
+    /**
+     * Read submission timestamps by form
+     * @returns {Object} { formId: number[] }
+     */
+    loadHistory() {
+      try {
+        return JSON.parse(localStorage.getItem(FORM_GUARD_CONFIG.storageKey)) || {};
+      } catch (error) {
+        return {};
+      }
+    }
+
+    /**
+     * Save submission timestamps, dropping the ones outside every window
+     * @param {Object} history - { formId: number[] }
+     */
+    saveHistory(history) {
+      const now = Date.now();
+      const longestWindow = Math.max(...Object.values(FORM_GUARD_CONFIG.forms).map(form => form.windowMs));
+
+      Object.keys(history).forEach(formId => {
+        history[formId] = history[formId].filter(time => now - time < longestWindow);
+      });
+
+      try {
+        localStorage.setItem(FORM_GUARD_CONFIG.storageKey, JSON.stringify(history));
+      } catch (error) {
+        console.warn('Form guard: could not save submission history', error);
+      }
+    }
+
+    /**
+     * Build an error result in the services' format
+     * @param {string} code - GUARD_MESSAGES key
+     * @param {Object} [params] - Placeholder values
+     * @returns {Object} { success: false, error }
+     */
+    createError(code, params = {}) {
+      const error = { code };
+
+      Object.entries(GUARD_MESSAGES[code]).forEach(([key, message]) => {
+        error[key] = Object.keys(params).reduce(
+          (text, param) => text.replace(`{${param}}`, params[param]),
+          message
+        );
+      });
+
+      return { success: false, error };
+    }
+  }
+
+  // Create singleton instance
+  const formGuard = new FormGuard();
+
+  // Export to window for global access
+  window.FormGuard = formGuard;
+
+})();
@@ -12,7 +12,8 @@
     supportedLanguages: ['es', 'en', 'de'],
     storageKey: 'selected-language',
     localesPath: 'locales/',
-    fallbackLanguage: 'es'
+    fallbackLanguage: 'es',
+    urlParam: 'lang'
   };
 
   // Domains that should deterministically default to a given language,
@@ -29,6 +30,12 @@
   let currentLanguage = I18N_CONFIG.defaultLanguage;
   let isInitialized = false;
 
+  // Data-driven pages (loteamiento.html) fill {placeholders} of their
+  // title/description through setMetaParams. metaLanguage is the language
+  // the meta tags were last written in (the static HTML is Spanish).
+  let metaParams = {};
+  let metaLanguage = I18N_CONFIG.defaultLanguage;
+
   /**
    * Initialize the i18n system
    */
@@ -69,6 +76,13 @@
    *   whether the source is deterministic enough to also drive SEO meta tags.
    */
   function detectLanguage() {
+    // 0. Language in the URL (?lang=en) — the per-language URLs listed as
+    // hreflang alternates in the sitemaps, so confident
+    const urlLanguage = getUrlLanguage();
+    if (urlLanguage) {
+      return { language: urlLanguage, confident: true };
+    }
+
     // 1. Check if user has previously selected a language (explicit, confident)
     const savedLanguage = localStorage.getItem(I18N_CONFIG.storageKey);
     if (savedLanguage && I18N_CONFIG.supportedLanguages.includes(savedLanguage)) {
@@ -97,6 +111,16 @@
     return { language: I18N_CONFIG.defaultLanguage, confident: true };
   }
 
+  /**
+   * Get language requested by the URL's `lang` parameter, if supported
+   * @returns {string|null} Language code or null
+   */
+  function getUrlLanguage() {
+    const langParam = new URLSearchParams(window.location.search).get(I18N_CONFIG.urlParam);
+    const langCode = (langParam || '').toLowerCase();
+    return I18N_CONFIG.supportedLanguages.includes(langCode) ? langCode : null;
+  }
+
   /**
    * Get language forced by the current hostname (e.g. a dedicated
    * German-market domain), if any.
@@ -306,9 +330,14 @@
       }
     });
 
+    // Canonical/alternate URLs describe the URL, not the language, so they
+    // are kept in sync regardless of the updateMeta gate
+    updateCanonicalLinks();
+
     // Update meta tags only for explicit, user-initiated language changes —
     // never for the automatic initial detection (see setLanguage/initializeI18n).
     if (updateMeta !== false) {
+      metaLanguage = currentLanguage;
       updateMetaTags(languageData);
     }
   }
@@ -336,7 +365,7 @@
     // being overwritten with index.*.
     const titleEl = document.querySelector('title');
     const titleKey = (titleEl && titleEl.getAttribute('data-i18n')) || 'index.page_title';
-    const title = getNestedTranslation(languageData, titleKey);
+    const title = fillMetaParams(getNestedTranslation(languageData, titleKey));
     if (title) {
       document.title = title;
     }
@@ -344,7 +373,7 @@
     // Update meta description
     const metaDesc = document.querySelector('meta[name="description"]');
     const descriptionKey = (metaDesc && metaDesc.getAttribute('data-i18n')) || 'index.meta_description';
-    const description = getNestedTranslation(languageData, descriptionKey);
+    const description = fillMetaParams(getNestedTranslation(languageData, descriptionKey));
     if (description) {
       if (metaDesc) {
         metaDesc.setAttribute('content', description);
@@ -362,24 +391,111 @@
       ogDesc.setAttribute('content', description);
     }
 
+    const ogImage = document.querySelector('meta[property="og:image"]');
+    if (ogImage && metaParams.image) {
+      ogImage.setAttribute('content', new URL(metaParams.image, window.location.href).toString());
+    }
+  }
+
+  /**
+   * Point canonical, og:url and hreflang alternates at the URL actually served
+   */
+  function updateCanonicalLinks() {
     // Self-reference canonical/og:url to the domain actually serving this
     // request. The same static HTML is served on more than one domain
     // (e.g. mega-proyectos.com and grundstucke-paraguay.com), so these can't
     // be a single hardcoded value — the hardcoded content in the HTML source
     // is just the fallback for when JS doesn't run.
-    const selfUrl = window.location.origin + window.location.pathname;
-
+    // Pages identified by a query parameter (loteamiento.html?id=) list the
+    // parameters to keep in data-canonical-params on the canonical link;
+    // `lang` is always kept so each ?lang= URL is its own canonical.
     const canonicalLink = document.querySelector('link[rel="canonical"]');
+    const selfUrl = window.location.origin + window.location.pathname + getCanonicalQuery(canonicalLink, true);
+
     if (canonicalLink) {
       canonicalLink.setAttribute('href', selfUrl);
     }
 
+    // Alternates keep their own language (?lang=en) plus the page parameters
+    const pageQuery = getCanonicalQuery(canonicalLink, false);
+    if (pageQuery) {
+      document.querySelectorAll('link[rel="alternate"][hreflang]').forEach(link => {
+        const url = new URL(link.getAttribute('href'), window.location.href);
+        const params = new URLSearchParams(pageQuery);
+        const langParam = url.searchParams.get(I18N_CONFIG.urlParam);
+        if (langParam) {
+          params.set(I18N_CONFIG.urlParam, langParam);
+        }
+        link.setAttribute('href', `${url.origin}${url.pathname}?${params.toString()}`);
+      });
+    }
+
     const ogUrl = document.querySelector('meta[property="og:url"]');
     if (ogUrl) {
       ogUrl.setAttribute('content', selfUrl);
     }
   }
 
+  /**
+   * Replace {placeholders} of a meta translation with the page's meta params
+   * @param {string|null} text - Translated title or description
+   * @returns {string|null} Filled text, or null while a placeholder has no value
+   *   (the tag then keeps its current content)
+   */
+  function fillMetaParams(text) {
+    if (!text) return null;
+
+    const filled = text.replace(/\{(\w+)\}/g, (match, key) => {
+      return metaParams[key] !== undefined && metaParams[key] !== null ? metaParams[key] : match;
+    });
+
+    return /\{\w+\}/.test(filled) ? null : filled;
+  }
+
+  /**
+   * Build the query string kept in canonical/hreflang URLs
+   * @param {Element|null} canonicalLink - <link rel="canonical">
+   * @param {boolean} includeLanguage - Also keep the `lang` parameter
+   * @returns {string} "?id=12" or an empty string
+   */
+  function getCanonicalQuery(canonicalLink, includeLanguage) {
+    const names = ((canonicalLink && canonicalLink.getAttribute('data-canonical-params')) || '')
+      .split(',').map(name => name.trim()).filter(Boolean);
+    if (includeLanguage) {
+      names.push(I18N_CONFIG.urlParam);
+    }
+    if (names.length === 0) return '';
+
+    const current = new URLSearchParams(window.location.search);
+    const kept = new URLSearchParams();
+    names.forEach(name => {
+      if (current.has(name)) {
+        kept.set(name, current.get(name));
+      }
+    });
+
+    const query = kept.toString();
+    return query ? `?${query}` : '';
+  }
+
+  /**
+   * Set the values of the {placeholders} in the page title/description
+   * (e.g. the loteamiento name) and rewrite the meta tags in the language
+   * they were last written in, keeping the updateMeta rules of setLanguage
+   * @param {Object} params - Placeholder values, plus optional `image` for og:image
+   * @returns {Promise<void>}
+   */
+  async function setMetaParams(params) {
+    metaParams = { ...params };
+
+    try {
+      const languageData = await loadLanguageFile(metaLanguage);
+      updateMetaTags(languageData);
+    } catch (error) {
+      console.error('Failed to update meta tags:', error);
+    }
+  }
+
   /**
    * Setup language switcher functionality
    */
@@ -489,6 +605,7 @@
     getSupportedLanguages: getSupportedLanguages,
     isInitialized: isI18nInitialized,
     t: translate,
+    setMetaParams: setMetaParams,
 
     // Expose language cache for external use
     get _languageCache() {
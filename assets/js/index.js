@@ -415,8 +415,8 @@
         return 'mapa.html';
       }
 
-      // Fetch all loteamientos
-      const loteamientos = await window.LoteamientoService.fetchAll();
+      // Only the newest loteamiento is needed
+      const { items: loteamientos } = await window.LoteamientoService.fetchPage(0, 1);
 
       if (loteamientos && loteamientos.length > 0) {
         const firstLoteamiento = loteamientos[0];
@@ -478,10 +478,37 @@
   let productsError = null;
   let retryButton = null;
   let productTemplate = null;
+  let searchElements = {};
+  let loadMoreContainer = null;
+  let loadMoreButton = null;
+  let loadMoreObserver = null;
 
   // State
   let allProducts = [];
   let currentLocation = 'colonia-independencia';
+  let searchFilters = createEmptySearchFilters();
+  let searchDebounceTimer = null;
+  let visibleCount = 0;
+  let renderedCount = 0;
+  let renderRequest = 0;
+
+  /** Default location chip (not written to the URL) */
+  const DEFAULT_LOCATION = 'colonia-independencia';
+
+  /** Cards added per "load more" (infinite scroll or button) */
+  const PRODUCTS_PER_PAGE = 12;
+
+  /** Search state <-> URL parameters, so results can be shared */
+  const SEARCH_URL_PARAMS = {
+    query: 'q',
+    location: 'ubicacion',
+    type: 'tipo',
+    features: 'caracteristicas',
+    minSize: 'sup_min',
+    maxSize: 'sup_max',
+    minParcels: 'lotes_min',
+    maxParcels: 'lotes_max'
+  };
 
   /**
    * Initialize the dynamic products system when the DOM is loaded
@@ -494,6 +521,21 @@
     retryButton = document.getElementById('retryButton');
     productTemplate = document.getElementById('productCardTemplate');
     locationChips = document.querySelectorAll('.location-chip');
+    loadMoreContainer = document.getElementById('productsLoadMore');
+    loadMoreButton = document.getElementById('productsLoadMoreButton');
+    searchElements = {
+      input: document.getElementById('productSearchInput'),
+      toggle: document.getElementById('productSearchToggle'),
+      facets: document.getElementById('productFacets'),
+      types: document.getElementById('facetTypes'),
+      features: document.getElementById('facetFeatures'),
+      minSize: document.getElementById('facetMinSize'),
+      maxSize: document.getElementById('facetMaxSize'),
+      minParcels: document.getElementById('facetMinParcels'),
+      maxParcels: document.getElementById('facetMaxParcels'),
+      clear: document.getElementById('productSearchClear'),
+      summary: document.getElementById('productSearchSummary')
+    };
 
     // Validate required elements exist
     if (!validateProductElements()) {
@@ -501,6 +543,9 @@
       return;
     }
 
+    // Restore a shared search before the first render
+    readSearchStateFromURL();
+
     // Bind event listeners
     bindProductEventListeners();
 
@@ -534,6 +579,79 @@
 
     // Retry button
     retryButton.addEventListener('click', handleRetryClick);
+
+    // Load more (optional): button, plus infinite scroll where supported
+    if (loadMoreContainer && loadMoreButton) {
+      loadMoreButton.addEventListener('click', showMoreProducts);
+
+      if ('IntersectionObserver' in window) {
+        loadMoreObserver = new IntersectionObserver((entries) => {
+          if (entries.some(entry => entry.isIntersecting)) {
+            showMoreProducts();
+          }
+        }, { rootMargin: '300px 0px' });
+      }
+    }
+
+    // Search bar and facets (optional)
+    if (searchElements.input) {
+      searchElements.input.addEventListener('input', () => {
+        clearTimeout(searchDebounceTimer);
+        searchDebounceTimer = setTimeout(() => {
+          searchFilters.query = searchElements.input.value.trim();
+          renderProductsByLocation(currentLocation);
+        }, 250);
+      });
+    }
+
+    if (searchElements.toggle && searchElements.facets) {
+      searchElements.toggle.addEventListener('click', () => {
+        const expanded = searchElements.facets.hidden;
+        searchElements.facets.hidden = !expanded;
+        searchElements.toggle.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+
+        // Facet counts need the whole catalogue
+        if (expanded && window.ProductService.hasMoreProducts()) {
+          renderProductsByLocation(currentLocation);
+        }
+      });
+    }
+
+    [['types', 'type'], ['features', 'features']].forEach(([elementKey, filterKey]) => {
+      const container = searchElements[elementKey];
+      if (!container) return;
+
+      container.addEventListener('change', (event) => {
+        const { value, checked } = event.target;
+        searchFilters[filterKey] = checked
+          ? [...searchFilters[filterKey], value]
+          : searchFilters[filterKey].filter(item => item !== value);
+        renderProductsByLocation(currentLocation);
+
+        if (window.Analytics) {
+          window.Analytics.track('filter_toggled', { filter: filterKey === 'type' ? 'type' : 'feature', value, active: checked });
+        }
+      });
+    });
+
+    ['minSize', 'maxSize', 'minParcels', 'maxParcels'].forEach(key => {
+      const input = searchElements[key];
+      if (!input) return;
+
+      input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        searchFilters[key] = value > 0 ? value : null;
+        renderProductsByLocation(currentLocation);
+      });
+    });
+
+    if (searchElements.clear) {
+      searchElements.clear.addEventListener('click', () => {
+        searchFilters = createEmptySearchFilters();
+        syncSearchInputs();
+        renderProductsByLocation(currentLocation);
+      });
+    }
   }
 
   /**
@@ -548,6 +666,10 @@
       setActiveChip(chip);
       currentLocation = location;
       renderProductsByLocation(location);
+
+      if (window.Analytics) {
+        window.Analytics.track('filter_toggled', { filter: 'location', value: location, active: true });
+      }
     }
   }
 
@@ -613,7 +735,7 @@
       allProducts = await window.ProductService.fetchProducts();
 
       // Render products for current location
-      renderProductsByLocation(currentLocation);
+      await renderProductsByLocation(currentLocation);
 
       hideLoadingState();
 
@@ -624,23 +746,74 @@
   }
 
   /**
-   * Render products filtered by location
+   * Render the first page of products filtered by location
    * @param {string} location - Location to filter by
+   * @returns {Promise<void>}
    */
   function renderProductsByLocation(location) {
+    visibleCount = PRODUCTS_PER_PAGE;
+    return updateProductsView(location, false);
+  }
+
+  /**
+   * Show the next page of products (load more button / infinite scroll)
+   * @returns {Promise<void>}
+   */
+  function showMoreProducts() {
+    if (!loadMoreContainer || loadMoreContainer.hidden || loadMoreButton.disabled) {
+      return Promise.resolve();
+    }
+
+    visibleCount += PRODUCTS_PER_PAGE;
+    return updateProductsView(currentLocation, true);
+  }
+
+  /**
+   * Fetch the pages needed and render the products up to visibleCount
+   * @param {string} location - Location to filter by
+   * @param {boolean} append - Keep the rendered cards and add the next ones
+   */
+  async function updateProductsView(location, append) {
+    const request = ++renderRequest;
+    setLoadMoreBusy(true);
+
+    try {
+      await ensureProductsLoaded(location);
+    } catch (error) {
+      // Show what is loaded; the button allows another try
+      console.error('Error loading more products:', error);
+    }
+
+    // A newer search or location change took over
+    if (request !== renderRequest) return;
+    setLoadMoreBusy(false);
+
     // Clear existing products (except template and loading/error states)
-    clearProductsGrid();
+    if (!append) {
+      clearProductsGrid();
+      renderedCount = 0;
+    }
 
     // Get filtered products
-    const filteredProducts = window.ProductService.getProductsByLocation(location);
+    const filteredProducts = window.ProductService.getFilteredProducts({ ...searchFilters, location });
+
+    renderFacets();
+    writeSearchStateToURL();
+
+    // Appending a page changes neither the filters nor the map's loteamientos
+    if (!append) {
+      updateOverviewMap(location, filteredProducts, request);
+    }
 
     if (filteredProducts.length === 0) {
+      updateLoadMore(false);
       showEmptyState(location);
       return;
     }
 
-    // Render each product
-    filteredProducts.forEach((product, index) => {
+    // Render each product of the new page
+    const newProducts = filteredProducts.slice(renderedCount, visibleCount);
+    newProducts.forEach((product, index) => {
       const productCard = createProductCard(product);
       productsGrid.appendChild(productCard);
 
@@ -650,8 +823,107 @@
         productCard.style.transform = 'translateY(0)';
       }, index * 100);
     });
+    renderedCount += newProducts.length;
+
+    updateStructuredData(filteredProducts.slice(0, renderedCount));
+    updateLoadMore(renderedCount < filteredProducts.length || window.ProductService.hasMoreProducts());
+
+    console.log(`Rendered ${renderedCount} of ${filteredProducts.length} products for location: ${location}`);
+  }
+
+  /**
+   * Keep the overview map on the same loteamientos as the grid
+   * While catalogue pages are still pending (no search, so only the location
+   * filters), it shows every loteamiento of the location from its own light
+   * query instead of just the pages loaded so far
+   * @param {string} location - Location to filter by
+   * @param {Array<Object>} filteredProducts - Products matching the grid filters
+   * @param {number} request - renderRequest of the calling render
+   */
+  async function updateOverviewMap(location, filteredProducts, request) {
+    const overviewMap = window.overviewMap;
+    if (!overviewMap) return;
+
+    if (!window.ProductService.hasMoreProducts() || !window.LoteamientoService) {
+      overviewMap.setProducts(filteredProducts);
+      return;
+    }
+
+    try {
+      const points = await window.LoteamientoService.fetchMapPoints();
+
+      // A newer search or location change took over
+      if (request !== renderRequest) return;
+
+      overviewMap.setProducts(points.filter(point => !location || point.location === location));
+    } catch (error) {
+      console.warn('Could not load the overview map loteamientos:', error);
+      overviewMap.setProducts(filteredProducts);
+    }
+  }
+
+  /**
+   * Inject the JSON-LD ItemList of the loteamientos shown in the grid
+   * (structured-data.js), in the current language
+   * @param {Array<Object>} products - Rendered products
+   */
+  function updateStructuredData(products) {
+    if (!window.StructuredData) return;
+
+    const lang = window.I18n?.getCurrentLanguage() || 'es';
+    window.StructuredData.inject('catalogue', window.StructuredData.buildCatalogue(products, { lang }));
+  }
+
+  /**
+   * Fetch catalogue pages until there are enough products to show
+   * A search or the open facets need every page for complete results and counts
+   * @param {string} location - Location to filter by
+   */
+  async function ensureProductsLoaded(location) {
+    const service = window.ProductService;
+    const facetsOpen = searchElements.facets && !searchElements.facets.hidden;
+
+    if (hasActiveSearch() || facetsOpen) {
+      await service.loadAllProducts();
+      return;
+    }
 
-    console.log(`Rendered ${filteredProducts.length} products for location: ${location}`);
+    while (service.hasMoreProducts() && service.getProductsByLocation(location).length < visibleCount) {
+      await service.loadMoreProducts();
+    }
+  }
+
+  /**
+   * Show or hide the load more button and (re)start watching it for infinite scroll
+   * @param {boolean} hasMore - Whether more products can be shown
+   */
+  function updateLoadMore(hasMore) {
+    if (!loadMoreContainer) return;
+
+    loadMoreContainer.hidden = !hasMore;
+
+    if (loadMoreObserver) {
+      // Observing again reports the current intersection, so a still
+      // visible button keeps loading until the viewport is filled
+      loadMoreObserver.unobserve(loadMoreContainer);
+      if (hasMore) {
+        loadMoreObserver.observe(loadMoreContainer);
+      }
+    }
+  }
+
+  /**
+   * Toggle the loading state of the load more button
+   * @param {boolean} busy - Whether a page is being loaded
+   */
+  function setLoadMoreBusy(busy) {
+    if (!loadMoreButton) return;
+
+    loadMoreButton.disabled = busy;
+    loadMoreButton.setAttribute('aria-busy', busy ? 'true' : 'false');
+    loadMoreButton.textContent = busy
+      ? getLocalizedText('index.loteamientos.loading_more', 'Cargando...')
+      : getLocalizedText('index.loteamientos.load_more', 'Ver más loteamientos');
   }
 
   /**
@@ -748,11 +1020,40 @@
     // Update "Ver en Mapa" button to navigate with loteamiento data
     const viewMapButton = card.querySelector('.product-card__btn');
     if (viewMapButton) {
-      viewMapButton.href = `mapa.html?loteamiento=${encodeURIComponent(product.id)}&name=${encodeURIComponent(product.name)}&lat=${product.lat || product.centroid_lat || 0}&lng=${product.long || product.centroid_long || 0}`;
+      viewMapButton.href = window.ProductService.getMapUrl(product);
       // Set localized button text
       viewMapButton.textContent = getLocalizedText('index.loteamientos.view_map_button', 'Ver Mapa');
     }
 
+    // "Contact about this loteamiento" links (WhatsApp, Telegram, email)
+    const contact = card.querySelector('.lot-contact');
+    if (contact && window.LotContact) {
+      window.LotContact.attach(contact, () => ({
+        loteamientoName: product.name,
+        area: product.total_dim_m2 || null,
+        url: new URL(viewMapButton ? viewMapButton.getAttribute('href') : 'mapa.html', window.location.href).toString()
+      }), { labelKey: 'lot_contact.label_loteamiento' });
+    }
+
+    // Heart button (favorites.js) saves the whole loteamiento
+    const favoriteButton = card.querySelector('.product-card__favorite');
+    if (favoriteButton && window.Favorites) {
+      window.Favorites.bindButton(favoriteButton, () => ({
+        type: 'loteamiento',
+        id: product.id,
+        name: product.name,
+        area: product.total_dim_m2 || null,
+        url: viewMapButton ? viewMapButton.getAttribute('href') : 'mapa.html'
+      }));
+    }
+
+    // "Ver detalles" opens the loteamiento detail page
+    const detailsLink = card.querySelector('.product-card__details-link');
+    if (detailsLink) {
+      detailsLink.href = `loteamiento.html?id=${encodeURIComponent(product.id)}`;
+      detailsLink.textContent = getLocalizedText('index.loteamientos.view_details_button', 'Ver detalles');
+    }
+
     // Update "Ver Galería" link to open gallery modal
     const galleryLink = card.querySelector('.product-card__gallery-link');
     if (galleryLink) {
@@ -898,7 +1199,9 @@
     const emptyMessage = document.createElement('div');
     emptyMessage.className = 'products-empty';
     const emptyTitle = getLocalizedText('index.loteamientos.empty_state.title', 'No hay loteamientos disponibles');
-    const emptyDescription = getLocalizedText('index.loteamientos.empty_state.description', 'No se encontraron loteamientos para la ubicación seleccionada.');
+    const emptyDescription = hasActiveSearch()
+      ? getLocalizedText('index.search.no_results', 'Ningún loteamiento coincide con la búsqueda. Probá con menos filtros.')
+      : getLocalizedText('index.loteamientos.empty_state.description', 'No se encontraron loteamientos para la ubicación seleccionada.');
     emptyMessage.innerHTML = `
       <h4>${emptyTitle}</h4>
       <p>${emptyDescription}</p>
@@ -918,6 +1221,205 @@
     emptyMessages.forEach(message => message.remove());
   }
 
+  // ===========================
+  // FACETED SEARCH
+  // ===========================
+
+  /**
+   * Search filters with nothing selected
+   * @returns {Object} Filters for ProductService.getFilteredProducts (without location)
+   */
+  function createEmptySearchFilters() {
+    return {
+      query: '',
+      type: [],
+      features: [],
+      minSize: null,
+      maxSize: null,
+      minParcels: null,
+      maxParcels: null
+    };
+  }
+
+  /**
+   * Check if any search filter is set
+   * @returns {boolean} True if the results are narrowed by the search
+   */
+  function hasActiveSearch() {
+    return countActiveFilters() > 0 || searchFilters.query !== '';
+  }
+
+  /**
+   * Count the facet filters in use (shown on the "Filtros" button)
+   * @returns {number} Number of active facet filters
+   */
+  function countActiveFilters() {
+    return searchFilters.type.length + searchFilters.features.length +
+      ['minSize', 'maxSize', 'minParcels', 'maxParcels'].filter(key => searchFilters[key]).length;
+  }
+
+  /**
+   * Render the facet options, their counts and the result summary
+   */
+  function renderFacets() {
+    if (!searchElements.summary) return;
+
+    const facets = window.ProductService.getFacets({ ...searchFilters, location: currentLocation });
+
+    if (searchElements.types) {
+      searchElements.types.innerHTML = facets.types
+        .map(option => renderFacetOption(option, formatProductType(option.label), searchFilters.type.includes(option.value)))
+        .join('');
+    }
+
+    if (searchElements.features) {
+      searchElements.features.innerHTML = facets.features
+        .map(option => renderFacetOption(option, option.label, searchFilters.features.includes(option.value)))
+        .join('');
+    }
+
+    // Ranges of the whole catalogue as hints
+    if (searchElements.minSize) searchElements.minSize.placeholder = Math.floor(facets.sizeRange.min);
+    if (searchElements.maxSize) searchElements.maxSize.placeholder = Math.ceil(facets.sizeRange.max);
+    if (searchElements.minParcels) searchElements.minParcels.placeholder = facets.parcelRange.min;
+    if (searchElements.maxParcels) searchElements.maxParcels.placeholder = facets.parcelRange.max;
+
+    if (searchElements.toggle) {
+      const activeFilters = countActiveFilters();
+      searchElements.toggle.textContent = getLocalizedText('index.search.filters', 'Filtros') +
+        (activeFilters > 0 ? ` (${activeFilters})` : '');
+    }
+
+    // Counts are only known once the whole catalogue is loaded (ensureProductsLoaded)
+    if (window.ProductService.hasMoreProducts()) {
+      locationChips.forEach(chip => chip.removeAttribute('data-count'));
+      searchElements.summary.textContent = '';
+      return;
+    }
+
+    // Result count per location chip (shown through CSS)
+    locationChips.forEach(chip => {
+      chip.setAttribute('data-count', facets.locations[chip.getAttribute('data-location')] || 0);
+    });
+
+    const summaryKey = facets.total === 1 ? 'index.search.results_one' : 'index.search.results';
+    searchElements.summary.textContent = getLocalizedText(summaryKey, '{count} loteamientos')
+      .replace('{count}', facets.total);
+  }
+
+  /**
+   * Build a facet checkbox with its live count
+   * @param {Object} option - { value, count }
+   * @param {string} label - Displayed label
+   * @param {boolean} checked - Whether the option is selected
+   * @returns {string} Option HTML
+   */
+  function renderFacetOption(option, label, checked) {
+    const isEmpty = option.count === 0 && !checked;
+    return `
+      <label class="product-facet__option${isEmpty ? ' product-facet__option--empty' : ''}">
+        <input type="checkbox" value="${escapeHtml(option.value)}" ${checked ? 'checked' : ''} ${isEmpty ? 'disabled' : ''} />
+        <span>${escapeHtml(label)}</span>
+        <span class="product-facet__count">${option.count}</span>
+      </label>
+    `;
+  }
+
+  /**
+   * Write the search state into the inputs (after reading the URL or clearing)
+   */
+  function syncSearchInputs() {
+    if (searchElements.input) {
+      searchElements.input.value = searchFilters.query;
+    }
+
+    ['minSize', 'maxSize', 'minParcels', 'maxParcels'].forEach(key => {
+      if (searchElements[key]) {
+        searchElements[key].value = searchFilters[key] || '';
+      }
+    });
+
+    // Open the facets when a shared link carries facet filters
+    if (searchElements.facets && searchElements.toggle && countActiveFilters() > 0) {
+      searchElements.facets.hidden = false;
+      searchElements.toggle.setAttribute('aria-expanded', 'true');
+    }
+  }
+
+  /**
+   * Read the search state from the URL
+   */
+  function readSearchStateFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    const list = (name) => (params.get(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+    const number = (name) => {
+      const value = parseFloat(params.get(name));
+      return value > 0 ? value : null;
+    };
+
+    searchFilters = {
+      query: (params.get(SEARCH_URL_PARAMS.query) || '').trim(),
+      type: list(SEARCH_URL_PARAMS.type),
+      features: list(SEARCH_URL_PARAMS.features),
+      minSize: number(SEARCH_URL_PARAMS.minSize),
+      maxSize: number(SEARCH_URL_PARAMS.maxSize),
+      minParcels: number(SEARCH_URL_PARAMS.minParcels),
+      maxParcels: number(SEARCH_URL_PARAMS.maxParcels)
+    };
+
+    const location = params.get(SEARCH_URL_PARAMS.location);
+    const chip = location ? document.querySelector(`.location-chip[data-location="${CSS.escape(location)}"]`) : null;
+    if (chip) {
+      currentLocation = location;
+      setActiveChip(chip);
+    }
+
+    syncSearchInputs();
+  }
+
+  /**
+   * Keep the search state in the URL (history.replaceState), other parameters untouched
+   */
+  function writeSearchStateToURL() {
+    const params = new URLSearchParams(window.location.search);
+
+    const values = {
+      query: searchFilters.query,
+      location: currentLocation !== DEFAULT_LOCATION ? currentLocation : '',
+      type: searchFilters.type.join(','),
+      features: searchFilters.features.join(','),
+      minSize: searchFilters.minSize,
+      maxSize: searchFilters.maxSize,
+      minParcels: searchFilters.minParcels,
+      maxParcels: searchFilters.maxParcels
+    };
+
+    Object.keys(SEARCH_URL_PARAMS).forEach(key => {
+      if (values[key]) {
+        params.set(SEARCH_URL_PARAMS[key], values[key]);
+      } else {
+        params.delete(SEARCH_URL_PARAMS[key]);
+      }
+    });
+
+    const search = params.toString();
+    const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      history.replaceState(history.state, '', url);
+    }
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
   /**
    * Public API for external control
    */
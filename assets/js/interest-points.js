@@ -127,6 +127,7 @@ class RouteDrawer {
    * @param {Object} origin - Origin coordinates {lat, lng}
    * @param {Object} destination - Destination coordinates {lat, lng}
    * @param {Array} routePoints - Array of intermediate route points (required)
+   * @returns {number|null} Route length in meters, or null if nothing was drawn
    */
   drawRoute(origin, destination, routePoints = []) {
     // Clear any existing route first
@@ -135,7 +136,7 @@ class RouteDrawer {
     // Validate and normalize origin/destination to numeric coords
     if (!this.validateCoordinates(origin) || !this.validateCoordinates(destination)) {
       console.error('Invalid coordinates provided for route drawing');
-      return;
+      return null;
     }
 
     const o = { lat: Number(origin.lat), lng: Number(origin.lng) };
@@ -144,7 +145,7 @@ class RouteDrawer {
     // Check if route points are available
     if (!routePoints || !Array.isArray(routePoints) || routePoints.length === 0) {
       console.log('ℹ No route points available, skipping route drawing');
-      return; // Don't draw anything without route points
+      return null; // Don't draw anything without route points
     }
 
     // CRITICAL FIX: Normalize ALL route_points and filter out origin/destination
@@ -195,6 +196,8 @@ class RouteDrawer {
     if (this.onRouteDistance && typeof this.onRouteDistance === 'function') {
       this.onRouteDistance(meters);
     }
+
+    return meters;
   }
 
   /**
@@ -602,7 +605,16 @@ class InterestPointsManager {
     const routePoints = normalizedPoint.route_points || [];
 
     // Draw route from loteamiento to selected point using intermediate route points
-    this.routeDrawer.drawRoute(origin, destination, routePoints);
+    const distance = this.routeDrawer.drawRoute(origin, destination, routePoints);
+
+    if (distance !== null && window.Analytics) {
+      window.Analytics.track('interest_point_route_drawn', {
+        point_id: point.id,
+        point_name: point.name,
+        distance_m: Math.round(distance),
+        loteamiento_id: this.loteamientoData ? this.loteamientoData.id : null
+      });
+    }
 
     // Show mobile card on mobile devices
     if (this.isMobileDevice() && window.mobileParcelCard) {
@@ -781,6 +793,7 @@ class InterestPointsManager {
 
     this.isVisible = true;
     this.updateMobileToggleVisualState();
+    this.notifyVisibilityChange();
     console.log('✓ Interest points shown');
   }
 
@@ -801,9 +814,19 @@ class InterestPointsManager {
 
     this.isVisible = false;
     this.updateMobileToggleVisualState();
+    this.notifyVisibilityChange();
     console.log('✓ Interest points hidden');
   }
 
+  /**
+   * Let mapa.js keep the shareable URL in sync with visibility
+   */
+  notifyVisibilityChange() {
+    if (typeof scheduleURLStateUpdate === 'function') {
+      scheduleURLStateUpdate();
+    }
+  }
+
   /**
    * Clear the current selection
    */
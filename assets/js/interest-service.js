@@ -4,11 +4,17 @@
  *
  * Responsibilities:
  * - Submit interest records to lot_interests table
+ * - Log clicks on the lot contact links (WhatsApp, Telegram, email)
  * - Validate contact information
  * - Handle duplicate submissions gracefully
  * - Manage localStorage persistence
+ * - Queue submissions that fail while offline (submission-queue.js)
+ * - Attach the bot protection token (form-guard.js) as `anti_bot`,
+ *   checked by the lot_interests insert policy
  *
  * @requires supabase-client.js
+ * @requires submission-queue.js (optional, enables offline retry)
+ * @requires form-guard.js (optional, enables bot protection)
  */
 
 class InterestService {
@@ -24,9 +30,13 @@ class InterestService {
    * @param {string} interestData.lotId - Lot ID
    * @param {string} interestData.contactName - Contact name (min 2 chars)
    * @param {string} interestData.contactPhone - Contact phone (min 6 chars)
+   * @param {Object} [interestData.antiBot] - Form guard token (added here; renewed when resent from the queue)
+   * @param {Object} [options] - Submission options
+   * @param {boolean} [options.fromQueue=false] - Retry from the offline queue (don't queue again)
    * @returns {Promise<Object>} Response with success/error status and messages
+   *   (`queued: true` when it was stored for retry after a network failure)
    */
-  async submitInterest(interestData) {
+  async submitInterest(interestData, options = {}) {
     // Prevent concurrent submissions
     if (this.isProcessing) {
       return {
@@ -60,6 +70,19 @@ class InterestService {
         };
       }
 
+      // Bot protection; retries from the queue keep the original honeypot
+      // and fill time data but solve a fresh challenge
+      if (window.FormGuard) {
+        const guard = options.fromQueue
+          ? await window.FormGuard.renew(interestData.antiBot || null, 'interest')
+          : await window.FormGuard.protect('interest');
+        if (!guard.success) {
+          this.isProcessing = false;
+          return guard;
+        }
+        interestData = { ...interestData, antiBot: guard.data };
+      }
+
       // Get Supabase client
       const supabase = window.SupabaseClient;
 
@@ -75,6 +98,7 @@ class InterestService {
         contact_name: interestData.contactName.trim(),
         contact_phone: interestData.contactPhone.trim(),
         source: 'landing',
+        anti_bot: interestData.antiBot || null,
         created_at: new Date().toISOString()
       };
 
@@ -91,6 +115,7 @@ class InterestService {
         if (insertError.code === '23505' ||
             (insertError.message && insertError.message.toLowerCase().includes('duplicate'))) {
           // Duplicate is treated as success
+          this.markInterestRegistered(interestData.lotId);
           return {
             success: true,
             data: {
@@ -103,6 +128,11 @@ class InterestService {
           };
         }
 
+        // Network failure: keep the submission and retry later
+        if (this.isNetworkFailure(insertError)) {
+          return this.handleNetworkFailure(interestData, options);
+        }
+
         // Other errors
         return {
           success: false,
@@ -117,6 +147,10 @@ class InterestService {
 
       // Success!
       this.isProcessing = false;
+      this.markInterestRegistered(interestData.lotId);
+      if (window.FormGuard) {
+        window.FormGuard.recordSubmission('interest');
+      }
 
       return {
         success: true,
@@ -132,6 +166,10 @@ class InterestService {
       this.error = error.message;
       this.isProcessing = false;
 
+      if (this.isNetworkFailure(error)) {
+        return this.handleNetworkFailure(interestData, options);
+      }
+
       return {
         success: false,
         error: {
@@ -144,6 +182,96 @@ class InterestService {
     }
   }
 
+  /**
+   * Log a click on a lot's contact link (lot-contact.js)
+   * Stored in lot_interests without contact details; `source` tells the
+   * channel apart from the interest form ('landing'), e.g. 'contact_whatsapp'.
+   * Clicks carry no form guard token: the lot_interests insert policy must
+   * accept 'contact_*' rows without one.
+   * Fire-and-forget: failures are only logged and never queued.
+   *
+   * @param {string} lotId - Lot ID
+   * @param {string} channel - 'whatsapp', 'telegram' or 'email'
+   * @returns {Promise<boolean>} True if the record was inserted
+   */
+  async logContactClick(lotId, channel) {
+    const supabase = window.SupabaseClient;
+
+    if (!lotId || !supabase || !supabase.isReady()) {
+      return false;
+    }
+
+    try {
+      const { error } = await supabase.getClient()
+        .from('lot_interests')
+        .insert([{
+          lot_id: lotId,
+          contact_name: null,
+          contact_phone: null,
+          source: `contact_${channel}`,
+          created_at: new Date().toISOString()
+        }]);
+
+      if (error) {
+        console.warn('Could not log contact click:', error.message);
+        return false;
+      }
+
+      return true;
+    } catch (error) {
+      console.warn('Could not log contact click:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a Supabase/fetch error was caused by missing connectivity
+   * @param {Error|Object} error - Error
+   * @returns {boolean} True for network failures
+   */
+  isNetworkFailure(error) {
+    return !!(window.SubmissionQueue && window.SubmissionQueue.isNetworkError(error));
+  }
+
+  /**
+   * Queue an interest that failed because of connectivity
+   * @param {Object} interestData - Interest form data
+   * @param {Object} options - Submission options
+   * @returns {Promise<Object>} Queued response, or NETWORK_ERROR if it can't be queued
+   */
+  async handleNetworkFailure(interestData, options) {
+    const networkError = {
+      success: false,
+      error: {
+        code: 'NETWORK_ERROR',
+        message_es: 'Sin conexión. No se pudo registrar tu interés.',
+        message_en: 'No connection. Could not register your interest.',
+        message_de: 'Keine Verbindung. Ihr Interesse konnte nicht registriert werden.'
+      }
+    };
+
+    // Retries from the queue report back so the queue can back off
+    if (options.fromQueue || !window.SubmissionQueue) {
+      return networkError;
+    }
+
+    const entry = await window.SubmissionQueue.enqueue('interest', interestData, `interest:${interestData.lotId}`);
+    if (!entry) {
+      return networkError;
+    }
+
+    return {
+      success: false,
+      queued: true,
+      error: {
+        code: 'QUEUED_OFFLINE',
+        message_es: 'Sin conexión. Tu interés se enviará automáticamente al recuperar la conexión.',
+        message_en: 'No connection. Your interest will be sent automatically once you are back online.',
+        message_de: 'Keine Verbindung. Ihr Interesse wird automatisch gesendet, sobald Sie wieder online sind.'
+      }
+    };
+  }
+
   /**
    * Validate interest data
    * @param {Object} data - Interest data
@@ -234,4 +362,12 @@ class InterestService {
 // Export as singleton instance
 if (typeof window !== 'undefined') {
   window.InterestService = new InterestService();
+
+  // Let the offline queue resend interests; skip lots already registered
+  if (window.SubmissionQueue) {
+    window.SubmissionQueue.registerHandler('interest', {
+      send: (payload) => window.InterestService.submitInterest(payload, { fromQueue: true }),
+      isDuplicate: (payload) => window.InterestService.hasRegisteredInterest(payload.lotId)
+    });
+  }
 }
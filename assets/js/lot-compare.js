@@ -0,0 +1,560 @@
+/**
+ * Lot Comparison Feature - Inmobiliaria Mega Proyectos
+ *
+ * Lets buyers pin several lots from the parcel sidebar into a compare tray
+ * and review them side by side.
+ *
+ * Features:
+ * - Pin/unpin lots from the sidebar (2 to 4 lots)
+ * - Compare tray with the pinned lots over the map
+ * - Side-by-side panel: estado, area, sides, price, centroid and
+ *   distance to each interest point of the loteamiento
+ * - Re-translation on language change (called from retranslateDynamicContent)
+ *
+ * @requires mapa.js (formatPrice, showParcelSidebar, createToast)
+ * @requires interest-points.js (haversine, window.interestPointsManager)
+ */
+
+// ===========================
+// CONFIGURATION
+// ===========================
+
+const LOT_COMPARE_CONFIG = {
+  /** Minimum number of pinned lots needed to open the panel */
+  minLots: 2,
+
+  /** Maximum number of lots that can be pinned at once */
+  maxLots: 4
+};
+
+// ===========================
+// LOT COMPARE MANAGER
+// ===========================
+
+/**
+ * LotCompareManager Class
+ * Holds the pinned lots and renders the compare tray and panel
+ */
+class LotCompareManager {
+  constructor() {
+    this.pinnedLots = [];
+    this.isPanelVisible = false;
+    this.initialized = false;
+
+    // DOM elements cache
+    this.elements = {};
+
+    // Bind methods to preserve context
+    this.init = this.init.bind(this);
+    this.toggleLot = this.toggleLot.bind(this);
+    this.openPanel = this.openPanel.bind(this);
+    this.closePanel = this.closePanel.bind(this);
+    this.clear = this.clear.bind(this);
+  }
+
+  /**
+   * Initialize the compare manager
+   */
+  init() {
+    if (this.initialized) {
+      return;
+    }
+
+    this.cacheElements();
+    this.setupEventListeners();
+    this.renderTray();
+
+    this.initialized = true;
+    console.log('✓ LotCompareManager initialized');
+  }
+
+  /**
+   * Cache DOM elements for performance
+   */
+  cacheElements() {
+    this.elements = {
+      sidebarBtn: document.getElementById('compareBtn'),
+      tray: document.getElementById('compareTray'),
+      trayList: document.getElementById('compareTrayList'),
+      trayCount: document.getElementById('compareTrayCount'),
+      openBtn: document.getElementById('compareOpenBtn'),
+      clearBtn: document.getElementById('compareClearBtn'),
+      panel: document.getElementById('comparePanel'),
+      panelBackdrop: document.getElementById('comparePanelBackdrop'),
+      panelClose: document.getElementById('comparePanelClose'),
+      table: document.getElementById('compareTable')
+    };
+
+    if (!this.elements.tray || !this.elements.panel) {
+      console.warn('Compare tray or panel not found in DOM');
+    }
+  }
+
+  /**
+   * Setup event listeners for tray and panel controls
+   */
+  setupEventListeners() {
+    if (this.elements.openBtn) {
+      this.elements.openBtn.addEventListener('click', this.openPanel);
+    }
+
+    if (this.elements.clearBtn) {
+      this.elements.clearBtn.addEventListener('click', this.clear);
+    }
+
+    if (this.elements.panelClose) {
+      this.elements.panelClose.addEventListener('click', this.closePanel);
+    }
+
+    if (this.elements.panelBackdrop) {
+      this.elements.panelBackdrop.addEventListener('click', this.closePanel);
+    }
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isPanelVisible) {
+        this.closePanel();
+      }
+    });
+  }
+
+  // ===========================
+  // PINNED LOTS STATE
+  // ===========================
+
+  /**
+   * Check if a lot is pinned
+   * @param {string|number} lotId - Lote ID
+   * @returns {boolean} True if pinned
+   */
+  isPinned(lotId) {
+    return this.pinnedLots.some(lot => String(lot.id) === String(lotId));
+  }
+
+  /**
+   * Pin or unpin a lot
+   * @param {Object} parcelData - Lote in map format (LoteService.transformToMapFormat)
+   */
+  toggleLot(parcelData) {
+    if (!parcelData || parcelData.id === undefined || parcelData.id === null) {
+      return;
+    }
+
+    if (this.isPinned(parcelData.id)) {
+      this.pinnedLots = this.pinnedLots.filter(lot => String(lot.id) !== String(parcelData.id));
+    } else {
+      if (this.pinnedLots.length >= LOT_COMPARE_CONFIG.maxLots) {
+        if (typeof createToast === 'function') {
+          createToast(
+            'error',
+            this.t('mapa.compare.limit_title', 'Límite alcanzado'),
+            this.t('mapa.compare.limit_message', 'Podés comparar hasta {max} lotes a la vez.')
+              .replace('{max}', LOT_COMPARE_CONFIG.maxLots)
+          );
+        }
+        return;
+      }
+      this.pinnedLots.push(parcelData);
+    }
+
+    this.renderTray();
+
+    if (typeof currentSelectedParcel !== 'undefined' && currentSelectedParcel) {
+      this.syncSidebarButton(currentSelectedParcel);
+    }
+
+    // Keep an open panel consistent with the tray
+    if (this.isPanelVisible) {
+      if (this.pinnedLots.length < LOT_COMPARE_CONFIG.minLots) {
+        this.closePanel();
+      } else {
+        this.renderPanel();
+      }
+    }
+  }
+
+  /**
+   * Replace a pinned lot with fresh data (e.g. after a realtime estado change)
+   * @param {Object} parcelData - Updated lote in map format
+   */
+  refreshLot(parcelData) {
+    const index = this.pinnedLots.findIndex(lot => String(lot.id) === String(parcelData.id));
+    if (index < 0) return;
+
+    this.pinnedLots[index] = parcelData;
+    this.renderTray();
+
+    if (this.isPanelVisible) {
+      this.renderPanel();
+    }
+  }
+
+  /**
+   * Remove every pinned lot
+   */
+  clear() {
+    this.pinnedLots = [];
+    this.closePanel();
+    this.renderTray();
+
+    if (typeof currentSelectedParcel !== 'undefined' && currentSelectedParcel) {
+      this.syncSidebarButton(currentSelectedParcel);
+    }
+  }
+
+  // ===========================
+  // RENDERING
+  // ===========================
+
+  /**
+   * Update the sidebar compare button for the displayed lot
+   * @param {Object} parcelData - Lote currently shown in the sidebar
+   */
+  syncSidebarButton(parcelData) {
+    const btn = this.elements.sidebarBtn;
+    if (!btn || !parcelData) return;
+
+    const pinned = this.isPinned(parcelData.id);
+    const key = pinned ? 'mapa.compare.remove' : 'mapa.compare.add';
+
+    btn.setAttribute('data-i18n', key);
+    btn.textContent = this.t(key, pinned ? 'Quitar de comparación' : 'Comparar');
+    btn.classList.toggle('active', pinned);
+    btn.onclick = () => this.toggleLot(parcelData);
+  }
+
+  /**
+   * Render the compare tray with the pinned lots
+   */
+  renderTray() {
+    const { tray, trayList, trayCount, openBtn } = this.elements;
+    if (!tray || !trayList) return;
+
+    trayList.innerHTML = '';
+
+    this.pinnedLots.forEach(lot => {
+      const chip = document.createElement('li');
+      chip.className = `compare-chip ${this.getStatusClass(lot)}`;
+
+      const name = document.createElement('button');
+      name.type = 'button';
+      name.className = 'compare-chip-name';
+      name.textContent = this.getLotName(lot);
+      name.addEventListener('click', () => {
+        if (typeof showParcelSidebar === 'function') {
+          showParcelSidebar(lot);
+        }
+      });
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'compare-chip-remove';
+      remove.setAttribute('aria-label', this.t('mapa.compare.remove', 'Quitar de comparación'));
+      remove.innerHTML = '&times;';
+      remove.addEventListener('click', () => this.toggleLot(lot));
+
+      chip.appendChild(name);
+      chip.appendChild(remove);
+      trayList.appendChild(chip);
+    });
+
+    if (trayCount) {
+      trayCount.textContent = `${this.pinnedLots.length}/${LOT_COMPARE_CONFIG.maxLots}`;
+    }
+
+    if (openBtn) {
+      openBtn.disabled = this.pinnedLots.length < LOT_COMPARE_CONFIG.minLots;
+    }
+
+    tray.classList.toggle('visible', this.pinnedLots.length > 0);
+  }
+
+  /**
+   * Open the side-by-side compare panel
+   */
+  openPanel() {
+    if (!this.elements.panel || this.pinnedLots.length < LOT_COMPARE_CONFIG.minLots) {
+      return;
+    }
+
+    this.renderPanel();
+
+    this.elements.panel.classList.add('visible');
+    if (this.elements.panelBackdrop) {
+      this.elements.panelBackdrop.classList.add('visible');
+    }
+    this.isPanelVisible = true;
+  }
+
+  /**
+   * Close the compare panel
+   */
+  closePanel() {
+    if (this.elements.panel) {
+      this.elements.panel.classList.remove('visible');
+    }
+    if (this.elements.panelBackdrop) {
+      this.elements.panelBackdrop.classList.remove('visible');
+    }
+    this.isPanelVisible = false;
+  }
+
+  /**
+   * Render the comparison table (one column per pinned lot)
+   */
+  renderPanel() {
+    const table = this.elements.table;
+    if (!table) return;
+
+    const lots = this.pinnedLots;
+    const interestPoints = this.getInterestPoints();
+
+    let html = '<thead><tr><th></th>';
+    lots.forEach(lot => {
+      html += `<th scope="col">${this.escapeHtml(this.getLotName(lot))}</th>`;
+    });
+    html += '</tr></thead><tbody>';
+
+    // Estado row
+    html += this.buildRow(this.t('mapa.compare.rows.status', 'Estado'), lots.map(lot => {
+      const statusClass = this.getStatusClass(lot);
+      const statusText = this.t(`mapa.sidebar.status.${statusClass}`, statusClass);
+      return `<span class="status-badge ${statusClass}">${this.escapeHtml(statusText)}</span>`;
+    }));
+
+    // Area row (highlight the largest lot)
+    const areas = lots.map(lot => this.getArea(lot));
+    const maxArea = Math.max(...areas.filter(a => a !== null));
+    html += this.buildRow(this.t('mapa.sidebar.labels.area', 'Área (m²)'), areas.map(area =>
+      area === null ? this.notAvailable() : this.highlight(Math.round(area).toLocaleString(), area === maxArea)
+    ));
+
+    // Sides row
+    html += this.buildRow(this.t('mapa.sidebar.labels.sides', 'Lados'), lots.map(lot => {
+      const lados = lot.lados || lot.largoxancho || lot.dimensions;
+      return lados ? this.escapeHtml(lados) : this.notAvailable();
+    }));
+
+    // Price row
+    html += this.buildRow(this.t('mapa.sidebar.labels.price', 'Precio'), lots.map(lot => {
+      const price = lot.precio || lot.price;
+      if (!price || price === 'null') {
+        return this.escapeHtml(this.t('mapa.sidebar.labels.consult', 'Consultar'));
+      }
+      return this.escapeHtml(typeof formatPrice === 'function' ? formatPrice(price) : price);
+    }));
+
+    // Centroid row
+    html += this.buildRow(this.t('mapa.sidebar.labels.coordinates', 'Coordenadas'), lots.map(lot => {
+      const centroid = this.getCentroid(lot);
+      return centroid
+        ? `${centroid.lat.toFixed(6)}, ${centroid.lng.toFixed(6)}`
+        : this.notAvailable();
+    }));
+
+    // Distance rows, one per interest point (highlight the closest lot)
+    if (interestPoints.length > 0) {
+      html += `<tr class="compare-section-row"><th colspan="${lots.length + 1}">${this.escapeHtml(this.t('mapa.compare.rows.distances', 'Distancia a puntos de interés'))}</th></tr>`;
+
+      interestPoints.forEach(point => {
+        const destination = { lat: point.latitude, lng: point.longitude };
+        const distances = lots.map(lot => {
+          const centroid = this.getCentroid(lot);
+          return centroid ? haversine(centroid, destination) : null;
+        });
+        const minDistance = Math.min(...distances.filter(d => d !== null));
+
+        html += this.buildRow(point.name, distances.map(distance =>
+          distance === null ? this.notAvailable() : this.highlight(this.formatDistance(distance), distance === minDistance)
+        ));
+      });
+    }
+
+    html += '</tbody>';
+    table.innerHTML = html;
+  }
+
+  /**
+   * Build a table row
+   * @param {string} label - Row header text
+   * @param {Array<string>} cells - Cell HTML, one per lot
+   * @returns {string} Row HTML
+   */
+  buildRow(label, cells) {
+    return `<tr><th scope="row">${this.escapeHtml(label)}</th>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+  }
+
+  /**
+   * Wrap a value with the highlight marker when it is the best of its row
+   * @param {string} value - Formatted value
+   * @param {boolean} isBest - Whether to highlight
+   * @returns {string} Cell HTML
+   */
+  highlight(value, isBest) {
+    const safeValue = this.escapeHtml(value);
+    return isBest && this.pinnedLots.length > 1 ? `<strong class="compare-best">${safeValue}</strong>` : safeValue;
+  }
+
+  /**
+   * Re-translate tray and panel after a language change
+   * @param {string} lang - New language code
+   */
+  retranslate(lang) {
+    this.renderTray();
+
+    if (this.isPanelVisible) {
+      this.renderPanel();
+    }
+
+    if (typeof currentSelectedParcel !== 'undefined' && currentSelectedParcel) {
+      this.syncSidebarButton(currentSelectedParcel);
+    }
+  }
+
+  // ===========================
+  // DATA HELPERS
+  // ===========================
+
+  /**
+   * Get interest points of the current loteamiento
+   * @returns {Array} Interest points with latitude/longitude
+   */
+  getInterestPoints() {
+    if (window.interestPointsManager && Array.isArray(window.interestPointsManager.interestPoints)) {
+      return window.interestPointsManager.interestPoints;
+    }
+    return [];
+  }
+
+  /**
+   * Get localized lot name from _raw data
+   * @param {Object} lot - Lote in map format
+   * @returns {string} Lot name
+   */
+  getLotName(lot) {
+    if (lot._raw && window.LoteService) {
+      const lang = window.LoteService.getCurrentLanguage();
+      return window.LoteService.getLocalizedName(lot._raw, lang);
+    }
+    return lot.nombre || lot.name || 'N/A';
+  }
+
+  /**
+   * Get normalized estado class (disponible, reservado, vendido)
+   * @param {Object} lot - Lote in map format
+   * @returns {string} Status class
+   */
+  getStatusClass(lot) {
+    const estado = (lot.estado || 'disponible').toString().toLowerCase();
+    if (estado.includes('reservado')) return 'reservado';
+    if (estado.includes('no_disponible') || estado.includes('vendido')) return 'vendido';
+    return 'disponible';
+  }
+
+  /**
+   * Get lot area in square meters
+   * @param {Object} lot - Lote in map format
+   * @returns {number|null} Area or null if unknown
+   */
+  getArea(lot) {
+    const area = parseFloat(lot.area_m2_rounded || lot.area || lot.superficie);
+    return isNaN(area) ? null : area;
+  }
+
+  /**
+   * Get lot centroid, falling back to the feature geometry
+   * @param {Object} lot - Lote in map format
+   * @returns {Object|null} Centroid {lat, lng} or null
+   */
+  getCentroid(lot) {
+    let lat = parseFloat(lot.centroide_lat || lot.centroid_lat);
+    let lng = parseFloat(lot.centroide_lng || lot.centroid_lng);
+
+    if ((isNaN(lat) || isNaN(lng)) && lot.feature && typeof getFeatureCoordinates === 'function') {
+      const coords = getFeatureCoordinates(lot.feature);
+      lat = parseFloat(coords.lat);
+      lng = parseFloat(coords.lng);
+    }
+
+    return isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+  }
+
+  /**
+   * Format a distance in meters or kilometers
+   * @param {number} meters - Distance in meters
+   * @returns {string} Formatted distance
+   */
+  formatDistance(meters) {
+    if (meters < 1000) {
+      return `${Math.round(meters)} m`;
+    }
+    return `${(meters / 1000).toFixed(1)} km`;
+  }
+
+  /**
+   * Translated "not available" text
+   * @returns {string} N/A text
+   */
+  notAvailable() {
+    return this.escapeHtml(this.t('mapa.sidebar.labels.not_available', 'N/A'));
+  }
+
+  /**
+   * Translate a key with fallback when i18n is missing or key is unknown
+   * @param {string} key - Translation key
+   * @param {string} fallback - Fallback text
+   * @returns {string} Translated text
+   */
+  t(key, fallback) {
+    if (window.i18n && window.i18n.t) {
+      const translated = window.i18n.t(key);
+      if (translated && translated !== key) {
+        return translated;
+      }
+    }
+    return fallback;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Global instance of the lot compare manager
+ */
+let lotCompareManager = null;
+
+/**
+ * Initialize lot comparison feature
+ */
+function initializeLotCompare() {
+  if (lotCompareManager) {
+    return;
+  }
+
+  lotCompareManager = new LotCompareManager();
+  lotCompareManager.init();
+
+  // Store globally for access from other modules
+  window.lotCompareManager = lotCompareManager;
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializeLotCompare);
+} else {
+  initializeLotCompare();
+}
+
+// Export class for potential extension
+window.LotCompareManager = LotCompareManager;
@@ -0,0 +1,203 @@
+/**
+ * Lot Contact - Inmobiliaria Mega Proyectos
+ * "Contact about this lot" links to WhatsApp, Telegram and email
+ *
+ * Responsibilities:
+ * - Render the channel links into a container (sidebar, mobile card, product cards)
+ * - Prefill the message in the visitor's current language with the lot name,
+ *   loteamiento, area and a deep link back to the map
+ * - Log each click as a lot_interests record (InterestService.logContactClick)
+ *
+ * The message is built when the link is clicked, so it always reflects the
+ * displayed lot and the current language.
+ *
+ * Pages attach a container and a context getter:
+ *   LotContact.attach(element, () => ({ lotId, lotName, loteamientoName, area, url }))
+ *
+ * @requires i18n.js (optional, Spanish fallbacks otherwise)
+ * @requires interest-service.js (optional, enables click logging)
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Contact channels in display order
+   * A channel with an empty address is not offered.
+   */
+  const LOT_CONTACT_CONFIG = {
+    channels: {
+      /** International format, digits only */
+      whatsapp: '595986755222',
+
+      /** Public Telegram username of the sales team (without @) */
+      telegram: '',
+
+      email: 'info@mega-proyectos.com'
+    },
+
+    /** Locale used to format areas per language */
+    locales: { es: 'es-PY', en: 'en-US', de: 'de-DE' }
+  };
+
+  /**
+   * LotContact Class
+   * Builds and renders the contact links for a lot or loteamiento
+   */
+  class LotContact {
+    /**
+     * Render the contact links into a container
+     * @param {HTMLElement} container - Element to fill
+     * @param {Function} getContext - () => context of the displayed lot (see buildMessage), or null
+     * @param {Object} [options] - Options
+     * @param {string} [options.labelKey='lot_contact.label'] - i18n key of the heading
+     */
+    attach(container, getContext, options = {}) {
+      if (!container) return;
+
+      const labelKey = options.labelKey || 'lot_contact.label';
+      const links = this.getChannels().map(channel => `
+        <a class="lot-contact-link lot-contact-link--${channel}" href="#" data-channel="${channel}"
+           ${channel === 'email' ? '' : 'target="_blank" rel="noopener"'}
+           data-i18n="lot_contact.channels.${channel}">${this.t(`lot_contact.channels.${channel}`, this.getChannelName(channel))}</a>
+      `).join('');
+
+      container.innerHTML = `
+        <span class="lot-contact-label" data-i18n="${labelKey}">${this.t(labelKey, 'Consultar por este lote')}</span>
+        <div class="lot-contact-channels">${links}</div>
+      `;
+
+      // Fill the links just before they are followed
+      container.querySelectorAll('.lot-contact-link').forEach(link => {
+        link.addEventListener('click', (e) => {
+          const context = getContext();
+          if (!context) {
+            e.preventDefault();
+            return;
+          }
+
+          link.href = this.buildLink(link.dataset.channel, context);
+          this.logClick(link.dataset.channel, context);
+        });
+      });
+    }
+
+    /**
+     * Channels with a configured address
+     * @returns {Array<string>} Channel names
+     */
+    getChannels() {
+      return Object.keys(LOT_CONTACT_CONFIG.channels).filter(channel => LOT_CONTACT_CONFIG.channels[channel]);
+    }
+
+    /**
+     * Build the link that opens a prefilled message
+     * @param {string} channel - 'whatsapp', 'telegram' or 'email'
+     * @param {Object} context - See buildMessage
+     * @returns {string} URL
+     */
+    buildLink(channel, context) {
+      const address = LOT_CONTACT_CONFIG.channels[channel];
+      const message = encodeURIComponent(this.buildMessage(context));
+
+      switch (channel) {
+        case 'whatsapp':
+          return `https://wa.me/${address}?text=${message}`;
+        case 'telegram':
+          return `https://t.me/${address}?text=${message}`;
+        default: {
+          const subject = this.t('lot_contact.email_subject', 'Consulta: {subject}')
+            .replace('{subject}', context.lotName || context.loteamientoName || '');
+          return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${message}`;
+        }
+      }
+    }
+
+    /**
+     * Build the prefilled message in the current language
+     * @param {Object} context - Displayed lot or loteamiento
+     * @param {string} [context.lotId] - Lote ID (absent for a whole loteamiento)
+     * @param {string} [context.lotName] - Lote name
+     * @param {string} [context.loteamientoName] - Loteamiento name
+     * @param {number} [context.area] - Area in m²
+     * @param {string} context.url - Deep link to the map
+     * @returns {string} Message text
+     */
+    buildMessage(context) {
+      const greeting = context.lotName
+        ? this.t('lot_contact.message_lot', 'Hola, me interesa el lote {lot} de {loteamiento}. ¿Me pueden dar más información?')
+        : this.t('lot_contact.message_loteamiento', 'Hola, me interesa el loteamiento {loteamiento}. ¿Me pueden dar más información?');
+
+      const lines = [
+        greeting
+          .replace('{lot}', context.lotName || '')
+          .replace('{loteamiento}', context.loteamientoName || '')
+      ];
+
+      if (context.area) {
+        const locale = LOT_CONTACT_CONFIG.locales[this.getLanguage()] || LOT_CONTACT_CONFIG.locales.es;
+        lines.push(this.t('lot_contact.area', 'Superficie: {area} m²')
+          .replace('{area}', Math.round(context.area).toLocaleString(locale)));
+      }
+
+      lines.push(this.t('lot_contact.map_link', 'Ver en el mapa: {url}').replace('{url}', context.url));
+
+      return lines.join('\n');
+    }
+
+    /**
+     * Log the click as a lot_interests record (lots only)
+     * @param {string} channel - Channel name
+     * @param {Object} context - See buildMessage
+     */
+    logClick(channel, context) {
+      if (context.lotId && window.InterestService) {
+        window.InterestService.logContactClick(context.lotId, channel);
+      }
+    }
+
+    // ===========================
+    // HELPERS
+    // ===========================
+
+    /**
+     * Display name of a channel (fallback)
+     * @param {string} channel - Channel name
+     * @returns {string} Name
+     */
+    getChannelName(channel) {
+      return { whatsapp: 'WhatsApp', telegram: 'Telegram', email: 'Email' }[channel] || channel;
+    }
+
+    /**
+     * Get the current language code
+     * @returns {string} 'es', 'en' or 'de'
+     */
+    getLanguage() {
+      return (window.i18n && window.i18n.isInitialized && window.i18n.isInitialized())
+        ? window.i18n.getCurrentLanguage()
+        : 'es';
+    }
+
+    /**
+     * Translate a key with fallback
+     * @param {string} key - i18n key
+     * @param {string} fallback - Spanish fallback
+     * @returns {string} Translated text
+     */
+    t(key, fallback) {
+      if (window.i18n && window.i18n.isInitialized && window.i18n.isInitialized()) {
+        const text = window.i18n.t(key);
+        if (text !== key) return text;
+      }
+      return fallback;
+    }
+  }
+
+  // Create singleton instance
+  const lotContact = new LotContact();
+
+  // Export to window for global access
+  window.LotContact = lotContact;
+
+})();
@@ -0,0 +1,596 @@
+/**
+ * Lot Data Tools - Inmobiliaria Mega Proyectos
+ *
+ * Export the lots shown on the map and preview local geodata files.
+ *
+ * Features:
+ * - Download the lot set (all, or only lots passing the estado/advanced
+ *   filters) as GeoJSON, KML (estado/area in ExtendedData) or CSV
+ * - Drop a local KML/GeoJSON file onto the map (or pick it) to preview it
+ *   with the same detectObjectType/getObjectStyle styling as the lots
+ *
+ * @requires mapa.js (map, capas, filterState, getRegisteredLotEntries,
+ *   matchesAdvancedFilters, detectObjectType, getObjectStyle, colorByEstado, createToast)
+ * @requires lote-service.js (toGeoJSONFeatureCollection, getExportProperties)
+ * @requires https://unpkg.com/togeojson@0.16.0 (KML import)
+ */
+
+// ===========================
+// CONFIGURATION
+// ===========================
+
+const LOT_DATA_TOOLS_CONFIG = {
+  /** Columns written to CSV exports, in order */
+  csvColumns: ['id', 'nombre', 'estado', 'area_m2', 'lados', 'precio', 'loteamiento_id', 'centroid_lat', 'centroid_lng'],
+
+  /** File extensions accepted for preview */
+  importExtensions: ['kml', 'geojson', 'json'],
+
+  /** Export formats: file extension and MIME type */
+  formats: {
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+    kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+    csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' }
+  }
+};
+
+// ===========================
+// LOT DATA TOOLS
+// ===========================
+
+/**
+ * LotDataTools Class
+ * Wires the export buttons and the drop-to-preview behaviour
+ */
+class LotDataTools {
+  constructor() {
+    this.previewLayer = null;
+    this.dragDepth = 0;
+    this.initialized = false;
+
+    // Bind methods to preserve context
+    this.init = this.init.bind(this);
+    this.clearPreview = this.clearPreview.bind(this);
+  }
+
+  /**
+   * Initialize export buttons and the map drop zone
+   */
+  init() {
+    if (this.initialized) {
+      return;
+    }
+
+    this.setupExportControls();
+    this.setupImportControls();
+    this.setupDropZone();
+
+    this.initialized = true;
+    console.log('✓ LotDataTools initialized');
+  }
+
+  /**
+   * Bind every export button (desktop sidebar and mobile sheet)
+   */
+  setupExportControls() {
+    document.querySelectorAll('[data-export-format]').forEach(button => {
+      button.addEventListener('click', () => {
+        const section = button.closest('.data-tools-section');
+        const filteredCheckbox = section ? section.querySelector('.data-tools-filtered') : null;
+
+        this.exportLots(button.getAttribute('data-export-format'), {
+          onlyVisible: filteredCheckbox ? filteredCheckbox.checked : false
+        });
+      });
+    });
+  }
+
+  /**
+   * Bind "open file" buttons, their file inputs and "remove preview" buttons
+   */
+  setupImportControls() {
+    document.querySelectorAll('.data-tools-section').forEach(section => {
+      const fileInput = section.querySelector('.data-tools-file-input');
+      const importBtn = section.querySelector('.data-tools-import-btn');
+      const clearBtn = section.querySelector('.data-tools-clear-btn');
+
+      if (importBtn && fileInput) {
+        importBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+          if (fileInput.files.length > 0) {
+            this.previewFile(fileInput.files[0]);
+          }
+          fileInput.value = '';
+        });
+      }
+
+      if (clearBtn) {
+        clearBtn.addEventListener('click', this.clearPreview);
+      }
+    });
+  }
+
+  /**
+   * Accept files dropped onto the map
+   */
+  setupDropZone() {
+    const mapElement = document.getElementById('map');
+    const overlay = document.getElementById('mapDropOverlay');
+    if (!mapElement) return;
+
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+
+    mapElement.addEventListener('dragenter', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      this.dragDepth++;
+      if (overlay) overlay.classList.add('visible');
+    });
+
+    mapElement.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    });
+
+    mapElement.addEventListener('dragleave', () => {
+      this.dragDepth = Math.max(this.dragDepth - 1, 0);
+      if (this.dragDepth === 0 && overlay) overlay.classList.remove('visible');
+    });
+
+    mapElement.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      this.dragDepth = 0;
+      if (overlay) overlay.classList.remove('visible');
+
+      if (e.dataTransfer.files.length > 0) {
+        this.previewFile(e.dataTransfer.files[0]);
+      }
+    });
+  }
+
+  // ===========================
+  // EXPORT
+  // ===========================
+
+  /**
+   * Get the lots to export
+   * @param {boolean} onlyVisible - Only lots passing estado and advanced filters
+   * @returns {Array<Object>} Registry entries ({ lote, layer, objectType, category })
+   */
+  getExportEntries(onlyVisible) {
+    const entries = typeof getRegisteredLotEntries === 'function' ? getRegisteredLotEntries() : [];
+    if (!onlyVisible) return entries;
+
+    return entries.filter(entry =>
+      filterState[entry.category] !== false && matchesAdvancedFilters(entry.lote)
+    );
+  }
+
+  /**
+   * Export lots and trigger the download
+   * @param {string} format - 'geojson', 'kml' or 'csv'
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.onlyVisible=false] - Only export filtered lots
+   */
+  exportLots(format, { onlyVisible = false } = {}) {
+    const formatConfig = LOT_DATA_TOOLS_CONFIG.formats[format];
+    if (!formatConfig) {
+      console.warn(`Unknown export format: ${format}`);
+      return;
+    }
+
+    const entries = this.getExportEntries(onlyVisible);
+    if (entries.length === 0) {
+      this.showToast('error', 'mapa.data_tools.export_empty_title', 'Nada para exportar',
+        'mapa.data_tools.export_empty_message', 'No hay lotes que coincidan con los filtros actuales.');
+      return;
+    }
+
+    let content;
+    switch (format) {
+      case 'geojson':
+        content = JSON.stringify(this.buildGeoJSON(entries), null, 2);
+        break;
+      case 'kml':
+        content = this.buildKML(entries);
+        break;
+      case 'csv':
+        content = this.buildCSV(entries);
+        break;
+    }
+
+    this.download(content, `${this.getFileBaseName()}.${formatConfig.extension}`, formatConfig.mimeType);
+    console.log(`✓ Exported ${entries.length} lotes as ${format}`);
+  }
+
+  /**
+   * Build a GeoJSON FeatureCollection with export attributes
+   * @param {Array<Object>} entries - Registry entries
+   * @returns {Object} FeatureCollection
+   */
+  buildGeoJSON(entries) {
+    return window.LoteService.toGeoJSONFeatureCollection(
+      entries.map(entry => entry.lote),
+      { withAttributes: true }
+    );
+  }
+
+  /**
+   * Build a KML document, one styled Placemark per lot
+   * @param {Array<Object>} entries - Registry entries
+   * @returns {string} KML text
+   */
+  buildKML(entries) {
+    const estados = ['disponible', 'reservado', 'vendido'];
+    const styles = estados.map(estado => `
+    <Style id="estado-${estado}">
+      <LineStyle><color>ff434b1f</color><width>2</width></LineStyle>
+      <PolyStyle><color>${this.toKMLColor(colorByEstado(estado), 'b3')}</color></PolyStyle>
+    </Style>`).join('');
+
+    const placemarks = entries
+      .filter(entry => entry.lote.feature && entry.lote.feature.geometry)
+      .map(entry => {
+        const properties = window.LoteService.getExportProperties(entry.lote);
+        const extendedData = Object.entries(properties)
+          .filter(([, value]) => value !== null && value !== undefined)
+          .map(([name, value]) => `
+        <Data name="${name}"><value>${this.escapeXml(value)}</value></Data>`)
+          .join('');
+
+        return `
+    <Placemark>
+      <name>${this.escapeXml(properties.nombre || '')}</name>
+      <styleUrl>#estado-${properties.estado}</styleUrl>
+      <ExtendedData>${extendedData}
+      </ExtendedData>
+      ${this.geometryToKML(entry.lote.feature.geometry)}
+    </Placemark>`;
+      }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${this.escapeXml(this.getLoteamientoName())}</name>${styles}${placemarks}
+  </Document>
+</kml>
+`;
+  }
+
+  /**
+   * Convert a GeoJSON geometry to KML
+   * @param {Object} geometry - GeoJSON geometry
+   * @returns {string} KML geometry element
+   */
+  geometryToKML(geometry) {
+    const coordsToText = (coords) => coords.map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+    const ring = (coords) => `<LinearRing><coordinates>${coordsToText(coords)}</coordinates></LinearRing>`;
+    const polygon = (rings) => {
+      const [outer, ...holes] = rings;
+      const inner = holes.map(hole => `<innerBoundaryIs>${ring(hole)}</innerBoundaryIs>`).join('');
+      return `<Polygon><outerBoundaryIs>${ring(outer)}</outerBoundaryIs>${inner}</Polygon>`;
+    };
+
+    switch (geometry.type) {
+      case 'Polygon':
+        return polygon(geometry.coordinates);
+      case 'MultiPolygon':
+        return `<MultiGeometry>${geometry.coordinates.map(polygon).join('')}</MultiGeometry>`;
+      case 'LineString':
+        return `<LineString><coordinates>${coordsToText(geometry.coordinates)}</coordinates></LineString>`;
+      case 'Point':
+        return `<Point><coordinates>${coordsToText([geometry.coordinates])}</coordinates></Point>`;
+      default:
+        console.warn(`Geometry type ${geometry.type} not supported in KML export`);
+        return '';
+    }
+  }
+
+  /**
+   * Build a CSV table (UTF-8 with BOM so spreadsheet apps detect the encoding)
+   * @param {Array<Object>} entries - Registry entries
+   * @returns {string} CSV text
+   */
+  buildCSV(entries) {
+    const columns = LOT_DATA_TOOLS_CONFIG.csvColumns;
+
+    const rows = entries.map(entry => {
+      const properties = window.LoteService.getExportProperties(entry.lote);
+      const center = entry.layer.getBounds().getCenter();
+      const values = {
+        ...properties,
+        centroid_lat: center.lat.toFixed(6),
+        centroid_lng: center.lng.toFixed(6)
+      };
+
+      return columns.map(column => this.escapeCsv(values[column])).join(',');
+    });
+
+    return '\uFEFF' + [columns.join(','), ...rows].join('\r\n');
+  }
+
+  /**
+   * Trigger a file download
+   * @param {string} content - File content
+   * @param {string} filename - File name
+   * @param {string} mimeType - MIME type
+   */
+  download(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ===========================
+  // IMPORT PREVIEW
+  // ===========================
+
+  /**
+   * Read a local KML/GeoJSON file and show it on the map
+   * @param {File} file - Dropped or selected file
+   */
+  async previewFile(file) {
+    const extension = (file.name.split('.').pop() || '').toLowerCase();
+
+    if (!LOT_DATA_TOOLS_CONFIG.importExtensions.includes(extension)) {
+      this.showToast('error', 'mapa.data_tools.import_error_title', 'No se pudo abrir el archivo',
+        'mapa.data_tools.import_unsupported', 'Formato no soportado. Usá un archivo KML o GeoJSON.');
+      return;
+    }
+
+    try {
+      const text = await file.text();
+      const geojson = extension === 'kml' ? this.parseKML(text) : this.parseGeoJSON(text);
+
+      if (!geojson.features || geojson.features.length === 0) {
+        throw new Error('File has no features');
+      }
+
+      this.showPreview(geojson);
+
+      this.showToast('success', 'mapa.data_tools.import_success_title', 'Vista previa cargada',
+        'mapa.data_tools.import_success_message', '{count} objetos de {file}',
+        { count: geojson.features.length, file: file.name });
+
+    } catch (error) {
+      console.error('Error previewing file:', error);
+      this.showToast('error', 'mapa.data_tools.import_error_title', 'No se pudo abrir el archivo',
+        'mapa.data_tools.import_error_message', 'El archivo no contiene datos geográficos válidos.');
+    }
+  }
+
+  /**
+   * Parse KML text with toGeoJSON (same parser as loadKMLFile)
+   * @param {string} text - KML text
+   * @returns {Object} GeoJSON FeatureCollection
+   */
+  parseKML(text) {
+    const kml = new DOMParser().parseFromString(text, 'text/xml');
+    if (kml.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Invalid KML');
+    }
+    return toGeoJSON.kml(kml);
+  }
+
+  /**
+   * Parse GeoJSON text into a FeatureCollection
+   * @param {string} text - GeoJSON text
+   * @returns {Object} GeoJSON FeatureCollection
+   */
+  parseGeoJSON(text) {
+    const data = JSON.parse(text);
+
+    if (data.type === 'FeatureCollection') return data;
+    if (data.type === 'Feature') return { type: 'FeatureCollection', features: [data] };
+    if (data.type && data.coordinates) {
+      return { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: data }] };
+    }
+
+    throw new Error('Not a GeoJSON object');
+  }
+
+  /**
+   * Render the preview layer, replacing any previous preview
+   * @param {Object} geojson - GeoJSON FeatureCollection
+   */
+  showPreview(geojson) {
+    this.clearPreview();
+
+    this.previewLayer = L.geoJSON(geojson, {
+      style: (feature) => {
+        const props = feature.properties || {};
+        return getObjectStyle(detectObjectType(props), this.getEstado(props));
+      },
+      onEachFeature: (feature, layer) => {
+        const props = feature.properties || {};
+        const label = [props.nombre || props.name || props.Name, this.getEstado(props)]
+          .filter(Boolean)
+          .join(' · ');
+
+        if (label) {
+          layer.bindTooltip(this.escapeXml(label), { sticky: true });
+        }
+      }
+    }).addTo(map);
+
+    try {
+      map.fitBounds(this.previewLayer.getBounds(), { padding: [40, 40] });
+    } catch (e) {
+      console.warn('Could not fit preview bounds:', e);
+    }
+
+    this.toggleClearButtons(true);
+  }
+
+  /**
+   * Remove the preview layer
+   */
+  clearPreview() {
+    if (this.previewLayer) {
+      map.removeLayer(this.previewLayer);
+      this.previewLayer = null;
+    }
+    this.toggleClearButtons(false);
+  }
+
+  /**
+   * Show or hide the "remove preview" buttons
+   * @param {boolean} visible - Whether a preview is shown
+   */
+  toggleClearButtons(visible) {
+    document.querySelectorAll('.data-tools-clear-btn').forEach(button => {
+      button.hidden = !visible;
+    });
+  }
+
+  // ===========================
+  // HELPERS
+  // ===========================
+
+  /**
+   * Read estado from imported properties (same keys as loadKMLFile)
+   * @param {Object} props - Feature properties
+   * @returns {string} Estado or empty string
+   */
+  getEstado(props) {
+    return props.estado || props.Estado || props.status || props.Status || '';
+  }
+
+  /**
+   * Get the loteamiento name for file and document names
+   * @returns {string} Loteamiento name
+   */
+  getLoteamientoName() {
+    if (typeof currentLoteamiento !== 'undefined' && currentLoteamiento && currentLoteamiento.name) {
+      return currentLoteamiento.name;
+    }
+    return (typeof urlParams !== 'undefined' && urlParams && urlParams.name) || 'lotes';
+  }
+
+  /**
+   * Build the export file name (e.g. "lotes-colonia-independencia-2026-10-19")
+   * @returns {string} File name without extension
+   */
+  getFileBaseName() {
+    const slug = this.getLoteamientoName()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+
+    return `lotes-${slug}-${new Date().toISOString().split('T')[0]}`;
+  }
+
+  /**
+   * Convert "#rrggbb" to KML "aabbggrr"
+   * @param {string} hex - CSS hex color
+   * @param {string} alpha - Alpha as two hex digits
+   * @returns {string} KML color
+   */
+  toKMLColor(hex, alpha) {
+    const [r, g, b] = [hex.slice(1, 3), hex.slice(3, 5), hex.slice(5, 7)];
+    return `${alpha}${b}${g}${r}`;
+  }
+
+  /**
+   * Escape text for XML (also used for tooltip HTML)
+   * @param {*} value - Value
+   * @returns {string} Escaped text
+   */
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Escape a CSV field
+   * @param {*} value - Value
+   * @returns {string} CSV field
+   */
+  escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Show a toast with translated title and message
+   * @param {string} type - Toast type
+   * @param {string} titleKey - Title translation key
+   * @param {string} titleFallback - Spanish title
+   * @param {string} messageKey - Message translation key
+   * @param {string} messageFallback - Spanish message
+   * @param {Object} [params] - {placeholder} replacements
+   */
+  showToast(type, titleKey, titleFallback, messageKey, messageFallback, params = {}) {
+    if (typeof createToast !== 'function') return;
+
+    let message = this.t(messageKey, messageFallback);
+    Object.entries(params).forEach(([name, value]) => {
+      message = message.replace(`{${name}}`, this.escapeXml(value));
+    });
+
+    createToast(type, this.t(titleKey, titleFallback), message);
+  }
+
+  /**
+   * Translate with a Spanish fallback when i18n isn't ready
+   * @param {string} key - Translation key
+   * @param {string} fallback - Fallback text
+   * @returns {string} Translated text
+   */
+  t(key, fallback) {
+    if (window.i18n && window.i18n.t) {
+      const translated = window.i18n.t(key);
+      if (translated !== key) return translated;
+    }
+    return fallback;
+  }
+}
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+let lotDataTools = null;
+
+/**
+ * Initialize lot data tools
+ */
+function initializeLotDataTools() {
+  if (lotDataTools) {
+    return;
+  }
+
+  lotDataTools = new LotDataTools();
+  lotDataTools.init();
+
+  // Store globally for access from other modules
+  window.lotDataTools = lotDataTools;
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializeLotDataTools);
+} else {
+  initializeLotDataTools();
+}
+
+// Export class for potential extension
+window.LotDataTools = LotDataTools;
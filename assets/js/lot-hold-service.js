@@ -0,0 +1,192 @@
+/**
+ * Lot Hold Service - Inmobiliaria Mega Proyectos
+ * Short-lived holds that keep a lote out of other reservations while a
+ * buyer fills in the reservation form
+ *
+ * Responsibilities:
+ * - Acquire, renew and release the hold of the current browser tab
+ * - Read the active holds of a loteamiento (shown as pending on the map)
+ *
+ * Database contract:
+ * - Table `lote_holds` (lote_id PK, loteamiento_id, expires_at), readable by
+ *   anon and published for realtime. It has no holder column on purpose.
+ * - Table `lote_hold_holders` (lote_id PK, holder_id): no grants to anon,
+ *   only read and written by the SECURITY DEFINER functions below and by
+ *   the reservations trigger. The holder ID authorizes renewing, releasing
+ *   and reserving a held lote, so it must never be readable by other visitors.
+ * - `acquire_lote_hold(p_lote_id, p_loteamiento_id, p_holder_id, p_duration_seconds)`
+ *   (SECURITY DEFINER) returns { acquired, expires_at, reason }; it only
+ *   succeeds if the lote is disponible and has no active hold from another
+ *   holder. `reason` is 'held' (another holder) or 'not_available' (the lote
+ *   is no longer disponible) when acquired is false.
+ * - `release_lote_hold(p_lote_id, p_holder_id)` (SECURITY DEFINER) sets
+ *   expires_at to now() (an UPDATE, so realtime filters by loteamiento_id
+ *   still apply)
+ *
+ * @requires supabase-client.js
+ */
+
+class LotHoldService {
+  constructor() {
+    this.holderId = this.loadHolderId();
+  }
+
+  /**
+   * Get the holder ID of this tab
+   * Kept in sessionStorage so a refresh renews the same hold
+   * @returns {string} Holder ID
+   */
+  loadHolderId() {
+    const storageKey = 'lot-hold-holder-id';
+
+    try {
+      let holderId = sessionStorage.getItem(storageKey);
+      if (!holderId) {
+        holderId = window.crypto && window.crypto.randomUUID
+          ? window.crypto.randomUUID()
+          : `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`;
+        sessionStorage.setItem(storageKey, holderId);
+      }
+      return holderId;
+    } catch (error) {
+      return `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+  }
+
+  /**
+   * Get the holder ID sent along with the reservation
+   * @returns {string} Holder ID
+   */
+  getHolderId() {
+    return this.holderId;
+  }
+
+  /**
+   * Acquire (or renew) the hold on a lote
+   * @param {string} loteId - Lote ID
+   * @param {string} loteamientoId - Loteamiento ID
+   * @returns {Promise<Object>} { success, data: { expiresAt } } or { success: false, error }
+   */
+  async acquire(loteId, loteamientoId) {
+    const config = (window.ReservationConfig && window.ReservationConfig.hold) || {};
+    const supabase = window.SupabaseClient;
+
+    if (!supabase || !supabase.isReady()) {
+      return this.createError('HOLD_UNAVAILABLE');
+    }
+
+    try {
+      const { data, error } = await supabase.rpc('acquire_lote_hold', {
+        p_lote_id: loteId,
+        p_loteamiento_id: loteamientoId,
+        p_holder_id: this.holderId,
+        p_duration_seconds: config.durationSeconds || 600
+      });
+
+      if (error) throw error;
+
+      // Table-returning functions come back as an array
+      const result = Array.isArray(data) ? data[0] : data;
+
+      if (!result || !result.acquired) {
+        return this.createError(result && result.reason === 'not_available' ? 'LOT_NOT_AVAILABLE' : 'LOT_ON_HOLD');
+      }
+
+      return {
+        success: true,
+        data: { expiresAt: new Date(result.expires_at) }
+      };
+
+    } catch (error) {
+      console.error('Error acquiring lote hold:', error);
+      return this.createError('HOLD_UNAVAILABLE');
+    }
+  }
+
+  /**
+   * Release the hold on a lote
+   * @param {string} loteId - Lote ID
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.keepalive=false] - Use a keepalive request (page unload)
+   * @returns {Promise<boolean>} True if the release was sent
+   */
+  async release(loteId, { keepalive = false } = {}) {
+    const supabase = window.SupabaseClient;
+    if (!supabase || !supabase.isReady()) return false;
+
+    const params = { p_lote_id: loteId, p_holder_id: this.holderId };
+
+    if (keepalive) {
+      return supabase.rpcKeepalive('release_lote_hold', params);
+    }
+
+    const { error } = await supabase.rpc('release_lote_hold', params);
+    if (error) {
+      console.warn('Error releasing lote hold:', error);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Fetch the active holds of a loteamiento
+   * @param {string} loteamientoId - Loteamiento ID
+   * @returns {Promise<Array>} [{ loteId, expiresAt }]
+   */
+  async fetchActiveHolds(loteamientoId) {
+    const supabase = window.SupabaseClient;
+    if (!supabase || !supabase.isReady()) return [];
+
+    const { data, error } = await supabase.getClient()
+      .from('lote_holds')
+      .select('lote_id, expires_at')
+      .eq('loteamiento_id', loteamientoId)
+      .gt('expires_at', new Date().toISOString());
+
+    if (error) {
+      console.warn('Error fetching lote holds:', error);
+      return [];
+    }
+
+    return (data || []).map(row => ({
+      loteId: String(row.lote_id),
+      expiresAt: new Date(row.expires_at)
+    }));
+  }
+
+  /**
+   * Build an error result in the ReservationService format
+   * @param {string} code - LOT_ON_HOLD, LOT_NOT_AVAILABLE or HOLD_UNAVAILABLE
+   * @returns {Object} { success: false, error }
+   */
+  createError(code) {
+    const messages = {
+      LOT_NOT_AVAILABLE: {
+        message_es: 'Este lote ya no está disponible. Por favor, elija otro lote en el mapa.',
+        message_en: 'This lot is no longer available. Please choose another lot on the map.',
+        message_de: 'Dieses Grundstück ist nicht mehr verfügbar. Bitte wählen Sie ein anderes Grundstück auf der Karte.'
+      },
+      LOT_ON_HOLD: {
+        message_es: 'Otra persona está reservando este lote en este momento. Elija otro lote o vuelva a intentarlo en unos minutos.',
+        message_en: 'Someone else is reserving this lot right now. Please choose another lot or try again in a few minutes.',
+        message_de: 'Dieses Grundstück wird gerade von jemand anderem reserviert. Bitte wählen Sie ein anderes Grundstück oder versuchen Sie es in einigen Minuten erneut.'
+      },
+      HOLD_UNAVAILABLE: {
+        message_es: 'No se pudo apartar el lote temporalmente.',
+        message_en: 'The lot could not be held temporarily.',
+        message_de: 'Das Grundstück konnte nicht vorübergehend reserviert werden.'
+      }
+    };
+
+    return {
+      success: false,
+      error: { code, ...messages[code] }
+    };
+  }
+}
+
+// Create singleton instance
+const lotHoldService = new LotHoldService();
+
+// Export for use in other modules
+window.LotHoldService = lotHoldService;
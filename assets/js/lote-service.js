@@ -7,6 +7,9 @@
  * - Transform data to match map rendering structure
  * - Filter by estado (disponible/reservado/vendido)
  * - Provide GeoJSON-compatible output
+ * - Keep cached lotes in sync through Supabase realtime
+ * - Show disponible lotes with an active hold (see lot-hold-service.js)
+ *   as reservado while someone is filling in the reservation form
  *
  * @requires supabase-client.js
  */
@@ -17,6 +20,11 @@ class LoteService {
     this.currentLoteamientoId = null;
     this.isLoading = false;
     this.error = null;
+    this.realtimeChannel = null;
+    this.realtimeOnChange = null; // onChange of the active subscription
+    this.offlineSnapshotAt = null; // Date of offline data in use, null when live
+    this.activeHolds = new Map(); // lote ID -> hold expiry Date
+    this.holdTimers = new Map(); // lote ID -> expiry timeout
   }
 
   /**
@@ -62,20 +70,41 @@ class LoteService {
         return [];
       }
 
+      // Lotes someone is reserving right now are shown as reservado
+      await this.loadHolds(loteamientoId);
+
       // Transform to map-compatible format
-      const transformedData = data.map(lote => this.transformToMapFormat(lote));
+      const transformedData = data.map(lote => this.applyHold(this.transformToMapFormat(lote)));
 
       this.lotes = transformedData;
       this.currentLoteamientoId = loteamientoId;
       this.isLoading = false;
+      this.offlineSnapshotAt = null;
+
+      // Keep raw rows for offline use (re-transformed on load for the current language)
+      if (window.OfflineCache) {
+        window.OfflineCache.savePayload(`lotes/${loteamientoId}`, data);
+      }
 
       console.log(`✓ Loaded ${transformedData.length} lotes for loteamiento ${loteamientoId}`);
 
       return transformedData;
 
     } catch (error) {
-      this.error = error.message;
       this.isLoading = false;
+
+      // Fall back to the last saved payload when offline
+      const snapshot = window.OfflineCache ? await window.OfflineCache.loadPayload(`lotes/${loteamientoId}`) : null;
+      if (snapshot && Array.isArray(snapshot.data)) {
+        console.warn(`Using offline lote data for loteamiento ${loteamientoId} from ${snapshot.savedAt.toISOString()}`);
+
+        this.lotes = snapshot.data.map(lote => this.transformToMapFormat(lote));
+        this.currentLoteamientoId = loteamientoId;
+        this.offlineSnapshotAt = snapshot.savedAt;
+        return this.lotes;
+      }
+
+      this.error = error.message;
       console.error('Error fetching lotes:', error);
       throw error;
     }
@@ -280,6 +309,9 @@ class LoteService {
       // Dimensions - lados (sides) - parsed from JSON
       lados: ladosFormatted || this.formatDimensions(dbLote),
 
+      // Numeric side lengths in original order (lado1 is the frontage)
+      lados_values: this.parseLadosValues(dbLote.lados),
+
       // Area - use area_m2_rounded from database
       area_m2_rounded: dbLote.area_m2_rounded || dbLote.area_m2 || null,
       area: dbLote.area_m2_rounded || dbLote.area_m2 || null,
@@ -297,6 +329,9 @@ class LoteService {
       LargoxAncho: ladosFormatted || this.formatDimensions(dbLote),
       dimensions: ladosFormatted || this.formatDimensions(dbLote),
 
+      // Price - null when the lote has no published price ("Consultar")
+      precio: dbLote.precio || null,
+
       // Visual
       photo: dbLote.photo || this.getDefaultPhoto(estado),
       imagen: dbLote.photo || this.getDefaultPhoto(estado),
@@ -380,6 +415,34 @@ class LoteService {
     return null;
   }
 
+  /**
+   * Parse lados JSON into numeric side lengths
+   * @param {string|Object} lados - Lados JSON string or object ({lado1: value, ...})
+   * @returns {Array<number>} Side lengths in meters, empty if not available
+   */
+  parseLadosValues(lados) {
+    if (!lados) {
+      return [];
+    }
+
+    let ladosData = lados;
+    if (typeof lados === 'string') {
+      try {
+        ladosData = JSON.parse(lados);
+      } catch (e) {
+        return [];
+      }
+    }
+
+    if (!ladosData || typeof ladosData !== 'object') {
+      return [];
+    }
+
+    return Object.values(ladosData)
+      .map(v => parseFloat(v))
+      .filter(v => !isNaN(v));
+  }
+
   /**
    * Get default photo based on estado
    * @param {string} estado - Lote estado
@@ -424,17 +487,24 @@ class LoteService {
 
   /**
    * Convert lotes to GeoJSON FeatureCollection
-   * Useful for batch rendering on map
+   * Useful for batch rendering on map, and for exports
    *
    * @param {Array} lotes - Array of lote objects
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.withAttributes=false] - Merge getExportProperties() into each feature
    * @returns {Object} GeoJSON FeatureCollection
    */
-  toGeoJSONFeatureCollection(lotes = null) {
+  toGeoJSONFeatureCollection(lotes = null, { withAttributes = false } = {}) {
     const lotesToConvert = lotes || this.lotes;
 
     const features = lotesToConvert
       .filter(lote => lote.feature !== null)
-      .map(lote => lote.feature);
+      .map(lote => withAttributes
+        ? {
+          ...lote.feature,
+          properties: { ...(lote.feature.properties || {}), ...this.getExportProperties(lote) }
+        }
+        : lote.feature);
 
     return {
       type: 'FeatureCollection',
@@ -442,6 +512,23 @@ class LoteService {
     };
   }
 
+  /**
+   * Get the attributes written to exported files (GeoJSON, KML, CSV)
+   * @param {Object} lote - Lote in map format
+   * @returns {Object} Flat export attributes
+   */
+  getExportProperties(lote) {
+    return {
+      id: lote.id,
+      nombre: lote._raw && lote._raw.nombre ? lote._raw.nombre : lote.nombre || lote.name,
+      estado: this.normalizeEstado(lote.estado),
+      area_m2: lote.area_m2_rounded || lote.area || null,
+      lados: lote.lados || null,
+      precio: lote.precio || null,
+      loteamiento_id: lote.loteamiento_id || null
+    };
+  }
+
   /**
    * Get lotes filtered by estado
    * @param {string} estado - Estado to filter by
@@ -484,6 +571,200 @@ class LoteService {
     return this.lotes.find(lote => lote.name === name) || null;
   }
 
+  // ===========================
+  // REALTIME UPDATES
+  // ===========================
+
+  /**
+   * Subscribe to row changes of the lotes table for a loteamiento
+   * Changed rows are re-read through public_lotes so the payload matches
+   * fetchByLoteamiento, and the cache is updated before notifying
+   * @param {string} loteamientoId - Loteamiento ID
+   * @param {Function} onChange - Callback (lote, previousLote); lote is null when deleted
+   * @returns {boolean} True if the subscription was created
+   */
+  subscribeToLoteamiento(loteamientoId, onChange) {
+    const supabase = window.SupabaseClient;
+
+    if (!supabase || !supabase.isReady()) {
+      console.warn('Realtime updates unavailable: Supabase client not initialized');
+      return false;
+    }
+
+    // Only one loteamiento is shown at a time
+    this.unsubscribe();
+
+    const channel = supabase.channel(`lotes-loteamiento-${loteamientoId}`);
+    if (!channel) {
+      return false;
+    }
+
+    channel
+      .on('postgres_changes', {
+        event: '*',
+        schema: 'public',
+        table: 'lotes',
+        filter: `loteamiento_id=eq.${loteamientoId}`
+      }, (payload) => this.handleRealtimeChange(payload, onChange))
+      .on('postgres_changes', {
+        event: '*',
+        schema: 'public',
+        table: 'lote_holds',
+        filter: `loteamiento_id=eq.${loteamientoId}`
+      }, (payload) => this.handleHoldChange(payload, onChange))
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') {
+          console.log(`✓ Subscribed to lote changes for loteamiento ${loteamientoId}`);
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          console.warn(`Realtime subscription for loteamiento ${loteamientoId}: ${status}`);
+        }
+      });
+
+    this.realtimeChannel = channel;
+    this.realtimeOnChange = onChange;
+    return true;
+  }
+
+  /**
+   * Handle a realtime payload and update the cache
+   * @param {Object} payload - Supabase postgres_changes payload
+   * @param {Function} onChange - Callback (lote, previousLote)
+   */
+  async handleRealtimeChange(payload, onChange) {
+    const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+    if (!row || row.id === undefined) {
+      return;
+    }
+
+    try {
+      const index = this.lotes.findIndex(lote => String(lote.id) === String(row.id));
+      const previousLote = index >= 0 ? this.lotes[index] : null;
+
+      // Deleted rows, or rows no longer exposed by the public view, come back as null
+      const lote = payload.eventType === 'DELETE' ? null : this.applyHold(await this.fetchById(row.id));
+
+      if (lote && index >= 0) {
+        this.lotes[index] = lote;
+      } else if (lote) {
+        this.lotes.push(lote);
+      } else if (index >= 0) {
+        this.lotes.splice(index, 1);
+      }
+
+      if (typeof onChange === 'function') {
+        onChange(lote, previousLote);
+      }
+
+    } catch (error) {
+      console.error(`Error applying realtime change for lote ${row.id}:`, error);
+    }
+  }
+
+  /**
+   * Remove the active realtime subscription
+   */
+  unsubscribe() {
+    if (this.realtimeChannel && window.SupabaseClient) {
+      window.SupabaseClient.removeChannel(this.realtimeChannel);
+    }
+    this.realtimeChannel = null;
+    this.realtimeOnChange = null;
+  }
+
+  // ===========================
+  // RESERVATION HOLDS
+  // ===========================
+
+  /**
+   * Load the active holds of a loteamiento
+   * @param {string} loteamientoId - Loteamiento ID
+   */
+  async loadHolds(loteamientoId) {
+    this.holdTimers.forEach(timer => clearTimeout(timer));
+    this.holdTimers.clear();
+    this.activeHolds.clear();
+
+    if (!window.LotHoldService) return;
+
+    const holds = await window.LotHoldService.fetchActiveHolds(loteamientoId);
+    holds.forEach(hold => this.setHold(hold.loteId, hold.expiresAt));
+  }
+
+  /**
+   * Register (or clear) the hold of a lote and schedule its expiry
+   * The expiry notifies the realtime subscriber active at that time, so holds
+   * loaded before subscribing are redrawn too
+   * @param {string} loteId - Lote ID
+   * @param {Date|null} expiresAt - Hold expiry, null when released
+   * @param {Function} [onChange] - Callback (lote, previousLote) if the cached lote changes
+   */
+  setHold(loteId, expiresAt, onChange) {
+    clearTimeout(this.holdTimers.get(loteId));
+    this.holdTimers.delete(loteId);
+
+    const remaining = expiresAt ? expiresAt.getTime() - Date.now() : 0;
+
+    if (remaining > 0) {
+      this.activeHolds.set(loteId, expiresAt);
+      // Holds that lapse without a release only disappear client-side
+      this.holdTimers.set(loteId, setTimeout(() => this.setHold(loteId, null, this.realtimeOnChange), remaining));
+    } else {
+      this.activeHolds.delete(loteId);
+    }
+
+    const index = this.lotes.findIndex(lote => String(lote.id) === loteId);
+    if (index < 0) return;
+
+    const previousLote = this.lotes[index];
+    const lote = this.applyHold(previousLote);
+
+    if (lote.estado === previousLote.estado) return;
+
+    this.lotes[index] = lote;
+    if (typeof onChange === 'function') {
+      onChange(lote, previousLote);
+    }
+  }
+
+  /**
+   * Handle a realtime lote_holds payload
+   * @param {Object} payload - Supabase postgres_changes payload
+   * @param {Function} onChange - Callback (lote, previousLote)
+   */
+  handleHoldChange(payload, onChange) {
+    const row = payload.new;
+    if (!row || row.lote_id === undefined) return;
+
+    this.setHold(String(row.lote_id), row.expires_at ? new Date(row.expires_at) : null, onChange);
+  }
+
+  /**
+   * Apply the active hold (if any) to a lote in map format
+   * A held disponible lote becomes reservado with `hold: { expiresAt, estado }`,
+   * where `hold.estado` keeps the estado to return to
+   * @param {Object|null} lote - Lote in map format
+   * @returns {Object|null} Lote with the current hold applied
+   */
+  applyHold(lote) {
+    if (!lote) return lote;
+
+    const { hold, ...baseLote } = lote;
+    if (hold) {
+      baseLote.estado = hold.estado;
+    }
+
+    const expiresAt = this.activeHolds.get(String(lote.id));
+    if (!expiresAt || baseLote.estado !== 'disponible') {
+      return baseLote;
+    }
+
+    return {
+      ...baseLote,
+      estado: 'reservado',
+      hold: { expiresAt, estado: baseLote.estado }
+    };
+  }
+
   /**
    * Clear cached data
    */
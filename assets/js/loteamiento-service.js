@@ -3,14 +3,56 @@
  * Service layer for managing loteamiento (subdivision) data from Supabase
  *
  * Responsibilities:
- * - Fetch loteamientos from Supabase
+ * - Fetch loteamientos from Supabase (all at once, or page by page for the
+ *   catalogue with a light column projection and geometry on demand)
  * - Transform data to match existing DTO structure
  * - Map owner field to location categories
- * - Provide filtering and search capabilities
+ * - Provide filtering and search capabilities (accent-insensitive, matching
+ *   names, descriptions, types and features in all three languages)
  *
  * @requires supabase-client.js
  */
 
+/**
+ * Translations of the built-in amenities (extractFeatures), so features
+ * can be displayed and searched in every language
+ */
+const FEATURE_TRANSLATIONS = {
+  'Agua corriente': { en: 'Running water', de: 'Fließendes Wasser' },
+  'Electricidad': { en: 'Electricity', de: 'Strom' },
+  'Alcantarillado': { en: 'Sewage system', de: 'Kanalisation' },
+  'Internet': { en: 'Internet', de: 'Internet' },
+  'Calles pavimentadas': { en: 'Paved streets', de: 'Asphaltierte Straßen' },
+  'Áreas verdes': { en: 'Green areas', de: 'Grünflächen' }
+};
+
+/**
+ * Columns loaded for the catalogue (fetchPage): what transformToDTO needs for
+ * cards, search and facets, without the heavy `geojson` boundary and the map
+ * only `interest_points`. Keep in sync with transformToDTO.
+ */
+const LIST_COLUMNS = [
+  'id', 'owner', 'external_id', 'created_at', 'updated_at', 'photo',
+  'nombre_loteamiento', 'nombre_en', 'nombre_de',
+  'descripcion', 'descripcion_en', 'descripcion_de',
+  'loteamiento_type', 'loteamiento_type_en', 'loteamiento_type_de',
+  'centroide_lat', 'centroide_lng', 'parcel_quantity', 'area_m2', 'area_m2_rounded',
+  'features', 'financing', 'nro_cta_catastral'
+].join(', ');
+
+/**
+ * Columns loaded for the overview map of the home page (fetchMapPoints):
+ * marker position, location chip and the popup card of every loteamiento
+ */
+const MAP_POINT_COLUMNS = [
+  'id', 'owner', 'photo', 'nombre_loteamiento', 'nombre_en', 'nombre_de',
+  'loteamiento_type', 'loteamiento_type_en', 'loteamiento_type_de',
+  'centroide_lat', 'centroide_lng', 'parcel_quantity', 'area_m2', 'area_m2_rounded'
+].join(', ');
+
+/** Loteamientos per catalogue page (fetchPage) */
+const LOTEAMIENTO_PAGE_SIZE = 12;
+
 class LoteamientoService {
   constructor() {
     this.loteamientos = [];
@@ -21,6 +63,10 @@ class LoteamientoService {
       timestamp: null,
       ttl: 5 * 60 * 1000 // 5 minutes cache
     };
+    this.pageCache = new Map(); // "page:pageSize" -> { data, timestamp }, same ttl
+    this.geometryCache = new Map(); // id -> geojson (null when it has none)
+    this.mapPointsCache = { rows: null, timestamp: null }; // raw MAP_POINT_COLUMNS rows, same ttl
+    this.offlineSnapshotAt = null; // Date of offline data in use, null when live
   }
 
   /**
@@ -83,6 +129,161 @@ class LoteamientoService {
     }
   }
 
+  /**
+   * Fetch one page of the catalogue, newest first
+   * Only LIST_COLUMNS are selected; boundaries come from fetchGeometries
+   * when a map needs them (mapa.html gets them through fetchById)
+   * @param {number} page - Zero-based page index
+   * @param {number} pageSize - Loteamientos per page
+   * @returns {Promise<Object>} { items, total, hasMore }
+   */
+  async fetchPage(page = 0, pageSize = LOTEAMIENTO_PAGE_SIZE) {
+    const cacheKey = `${page}:${pageSize}`;
+    const cached = this.pageCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < this.cache.ttl) {
+      return cached.data;
+    }
+
+    const from = page * pageSize;
+
+    try {
+      const supabase = window.SupabaseClient;
+
+      if (!supabase || !supabase.isReady()) {
+        throw new Error('Supabase client not initialized. Please check your configuration.');
+      }
+
+      // id as tie-breaker keeps the order stable across pages
+      const { data, error, count } = await supabase.getClient()
+        .from('public_loteamientos')
+        .select(LIST_COLUMNS, { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: true })
+        .range(from, from + pageSize - 1);
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      this.offlineSnapshotAt = null;
+
+      // Keep raw rows for offline use
+      if (window.OfflineCache) {
+        window.OfflineCache.savePayload(`loteamientos/page/${cacheKey}`, { rows: data || [], count });
+      }
+
+      const result = this.buildPage(data || [], count, from);
+      this.pageCache.set(cacheKey, { data: result, timestamp: Date.now() });
+
+      console.log(`✓ Loaded loteamientos page ${page} (${result.items.length} of ${result.total})`);
+      return result;
+
+    } catch (error) {
+      // Fall back to the last saved payload when offline
+      const snapshot = window.OfflineCache ? await window.OfflineCache.loadPayload(`loteamientos/page/${cacheKey}`) : null;
+      if (snapshot && snapshot.data) {
+        console.warn(`Using offline data for loteamientos page ${page} from ${snapshot.savedAt.toISOString()}`);
+        this.offlineSnapshotAt = snapshot.savedAt;
+        return this.buildPage(snapshot.data.rows, snapshot.data.count, from);
+      }
+
+      this.error = error.message;
+      console.error(`Error fetching loteamientos page ${page}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Transform the rows of a page and remember them for getById/search
+   * @param {Array} rows - Raw database rows
+   * @param {number|null} count - Total rows reported by Supabase
+   * @param {number} from - Offset of the first row
+   * @returns {Object} { items, total, hasMore }
+   */
+  buildPage(rows, count, from) {
+    const items = rows.map(loteamiento => this.transformToDTO(loteamiento));
+    const total = typeof count === 'number' ? count : from + items.length;
+
+    items.forEach(item => {
+      const index = this.loteamientos.findIndex(loteamiento => loteamiento.id === item.id);
+      if (index === -1) {
+        this.loteamientos.push(item);
+      } else {
+        this.loteamientos[index] = item;
+      }
+    });
+
+    return { items, total, hasMore: from + items.length < total };
+  }
+
+  /**
+   * Fetch every loteamiento with only the columns the overview map needs
+   * (MAP_POINT_COLUMNS), independent of the catalogue pages loaded so far.
+   * Outlines still come from fetchGeometries.
+   * @returns {Promise<Array>} Loteamiento DTOs in the current language
+   */
+  async fetchMapPoints() {
+    const cached = this.mapPointsCache;
+    if (!cached.rows || Date.now() - cached.timestamp >= this.cache.ttl) {
+      const supabase = window.SupabaseClient;
+
+      if (!supabase || !supabase.isReady()) {
+        throw new Error('Supabase client not initialized');
+      }
+
+      const { data, error } = await supabase.getClient()
+        .from('public_loteamientos')
+        .select(MAP_POINT_COLUMNS)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      this.mapPointsCache = { rows: data || [], timestamp: Date.now() };
+    }
+
+    // Rows are kept raw so a language change only needs a new transform
+    return this.mapPointsCache.rows.map(row => this.transformToDTO(row));
+  }
+
+  /**
+   * Fetch the boundary geojson of several loteamientos in one query
+   * Results are cached for the session (geometry does not depend on language)
+   * @param {Array<string|number>} ids - Loteamiento IDs
+   * @returns {Promise<Object>} Map of id -> geojson (null when it has none)
+   */
+  async fetchGeometries(ids) {
+    const missing = [...new Set(ids)].filter(id => !this.geometryCache.has(id));
+
+    if (missing.length > 0) {
+      const supabase = window.SupabaseClient;
+
+      if (!supabase || !supabase.isReady()) {
+        throw new Error('Supabase client not initialized');
+      }
+
+      const { data, error } = await supabase.getClient()
+        .from('public_loteamientos')
+        .select('id, geojson')
+        .in('id', missing);
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      missing.forEach(id => this.geometryCache.set(id, null));
+      (data || []).forEach(row => this.geometryCache.set(row.id, row.geojson || null));
+    }
+
+    const geometries = {};
+    ids.forEach(id => {
+      geometries[id] = this.geometryCache.has(id) ? this.geometryCache.get(id) : null;
+    });
+    return geometries;
+  }
+
   /**
    * Fetch single loteamiento by ID
    * @param {string} id - Loteamiento ID
@@ -110,9 +311,24 @@ class LoteamientoService {
         throw new Error(`Database error: ${error.message}`);
       }
 
+      this.offlineSnapshotAt = null;
+
+      // Keep raw row for offline use
+      if (window.OfflineCache) {
+        window.OfflineCache.savePayload(`loteamiento/${id}`, data);
+      }
+
       return this.transformToDTO(data);
 
     } catch (error) {
+      // Fall back to the last saved payload when offline
+      const snapshot = window.OfflineCache ? await window.OfflineCache.loadPayload(`loteamiento/${id}`) : null;
+      if (snapshot && snapshot.data) {
+        console.warn(`Using offline data for loteamiento ${id} from ${snapshot.savedAt.toISOString()}`);
+        this.offlineSnapshotAt = snapshot.savedAt;
+        return this.transformToDTO(snapshot.data);
+      }
+
       console.error(`Error fetching loteamiento ${id}:`, error);
       throw error;
     }
@@ -158,6 +374,8 @@ class LoteamientoService {
       interest_points: dbLoteamiento.interest_points || null,
       // Cadastral account number
       nro_cta_catastral: dbLoteamiento.nro_cta_catastral || null,
+      // Instalment terms for the financing calculator (null = use FINANCING_CONFIG)
+      financing: this.parseFinancingTerms(dbLoteamiento.financing),
       // Store raw data for dynamic language switching
       _raw: {
         nombre: dbLoteamiento.nombre_loteamiento || dbLoteamiento.nombre,
@@ -327,6 +545,43 @@ class LoteamientoService {
     return features;
   }
 
+  /**
+   * Parse financing terms (jsonb `financing` column) into calculator options
+   * @param {Object|string|null} financing - Raw financing terms
+   * @returns {Object|null} Terms in FINANCING_CONFIG format, or null if not set
+   */
+  parseFinancingTerms(financing) {
+    if (!financing) return null;
+
+    let raw = financing;
+    if (typeof financing === 'string') {
+      try {
+        raw = JSON.parse(financing);
+      } catch (e) {
+        console.warn('Could not parse financing JSON:', e);
+        return null;
+      }
+    }
+
+    const fieldMap = {
+      down_payment_percent: 'downPaymentPercent',
+      min_down_payment_percent: 'minDownPaymentPercent',
+      max_down_payment_percent: 'maxDownPaymentPercent',
+      term_months: 'termMonths',
+      term_options: 'termOptions',
+      annual_interest_rate: 'annualInterestRate'
+    };
+
+    const terms = {};
+    Object.entries(fieldMap).forEach(([dbField, option]) => {
+      if (raw[dbField] !== undefined && raw[dbField] !== null) {
+        terms[option] = raw[dbField];
+      }
+    });
+
+    return Object.keys(terms).length > 0 ? terms : null;
+  }
+
   /**
    * Format dimensions string with localization support
    * @param {Object} loteamiento - Database loteamiento
@@ -407,11 +662,70 @@ class LoteamientoService {
    * @returns {Array} Matching loteamientos
    */
   search(query) {
-    const searchTerm = query.toLowerCase();
-    return this.loteamientos.filter(loteamiento =>
-      loteamiento.name.toLowerCase().includes(searchTerm) ||
-      loteamiento.description.toLowerCase().includes(searchTerm)
-    );
+    return this.loteamientos.filter(loteamiento => this.matchesQuery(loteamiento, query));
+  }
+
+  /**
+   * Check whether a loteamiento matches a search query
+   * Every word of the query must appear in the name, description, type or
+   * features, in any language, ignoring case and accents ("colon" finds "Colón").
+   * Also works for the hardcoded products (without _raw).
+   * @param {Object} loteamiento - Loteamiento DTO
+   * @param {string} query - Search query
+   * @returns {boolean} True if it matches (always for an empty query)
+   */
+  matchesQuery(loteamiento, query) {
+    const terms = this.normalizeSearchText(query).split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return true;
+
+    const text = this.getSearchableText(loteamiento);
+    return terms.every(term => text.includes(term));
+  }
+
+  /**
+   * Build the normalized text searched by matchesQuery
+   * @param {Object} loteamiento - Loteamiento DTO
+   * @returns {string} Normalized text
+   */
+  getSearchableText(loteamiento) {
+    const raw = loteamiento._raw || {};
+    const features = loteamiento.features || [];
+
+    return this.normalizeSearchText([
+      loteamiento.name,
+      loteamiento.description,
+      loteamiento.type,
+      raw.nombre, raw.nombre_en, raw.nombre_de,
+      raw.descripcion, raw.descripcion_en, raw.descripcion_de,
+      raw.loteamiento_type, raw.loteamiento_type_en, raw.loteamiento_type_de,
+      ...features,
+      ...features.map(feature => this.getFeatureLabel(feature, 'en')),
+      ...features.map(feature => this.getFeatureLabel(feature, 'de'))
+    ].filter(Boolean).join(' '));
+  }
+
+  /**
+   * Lowercase a text and strip accents for comparison
+   * @param {string} text - Text
+   * @returns {string} Normalized text
+   */
+  normalizeSearchText(text) {
+    return (text || '').toString()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim();
+  }
+
+  /**
+   * Get a feature label in a language (features are stored in Spanish)
+   * @param {string} feature - Feature as returned by extractFeatures
+   * @param {string} lang - Language code (es, en, de)
+   * @returns {string} Localized label, or the feature itself if unknown
+   */
+  getFeatureLabel(feature, lang) {
+    const translations = FEATURE_TRANSLATIONS[feature];
+    return (translations && translations[lang]) || feature;
   }
 
   /**
@@ -451,6 +765,8 @@ class LoteamientoService {
   clearCache() {
     this.cache.data = null;
     this.cache.timestamp = null;
+    this.pageCache.clear();
+    this.mapPointsCache = { rows: null, timestamp: null };
   }
 
   /**
@@ -0,0 +1,620 @@
+/**
+ * Loteamiento Detail Page - Inmobiliaria Mega Proyectos
+ * loteamiento.html?id=<id>: one loteamiento rendered from Supabase data
+ *
+ * Sections:
+ * - Hero photo with name, type and location
+ * - Description in the current language (LoteamientoService.getLocalizedDescription)
+ * - Features, general facts and cadastral number
+ * - Lot availability (LoteService.getCountsByEstado)
+ * - Interest points with their distance to the loteamiento
+ * - Boundary mini-map (tiles only after 'media' consent)
+ * - CTAs to mapa.html and to reserve an available lot there
+ *
+ * Texts follow language changes without refetching (the DTO keeps `_raw`),
+ * and the <title>/meta description carry the loteamiento name in every
+ * language through I18n.setMetaParams. The page also injects its
+ * RealEstateListing JSON-LD (structured-data.js).
+ *
+ * @requires i18n.js
+ * @requires loteamiento-service.js, lote-service.js
+ * @requires product-service.js (getMapUrl)
+ * @requires structured-data.js (optional, JSON-LD)
+ * @requires Leaflet (mini-map)
+ */
+
+(function () {
+  'use strict';
+
+  // ===========================
+  // CONFIGURATION
+  // ===========================
+
+  const DETAIL_CONFIG = {
+    /** Zoom of the mini-map when there is no boundary to fit */
+    miniMapZoom: 15,
+
+    tileUrl: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+
+    outlineStyle: {
+      color: '#1F4B43',
+      weight: 2,
+      fillColor: '#E7C873',
+      fillOpacity: 0.2
+    },
+
+    /** Same icon as the interest points on mapa.html */
+    interestIconUrl: 'assets/img/map-marker-svgrepo-com.svg',
+
+    /** Maximum length of the description used in the meta description */
+    metaDescriptionLength: 150,
+
+    /** Number format per language */
+    locales: { es: 'es-PY', en: 'en-US', de: 'de-DE' }
+  };
+
+  // DOM elements
+  let elements = {};
+
+  // State
+  let loteamiento = null;
+  let estadoCounts = null;
+  let availabilityFailed = false;
+  let miniMap = null;
+
+  /**
+   * Initialize the detail page when the DOM is loaded
+   */
+  async function initializeDetailPage() {
+    elements = {
+      loading: document.getElementById('loteamientoLoading'),
+      error: document.getElementById('loteamientoError'),
+      errorText: document.getElementById('loteamientoErrorText'),
+      detail: document.getElementById('loteamientoDetail'),
+      photo: document.getElementById('loteamientoPhoto'),
+      type: document.getElementById('loteamientoType'),
+      name: document.getElementById('loteamientoName'),
+      location: document.getElementById('loteamientoLocation'),
+      favorite: document.getElementById('loteamientoFavorite'),
+      description: document.getElementById('loteamientoDescription'),
+      features: document.getElementById('loteamientoFeatures'),
+      availabilityStatus: document.getElementById('loteamientoAvailabilityStatus'),
+      interestPoints: document.getElementById('loteamientoInterestPoints'),
+      facts: document.getElementById('loteamientoFacts'),
+      miniMap: document.getElementById('loteamientoMiniMap'),
+      mapLink: document.getElementById('loteamientoMapLink'),
+      reserveLink: document.getElementById('loteamientoReserveLink'),
+      contact: document.getElementById('loteamientoContact')
+    };
+
+    if (!elements.detail || !elements.loading || !elements.error) {
+      console.error('Loteamiento detail: required elements not found');
+      return;
+    }
+
+    const id = new URLSearchParams(window.location.search).get('id');
+    if (!id) {
+      showError('loteamiento.errors.missing_id', 'No se indicó ningún loteamiento.');
+      return;
+    }
+
+    if (!window.LoteamientoService || !window.LoteService) {
+      console.error('Supabase services not initialized. Please check script loading order.');
+      showError('loteamiento.errors.load', 'Error al cargar el loteamiento. Por favor, inténtalo de nuevo.');
+      return;
+    }
+
+    document.addEventListener('languageChanged', handleLanguageChange);
+
+    await loadLoteamiento(id);
+  }
+
+  /**
+   * Fetch the loteamiento (with geometry and interest points) and render it
+   * @param {string} id - Loteamiento ID
+   */
+  async function loadLoteamiento(id) {
+    try {
+      loteamiento = await window.LoteamientoService.fetchById(id);
+    } catch (error) {
+      console.error(`Error loading loteamiento ${id}:`, error);
+      showError('loteamiento.errors.load', 'Error al cargar el loteamiento. Por favor, inténtalo de nuevo.');
+      return;
+    }
+
+    if (!loteamiento) {
+      showError('loteamiento.errors.not_found', 'No encontramos este loteamiento.');
+      return;
+    }
+
+    elements.loading.hidden = true;
+    elements.detail.hidden = false;
+
+    renderDetails();
+    bindActions();
+    renderMiniMap();
+
+    await loadAvailability(id);
+
+    if (window.Analytics) {
+      window.Analytics.track('loteamiento_viewed', { loteamiento_id: loteamiento.id });
+    }
+  }
+
+  /**
+   * Fetch the lotes and show how many are available, reserved and sold
+   * @param {string} id - Loteamiento ID
+   */
+  async function loadAvailability(id) {
+    try {
+      await window.LoteService.fetchByLoteamiento(id);
+      estadoCounts = window.LoteService.getCountsByEstado();
+    } catch (error) {
+      console.error(`Error loading lotes of loteamiento ${id}:`, error);
+      availabilityFailed = true;
+    }
+
+    renderAvailability();
+
+    // The listing offers need the counts
+    if (estadoCounts) {
+      updateStructuredData();
+    }
+  }
+
+  /**
+   * Handle language change event
+   * Re-render the texts from the raw data in the new language
+   */
+  function handleLanguageChange() {
+    if (!loteamiento) return;
+
+    renderDetails();
+    renderAvailability();
+  }
+
+  // ===========================
+  // RENDERING
+  // ===========================
+
+  /**
+   * Render every language dependent part of the page
+   */
+  function renderDetails() {
+    const service = window.LoteamientoService;
+    const lang = getLanguage();
+    const raw = loteamiento._raw || {};
+
+    const name = service.getLocalizedName(raw, lang);
+    const description = service.getLocalizedDescription(raw, lang);
+    // parcel_quantity lets getLocalizedType infer a type when none is stored
+    const type = service.getLocalizedType({ ...raw, parcel_quantity: loteamiento.parcel_quantity }, lang);
+
+    // Hero
+    elements.photo.src = loteamiento.photo;
+    elements.photo.alt = name;
+    elements.name.textContent = name;
+    elements.type.textContent = type || '';
+    elements.type.hidden = !type;
+    elements.location.textContent = getLocationName(loteamiento.location);
+
+    // Description
+    elements.description.textContent = description ||
+      t('index.loteamientos.no_description', 'Descripción no disponible');
+
+    renderFeatures(lang);
+    renderFacts();
+    renderInterestPoints();
+
+    // Links to this loteamiento on the map
+    const mapUrl = window.ProductService
+      ? window.ProductService.getMapUrl({ ...loteamiento, name })
+      : `mapa.html?loteamiento=${encodeURIComponent(loteamiento.id)}`;
+
+    elements.mapLink.href = mapUrl;
+    elements.reserveLink.href = `${mapUrl}&estados=disponible`;
+
+    // Header "Ver mapa" links open this loteamiento instead of the default one
+    document.querySelectorAll('.cta[href^="mapa.html"], .sidebar-link--cta[href^="mapa.html"]').forEach(link => {
+      link.href = mapUrl;
+    });
+
+    updateMetaTags(name, description);
+    updateStructuredData();
+  }
+
+  /**
+   * Render the features list
+   * @param {string} lang - Current language
+   */
+  function renderFeatures(lang) {
+    const features = loteamiento.features || [];
+
+    if (features.length === 0) {
+      elements.features.innerHTML = `<li class="loteamiento-features__empty">${escapeHtml(t('loteamiento.no_features', 'Sin características registradas'))}</li>`;
+      return;
+    }
+
+    elements.features.innerHTML = features
+      .map(feature => `<li class="loteamiento-features__item">${escapeHtml(window.LoteamientoService.getFeatureLabel(feature, lang))}</li>`)
+      .join('');
+  }
+
+  /**
+   * Render the general facts (parcels, area, location, cadastral number)
+   */
+  function renderFacts() {
+    const facts = [];
+
+    if (loteamiento.parcel_quantity) {
+      facts.push([t('loteamiento.facts.parcels', 'Lotes'), formatNumber(loteamiento.parcel_quantity)]);
+    }
+
+    if (loteamiento.total_dim_m2) {
+      facts.push([t('loteamiento.facts.area', 'Superficie total'), `${formatNumber(Math.round(loteamiento.total_dim_m2))} m²`]);
+    }
+
+    facts.push([t('loteamiento.facts.location', 'Ubicación'), getLocationName(loteamiento.location)]);
+
+    if (loteamiento.nro_cta_catastral) {
+      facts.push([t('index.loteamientos.catastral_label', 'Cuenta Catastral'), `Nº ${loteamiento.nro_cta_catastral}`]);
+    }
+
+    elements.facts.innerHTML = facts
+      .map(([label, value]) => `<div class="loteamiento-facts__row"><dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd></div>`)
+      .join('');
+  }
+
+  /**
+   * Render the availability counts (or an error message)
+   */
+  function renderAvailability() {
+    document.querySelectorAll('[data-estado-count]').forEach(element => {
+      const key = element.getAttribute('data-estado-count');
+      element.textContent = estadoCounts ? formatNumber(estadoCounts[key] || 0) : '–';
+    });
+
+    if (!elements.availabilityStatus) return;
+
+    if (estadoCounts) {
+      elements.availabilityStatus.hidden = true;
+    } else if (availabilityFailed) {
+      elements.availabilityStatus.hidden = false;
+      elements.availabilityStatus.textContent = t('loteamiento.availability.error', 'No se pudo consultar la disponibilidad.');
+    }
+  }
+
+  /**
+   * Render the interest points with their straight-line distance
+   */
+  function renderInterestPoints() {
+    const points = getInterestPoints();
+
+    if (points.length === 0) {
+      elements.interestPoints.innerHTML = `<li class="loteamiento-interest-points__empty">${escapeHtml(t('loteamiento.interest_points.empty', 'Sin puntos de interés registrados'))}</li>`;
+      return;
+    }
+
+    const origin = getCentroid();
+
+    elements.interestPoints.innerHTML = points
+      .map(point => {
+        const distance = origin
+          ? t('loteamiento.interest_points.distance', '{distance} km')
+            .replace('{distance}', formatNumber(getDistanceKm(origin, point), 1))
+          : '';
+        return `
+          <li class="loteamiento-interest-points__item">
+            <span class="loteamiento-interest-points__name">${escapeHtml(point.name)}</span>
+            ${distance ? `<span class="loteamiento-interest-points__distance">${escapeHtml(distance)}</span>` : ''}
+          </li>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * Create the mini-map with the boundary, the centroid and the interest points
+   */
+  function renderMiniMap() {
+    if (miniMap || !elements.miniMap || typeof L === 'undefined') return;
+
+    const centroid = getCentroid();
+    const outline = createOutline();
+
+    if (!centroid && !outline) {
+      elements.miniMap.hidden = true;
+      return;
+    }
+
+    miniMap = L.map(elements.miniMap, { scrollWheelZoom: false });
+
+    const tiles = L.tileLayer(DETAIL_CONFIG.tileUrl, {
+      maxZoom: 19,
+      attribution: '© OpenStreetMap contributors'
+    });
+
+    if (window.ConsentManager) {
+      window.ConsentManager.whenGranted('media', () => tiles.addTo(miniMap));
+      window.ConsentManager.renderPlaceholder(elements.miniMap, 'media');
+    } else {
+      tiles.addTo(miniMap);
+    }
+
+    const interestIcon = L.icon({
+      iconUrl: DETAIL_CONFIG.interestIconUrl,
+      iconSize: [24, 24],
+      iconAnchor: [12, 24],
+      popupAnchor: [0, -24]
+    });
+
+    getInterestPoints().forEach(point => {
+      L.marker([point.lat, point.lng], { icon: interestIcon, title: point.name })
+        .bindPopup(escapeHtml(point.name))
+        .addTo(miniMap);
+    });
+
+    if (outline) {
+      outline.addTo(miniMap);
+      miniMap.fitBounds(outline.getBounds(), { padding: [20, 20] });
+    } else {
+      L.marker(centroid).addTo(miniMap);
+      miniMap.setView(centroid, DETAIL_CONFIG.miniMapZoom);
+    }
+  }
+
+  /**
+   * Bind the favorite button and the contact links (once)
+   */
+  function bindActions() {
+    const getMapUrl = () => elements.mapLink.getAttribute('href');
+
+    if (elements.favorite && window.Favorites) {
+      window.Favorites.bindButton(elements.favorite, () => ({
+        type: 'loteamiento',
+        id: loteamiento.id,
+        name: elements.name.textContent,
+        area: loteamiento.total_dim_m2 || null,
+        url: getMapUrl()
+      }));
+    }
+
+    if (elements.contact && window.LotContact) {
+      window.LotContact.attach(elements.contact, () => ({
+        loteamientoName: elements.name.textContent,
+        area: loteamiento.total_dim_m2 || null,
+        url: window.location.href
+      }), { labelKey: 'lot_contact.label_loteamiento' });
+    }
+  }
+
+  /**
+   * Put the loteamiento name and description in the <title> and meta tags
+   * @param {string} name - Localized name
+   * @param {string} description - Localized description
+   */
+  function updateMetaTags(name, description) {
+    if (!window.I18n || typeof window.I18n.setMetaParams !== 'function') {
+      document.title = `${name} | Inmobiliaria MEGA Proyectos`;
+      return;
+    }
+
+    window.I18n.setMetaParams({
+      name,
+      description: truncate(description || '', DETAIL_CONFIG.metaDescriptionLength),
+      image: loteamiento.photo
+    });
+  }
+
+  /**
+   * Inject the RealEstateListing JSON-LD of the loteamiento (structured-data.js)
+   * in the current language
+   */
+  function updateStructuredData() {
+    if (!window.StructuredData) return;
+
+    const service = window.LoteamientoService;
+    const lang = getLanguage();
+    const raw = loteamiento._raw || {};
+
+    // Same URL as the canonical link: id, plus the language of ?lang= links
+    const url = new URL(window.StructuredData.getListingUrl(loteamiento.id));
+    const langParam = new URLSearchParams(window.location.search).get('lang');
+    if (langParam) {
+      url.searchParams.set('lang', langParam);
+    }
+
+    window.StructuredData.inject('loteamiento', window.StructuredData.buildListing(
+      {
+        ...loteamiento,
+        name: service.getLocalizedName(raw, lang),
+        description: service.getLocalizedDescription(raw, lang)
+      },
+      { url: url.toString(), lang, counts: estadoCounts }
+    ));
+  }
+
+  /**
+   * Show the error state
+   * @param {string} key - Translation key of the message
+   * @param {string} fallback - Spanish fallback
+   */
+  function showError(key, fallback) {
+    elements.loading.hidden = true;
+    elements.detail.hidden = true;
+    elements.error.hidden = false;
+    elements.errorText.textContent = t(key, fallback);
+  }
+
+  // ===========================
+  // DATA HELPERS
+  // ===========================
+
+  /**
+   * Get the centroid of the loteamiento
+   * @returns {Array|null} [lat, lng] or null if unknown
+   */
+  function getCentroid() {
+    const lat = parseFloat(loteamiento.centroid_lat || loteamiento.lat);
+    const lng = parseFloat(loteamiento.centroid_long || loteamiento.long);
+    return isNaN(lat) || isNaN(lng) || (lat === 0 && lng === 0) ? null : [lat, lng];
+  }
+
+  /**
+   * Create the boundary layer from the loteamiento geojson
+   * @returns {L.GeoJSON|null} Boundary layer or null without a valid geojson
+   */
+  function createOutline() {
+    if (!loteamiento.geojson) return null;
+
+    try {
+      const geojson = typeof loteamiento.geojson === 'string' ? JSON.parse(loteamiento.geojson) : loteamiento.geojson;
+      const layer = L.geoJSON(geojson, { style: DETAIL_CONFIG.outlineStyle });
+      return layer.getBounds().isValid() ? layer : null;
+    } catch (error) {
+      console.warn(`Invalid geojson for loteamiento ${loteamiento.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the valid interest points of the loteamiento
+   * Accepts the same formats as interest-points.js: a JSON string, an array,
+   * or { origin, interest_points: [...] }; coordinates.lat/lng win over latitude/longitude
+   * @returns {Array<Object>} Points as { name, lat, lng }
+   */
+  function getInterestPoints() {
+    let data = loteamiento.interest_points;
+
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        console.warn('Could not parse interest_points JSON:', error);
+        return [];
+      }
+    }
+
+    if (data && !Array.isArray(data) && Array.isArray(data.interest_points)) {
+      data = data.interest_points;
+    }
+
+    if (!Array.isArray(data)) return [];
+
+    return data
+      .map(point => {
+        const coordinates = point && point.coordinates && typeof point.coordinates === 'object' ? point.coordinates : {};
+        return {
+          name: point && point.name,
+          lat: typeof coordinates.lat === 'number' ? coordinates.lat : point && point.latitude,
+          lng: typeof coordinates.lng === 'number' ? coordinates.lng : point && point.longitude
+        };
+      })
+      .filter(point => point.name && typeof point.lat === 'number' && typeof point.lng === 'number');
+  }
+
+  /**
+   * Straight-line (haversine) distance between the loteamiento and a point
+   * @param {Array} origin - [lat, lng]
+   * @param {Object} point - { lat, lng }
+   * @returns {number} Distance in kilometres
+   */
+  function getDistanceKm(origin, point) {
+    const toRad = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = toRad(point.lat - origin[0]);
+    const dLng = toRad(point.lng - origin[1]);
+    const x = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(origin[0])) * Math.cos(toRad(point.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * 6371 * Math.asin(Math.sqrt(x));
+  }
+
+  /**
+   * Get the display name of a location category (same labels as the index chips)
+   * @param {string} location - Location category
+   * @returns {string} Localized location name
+   */
+  function getLocationName(location) {
+    const fallbacks = {
+      'colonia-independencia': 'Desarrollos propios',
+      'other-options': 'Otras opciones'
+    };
+    const key = `index.loteamientos.filters.${(location || '').replace(/-/g, '_')}`;
+    return t(key, fallbacks[location] || location || '');
+  }
+
+  // ===========================
+  // UTILITIES
+  // ===========================
+
+  /**
+   * Get the current language
+   * @returns {string} Language code
+   */
+  function getLanguage() {
+    return window.I18n && window.I18n.getCurrentLanguage ? window.I18n.getCurrentLanguage() : 'es';
+  }
+
+  /**
+   * Format a number for the current language
+   * @param {number} value - Number
+   * @param {number} decimals - Fraction digits (default 0)
+   * @returns {string} Formatted number
+   */
+  function formatNumber(value, decimals = 0) {
+    const locale = DETAIL_CONFIG.locales[getLanguage()] || DETAIL_CONFIG.locales.es;
+    return Number(value).toLocaleString(locale, {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    });
+  }
+
+  /**
+   * Shorten a text at a word boundary
+   * @param {string} text - Text
+   * @param {number} maxLength - Maximum length
+   * @returns {string} Text with an ellipsis when shortened
+   */
+  function truncate(text, maxLength) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    if (clean.length <= maxLength) return clean;
+
+    const cut = clean.slice(0, maxLength);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxLength)}…`;
+  }
+
+  /**
+   * Translate a key with fallback when i18n is missing or key is unknown
+   * @param {string} key - Translation key
+   * @param {string} fallback - Fallback text
+   * @returns {string} Translated text
+   */
+  function t(key, fallback) {
+    if (window.I18n && window.I18n.isInitialized && window.I18n.isInitialized()) {
+      const translated = window.I18n.t(key);
+      if (translated && translated !== key) {
+        return translated;
+      }
+    }
+    return fallback;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  // Initialize when DOM is loaded
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeDetailPage);
+  } else {
+    initializeDetailPage();
+  }
+
+})();
@@ -8,6 +8,8 @@ const map = L.map('map', { zoomControl: false, zoomAnimation: true }).setView([-
 
 /**
  * Parse URL parameters for loteamiento data
+ * Besides the loteamiento, deep links may carry the selected lote, zoom,
+ * active estado filters and interest points visibility
  * @returns {Object|null} Parsed parameters or null
  */
 function parseURLParameters() {
@@ -17,13 +19,21 @@ function parseURLParameters() {
   const loteamientoName = params.get('name');
   const lat = params.get('lat');
   const lng = params.get('lng');
+  const zoom = params.get('zoom');
+  const estados = params.get('estados');
+  const poi = params.get('poi');
 
   if (loteamientoId) {
     return {
       id: loteamientoId,
       name: loteamientoName || 'Loteamiento',
       lat: parseFloat(lat) || null,
-      lng: parseFloat(lng) || null
+      lng: parseFloat(lng) || null,
+      loteId: params.get('lote') || null,
+      zoom: parseInt(zoom, 10) || null,
+      // null = all estados visible (param absent)
+      estados: estados !== null ? estados.split(',').filter(Boolean) : null,
+      showInterestPoints: poi !== '0'
     };
   }
 
@@ -33,6 +43,189 @@ function parseURLParameters() {
 // Parse URL parameters on page load
 const urlParams = parseURLParameters();
 
+// Debounce timer for URL state updates
+let urlStateTimer = null;
+
+// Deep link state is only written once the initial view has been restored
+let isURLStateSyncEnabled = false;
+
+/**
+ * Write the current map state to the URL (history.replaceState)
+ * so the address bar always holds a shareable deep link
+ */
+function updateURLState() {
+  if (!urlParams || !isURLStateSyncEnabled) return;
+
+  const params = new URLSearchParams();
+  const center = map.getCenter();
+
+  params.set('loteamiento', urlParams.id);
+  params.set('name', urlParams.name);
+  params.set('lat', center.lat.toFixed(6));
+  params.set('lng', center.lng.toFixed(6));
+  params.set('zoom', map.getZoom());
+
+  // Selected lote (desktop sidebar or mobile card)
+  const mobileData = mobileParcelCard && mobileParcelCard.isCardVisible() ? mobileParcelCard.currentParcelData : null;
+  const selectedLote = currentSelectedParcel || (mobileData && !mobileData.isInterestPoint ? mobileData : null);
+  if (selectedLote && selectedLote.id !== undefined && selectedLote.id !== null) {
+    params.set('lote', selectedLote.id);
+  }
+
+  // Estado filters - only written when at least one is switched off
+  const statusMap = { disponible: 'disponibles', reservado: 'reservados', vendido: 'vendidos' };
+  const activeEstados = Object.keys(statusMap).filter(status => filterState[statusMap[status]]);
+  if (activeEstados.length < Object.keys(statusMap).length) {
+    params.set('estados', activeEstados.join(','));
+  }
+
+  // Interest points visibility
+  if (window.interestPointsManager && !window.interestPointsManager.isInterestPointsVisible()) {
+    params.set('poi', '0');
+  }
+
+  // Keep the language of ?lang= links (hreflang alternates in the sitemaps)
+  const lang = new URLSearchParams(window.location.search).get('lang');
+  if (lang) {
+    params.set('lang', lang);
+  }
+
+  history.replaceState(null, '', `${window.location.pathname}?${params.toString()}`);
+}
+
+/**
+ * Schedule a debounced URL state update
+ */
+function scheduleURLStateUpdate() {
+  clearTimeout(urlStateTimer);
+  urlStateTimer = setTimeout(updateURLState, 300);
+}
+
+/**
+ * Restore filters, interest points, viewport and selected lote from a deep link
+ * Runs after lotes are rendered
+ * @param {Object} params - Parsed URL parameters
+ */
+function restoreDeepLinkState(params) {
+  // Estado filters
+  if (params.estados) {
+    ['disponible', 'reservado', 'vendido'].forEach(status => {
+      if (!params.estados.includes(status)) {
+        toggleFilter(status);
+
+        const mobileFilter = document.getElementById(`mobileFilter${status.charAt(0).toUpperCase() + status.slice(1)}`);
+        if (mobileFilter) {
+          mobileFilter.checked = false;
+        }
+      }
+    });
+  }
+
+  // Interest points visibility
+  if (!params.showInterestPoints && window.interestPointsManager) {
+    window.interestPointsManager.hide();
+    window.interestPointsManager.syncDesktopToggleState();
+  }
+
+  // Viewport
+  if (params.zoom && params.lat && params.lng) {
+    map.setView([params.lat, params.lng], params.zoom);
+  }
+
+  // Selected lote
+  if (params.loteId) {
+    const entry = lotLayerRegistry.get(String(params.loteId));
+
+    if (entry) {
+      if (!params.zoom) {
+        map.fitBounds(entry.layer.getBounds(), { padding: [80, 80], maxZoom: 19 });
+      }
+      openLotDetails(entry.lote);
+    } else {
+      console.warn(`Deep link lote ${params.loteId} not found in this loteamiento`);
+    }
+  }
+
+  isURLStateSyncEnabled = true;
+  updateURLState();
+}
+
+/**
+ * Copy the current deep link to the clipboard
+ */
+async function copyDeepLink() {
+  updateURLState();
+
+  const t = (key, fallback) => (window.i18n && window.i18n.t ? window.i18n.t(key) : fallback);
+
+  try {
+    await navigator.clipboard.writeText(window.location.href);
+    createToast('success', t('mapa.sidebar.link_copied.title', 'Enlace copiado'), t('mapa.sidebar.link_copied.message', 'Compartí este enlace para abrir el mismo lote en el mapa.'), 4000);
+  } catch (error) {
+    // Clipboard API unavailable (e.g. insecure context) - let the user copy manually
+    console.error('Could not copy link:', error);
+    window.prompt(t('mapa.sidebar.buttons.copy_link', 'Copiar enlace'), window.location.href);
+  }
+}
+
+/**
+ * Record an analytics event (analytics.js) for the current loteamiento
+ * @param {string} event - Event name (see ANALYTICS_EVENTS)
+ * @param {Object} [properties] - Event properties
+ */
+function trackEvent(event, properties = {}) {
+  if (window.Analytics) {
+    window.Analytics.track(event, { loteamiento_id: urlParams ? urlParams.id : null, ...properties });
+  }
+}
+
+/**
+ * Context for the "contact about this lot" links (lot-contact.js)
+ * @param {Object|null} parcelData - Displayed lote
+ * @returns {Object|null} { lotId, lotName, loteamientoName, area, url } or null without a lote
+ */
+function getLotContactContext(parcelData) {
+  if (!parcelData || parcelData.isInterestPoint) return null;
+
+  // Deep link to the lote (without viewport, the map fits the lote)
+  let url = window.location.href;
+  if (urlParams) {
+    const params = new URLSearchParams({ loteamiento: urlParams.id, name: urlParams.name, lote: parcelData.id });
+    url = new URL(`${window.location.pathname}?${params.toString()}`, window.location.origin).toString();
+  }
+
+  const area = parseFloat(parcelData.area_m2_rounded || parcelData.area);
+
+  return {
+    lotId: parcelData.id,
+    lotName: parcelData.nombre || parcelData.name,
+    loteamientoName: (currentLoteamiento && currentLoteamiento.name) || (urlParams && urlParams.name),
+    area: isNaN(area) ? null : area,
+    url
+  };
+}
+
+/**
+ * Favorites entry for a displayed lote (favorites.js)
+ * @param {Object|null} parcelData - Displayed lote
+ * @returns {Object|null} Favorites entry or null without a lote
+ */
+function getFavoriteEntry(parcelData) {
+  const context = getLotContactContext(parcelData);
+  if (!context) return null;
+
+  return {
+    type: 'lote',
+    id: context.lotId,
+    name: context.lotName,
+    loteamientoId: urlParams ? urlParams.id : parcelData.loteamiento_id,
+    loteamientoName: context.loteamientoName,
+    area: context.area,
+    estado: parcelData.estado,
+    url: context.url
+  };
+}
+
 // ===========================
 // TOOLTIP CLASS - Following Single Responsibility Principle
 // ===========================
@@ -457,9 +650,21 @@ class MobileParcelCard {
       coordinates: document.getElementById('mobileCardCoordinates'),
       price: document.getElementById('mobileCardPrice'),
       reserveBtn: document.getElementById('mobileReserveBtn'),
+      contact: document.getElementById('mobileLotContact'),
+      favoriteBtn: document.getElementById('mobileFavoriteBtn'),
       closeBtn: document.getElementById('mobileCardClose')
     };
 
+    // Contact links (WhatsApp, Telegram, email) for the displayed lote
+    if (window.LotContact) {
+      window.LotContact.attach(this.elements.contact, () => getLotContactContext(this.currentParcelData));
+    }
+
+    // Heart button for the displayed lote
+    if (window.Favorites) {
+      window.Favorites.bindButton(this.elements.favoriteBtn, () => getFavoriteEntry(this.currentParcelData));
+    }
+
     // Initialize event listeners
     if (this.elements.closeBtn) {
       this.elements.closeBtn.addEventListener('click', this.handleClose);
@@ -539,6 +744,9 @@ class MobileParcelCard {
 
     // Update card content
     this.updateCardContent(parcelData);
+    if (window.Favorites) {
+      window.Favorites.refreshButtons();
+    }
 
     // Show card with floating animation
     if (window.innerWidth < 768) {
@@ -552,6 +760,7 @@ class MobileParcelCard {
     requestAnimationFrame(() => {
       this.card.classList.add('visible');
       this.isVisible = true;
+      scheduleURLStateUpdate();
     });
   }
 
@@ -620,7 +829,8 @@ class MobileParcelCard {
     if (estado.includes('punto-interes')) {
       statusClass = 'punto-interes';
     } else if (estado.includes('res')) {
-      statusClass = 'reservado';
+      // Held by a buyer who is filling in the reservation form
+      statusClass = parcelData.hold ? 'pending' : 'reservado';
     } else if (estado.includes('ven')) {
       statusClass = 'vendido';
     }
@@ -637,6 +847,7 @@ class MobileParcelCard {
       // Fallback texts
       if (statusClass === 'punto-interes') statusText = 'Punto de Interés';
       else if (statusClass === 'reservado') statusText = 'Reservado';
+      else if (statusClass === 'pending') statusText = 'Reserva en curso';
       else if (statusClass === 'vendido') statusText = 'Vendido';
     }
 
@@ -683,7 +894,7 @@ class MobileParcelCard {
       }
     }
 
-    // Set price in European format (hide for interest points)
+    // Set price in the selected currency (hide for interest points)
     const price = parcelData.precio || parcelData.price;
     if (this.elements.price) {
       if (isInterestPoint) {
@@ -692,15 +903,18 @@ class MobileParcelCard {
       } else {
         this.elements.price.style.display = 'block';
         if (price && price !== 'null' && price !== '' && price !== 0) {
-          // Format price in European format (e.g., "160.705,65 €")
-          const formattedPrice = formatEuroPrice(price);
-          this.elements.price.textContent = formattedPrice;
+          this.elements.price.textContent = formatPrice(price);
         } else {
           this.elements.price.textContent = window.i18n && window.i18n.t ? window.i18n.t('mapa.sidebar.labels.consult') : 'Consultar';
         }
       }
     }
 
+    // Contact links are only offered for lotes
+    if (this.elements.contact) {
+      this.elements.contact.hidden = isInterestPoint;
+    }
+
     // Configure action button (reserve for disponible, interest for reservado)
     if (this.elements.reserveBtn) {
       if (parcelData.isInterestPoint || estado.includes('punto-interes')) {
@@ -754,6 +968,7 @@ class MobileParcelCard {
 
     this.isVisible = false;
     this.currentParcelData = null;
+    scheduleURLStateUpdate();
   }
 
   handleClose() {
@@ -1065,9 +1280,34 @@ class MobileBottomSheets {
   }
 }
 
+/**
+ * Run code that loads third-party tiles once the visitor allows the 'media'
+ * consent category (consent-manager.js)
+ * @param {Function} callback - Code that adds tile layers
+ */
+function whenMediaAllowed(callback) {
+  if (window.ConsentManager) {
+    window.ConsentManager.whenGranted('media', callback);
+  } else {
+    callback();
+  }
+}
+
+/**
+ * Check whether third-party tiles may be loaded
+ * @returns {boolean} True if the 'media' consent category is granted
+ */
+function isMediaAllowed() {
+  return !window.ConsentManager || window.ConsentManager.hasConsent('media');
+}
+
 // Tile layer (usar OSM y estilizar con CSS para escala de grises)
+// Only loaded after consent; lots and boundaries are drawn either way
 const base = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', { maxZoom: 20 });
-base.addTo(map);
+whenMediaAllowed(() => base.addTo(map));
+if (window.ConsentManager) {
+  window.ConsentManager.renderPlaceholder(document.getElementById('map'), 'media');
+}
 
 // Control de capas por estado y tipo de objeto
 const capas = {
@@ -1096,12 +1336,19 @@ let parcelCounts = {
   vendidos: 0
 };
 
+// Rendered lotes indexed by lote id: { lote, layer, objectType, category }
+const lotLayerRegistry = new Map();
+
 // Sidebar functionality - Initialize after DOM is loaded
 let sidebarLeft, sidebarClose, emptyState, parcelInfo;
 let parcelImage, parcelStatusBadge, parcelName, parcelDescription, parcelLados;
 let parcelCoordinates, parcelArea, parcelPrice, reserveBtn, interestBtn;
 let isSidebarVisible = false;
 let currentSelectedParcel = null; // Store currently selected parcel for language switching
+let sidebarFinancingCalculator = null;
+
+// Loteamiento shown on the map (financing terms, interest points...)
+let currentLoteamiento = null;
 
 // Interest modal elements
 let interestModal, interestModalBackdrop, interestForm, interestModalClose, interestCancelBtn;
@@ -1117,27 +1364,21 @@ let mobileBottomSheets;
 // ===========================
 
 /**
- * Format price in European format with euro symbol
- * @param {number} price - Price value
- * @returns {string} Formatted price (e.g., "160.705,65 €")
+ * Format a lot price in the visitor's currency (see currency.js)
+ * @param {number|string} price - Price in the base currency (EUR)
+ * @returns {string} Formatted price (e.g., "≈ ₲ 1.333.850.895", "160.705,65 €") or "Consultar"
  */
-function formatEuroPrice(price) {
+function formatPrice(price) {
   if (!price || price === 0) return window.i18n && window.i18n.t ? window.i18n.t('mapa.sidebar.labels.consult') : 'Consultar';
 
   // Convert to number if string
   const numPrice = typeof price === 'number' ? price : parseFloat(price);
 
-  // Format with 2 decimals
-  const priceStr = numPrice.toFixed(2);
-
-  // Split integer and decimal parts
-  const [integerPart, decimalPart] = priceStr.split('.');
-
-  // Add thousand separators (dots) to integer part
-  const formattedInteger = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+  if (window.Currency) {
+    return window.Currency.format(numPrice);
+  }
 
-  // Combine with comma as decimal separator and euro symbol
-  return `${formattedInteger},${decimalPart} €`;
+  return new Intl.NumberFormat('de-DE', { style: 'currency', currency: 'EUR' }).format(numPrice);
 }
 
 // Función para color por estado - Using Design System Colors
@@ -1326,32 +1567,54 @@ function createObjectEventHandlers(objectType, objectData, estado = '') {
       }
       L.DomEvent.stopPropagation(e);
 
-      const isMobile = mobileResponsiveManager && mobileResponsiveManager.isMobileDevice();
-
-      // Proper mobile/desktop switching
-      if (isMobile) {
-        // Hide desktop sidebar if it's open
-        if (isSidebarVisible) {
-          hideParcelSidebar();
-        }
-        // Show mobile floating card
-        if (mobileParcelCard) {
-          mobileParcelCard.show(objectData);
-        }
-      } else {
-        // Hide mobile card if it's visible
-        if (mobileParcelCard && mobileParcelCard.isCardVisible()) {
-          mobileParcelCard.hide();
-        }
-        // Show desktop sidebar
-        showParcelSidebar(objectData);
+      // Measurement tools take over lot clicks while active
+      if (isMeasuring()) {
+        handleMeasureLotClick(objectData, e.latlng);
+        return;
       }
+
+      openLotDetails(objectData);
     };
   }
 
   return eventHandlers;
 }
 
+/**
+ * Open lote details in the mobile card or the desktop sidebar
+ * @param {Object} objectData - Lote data
+ */
+function openLotDetails(objectData) {
+  const isMobile = mobileResponsiveManager && mobileResponsiveManager.isMobileDevice();
+
+  if (objectData && !objectData.isInterestPoint) {
+    trackEvent('lot_viewed', {
+      lot_id: objectData.id,
+      estado: objectData.hold ? 'pending' : objectData.estado,
+      surface: isMobile ? 'mobile_card' : 'sidebar'
+    });
+  }
+
+  // Proper mobile/desktop switching
+  if (isMobile) {
+    // Hide desktop sidebar if it's open
+    if (isSidebarVisible) {
+      hideParcelSidebar();
+    }
+    // Show mobile floating card
+    if (mobileParcelCard) {
+      mobileParcelCard.show(objectData);
+    }
+  } else {
+    // Hide mobile card if it's visible
+    if (mobileParcelCard && mobileParcelCard.isCardVisible()) {
+      mobileParcelCard.hide();
+    }
+    // Show desktop sidebar
+    showParcelSidebar(objectData);
+  }
+}
+
 // Open/Closed Principle: Easily extendable layer categorization
 function categorizeObjectToLayer(objectType, estado = '') {
   // For LOTE objects, use estado-based categorization
@@ -1398,6 +1661,12 @@ function initializeSidebarElements() {
   parcelPrice = document.getElementById('parcelPrice');
   reserveBtn = document.getElementById('reserveBtn');
 
+  // Instalment calculator below the price
+  const financingContainer = document.getElementById('sidebarFinancing');
+  if (financingContainer && window.FinancingCalculator) {
+    sidebarFinancingCalculator = new FinancingCalculator(financingContainer);
+  }
+
   // Interest modal elements
   interestModal = document.getElementById('interestModal');
   interestModalBackdrop = document.getElementById('interestModalBackdrop');
@@ -1492,7 +1761,8 @@ function showParcelSidebar(parcelData) {
   let statusClass = 'disponible';
 
   if (estado.includes('reservado')) {
-    statusClass = 'reservado';
+    // Held by a buyer who is filling in the reservation form
+    statusClass = parcelData.hold ? 'pending' : 'reservado';
   } else if (estado.includes('no_disponible') || estado.includes('vendido')) {
     statusClass = 'vendido';
   }
@@ -1597,18 +1867,22 @@ function showParcelSidebar(parcelData) {
     }
   }
 
-  // Set price with European currency formatting
+  // Set price in the selected currency
   const price = parcelData.precio || parcelData.price;
   if (parcelPrice) {
     if (price && price !== 'null' && price !== '' && price !== 0) {
-      // Format price in European format (e.g., "160.705,65 €")
-      const formattedPrice = formatEuroPrice(price);
-      parcelPrice.textContent = formattedPrice;
+      parcelPrice.textContent = formatPrice(price);
     } else {
       parcelPrice.textContent = window.i18n && window.i18n.t ? window.i18n.t('mapa.sidebar.labels.consult') : 'Consultar';
     }
   }
 
+  // Instalment calculator, only for available lots with a published price
+  if (sidebarFinancingCalculator) {
+    const canFinance = statusClass === 'disponible' && price && price !== 'null';
+    sidebarFinancingCalculator.setLot(canFinance ? price : null, currentLoteamiento && currentLoteamiento.financing);
+  }
+
   // Configure action button based on availability (reserve for disponible, interest for reservado)
   if (reserveBtn) {
     if (estado.includes('disponible')) {
@@ -1644,6 +1918,16 @@ function showParcelSidebar(parcelData) {
     }
   }
 
+  // Sync compare button with the pinned lots (lot-compare.js)
+  if (window.lotCompareManager) {
+    window.lotCompareManager.syncSidebarButton(parcelData);
+  }
+
+  // Sync heart button with the saved favorites (favorites.js)
+  if (window.Favorites) {
+    window.Favorites.refreshButtons();
+  }
+
   // Show parcel details and hide empty state
   if (emptyState) {
     emptyState.style.display = 'none';
@@ -1655,7 +1939,12 @@ function showParcelSidebar(parcelData) {
   // Open sidebar with animation
   sidebarLeft.classList.add('open');
 
+  if (!isSidebarVisible) {
+    trackEvent('sidebar_opened', { lot_id: parcelData.id });
+  }
+
   isSidebarVisible = true;
+  scheduleURLStateUpdate();
 }
 
 // Function to hide sidebar
@@ -1679,6 +1968,7 @@ function hideParcelSidebar() {
   sidebarLeft.classList.remove('open');
 
   isSidebarVisible = false;
+  scheduleURLStateUpdate();
 }
 
 // Function to toggle sidebar visibility
@@ -1716,6 +2006,22 @@ function initializeSidebarEventHandlers() {
   // Sidebar event handlers
   sidebarClose.addEventListener('click', hideParcelSidebar);
 
+  // Copy deep link to the selected lote
+  const copyLinkBtn = document.getElementById('copyLinkBtn');
+  if (copyLinkBtn) {
+    copyLinkBtn.addEventListener('click', copyDeepLink);
+  }
+
+  // Contact links (WhatsApp, Telegram, email) for the selected lote
+  if (window.LotContact) {
+    window.LotContact.attach(document.getElementById('lotContact'), () => getLotContactContext(currentSelectedParcel));
+  }
+
+  // Heart button for the selected lote
+  if (window.Favorites) {
+    window.Favorites.bindButton(document.getElementById('favoriteBtn'), () => getFavoriteEntry(currentSelectedParcel));
+  }
+
   // Prevent sidebar from closing when clicking inside it
   sidebarLeft.addEventListener('click', (e) => {
     e.stopPropagation();
@@ -1817,6 +2123,12 @@ function toggleFilter(status) {
 
     // Update map layers visibility
     updateLayerVisibility();
+    scheduleURLStateUpdate();
+
+    // Filters restored from a deep link are not the visitor's choice
+    if (isURLStateSyncEnabled) {
+      trackEvent('filter_toggled', { filter: 'estado', value: status, active: filterState[layerKey] });
+    }
   }
 }
 
@@ -1867,131 +2179,1058 @@ function updateMobileParcelCounts() {
   }
 }
 
+// ===========================
+// ADVANCED FILTERS
+// Area, price and frontage ranges plus name search
+// ===========================
+
+// Range filter definitions (value accessors read the LoteService map format)
+const ADVANCED_FILTER_RANGES = {
+  area: {
+    labelKey: 'mapa.filters.area',
+    step: 1,
+    getValue: (lote) => parseFloat(lote.area_m2_rounded || lote.area),
+    format: (value) => `${Math.round(value).toLocaleString()} m²`
+  },
+  price: {
+    labelKey: 'mapa.filters.price',
+    step: 1,
+    getValue: (lote) => parseFloat(lote.precio || lote.price),
+    format: (value) => formatPrice(value)
+  },
+  frontage: {
+    labelKey: 'mapa.filters.frontage',
+    step: 0.5,
+    getValue: (lote) => getLoteFrontage(lote),
+    format: (value) => `${value.toLocaleString()} m`
+  }
+};
+
+// Current advanced filter selection
+let advancedFilterState = {
+  search: '',
+  ranges: {}
+};
+
+// Data bounds per range filter ({min, max} or null when no lote has the value)
+let advancedFilterBounds = {};
+
 /**
- * Load and render map data
- * Handles both URL parameter-based loading (from index page)
- * and fallback to KML file for backward compatibility
+ * Get frontage (first side) of a lote in meters
+ * Uses numeric lados_values when available, otherwise parses the formatted lados text
+ * @param {Object} lote - Lote data
+ * @returns {number} Frontage in meters or NaN
  */
-async function loadMapData() {
-  try {
-    // Check if we have URL parameters for dynamic loading
-    if (urlParams && urlParams.id) {
-      console.log(`Loading loteamiento from Supabase: ${urlParams.id}`);
-      await loadLoteamientoFromSupabase(urlParams);
-      return;
-    }
+function getLoteFrontage(lote) {
+  if (Array.isArray(lote.lados_values) && lote.lados_values.length > 0) {
+    return lote.lados_values[0];
+  }
 
-    // Fallback to KML file loading for backward compatibility
-    console.log('No URL parameters found, loading default KML file');
-    await loadKMLFile();
+  const lados = (lote.lados || '').toString();
+  if (lados.includes('m²')) return NaN; // sup_legal fallback, not a side length
 
-  } catch (error) {
-    console.error('Error loading map data:', error);
-    alert(`Error cargando datos del mapa: ${error.message}\n\nPor favor, recarga la página o contacta al administrador.`);
-  }
+  const match = lados.match(/\d+(?:[.,]\d+)?/);
+  return match ? parseFloat(match[0].replace(',', '.')) : NaN;
 }
 
 /**
- * Load loteamiento and lotes from Supabase
- * @param {Object} params - URL parameters
+ * Normalize text for accent- and case-insensitive search
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
  */
-async function loadLoteamientoFromSupabase(params) {
-  try {
-    // Check if services are available
-    if (!window.LoteamientoService || !window.LoteService) {
-      throw new Error('Supabase services not initialized. Please check script loading order.');
-    }
+function normalizeSearchText(text) {
+  return (text || '')
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
 
-    // Update map header with loteamiento name
-    const mapTitle = document.querySelector('.map-title');
-    if (mapTitle) {
-      mapTitle.textContent = `${params.name}`;
-    }
+/**
+ * Get registered LOTE entries (excludes plazas and calles)
+ * @returns {Array<Object>} Registry entries
+ */
+function getRegisteredLotEntries() {
+  return Array.from(lotLayerRegistry.values()).filter(entry => entry.objectType === OBJECT_TYPES.LOTE);
+}
 
-    // Center map on loteamiento coordinates if available
-    if (params.lat && params.lng) {
-      map.setView([params.lat, params.lng], 16);
-    }
+/**
+ * Compute range bounds from loaded lotes and render filter controls
+ */
+function initializeAdvancedFilters() {
+  const entries = getRegisteredLotEntries();
 
-    // Fetch loteamiento details to get boundary geojson
-    const loteamiento = await window.LoteamientoService.fetchById(params.id);
+  advancedFilterBounds = {};
+  advancedFilterState = { search: '', ranges: {} };
 
-    if (!loteamiento) {
-      throw new Error(`Loteamiento ${params.id} not found`);
-    }
+  Object.keys(ADVANCED_FILTER_RANGES).forEach(key => {
+    const values = entries
+      .map(entry => ADVANCED_FILTER_RANGES[key].getValue(entry.lote))
+      .filter(value => !isNaN(value));
 
-    // Render loteamiento boundary if geojson available
-    if (loteamiento.geojson) {
-      renderLoteamientoBoundary(loteamiento.geojson);
-    } else {
-      // Try to get from sessionStorage
-      const storedGeojson = sessionStorage.getItem(`loteamiento_geojson_${params.id}`);
-      if (storedGeojson) {
-        renderLoteamientoBoundary(storedGeojson);
-      }
+    if (values.length === 0) {
+      advancedFilterBounds[key] = null;
+      return;
     }
 
-    // Initialize interest points feature if available
-    if (window.initializeInterestPoints) {
-      window.initializeInterestPoints(loteamiento);
-    }
+    const step = ADVANCED_FILTER_RANGES[key].step;
+    const bounds = {
+      min: Math.floor(Math.min(...values) / step) * step,
+      max: Math.ceil(Math.max(...values) / step) * step
+    };
 
-    // Fetch and render lotes
-    const lotes = await window.LoteService.fetchByLoteamiento(params.id);
+    advancedFilterBounds[key] = bounds;
+    advancedFilterState.ranges[key] = { ...bounds };
+  });
 
-    if (!lotes || lotes.length === 0) {
-      console.warn('No lotes found for this loteamiento');
-      alert('No se encontraron lotes para este loteamiento.');
-      return;
+  ['advancedFilters', 'mobileAdvancedFilters'].forEach(containerId => {
+    const container = document.getElementById(containerId);
+    if (container) {
+      renderAdvancedFilterControls(container);
     }
+  });
 
-    // Process and render each lote
-    lotes.forEach(lote => {
-      renderLote(lote);
+  document.querySelectorAll('.advanced-filter-section').forEach(section => {
+    section.style.display = entries.length > 0 ? '' : 'none';
+  });
+
+  syncAdvancedFilterControls();
+}
+
+/**
+ * Render search box, range sliders and reset button into a container
+ * @param {HTMLElement} container - Target container
+ */
+function renderAdvancedFilterControls(container) {
+  const t = (key, fallback) => (window.i18n && window.i18n.t ? window.i18n.t(key) : fallback);
+
+  container.innerHTML = '';
+
+  // Name search
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.className = 'filter-search-input';
+  search.setAttribute('data-filter-search', '');
+  search.setAttribute('data-i18n-attr', 'placeholder:mapa.filters.search_placeholder');
+  search.placeholder = t('mapa.filters.search_placeholder', 'Buscar lote por nombre');
+  search.addEventListener('input', () => {
+    advancedFilterState.search = search.value;
+    applyAdvancedFilters();
+  });
+  container.appendChild(search);
+
+  // Range sliders (skipped when no lote has a value, e.g. unpublished prices)
+  Object.keys(ADVANCED_FILTER_RANGES).forEach(key => {
+    const bounds = advancedFilterBounds[key];
+    if (!bounds) return;
+
+    const definition = ADVANCED_FILTER_RANGES[key];
+    const group = document.createElement('div');
+    group.className = 'filter-group';
+    group.setAttribute('data-filter', key);
+
+    const header = document.createElement('div');
+    header.className = 'filter-group-header';
+
+    const label = document.createElement('span');
+    label.className = 'filter-label';
+    label.setAttribute('data-i18n', definition.labelKey);
+    label.textContent = t(definition.labelKey, key);
+
+    const value = document.createElement('span');
+    value.className = 'filter-range-value';
+
+    header.appendChild(label);
+    header.appendChild(value);
+    group.appendChild(header);
+
+    const range = document.createElement('div');
+    range.className = 'filter-range';
+
+    ['min', 'max'].forEach(bound => {
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.className = 'filter-range-input';
+      input.min = bounds.min;
+      input.max = bounds.max;
+      input.step = definition.step;
+      input.setAttribute('data-bound', bound);
+      input.addEventListener('input', () => handleAdvancedRangeInput(key, bound, parseFloat(input.value)));
+      range.appendChild(input);
     });
 
-    // Update parcel counts in legend and mobile
-    updateParcelCounts();
-    updateMobileParcelCounts();
+    group.appendChild(range);
+    container.appendChild(group);
+  });
 
-    // Initialize with all layers visible
-    capas.disponibles.addTo(map);
-    capas.reservados.addTo(map);
-    capas.vendidos.addTo(map);
-    capas.plazas.addTo(map);
-    capas.callesProyectadas.addTo(map);
+  // Result summary and reset
+  const footer = document.createElement('div');
+  footer.className = 'filter-footer';
 
-    // Fit map to show all lotes
-    fitMapToLotes();
+  const summary = document.createElement('span');
+  summary.className = 'filter-summary';
 
-    console.log(`✓ Loaded ${lotes.length} lotes from Supabase`);
+  const reset = document.createElement('button');
+  reset.type = 'button';
+  reset.className = 'filter-reset-btn';
+  reset.setAttribute('data-i18n', 'mapa.filters.reset');
+  reset.textContent = t('mapa.filters.reset', 'Limpiar filtros');
+  reset.addEventListener('click', resetAdvancedFilters);
 
-  } catch (error) {
-    console.error('Error loading from Supabase:', error);
-    throw error;
-  }
+  footer.appendChild(summary);
+  footer.appendChild(reset);
+  container.appendChild(footer);
 }
 
 /**
- * Render loteamiento boundary polygon
- * @param {string|Object} geojsonData - GeoJSON data
+ * Handle a range slider change, keeping min <= max
+ * @param {string} key - Range filter key (area, price, frontage)
+ * @param {string} bound - 'min' or 'max'
+ * @param {number} value - New slider value
  */
-function renderLoteamientoBoundary(geojsonData) {
-  try {
-    // Parse if string
-    const geojson = typeof geojsonData === 'string' ? JSON.parse(geojsonData) : geojsonData;
+function handleAdvancedRangeInput(key, bound, value) {
+  const range = advancedFilterState.ranges[key];
+  if (!range) return;
 
-    // Create boundary layer with distinctive styling
-    const boundaryStyle = {
-      color: '#FF6B35',
-      weight: 3,
-      opacity: 0.8,
-      fillColor: '#FF6B35',
-      fillOpacity: 0.1,
-      dashArray: '10, 5'
-    };
+  if (bound === 'min') {
+    range.min = Math.min(value, range.max);
+  } else {
+    range.max = Math.max(value, range.min);
+  }
 
-    const boundaryLayer = L.geoJSON(geojson, {
+  applyAdvancedFilters();
+}
+
+/**
+ * Check if a range filter has been narrowed from its data bounds
+ * @param {string} key - Range filter key
+ * @returns {boolean} True if active
+ */
+function isAdvancedRangeActive(key) {
+  const bounds = advancedFilterBounds[key];
+  const range = advancedFilterState.ranges[key];
+  return !!(bounds && range && (range.min > bounds.min || range.max < bounds.max));
+}
+
+/**
+ * Check whether a lote matches the current advanced filters
+ * Lotes without a value only drop out once that range is narrowed
+ * @param {Object} lote - Lote data
+ * @returns {boolean} True if lote should be visible
+ */
+function matchesAdvancedFilters(lote) {
+  const query = normalizeSearchText(advancedFilterState.search);
+  if (query) {
+    const raw = lote._raw || {};
+    const names = [lote.nombre, lote.name, raw.nombre, raw.nombre_en, raw.nombre_de];
+    if (!names.some(name => normalizeSearchText(name).includes(query))) {
+      return false;
+    }
+  }
+
+  return Object.keys(ADVANCED_FILTER_RANGES).every(key => {
+    if (!isAdvancedRangeActive(key)) return true;
+
+    const value = ADVANCED_FILTER_RANGES[key].getValue(lote);
+    const range = advancedFilterState.ranges[key];
+    return !isNaN(value) && value >= range.min && value <= range.max;
+  });
+}
+
+/**
+ * Show/hide lote polygons according to advanced filters and refresh counts
+ */
+function applyAdvancedFilters() {
+  getRegisteredLotEntries().forEach(entry => {
+    const layerGroup = capas[entry.category];
+    const visible = matchesAdvancedFilters(entry.lote);
+
+    if (visible && !layerGroup.hasLayer(entry.layer)) {
+      layerGroup.addLayer(entry.layer);
+    } else if (!visible && layerGroup.hasLayer(entry.layer)) {
+      layerGroup.removeLayer(entry.layer);
+    }
+  });
+
+  recalculateParcelCounts();
+  updateParcelCounts();
+  updateMobileParcelCounts();
+  syncAdvancedFilterControls();
+}
+
+/**
+ * Recalculate legend counts from registered lotes matching the advanced filters
+ */
+function recalculateParcelCounts() {
+  parcelCounts.disponibles = 0;
+  parcelCounts.reservados = 0;
+  parcelCounts.vendidos = 0;
+
+  getRegisteredLotEntries().forEach(entry => {
+    if (parcelCounts[entry.category] !== undefined && matchesAdvancedFilters(entry.lote)) {
+      parcelCounts[entry.category]++;
+    }
+  });
+}
+
+/**
+ * Reset advanced filters to the full data bounds
+ */
+function resetAdvancedFilters() {
+  advancedFilterState.search = '';
+  Object.keys(advancedFilterBounds).forEach(key => {
+    if (advancedFilterBounds[key]) {
+      advancedFilterState.ranges[key] = { ...advancedFilterBounds[key] };
+    }
+  });
+
+  applyAdvancedFilters();
+}
+
+/**
+ * Sync desktop and mobile filter controls with the current state
+ */
+function syncAdvancedFilterControls() {
+  const total = getRegisteredLotEntries().length;
+  const visible = parcelCounts.disponibles + parcelCounts.reservados + parcelCounts.vendidos;
+  const summaryTemplate = window.i18n && window.i18n.t ? window.i18n.t('mapa.filters.summary') : '{visible} de {total} lotes';
+
+  document.querySelectorAll('.advanced-filters').forEach(container => {
+    const search = container.querySelector('[data-filter-search]');
+    if (search && search.value !== advancedFilterState.search) {
+      search.value = advancedFilterState.search;
+    }
+
+    container.querySelectorAll('.filter-group').forEach(group => {
+      const key = group.getAttribute('data-filter');
+      const range = advancedFilterState.ranges[key];
+      if (!range) return;
+
+      group.querySelectorAll('.filter-range-input').forEach(input => {
+        input.value = range[input.getAttribute('data-bound')];
+      });
+
+      const valueElement = group.querySelector('.filter-range-value');
+      if (valueElement) {
+        const format = ADVANCED_FILTER_RANGES[key].format;
+        valueElement.textContent = `${format(range.min)} – ${format(range.max)}`;
+      }
+
+      group.classList.toggle('active', isAdvancedRangeActive(key));
+    });
+
+    const summary = container.querySelector('.filter-summary');
+    if (summary) {
+      summary.textContent = summaryTemplate
+        .replace('{visible}', visible)
+        .replace('{total}', total);
+    }
+  });
+}
+
+// ===========================
+// MEASUREMENT TOOLS
+// Distance/area drawing and per-lot side lengths (haversine from interest-points.js)
+// ===========================
+
+const MEASURE_MODES = {
+  DISTANCE: 'distance',
+  AREA: 'area',
+  LOT: 'lot'
+};
+
+// Relative difference between computed and recorded area flagged as a data discrepancy
+const MEASURE_AREA_TOLERANCE = 0.05;
+
+// Same Earth radius as haversine() so lengths and areas agree
+const MEASURE_EARTH_RADIUS = 6371000;
+
+const MEASURE_STYLE = {
+  color: '#1f4b43',
+  weight: 3,
+  dashArray: '6, 6',
+  fillColor: '#1f4b43',
+  fillOpacity: 0.15
+};
+
+// Current measurement: active mode, drawn points and measured lote
+let measureState = {
+  mode: null,
+  points: [],
+  lote: null
+};
+
+// Layer group holding measurement geometry and labels
+let measureLayer = null;
+
+/**
+ * Wire the measurement toolbar
+ */
+function initializeMeasurementTools() {
+  const toolbar = document.getElementById('measureToolbar');
+  if (!toolbar) return;
+
+  measureLayer = L.layerGroup().addTo(map);
+
+  toolbar.querySelectorAll('[data-measure-mode]').forEach(button => {
+    button.addEventListener('click', () => {
+      const mode = button.getAttribute('data-measure-mode');
+      setMeasureMode(measureState.mode === mode ? null : mode);
+    });
+  });
+
+  const clearBtn = document.getElementById('measureClear');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', () => setMeasureMode(null));
+  }
+
+  // Clicks on lots are routed here by createObjectEventHandlers while measuring
+  map.on('click', (e) => {
+    if (measureState.mode === MEASURE_MODES.DISTANCE || measureState.mode === MEASURE_MODES.AREA) {
+      addMeasurePoint(e.latlng);
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && measureState.mode) {
+      setMeasureMode(null);
+    }
+  });
+}
+
+/**
+ * Check whether a measurement mode is active
+ * @returns {boolean} True while measuring
+ */
+function isMeasuring() {
+  return measureState.mode !== null;
+}
+
+/**
+ * Switch measurement mode (null leaves measurement mode)
+ * @param {string|null} mode - One of MEASURE_MODES or null
+ */
+function setMeasureMode(mode) {
+  measureState = { mode, points: [], lote: null };
+
+  if (measureLayer) {
+    measureLayer.clearLayers();
+  }
+
+  // Double click adds points instead of zooming while drawing
+  if (mode === MEASURE_MODES.DISTANCE || mode === MEASURE_MODES.AREA) {
+    map.doubleClickZoom.disable();
+  } else {
+    map.doubleClickZoom.enable();
+  }
+
+  map.getContainer().classList.toggle('measuring', !!mode);
+
+  document.querySelectorAll('[data-measure-mode]').forEach(button => {
+    const isActive = button.getAttribute('data-measure-mode') === mode;
+    button.classList.toggle('active', isActive);
+    button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+  });
+
+  if (mode && parcelTooltip.enabled) {
+    parcelTooltip.hide();
+  }
+
+  renderMeasureResult();
+}
+
+/**
+ * Handle a click on a lote while measuring
+ * @param {Object} lote - Lote data
+ * @param {L.LatLng} latlng - Clicked position
+ */
+function handleMeasureLotClick(lote, latlng) {
+  if (measureState.mode === MEASURE_MODES.LOT) {
+    measureLot(lote);
+  } else {
+    addMeasurePoint(latlng);
+  }
+}
+
+/**
+ * Add a vertex to the distance/area drawing
+ * @param {L.LatLng} latlng - Point
+ */
+function addMeasurePoint(latlng) {
+  measureState.points.push(latlng);
+  drawMeasureGeometry();
+  renderMeasureResult();
+}
+
+/**
+ * Redraw the distance polyline or area polygon with segment labels
+ */
+function drawMeasureGeometry() {
+  measureLayer.clearLayers();
+
+  const points = measureState.points;
+  const isArea = measureState.mode === MEASURE_MODES.AREA;
+
+  if (points.length > 1) {
+    const shape = isArea && points.length > 2
+      ? L.polygon(points, { ...MEASURE_STYLE, interactive: false })
+      : L.polyline(points, { ...MEASURE_STYLE, interactive: false });
+    shape.addTo(measureLayer);
+  }
+
+  points.forEach(point => {
+    L.circleMarker(point, {
+      radius: 4,
+      color: MEASURE_STYLE.color,
+      fillColor: '#ffffff',
+      fillOpacity: 1,
+      weight: 2,
+      interactive: false
+    }).addTo(measureLayer);
+  });
+
+  const segments = isArea && points.length > 2 ? [...points, points[0]] : points;
+  addSegmentLabels(segments);
+}
+
+/**
+ * Label each segment of a path with its length
+ * @param {Array<L.LatLng>} points - Path vertices
+ * @returns {Array<number>} Segment lengths in meters
+ */
+function addSegmentLabels(points) {
+  const lengths = [];
+
+  for (let i = 1; i < points.length; i++) {
+    const length = haversine(points[i - 1], points[i]);
+    if (length < 0.01) continue;
+
+    lengths.push(length);
+
+    const midpoint = L.latLng(
+      (points[i - 1].lat + points[i].lat) / 2,
+      (points[i - 1].lng + points[i].lng) / 2
+    );
+
+    L.marker(midpoint, {
+      interactive: false,
+      icon: L.divIcon({
+        className: 'measure-label',
+        html: `<span>${formatMeasureLength(length)}</span>`,
+        iconSize: null
+      })
+    }).addTo(measureLayer);
+  }
+
+  return lengths;
+}
+
+/**
+ * Outline a lote and label its computed side lengths
+ * @param {Object} lote - Lote data (LoteService map format)
+ */
+function measureLot(lote) {
+  measureLayer.clearLayers();
+
+  const ring = getLotOuterRing(lote);
+  if (!ring) {
+    measureState.lote = null;
+    renderMeasureResult();
+    return;
+  }
+
+  L.polygon(ring, { ...MEASURE_STYLE, dashArray: null, fillOpacity: 0, interactive: false }).addTo(measureLayer);
+
+  const sides = addSegmentLabels([...ring, ring[0]]);
+  const area = calculateGeodesicArea(ring);
+  const recordedArea = parseFloat(lote.area_m2_rounded);
+
+  measureState.lote = {
+    name: lote._raw ? lote._raw.nombre : (lote.nombre || lote.name),
+    sides,
+    area,
+    recordedArea: isNaN(recordedArea) ? null : recordedArea,
+    difference: isNaN(recordedArea) || recordedArea <= 0 ? null : (area - recordedArea) / recordedArea
+  };
+
+  if (measureState.lote.difference !== null && Math.abs(measureState.lote.difference) > MEASURE_AREA_TOLERANCE) {
+    console.warn(`Lote ${lote.id}: computed area ${area.toFixed(1)} m² differs from area_m2_rounded ${recordedArea} m²`);
+  }
+
+  renderMeasureResult();
+}
+
+/**
+ * Get the outer ring of a lote geometry (first polygon for MultiPolygon)
+ * @param {Object} lote - Lote data
+ * @returns {Array<L.LatLng>|null} Open ring (closing vertex removed) or null
+ */
+function getLotOuterRing(lote) {
+  const geometry = lote.feature && lote.feature.geometry;
+  if (!geometry) return null;
+
+  let coordinates = null;
+  if (geometry.type === 'Polygon') {
+    coordinates = geometry.coordinates[0];
+  } else if (geometry.type === 'MultiPolygon') {
+    coordinates = geometry.coordinates[0][0];
+  }
+
+  if (!coordinates || coordinates.length < 3) return null;
+
+  const ring = coordinates.map(([lng, lat]) => L.latLng(lat, lng));
+  if (same(ring[0], ring[ring.length - 1])) {
+    ring.pop();
+  }
+
+  return ring;
+}
+
+/**
+ * Area of a polygon on the sphere
+ * @param {Array<L.LatLng>} points - Polygon vertices (open ring)
+ * @returns {number} Area in square meters
+ */
+function calculateGeodesicArea(points) {
+  if (points.length < 3) return 0;
+
+  const toRad = (d) => (d * Math.PI) / 180;
+  let total = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    const p1 = points[i];
+    const p2 = points[(i + 1) % points.length];
+    total += toRad(p2.lng - p1.lng) * (2 + Math.sin(toRad(p1.lat)) + Math.sin(toRad(p2.lat)));
+  }
+
+  return Math.abs(total * MEASURE_EARTH_RADIUS * MEASURE_EARTH_RADIUS / 2);
+}
+
+/**
+ * Get the number formatting locale for the current language
+ * @returns {string} Locale
+ */
+function getMeasureLocale() {
+  const currentLang = (window.I18n && window.I18n.getCurrentLanguage) ? window.I18n.getCurrentLanguage() : 'es';
+  const localeMap = { 'es': 'es-PY', 'en': 'en-US', 'de': 'de-DE' };
+  return localeMap[currentLang] || 'es-PY';
+}
+
+/**
+ * Format a length (m below 1 km, km above)
+ * @param {number} meters - Length in meters
+ * @returns {string} Formatted length
+ */
+function formatMeasureLength(meters) {
+  const locale = getMeasureLocale();
+  if (meters >= 1000) {
+    return `${(meters / 1000).toLocaleString(locale, { maximumFractionDigits: 2 })} km`;
+  }
+  return `${meters.toLocaleString(locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} m`;
+}
+
+/**
+ * Format an area (m², plus hectares from 1 ha)
+ * @param {number} squareMeters - Area in square meters
+ * @returns {string} Formatted area
+ */
+function formatMeasureArea(squareMeters) {
+  const locale = getMeasureLocale();
+  const formatted = `${Math.round(squareMeters).toLocaleString(locale)} m²`;
+  if (squareMeters >= 10000) {
+    return `${formatted} (${(squareMeters / 10000).toLocaleString(locale, { maximumFractionDigits: 2 })} ha)`;
+  }
+  return formatted;
+}
+
+/**
+ * Render the measurement result panel for the current mode
+ */
+function renderMeasureResult() {
+  const result = document.getElementById('measureResult');
+  const clearBtn = document.getElementById('measureClear');
+  if (!result) return;
+
+  const t = (key) => window.i18n ? window.i18n.t(key) : key;
+  const { mode, points, lote } = measureState;
+  let html = '';
+
+  if (mode === MEASURE_MODES.DISTANCE) {
+    html = points.length < 2
+      ? `<p class="measure-hint">${t('mapa.measure.hint_distance')}</p>`
+      : `<p class="measure-value"><span>${t('mapa.measure.distance')}</span> <strong>${formatMeasureLength(polylineDistance(points))}</strong></p>`;
+  } else if (mode === MEASURE_MODES.AREA) {
+    if (points.length < 3) {
+      html = `<p class="measure-hint">${t('mapa.measure.hint_area')}</p>`;
+    } else {
+      html = `
+        <p class="measure-value"><span>${t('mapa.measure.area')}</span> <strong>${formatMeasureArea(calculateGeodesicArea(points))}</strong></p>
+        <p class="measure-value"><span>${t('mapa.measure.perimeter')}</span> <strong>${formatMeasureLength(polylineDistance([...points, points[0]]))}</strong></p>
+      `;
+    }
+  } else if (mode === MEASURE_MODES.LOT) {
+    html = lote
+      ? renderLotMeasurement(lote, t)
+      : `<p class="measure-hint">${t('mapa.measure.hint_lot')}</p>`;
+  }
+
+  result.innerHTML = html;
+  result.hidden = !mode;
+
+  // Lote names come from the database, so set them as text
+  const lotName = result.querySelector('.measure-lot-name');
+  if (lotName) {
+    lotName.textContent = lote.name;
+  }
+
+  if (clearBtn) {
+    clearBtn.hidden = !mode;
+  }
+}
+
+/**
+ * Build the result markup for a measured lote
+ * @param {Object} measurement - measureState.lote
+ * @param {Function} t - Translate function
+ * @returns {string} HTML
+ */
+function renderLotMeasurement(measurement, t) {
+  const sides = measurement.sides
+    .map((length, index) => `<li><span>${t('mapa.measure.side')} ${index + 1}</span> <strong>${formatMeasureLength(length)}</strong></li>`)
+    .join('');
+
+  let html = `
+    ${measurement.name ? '<p class="measure-lot-name"></p>' : ''}
+    <ul class="measure-sides">${sides}</ul>
+    <p class="measure-value"><span>${t('mapa.measure.computed_area')}</span> <strong>${formatMeasureArea(measurement.area)}</strong></p>
+  `;
+
+  if (measurement.recordedArea !== null) {
+    html += `<p class="measure-value"><span>${t('mapa.measure.recorded_area')}</span> <strong>${formatMeasureArea(measurement.recordedArea)}</strong></p>`;
+  }
+
+  if (measurement.difference !== null && Math.abs(measurement.difference) > MEASURE_AREA_TOLERANCE) {
+    const percent = Math.round(measurement.difference * 100);
+    html += `<p class="measure-warning" role="alert">${t('mapa.measure.area_mismatch').replace('{percent}', `${percent > 0 ? '+' : ''}${percent}%`)}</p>`;
+  }
+
+  return html;
+}
+
+// Initialize measurement toolbar when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializeMeasurementTools);
+} else {
+  initializeMeasurementTools();
+}
+
+// ===========================
+// OFFLINE SUPPORT
+// "Data as of" indicator (see offline-cache.js / sw.js)
+// ===========================
+
+// Time when live data was last loaded (shown if the connection drops afterwards)
+let liveDataLoadedAt = null;
+
+/**
+ * Show when the displayed data was fetched, if it is offline data
+ * or the connection dropped after loading
+ */
+function updateDataFreshnessIndicator() {
+  const indicator = document.getElementById('dataFreshness');
+  if (!indicator) return;
+
+  const snapshotAt = (window.LoteService && window.LoteService.offlineSnapshotAt) ||
+    (window.LoteamientoService && window.LoteamientoService.offlineSnapshotAt);
+
+  if (!snapshotAt && !liveDataLoadedAt) {
+    liveDataLoadedAt = new Date();
+  }
+
+  const dataDate = snapshotAt || (!navigator.onLine ? liveDataLoadedAt : null);
+
+  if (!dataDate) {
+    indicator.classList.remove('visible');
+    return;
+  }
+
+  const currentLang = (window.I18n && window.I18n.getCurrentLanguage) ? window.I18n.getCurrentLanguage() : 'es';
+  const localeMap = { 'es': 'es-PY', 'en': 'en-US', 'de': 'de-DE' };
+  const formattedDate = new Intl.DateTimeFormat(localeMap[currentLang] || 'es-PY', {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  }).format(dataDate);
+
+  const template = window.i18n && window.i18n.t ? window.i18n.t('mapa.offline.data_as_of') : 'Datos al {date}';
+  const offlineLabel = window.i18n && window.i18n.t ? window.i18n.t('mapa.offline.offline') : 'Sin conexión';
+
+  indicator.textContent = navigator.onLine
+    ? template.replace('{date}', formattedDate)
+    : `${offlineLabel} · ${template.replace('{date}', formattedDate)}`;
+  indicator.classList.add('visible');
+}
+
+window.addEventListener('online', updateDataFreshnessIndicator);
+window.addEventListener('offline', updateDataFreshnessIndicator);
+
+// ===========================
+// REALTIME LOTE UPDATES
+// ===========================
+
+/**
+ * Subscribe to lote row changes for the current loteamiento
+ * @param {string} loteamientoId - Loteamiento ID
+ */
+function subscribeToLoteChanges(loteamientoId) {
+  if (!window.LoteService || !window.LoteService.subscribeToLoteamiento) return;
+
+  window.LoteService.subscribeToLoteamiento(loteamientoId, handleRealtimeLoteChange);
+
+  // Close the channel when leaving the page
+  window.addEventListener('pagehide', () => window.LoteService.unsubscribe(), { once: true });
+}
+
+/**
+ * Apply a realtime lote change to the map
+ * @param {Object|null} lote - Updated lote in map format (null if removed)
+ * @param {Object|null} previousLote - Lote before the change
+ */
+function handleRealtimeLoteChange(lote, previousLote) {
+  const loteId = String(lote ? lote.id : previousLote && previousLote.id);
+  const entry = lotLayerRegistry.get(loteId);
+
+  if (!lote) {
+    // Lote deleted or no longer public
+    if (entry) {
+      capas[entry.category].removeLayer(entry.layer);
+      lotLayerRegistry.delete(loteId);
+    }
+  } else if (entry) {
+    updateLoteLayer(entry, lote);
+  } else {
+    renderLote(lote);
+  }
+
+  // Counts respect the advanced filters; also hides new lotes that don't match
+  applyAdvancedFilters();
+
+  notifySelectedLoteChange(loteId, lote, previousLote);
+
+  if (window.lotCompareManager && lote) {
+    window.lotCompareManager.refreshLot(lote);
+  }
+}
+
+/**
+ * Restyle an existing lote layer and move it to the capas layer of its new estado
+ * @param {Object} entry - lotLayerRegistry entry
+ * @param {Object} lote - Updated lote data
+ */
+function updateLoteLayer(entry, lote) {
+  const estado = lote.estado;
+  const objectType = detectObjectType(lote);
+  const newCategory = categorizeObjectToLayer(objectType, estado);
+
+  // Rebind handlers so hover/click use the new data and estado colours
+  const eventHandlers = createObjectEventHandlers(objectType, lote, estado);
+  entry.layer.eachLayer(featureLayer => {
+    featureLayer.off();
+    Object.keys(eventHandlers).forEach(eventName => {
+      featureLayer.on(eventName, eventHandlers[eventName]);
+    });
+  });
+
+  entry.layer.setStyle(getObjectStyle(objectType, estado));
+
+  if (newCategory !== entry.category) {
+    capas[entry.category].removeLayer(entry.layer);
+    capas[newCategory].addLayer(entry.layer);
+  }
+
+  entry.lote = lote;
+  entry.objectType = objectType;
+  entry.category = newCategory;
+}
+
+/**
+ * Refresh the open sidebar/mobile card and warn if its lote is no longer available
+ * @param {string} loteId - Changed lote ID
+ * @param {Object|null} lote - Updated lote data
+ * @param {Object|null} previousLote - Lote before the change
+ */
+function notifySelectedLoteChange(loteId, lote, previousLote) {
+  const sidebarLote = isSidebarVisible && currentSelectedParcel && String(currentSelectedParcel.id) === loteId;
+  const mobileData = mobileParcelCard && mobileParcelCard.isCardVisible() ? mobileParcelCard.currentParcelData : null;
+  const mobileLote = mobileData && String(mobileData.id) === loteId;
+
+  if (!sidebarLote && !mobileLote) return;
+
+  if (lote) {
+    if (sidebarLote) {
+      showParcelSidebar(lote);
+    } else {
+      mobileParcelCard.show(lote);
+    }
+  } else if (sidebarLote) {
+    hideParcelSidebar();
+  } else {
+    mobileParcelCard.hide();
+  }
+
+  const wasAvailable = previousLote && categorizeObjectToLayer(OBJECT_TYPES.LOTE, previousLote.estado) === 'disponibles';
+  const isAvailable = lote && categorizeObjectToLayer(OBJECT_TYPES.LOTE, lote.estado) === 'disponibles';
+
+  if (wasAvailable && !isAvailable) {
+    const t = (key, fallback) => (window.i18n && window.i18n.t ? window.i18n.t(key) : fallback);
+    createToast(
+      'warning',
+      t('mapa.realtime.unavailable_title', 'Lote no disponible'),
+      t('mapa.realtime.unavailable_message', 'El lote que estás viendo acaba de ser reservado o vendido.'),
+      8000
+    );
+  }
+}
+
+/**
+ * Load and render map data
+ * Handles both URL parameter-based loading (from index page)
+ * and fallback to KML file for backward compatibility
+ */
+async function loadMapData() {
+  try {
+    // Check if we have URL parameters for dynamic loading
+    if (urlParams && urlParams.id) {
+      console.log(`Loading loteamiento from Supabase: ${urlParams.id}`);
+      await loadLoteamientoFromSupabase(urlParams);
+      return;
+    }
+
+    // Fallback to KML file loading for backward compatibility
+    console.log('No URL parameters found, loading default KML file');
+    await loadKMLFile();
+
+  } catch (error) {
+    console.error('Error loading map data:', error);
+    alert(`Error cargando datos del mapa: ${error.message}\n\nPor favor, recarga la página o contacta al administrador.`);
+  }
+}
+
+/**
+ * Load loteamiento and lotes from Supabase
+ * @param {Object} params - URL parameters
+ */
+async function loadLoteamientoFromSupabase(params) {
+  try {
+    // Check if services are available
+    if (!window.LoteamientoService || !window.LoteService) {
+      throw new Error('Supabase services not initialized. Please check script loading order.');
+    }
+
+    // Update map header with loteamiento name
+    const mapTitle = document.querySelector('.map-title');
+    if (mapTitle) {
+      mapTitle.textContent = `${params.name}`;
+    }
+
+    // Center map on loteamiento coordinates if available
+    if (params.lat && params.lng) {
+      map.setView([params.lat, params.lng], 16);
+    }
+
+    // Fetch loteamiento details to get boundary geojson
+    const loteamiento = await window.LoteamientoService.fetchById(params.id);
+
+    if (!loteamiento) {
+      throw new Error(`Loteamiento ${params.id} not found`);
+    }
+
+    currentLoteamiento = loteamiento;
+
+    // Render loteamiento boundary if geojson available
+    if (loteamiento.geojson) {
+      renderLoteamientoBoundary(loteamiento.geojson);
+    } else {
+      // Try to get from sessionStorage
+      const storedGeojson = sessionStorage.getItem(`loteamiento_geojson_${params.id}`);
+      if (storedGeojson) {
+        renderLoteamientoBoundary(storedGeojson);
+      }
+    }
+
+    // Initialize interest points feature if available
+    if (window.initializeInterestPoints) {
+      window.initializeInterestPoints(loteamiento);
+    }
+
+    // Fetch and render lotes
+    const lotes = await window.LoteService.fetchByLoteamiento(params.id);
+
+    // Show "data as of" when lotes come from the offline cache
+    updateDataFreshnessIndicator();
+
+    if (!lotes || lotes.length === 0) {
+      console.warn('No lotes found for this loteamiento');
+      alert('No se encontraron lotes para este loteamiento.');
+      return;
+    }
+
+    // Process and render each lote
+    lotes.forEach(lote => {
+      renderLote(lote);
+    });
+
+    // Update parcel counts in legend and mobile
+    updateParcelCounts();
+    updateMobileParcelCounts();
+
+    // Build area/price/frontage filters from the loaded lotes
+    initializeAdvancedFilters();
+
+    // Initialize with all layers visible
+    capas.disponibles.addTo(map);
+    capas.reservados.addTo(map);
+    capas.vendidos.addTo(map);
+    capas.plazas.addTo(map);
+    capas.callesProyectadas.addTo(map);
+
+    // Fit map to show all lotes
+    fitMapToLotes();
+
+    // Apply lote, viewport and filters from a shared link
+    restoreDeepLinkState(params);
+
+    // Keep estados live while the map is open
+    subscribeToLoteChanges(params.id);
+
+    console.log(`✓ Loaded ${lotes.length} lotes from Supabase`);
+
+  } catch (error) {
+    console.error('Error loading from Supabase:', error);
+    throw error;
+  }
+}
+
+/**
+ * Render loteamiento boundary polygon
+ * @param {string|Object} geojsonData - GeoJSON data
+ */
+function renderLoteamientoBoundary(geojsonData) {
+  try {
+    // Parse if string
+    const geojson = typeof geojsonData === 'string' ? JSON.parse(geojsonData) : geojsonData;
+
+    // Create boundary layer with distinctive styling
+    const boundaryStyle = {
+      color: '#FF6B35',
+      weight: 3,
+      opacity: 0.8,
+      fillColor: '#FF6B35',
+      fillOpacity: 0.1,
+      dashArray: '10, 5'
+    };
+
+    const boundaryLayer = L.geoJSON(geojson, {
       style: boundaryStyle
     });
 
@@ -2041,6 +3280,11 @@ function renderLote(lote) {
   const layerCategory = categorizeObjectToLayer(objectType, estado);
   capas[layerCategory].addLayer(layer);
 
+  // Register layer so filters can find it by lote id
+  if (lote.id !== undefined && lote.id !== null) {
+    lotLayerRegistry.set(String(lote.id), { lote, layer, objectType, category: layerCategory });
+  }
+
   // Update parcel counts
   if (objectType === OBJECT_TYPES.LOTE) {
     switch (layerCategory) {
@@ -2204,6 +3448,9 @@ if (document.readyState === 'loading') {
 
 // Hide sidebar/mobile card when clicking on map background
 map.on('click', function (e) {
+  // Clicks add measurement points instead while measuring
+  if (isMeasuring()) return;
+
   if (mobileResponsiveManager && mobileResponsiveManager.isMobileDevice()) {
     // Hide mobile card if visible
     if (mobileParcelCard && mobileParcelCard.isCardVisible()) {
@@ -2221,6 +3468,9 @@ map.on('click', function (e) {
   }
 });
 
+// Keep viewport in the shareable URL
+map.on('moveend', scheduleURLStateUpdate);
+
 // UI botones - removed back button as per requirements
 
 // Enhanced Satélite toggle with checkbox functionality
@@ -2231,13 +3481,20 @@ let satLayer = L.tileLayer('https://{s}.google.com/vt/lyrs=s&x={x}&y={y}&z={z}',
   attribution: '© Google'
 });
 
-// Add satellite layer to map by default
-satLayer.addTo(map);
+// Add satellite layer to map by default (after consent, unless switched off meanwhile)
+whenMediaAllowed(() => {
+  const satToggle = document.getElementById('satToggle');
+  if (!satToggle || satToggle.checked) {
+    satLayer.addTo(map);
+  }
+});
 
 // Setup toggle event listener
 document.getElementById('satToggle')?.addEventListener('change', function () {
   if (this.checked) {
-    satLayer.addTo(map);
+    if (isMediaAllowed()) {
+      satLayer.addTo(map);
+    }
   } else {
     map.removeLayer(satLayer);
   }
@@ -2323,6 +3580,68 @@ function initializeLanguageSupport() {
   });
 }
 
+/**
+ * Initialize mobile currency buttons and price refresh on currency change
+ * (the desktop #currency-selector is handled by currency.js)
+ */
+function initializeCurrencySupport() {
+  const mobileCurrencyButtons = document.querySelectorAll('.mobile-currency-btn');
+
+  mobileCurrencyButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (window.Currency) {
+        window.Currency.setCurrency(btn.getAttribute('data-currency'));
+      }
+
+      // Hide mobile map options sheet after selection
+      if (mobileBottomSheets) {
+        setTimeout(() => {
+          mobileBottomSheets.hideSheet('map');
+        }, 300);
+      }
+    });
+  });
+
+  document.addEventListener('currencyChanged', (e) => {
+    mobileCurrencyButtons.forEach(btn => {
+      btn.classList.toggle('active', btn.getAttribute('data-currency') === e.detail.currency);
+    });
+
+    refreshDisplayedPrices();
+  });
+}
+
+/**
+ * Re-render every visible price (sidebar, mobile card, filters, compare panel)
+ */
+function refreshDisplayedPrices() {
+  const hasPrice = (price) => price && price !== 'null' && price !== '' && price !== 0;
+
+  if (currentSelectedParcel) {
+    const price = currentSelectedParcel.precio || currentSelectedParcel.price;
+    if (parcelPrice && isSidebarVisible && hasPrice(price)) {
+      parcelPrice.textContent = formatPrice(price);
+    }
+  }
+
+  // The mobile card keeps its own lote: opening it hides the sidebar,
+  // which clears currentSelectedParcel
+  const mobileData = mobileParcelCard && mobileParcelCard.isCardVisible() ? mobileParcelCard.currentParcelData : null;
+  if (mobileData && !mobileData.isInterestPoint) {
+    const price = mobileData.precio || mobileData.price;
+    const mobilePrice = document.getElementById('mobileCardPrice');
+    if (mobilePrice && hasPrice(price)) {
+      mobilePrice.textContent = formatPrice(price);
+    }
+  }
+
+  syncAdvancedFilterControls();
+
+  if (window.lotCompareManager && window.lotCompareManager.isPanelVisible) {
+    window.lotCompareManager.renderPanel();
+  }
+}
+
 /**
  * Sync mobile language button active states
  * @param {string} lang - Current language code
@@ -2430,13 +3749,29 @@ function retranslateDynamicContent(lang) {
   if (mobilePrice && mobilePrice.textContent === 'Consultar') {
     mobilePrice.textContent = window.i18n.t('mapa.sidebar.labels.consult');
   }
+
+  // Retranslate advanced filter summary and price range labels
+  syncAdvancedFilterControls();
+
+  // Retranslate offline "data as of" indicator
+  updateDataFreshnessIndicator();
+
+  // Retranslate measurement results
+  renderMeasureResult();
+
+  // Retranslate compare tray and panel
+  if (window.lotCompareManager) {
+    window.lotCompareManager.retranslate(lang);
+  }
 }
 
-// Initialize language support when DOM is ready
+// Initialize language and currency support when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initializeLanguageSupport);
+  document.addEventListener('DOMContentLoaded', initializeCurrencySupport);
 } else {
   initializeLanguageSupport();
+  initializeCurrencySupport();
 }
 
 // ===========================
@@ -2498,6 +3833,11 @@ function openInterestModal(parcelData) {
     interestForm.reset();
     const errorElements = interestForm.querySelectorAll('.interest-form-error');
     errorElements.forEach(el => el.textContent = '');
+
+    // Bot protection: fill time starts now
+    if (window.FormGuard) {
+      window.FormGuard.arm(interestForm, 'interest');
+    }
   }
 
   // Show backdrop
@@ -2622,6 +3962,13 @@ async function handleInterestSubmit(e) {
       contactPhone: contactPhone
     });
 
+    trackEvent('submission_result', {
+      form: 'interest',
+      result: result.success ? 'success' : (result.queued ? 'queued' : 'error'),
+      error_code: result.success ? null : result.error.code,
+      lot_id: currentLotForInterest.id
+    });
+
     if (result.success) {
       // Close modal
       closeInterestModal();
@@ -2655,11 +4002,20 @@ async function handleInterestSubmit(e) {
         mobileBtn.onclick = null;
       }
 
+    } else if (result.queued) {
+      // Offline: stored and sent automatically when the connection returns
+      closeInterestModal();
+      showSubmissionQueueToast('warning', 'queued');
+
     } else {
-      // Show error message
-      const errorMessage = window.i18n && window.i18n.t
-        ? window.i18n.t('mapa.interest_modal.error_message')
-        : 'No se pudo registrar tu interés. Intentá de nuevo.';
+      // Bot protection errors (form-guard.js) explain what to do; others get the generic message
+      const isGuardError = ['BOT_SUSPECTED', 'TOO_FAST', 'RATE_LIMITED'].includes(result.error && result.error.code);
+      const lang = window.I18n && window.I18n.getCurrentLanguage ? window.I18n.getCurrentLanguage() : 'es';
+      const errorMessage = isGuardError
+        ? (result.error[`message_${lang}`] || result.error.message_es)
+        : (window.i18n && window.i18n.t
+          ? window.i18n.t('mapa.interest_modal.error_message')
+          : 'No se pudo registrar tu interés. Intentá de nuevo.');
 
       showError(errorMessage);
     }
@@ -2784,4 +4140,48 @@ function showError(message) {
     ? window.i18n.t('mapa.interest_modal.error_message')
     : 'Error';
   createToast('error', title, message, 7000);
-}
\ No newline at end of file
+}
+
+// ===========================
+// OFFLINE SUBMISSION QUEUE
+// Pending/sent feedback for interests queued by submission-queue.js
+// ===========================
+
+/**
+ * Show a toast about a queued interest submission
+ * @param {string} type - Toast type ('warning', 'success' or 'error')
+ * @param {string} state - 'queued', 'sent' or 'failed'
+ */
+function showSubmissionQueueToast(type, state) {
+  const fallbacks = {
+    queued: ['Pendiente de envío', 'Sin conexión. Tu interés se enviará automáticamente al recuperar la conexión.'],
+    sent: ['Interés enviado', 'Recuperamos la conexión y tu interés pendiente fue registrado.'],
+    failed: ['Error', 'No se pudo registrar tu interés pendiente. Intentá de nuevo.']
+  };
+  const [titleFallback, messageFallback] = fallbacks[state];
+
+  const title = window.i18n && window.i18n.t ? window.i18n.t(`mapa.offline_queue.${state}_title`) : titleFallback;
+  const message = window.i18n && window.i18n.t ? window.i18n.t(`mapa.offline_queue.${state}_message`) : messageFallback;
+
+  createToast(type, title, message, state === 'queued' ? 7000 : 5000);
+}
+
+document.addEventListener('submissionSent', (e) => {
+  if (e.detail.type !== 'interest') return;
+
+  showSubmissionQueueToast('success', 'sent');
+
+  // Refresh the open lot so its button shows "Interés registrado"
+  if (currentSelectedParcel && String(currentSelectedParcel.id) === String(e.detail.payload.lotId)) {
+    if (isSidebarVisible) {
+      showParcelSidebar(currentSelectedParcel);
+    } else if (mobileParcelCard && mobileParcelCard.isCardVisible()) {
+      mobileParcelCard.show(currentSelectedParcel);
+    }
+  }
+});
+
+document.addEventListener('submissionFailed', (e) => {
+  if (e.detail.type !== 'interest') return;
+  showSubmissionQueueToast('error', 'failed');
+});
@@ -0,0 +1,122 @@
+/**
+ * Offline Cache - Inmobiliaria Mega Proyectos
+ * Registers the service worker and stores the last fetched data payloads
+ * so the map can be browsed without connectivity
+ *
+ * Responsibilities:
+ * - Register sw.js (app shell and tile caching)
+ * - Save/load Supabase payloads (loteamiento, lotes) with their fetch time
+ *
+ * @requires sw.js
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Offline cache configuration
+   * Cache name must match CACHE_NAMES.data in sw.js
+   */
+  const OFFLINE_CONFIG = {
+    serviceWorkerUrl: 'sw.js',
+    dataCacheName: 'mega-data',
+    dataPathPrefix: '/offline-data/'
+  };
+
+  /**
+   * OfflineCache Class
+   * Thin wrapper around the Cache Storage API and the service worker
+   */
+  class OfflineCache {
+    constructor() {
+      this.isSupported = typeof window !== 'undefined' && 'caches' in window && 'serviceWorker' in navigator;
+      this.registration = null;
+    }
+
+    /**
+     * Register the service worker
+     * @returns {Promise<ServiceWorkerRegistration|null>} Registration or null
+     */
+    async register() {
+      if (!this.isSupported) {
+        console.warn('Offline mode not supported in this browser');
+        return null;
+      }
+
+      try {
+        this.registration = await navigator.serviceWorker.register(OFFLINE_CONFIG.serviceWorkerUrl);
+        console.log('✓ Service worker registered');
+        return this.registration;
+      } catch (error) {
+        console.error('Service worker registration failed:', error);
+        return null;
+      }
+    }
+
+    /**
+     * Build the synthetic cache URL for a payload key
+     * @param {string} key - Payload key (e.g. "lotes/12")
+     * @returns {string} Cache URL
+     */
+    getPayloadUrl(key) {
+      return `${OFFLINE_CONFIG.dataPathPrefix}${key}.json`;
+    }
+
+    /**
+     * Save a data payload with the current timestamp
+     * @param {string} key - Payload key
+     * @param {*} data - JSON-serializable data
+     * @returns {Promise<boolean>} True if saved
+     */
+    async savePayload(key, data) {
+      if (!this.isSupported) return false;
+
+      try {
+        const cache = await caches.open(OFFLINE_CONFIG.dataCacheName);
+        const body = JSON.stringify({ savedAt: new Date().toISOString(), data });
+
+        await cache.put(this.getPayloadUrl(key), new Response(body, {
+          headers: { 'Content-Type': 'application/json' }
+        }));
+        return true;
+      } catch (error) {
+        console.warn(`Could not save offline payload ${key}:`, error);
+        return false;
+      }
+    }
+
+    /**
+     * Load a previously saved payload
+     * @param {string} key - Payload key
+     * @returns {Promise<{savedAt: Date, data: *}|null>} Payload or null if missing
+     */
+    async loadPayload(key) {
+      if (!this.isSupported) return null;
+
+      try {
+        const cache = await caches.open(OFFLINE_CONFIG.dataCacheName);
+        const response = await cache.match(this.getPayloadUrl(key));
+
+        if (!response) return null;
+
+        const payload = await response.json();
+        return { savedAt: new Date(payload.savedAt), data: payload.data };
+      } catch (error) {
+        console.warn(`Could not load offline payload ${key}:`, error);
+        return null;
+      }
+    }
+  }
+
+  // Create singleton instance
+  const offlineCache = new OfflineCache();
+
+  // Export to window for global access
+  window.OfflineCache = offlineCache;
+
+  // Register as soon as the page has loaded so it doesn't compete with first paint
+  window.addEventListener('load', () => {
+    offlineCache.register();
+  });
+
+})();
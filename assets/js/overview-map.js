@@ -0,0 +1,365 @@
+/**
+ * Overview Map - Inmobiliaria Mega Proyectos
+ *
+ * Map of every loteamiento on the home page, next to the product cards.
+ *
+ * Features:
+ * - Clustered markers at each loteamiento centroid (Leaflet.markercluster,
+ *   plain markers if the plugin is missing)
+ * - Boundary outline per loteamiento from its geojson; the catalogue is loaded
+ *   without geometry, so missing outlines are fetched once the map scrolls
+ *   into view (LoteamientoService.fetchGeometries)
+ * - Mini card popup linking to mapa.html with the same parameters as the
+ *   product card "Ver Mapa" button (ProductService.getMapUrl)
+ * - Shows the same loteamientos as the grid: index.js calls setProducts()
+ *   whenever the location chip or the search changes, with every loteamiento
+ *   of the location (LoteamientoService.fetchMapPoints) while catalogue
+ *   pages are still pending
+ * - Base tiles only after 'media' consent (consent-manager.js)
+ *
+ * @requires Leaflet
+ * @requires product-service.js (getMapUrl)
+ * @requires loteamiento-service.js (fetchGeometries)
+ */
+
+// ===========================
+// CONFIGURATION
+// ===========================
+
+const OVERVIEW_MAP_CONFIG = {
+  /** Initial view (Paraguay) until loteamientos are shown */
+  center: [-25.3, -57.6],
+  zoom: 7,
+
+  /** Zoom used when only one loteamiento is shown */
+  singleZoom: 14,
+
+  tileUrl: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+
+  outlineStyle: {
+    color: '#1F4B43',
+    weight: 2,
+    fillColor: '#E7C873',
+    fillOpacity: 0.15
+  }
+};
+
+// ===========================
+// OVERVIEW MAP
+// ===========================
+
+/**
+ * OverviewMap Class
+ * Renders the loteamientos shown in the product grid on a Leaflet map
+ */
+class OverviewMap {
+  constructor() {
+    this.map = null;
+    this.markers = null;
+    this.outlines = null;
+    this.products = [];
+    this.markersById = new Map();
+    this.isVisible = false;
+    this.initialized = false;
+  }
+
+  /**
+   * Create the map in the #overviewMap container
+   */
+  init() {
+    if (this.initialized) {
+      return;
+    }
+
+    const container = document.getElementById('overviewMap');
+    if (!container || typeof L === 'undefined') {
+      console.warn('Overview map container or Leaflet not found');
+      return;
+    }
+
+    this.map = L.map(container, {
+      scrollWheelZoom: false
+    }).setView(OVERVIEW_MAP_CONFIG.center, OVERVIEW_MAP_CONFIG.zoom);
+
+    const tiles = L.tileLayer(OVERVIEW_MAP_CONFIG.tileUrl, {
+      maxZoom: 19,
+      attribution: '© OpenStreetMap contributors'
+    });
+
+    if (window.ConsentManager) {
+      window.ConsentManager.whenGranted('media', () => tiles.addTo(this.map));
+      window.ConsentManager.renderPlaceholder(container, 'media');
+    } else {
+      tiles.addTo(this.map);
+    }
+
+    this.outlines = L.layerGroup().addTo(this.map);
+    this.markers = typeof L.markerClusterGroup === 'function'
+      ? L.markerClusterGroup({ showCoverageOnHover: false })
+      : L.layerGroup();
+    this.markers.addTo(this.map);
+
+    // Fetch outlines only when the map is (about to be) seen
+    if ('IntersectionObserver' in window) {
+      const observer = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          this.isVisible = true;
+          observer.disconnect();
+          this.loadOutlines();
+        }
+      }, { rootMargin: '200px 0px' });
+      observer.observe(container);
+    } else {
+      this.isVisible = true;
+    }
+
+    this.initialized = true;
+
+    // Products may have been set before the map existed
+    this.render();
+    console.log('✓ OverviewMap initialized');
+  }
+
+  /**
+   * Show a set of loteamientos (the products rendered in the grid)
+   * @param {Array<Object>} products - Loteamiento DTOs
+   */
+  setProducts(products) {
+    this.products = products || [];
+    this.render();
+  }
+
+  /**
+   * Draw markers and outlines for the current products and fit the view
+   */
+  render() {
+    if (!this.initialized) return;
+
+    this.markers.clearLayers();
+    this.outlines.clearLayers();
+    this.markersById.clear();
+
+    const bounds = L.latLngBounds([]);
+
+    this.products.forEach(product => {
+      const position = this.getPosition(product);
+
+      if (position) {
+        const marker = L.marker(position, { title: product.name });
+        marker.bindPopup(() => this.buildCard(product), { className: 'overview-map-popup', maxWidth: 260 });
+        this.markers.addLayer(marker);
+        this.markersById.set(product.id, marker);
+        bounds.extend(position);
+      }
+
+      const outline = this.addOutline(product);
+      if (outline) {
+        bounds.extend(outline.getBounds());
+      }
+    });
+
+    if (!bounds.isValid()) {
+      this.map.setView(OVERVIEW_MAP_CONFIG.center, OVERVIEW_MAP_CONFIG.zoom);
+    } else if (this.products.length === 1) {
+      this.map.setView(bounds.getCenter(), OVERVIEW_MAP_CONFIG.singleZoom);
+    } else {
+      this.map.fitBounds(bounds, { padding: [30, 30], maxZoom: OVERVIEW_MAP_CONFIG.singleZoom });
+    }
+
+    this.loadOutlines();
+  }
+
+  /**
+   * Draw the outline of a loteamiento, opening its popup on click
+   * @param {Object} product - Loteamiento DTO
+   * @returns {L.GeoJSON|null} Outline layer or null without a valid geojson
+   */
+  addOutline(product) {
+    const outline = this.createOutline(product);
+    if (!outline) return null;
+
+    outline.on('click', (e) => {
+      const marker = this.markersById.get(product.id);
+      if (marker) {
+        this.openMarker(marker);
+      } else {
+        L.popup({ className: 'overview-map-popup', maxWidth: 260 })
+          .setLatLng(e.latlng)
+          .setContent(this.buildCard(product))
+          .openOn(this.map);
+      }
+    });
+    this.outlines.addLayer(outline);
+    return outline;
+  }
+
+  /**
+   * Fetch the geometry of the shown loteamientos loaded without it and draw
+   * their outlines (the view is not refitted, markers already placed it)
+   */
+  async loadOutlines() {
+    const service = window.LoteamientoService;
+    const products = this.products;
+    const missing = products.filter(product => !product.geojson && product.id !== undefined);
+
+    if (!this.isVisible || !service || missing.length === 0) return;
+
+    try {
+      const geometries = await service.fetchGeometries(missing.map(product => product.id));
+
+      // The grid changed meanwhile; the next render draws from the cache
+      if (products !== this.products) return;
+
+      missing.forEach(product => {
+        if (geometries[product.id]) {
+          product.geojson = geometries[product.id];
+          this.addOutline(product);
+        }
+      });
+    } catch (error) {
+      console.warn('Could not load loteamiento outlines:', error);
+    }
+  }
+
+  /**
+   * Open a marker popup, expanding its cluster first
+   * @param {L.Marker} marker - Marker
+   */
+  openMarker(marker) {
+    if (typeof this.markers.zoomToShowLayer === 'function') {
+      this.markers.zoomToShowLayer(marker, () => marker.openPopup());
+    } else {
+      marker.openPopup();
+    }
+  }
+
+  /**
+   * Build the mini card shown in the popup
+   * @param {Object} product - Loteamiento DTO
+   * @returns {HTMLElement} Card element
+   */
+  buildCard(product) {
+    const card = document.createElement('div');
+    card.className = 'overview-map-card';
+
+    const details = [];
+    if (product.parcel_quantity) {
+      details.push(this.t('index.overview_map.parcels', '{count} lotes').replace('{count}', product.parcel_quantity));
+    }
+    if (product.total_dim_m2) {
+      details.push(`${Math.round(product.total_dim_m2).toLocaleString()} m²`);
+    }
+
+    card.innerHTML = `
+      ${product.photo ? `<img class="overview-map-card__image" src="${this.escapeHtml(product.photo)}" alt="" loading="lazy" />` : ''}
+      <strong class="overview-map-card__title">${this.escapeHtml(product.name)}</strong>
+      ${product.type ? `<span class="overview-map-card__type">${this.escapeHtml(product.type)}</span>` : ''}
+      ${details.length ? `<span class="overview-map-card__details">${this.escapeHtml(details.join(' · '))}</span>` : ''}
+      <a class="overview-map-card__btn" href="${this.escapeHtml(this.getMapUrl(product))}">${this.escapeHtml(this.t('index.loteamientos.view_map_button', 'Ver Mapa'))}</a>
+    `;
+
+    return card;
+  }
+
+  // ===========================
+  // DATA HELPERS
+  // ===========================
+
+  /**
+   * Get the centroid of a loteamiento
+   * @param {Object} product - Loteamiento DTO
+   * @returns {Array|null} [lat, lng] or null if unknown
+   */
+  getPosition(product) {
+    const lat = parseFloat(product.lat || product.centroid_lat);
+    const lng = parseFloat(product.long || product.centroid_long);
+    return isNaN(lat) || isNaN(lng) || (lat === 0 && lng === 0) ? null : [lat, lng];
+  }
+
+  /**
+   * Create the boundary outline of a loteamiento
+   * @param {Object} product - Loteamiento DTO
+   * @returns {L.GeoJSON|null} Outline layer or null without a valid geojson
+   */
+  createOutline(product) {
+    if (!product.geojson) return null;
+
+    try {
+      const geojson = typeof product.geojson === 'string' ? JSON.parse(product.geojson) : product.geojson;
+      const layer = L.geoJSON(geojson, { style: OVERVIEW_MAP_CONFIG.outlineStyle });
+      return layer.getBounds().isValid() ? layer : null;
+    } catch (error) {
+      console.warn(`Invalid geojson for loteamiento ${product.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Link to the loteamiento on mapa.html
+   * @param {Object} product - Loteamiento DTO
+   * @returns {string} URL
+   */
+  getMapUrl(product) {
+    return window.ProductService ? window.ProductService.getMapUrl(product) : 'mapa.html';
+  }
+
+  /**
+   * Translate a key with fallback when i18n is missing or key is unknown
+   * @param {string} key - Translation key
+   * @param {string} fallback - Fallback text
+   * @returns {string} Translated text
+   */
+  t(key, fallback) {
+    if (window.i18n && window.i18n.t) {
+      const translated = window.i18n.t(key);
+      if (translated && translated !== key) {
+        return translated;
+      }
+    }
+    return fallback;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+}
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Global instance of the overview map
+ */
+let overviewMap = null;
+
+/**
+ * Initialize the overview map
+ */
+function initializeOverviewMap() {
+  if (overviewMap) {
+    return;
+  }
+
+  overviewMap = new OverviewMap();
+  overviewMap.init();
+
+  // Store globally for access from other modules
+  window.overviewMap = overviewMap;
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializeOverviewMap);
+} else {
+  initializeOverviewMap();
+}
+
+// Export class for potential extension
+window.OverviewMap = OverviewMap;
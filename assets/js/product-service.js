@@ -9,28 +9,41 @@ class ProductService {
     this.products = [];
     this.isLoading = false;
     this.error = null;
+    // Catalogue pagination (LoteamientoService.fetchPage)
+    this.total = 0;
+    this.nextPage = 0;
+    this.hasMore = false;
+    this.pageRequest = null;
+    this.generation = 0; // bumped by fetchProducts, discards pages of a previous load
   }
 
   /**
-   * Fetch all products
-   * @returns {Promise<Array>} Array of products
+   * Fetch the first page of products
+   * Further pages are appended by loadMoreProducts / loadAllProducts
+   * @returns {Promise<Array>} Array of products loaded so far
    */
   async fetchProducts() {
     try {
       this.isLoading = true;
       this.error = null;
+      this.generation++;
+      this.pageRequest = null;
+      this.hasMore = false;
 
       // Try to fetch from Supabase first
       try {
         // Check if LoteamientoService is available
         if (window.LoteamientoService) {
-          const products = await window.LoteamientoService.fetchAll();
+          const page = await window.LoteamientoService.fetchPage(0);
 
-          if (products && products.length > 0) {
-            this.products = products;
+          if (page.items.length > 0) {
+            this.products = [...page.items];
+            this.total = page.total;
+            this.nextPage = 1;
+            this.hasMore = page.hasMore;
             this.isLoading = false;
-            console.log('✓ Products loaded from Supabase');
-            return products;
+            console.log(`✓ Products loaded from Supabase (${this.products.length} of ${this.total})`);
+            return this.products;
           }
         }
       } catch (supabaseError) {
@@ -42,6 +55,7 @@ class ProductService {
         console.log('Using fallback hardcoded data');
         const products = await window.ProductsData.fetchProducts();
         this.products = products;
+        this.total = products.length;
         this.isLoading = false;
         return products;
       }
@@ -57,6 +71,63 @@ class ProductService {
     }
   }
 
+  /**
+   * Append the next page of products
+   * Concurrent calls share the same request
+   * @returns {Promise<Array>} Newly added products (empty when all are loaded)
+   */
+  async loadMoreProducts() {
+    if (!this.hasMore) {
+      return [];
+    }
+
+    if (!this.pageRequest) {
+      const generation = this.generation;
+
+      this.pageRequest = window.LoteamientoService.fetchPage(this.nextPage)
+        .then(page => {
+          if (generation !== this.generation) {
+            return [];
+          }
+
+          const loadedIds = new Set(this.products.map(product => product.id));
+          const added = page.items.filter(product => !loadedIds.has(product.id));
+
+          this.products.push(...added);
+          this.total = page.total;
+          this.nextPage++;
+          this.hasMore = page.hasMore && page.items.length > 0;
+          return added;
+        })
+        .finally(() => {
+          if (generation === this.generation) {
+            this.pageRequest = null;
+          }
+        });
+    }
+
+    return this.pageRequest;
+  }
+
+  /**
+   * Load every remaining page (search and facets need the whole catalogue)
+   * @returns {Promise<Array>} All products
+   */
+  async loadAllProducts() {
+    while (this.hasMore) {
+      await this.loadMoreProducts();
+    }
+    return this.products;
+  }
+
+  /**
+   * Check whether more pages can be loaded
+   * @returns {boolean} True until the whole catalogue is loaded
+   */
+  hasMoreProducts() {
+    return this.hasMore;
+  }
+
   /**
    * Get products filtered by location
    * @param {string} location - Location to filter by
@@ -75,6 +146,16 @@ class ProductService {
     return this.products.find(product => product.id === id) || null;
   }
 
+  /**
+   * Get the mapa.html link of a product (loteamiento)
+   * Used by the product card "Ver Mapa" button and the overview map
+   * @param {Object} product - Product
+   * @returns {string} Relative URL
+   */
+  getMapUrl(product) {
+    return `mapa.html?loteamiento=${encodeURIComponent(product.id)}&name=${encodeURIComponent(product.name)}&lat=${product.lat || product.centroid_lat || 0}&lng=${product.long || product.centroid_long || 0}`;
+  }
+
   /**
    * Get products by type
    * @param {string} type - Product type (lote, Barrio cerrado, Fraccion)
@@ -103,36 +184,48 @@ class ProductService {
   }
 
   /**
-   * Search products by name or description
+   * Search products by name, description, type or features
+   * Accent-insensitive and across all three languages (LoteamientoService.matchesQuery)
    * @param {string} query - Search query
    * @returns {Array} Filtered products
    */
   searchProducts(query) {
-    const searchTerm = query.toLowerCase();
-    return this.products.filter(product => 
-      product.name.toLowerCase().includes(searchTerm) ||
-      product.description.toLowerCase().includes(searchTerm)
-    );
+    return this.products.filter(product => this.matchesQuery(product, query));
   }
 
   /**
    * Get products with filters
    * @param {Object} filters - Filter options
+   * @param {string} filters.query - Free text search (see searchProducts)
    * @param {string} filters.location - Location filter
-   * @param {string} filters.type - Type filter  
+   * @param {string|Array<string>} filters.type - Type key(s), any of them matches (see getTypeKey)
+   * @param {Array<string>} filters.features - Features, all of them required
    * @param {number} filters.minSize - Minimum size in m2
    * @param {number} filters.maxSize - Maximum size in m2
+   * @param {number} filters.minParcels - Minimum parcel count
+   * @param {number} filters.maxParcels - Maximum parcel count
    * @returns {Array} Filtered products
    */
   getFilteredProducts(filters = {}) {
     let filteredProducts = [...this.products];
 
+    if (filters.query) {
+      filteredProducts = filteredProducts.filter(p => this.matchesQuery(p, filters.query));
+    }
+
     if (filters.location) {
       filteredProducts = filteredProducts.filter(p => p.location === filters.location);
     }
 
-    if (filters.type) {
-      filteredProducts = filteredProducts.filter(p => p.type === filters.type);
+    const types = [].concat(filters.type || []);
+    if (types.length > 0) {
+      filteredProducts = filteredProducts.filter(p => types.includes(this.getTypeKey(p)));
+    }
+
+    if (filters.features && filters.features.length > 0) {
+      filteredProducts = filteredProducts.filter(p =>
+        filters.features.every(feature => (p.features || []).includes(feature))
+      );
     }
 
     if (filters.minSize) {
@@ -143,9 +236,102 @@ class ProductService {
       filteredProducts = filteredProducts.filter(p => p.total_dim_m2 <= filters.maxSize);
     }
 
+    if (filters.minParcels) {
+      filteredProducts = filteredProducts.filter(p => p.parcel_quantity >= filters.minParcels);
+    }
+
+    if (filters.maxParcels) {
+      filteredProducts = filteredProducts.filter(p => p.parcel_quantity <= filters.maxParcels);
+    }
+
     return filteredProducts;
   }
 
+  /**
+   * Get the facet options with live result counts for a set of filters
+   * Each count is the number of results if that option were toggled on:
+   * type and location options ignore their own facet (any type matches),
+   * feature options narrow the current results (all features required).
+   * @param {Object} filters - Same options as getFilteredProducts
+   * @returns {Object} { total, locations: {location: count},
+   *   types: [{ value, label, count }], features: [{ value, label, count }],
+   *   sizeRange: { min, max }, parcelRange: { min, max } }
+   */
+  getFacets(filters = {}) {
+    const results = this.getFilteredProducts(filters);
+    const withoutType = this.getFilteredProducts({ ...filters, type: [] });
+    const withoutLocation = this.getFilteredProducts({ ...filters, location: null });
+    const lang = window.LoteamientoService ? window.LoteamientoService.getCurrentLanguage() : 'es';
+
+    const locations = {};
+    withoutLocation.forEach(p => {
+      locations[p.location] = (locations[p.location] || 0) + 1;
+    });
+
+    // Options come from every product, so a selected option never disappears
+    const types = new Map();
+    const features = new Map();
+    this.products.forEach(p => {
+      const key = this.getTypeKey(p);
+      if (!types.has(key)) {
+        types.set(key, { value: key, label: p.type, count: 0 });
+      }
+      (p.features || []).forEach(feature => {
+        if (!features.has(feature)) {
+          const label = window.LoteamientoService ? window.LoteamientoService.getFeatureLabel(feature, lang) : feature;
+          features.set(feature, { value: feature, label, count: 0 });
+        }
+      });
+    });
+
+    withoutType.forEach(p => {
+      types.get(this.getTypeKey(p)).count++;
+    });
+
+    results.forEach(p => {
+      (p.features || []).forEach(feature => {
+        features.get(feature).count++;
+      });
+    });
+
+    const sizes = this.products.map(p => p.total_dim_m2).filter(value => value > 0);
+    const parcels = this.products.map(p => p.parcel_quantity).filter(value => value > 0);
+
+    return {
+      total: results.length,
+      locations,
+      types: [...types.values()].sort((a, b) => a.label.localeCompare(b.label)),
+      features: [...features.values()].sort((a, b) => a.label.localeCompare(b.label)),
+      sizeRange: { min: sizes.length ? Math.min(...sizes) : 0, max: sizes.length ? Math.max(...sizes) : 0 },
+      parcelRange: { min: parcels.length ? Math.min(...parcels) : 0, max: parcels.length ? Math.max(...parcels) : 0 }
+    };
+  }
+
+  /**
+   * Language-independent type of a product (the Spanish type), used as facet value
+   * @param {Object} product - Product
+   * @returns {string} Type key
+   */
+  getTypeKey(product) {
+    return (product._raw && product._raw.loteamiento_type) || product.type;
+  }
+
+  /**
+   * Check whether a product matches a search query
+   * @param {Object} product - Product
+   * @param {string} query - Search query
+   * @returns {boolean} True if it matches
+   */
+  matchesQuery(product, query) {
+    if (window.LoteamientoService) {
+      return window.LoteamientoService.matchesQuery(product, query);
+    }
+
+    const searchTerm = (query || '').toLowerCase();
+    return product.name.toLowerCase().includes(searchTerm) ||
+      product.description.toLowerCase().includes(searchTerm);
+  }
+
   /**
    * Get loading state
    * @returns {boolean} Loading state
@@ -0,0 +1,496 @@
+/**
+ * Reservation Adapters - Inmobiliaria Mega Proyectos
+ * Pluggable backends that deliver a reservation once ReservationService
+ * has validated it and built the payload
+ *
+ * Adapters:
+ * - rest: backend Web Service API (x-api-key header)
+ * - supabase: direct insert into the `reservations` table
+ * - whatsapp: click-to-chat message to the sales team, prefilled with the reservation
+ * - webhook: generic JSON POST (Zapier, Make, n8n, own endpoint...)
+ *
+ * The adapter is chosen per loteamiento in RESERVATION_CONFIG.submission.
+ * Every adapter resolves to the same result shape:
+ *   { success: true, data, message_es, message_en, message_de }
+ *   { success: false, error: { code, message_es, message_en, message_de } }
+ * and throws on connectivity problems (AbortError, failed fetch), so the
+ * service handles timeouts and the offline queue the same way for all of them.
+ *
+ * Custom adapters implement `submit(payload, settings)` and are added with
+ *   ReservationAdapters.register('name', adapter)
+ *
+ * @requires config.js (window.ReservationConfig)
+ * @requires supabase-client.js (supabase adapter)
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Localized messages by code
+   */
+  const ADAPTER_MESSAGES = {
+    SUCCESS: {
+      message_es: '¡Reservación enviada exitosamente! Nos pondremos en contacto con usted pronto.',
+      message_en: 'Reservation submitted successfully! We will contact you soon.',
+      message_de: 'Reservierung erfolgreich übermittelt! Wir werden uns bald bei Ihnen melden.'
+    },
+    WHATSAPP_PENDING: {
+      message_es: 'Para completar su reservación, envíe el mensaje preparado por WhatsApp.',
+      message_en: 'To complete your reservation, send the prepared WhatsApp message.',
+      message_de: 'Um Ihre Reservierung abzuschließen, senden Sie die vorbereitete WhatsApp-Nachricht.'
+    },
+    API_ERROR: {
+      message_es: 'Error al procesar la reservación.',
+      message_en: 'Error processing reservation.',
+      message_de: 'Fehler bei der Verarbeitung der Reservierung.'
+    },
+    HTTP_ERROR: {
+      message_es: 'Error del servidor ({status}). Por favor, intente nuevamente.',
+      message_en: 'Server error ({status}). Please try again.',
+      message_de: 'Serverfehler ({status}). Bitte versuchen Sie es erneut.'
+    },
+    UNKNOWN_ERROR: {
+      message_es: 'Error desconocido al procesar la reservación.',
+      message_en: 'Unknown error processing reservation.',
+      message_de: 'Unbekannter Fehler bei der Verarbeitung der Reservierung.'
+    },
+    LOT_NOT_AVAILABLE: {
+      message_es: 'Este lote ya tiene una reservación registrada.',
+      message_en: 'This lot already has a reservation.',
+      message_de: 'Für dieses Grundstück liegt bereits eine Reservierung vor.'
+    },
+    INSERT_FAILED: {
+      message_es: 'No se pudo registrar la reservación. Por favor, intente nuevamente.',
+      message_en: 'The reservation could not be saved. Please try again.',
+      message_de: 'Die Reservierung konnte nicht gespeichert werden. Bitte versuchen Sie es erneut.'
+    },
+    ADAPTER_NOT_CONFIGURED: {
+      message_es: 'Las reservaciones en línea no están disponibles en este momento. Por favor, contáctenos directamente.',
+      message_en: 'Online reservations are not available right now. Please contact us directly.',
+      message_de: 'Online-Reservierungen sind derzeit nicht verfügbar. Bitte kontaktieren Sie uns direkt.'
+    }
+  };
+
+  // ===========================
+  // SHARED HELPERS
+  // ===========================
+
+  /**
+   * Build an error result
+   * @param {string} code - ADAPTER_MESSAGES key, or the code to report
+   * @param {Object} [options] - Options
+   * @param {string} [options.messagesFrom] - ADAPTER_MESSAGES key when code is not one
+   * @param {Object} [options.params] - Placeholder values
+   * @returns {Object} { success: false, error }
+   */
+  function createError(code, options = {}) {
+    const messages = ADAPTER_MESSAGES[options.messagesFrom || code];
+    const params = options.params || {};
+    const error = { code };
+
+    Object.entries(messages).forEach(([key, message]) => {
+      error[key] = Object.keys(params).reduce(
+        (text, param) => text.replace(`{${param}}`, params[param]),
+        message
+      );
+    });
+
+    return { success: false, error };
+  }
+
+  /**
+   * Build a success result
+   * @param {Object} data - Reservation data returned to the form
+   * @param {Object} [messages] - Backend messages, default SUCCESS
+   * @returns {Object} { success: true, data, message_es, message_en, message_de }
+   */
+  function createSuccess(data, messages = {}) {
+    const defaults = ADAPTER_MESSAGES.SUCCESS;
+
+    return {
+      success: true,
+      data,
+      message_es: messages.message_es || defaults.message_es,
+      message_en: messages.message_en || defaults.message_en,
+      message_de: messages.message_de || defaults.message_de
+    };
+  }
+
+  /**
+   * POST JSON with a timeout
+   * Throws AbortError on timeout and TypeError when the request can't be sent.
+   * @param {string} url - Endpoint URL
+   * @param {Object} body - JSON body
+   * @param {Object} [headers] - Extra headers
+   * @param {number} [timeout] - Milliseconds
+   * @returns {Promise<Object>} { response, body } (body is null when not JSON)
+   */
+  async function postJson(url, body, headers = {}, timeout = 30000) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      const text = await response.text();
+      let responseBody = null;
+      try {
+        responseBody = text ? JSON.parse(text) : null;
+      } catch (error) {
+        // Plain text responses (common on webhooks) carry no structure
+      }
+
+      return { response, body: responseBody };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Map an HTTP response in the reservation API format to a result
+   * Backends may answer { success, data, message_* } or { success: false, error }.
+   * @param {Response} response - Fetch response
+   * @param {Object|null} body - Parsed JSON body
+   * @param {Object} payload - Submitted payload
+   * @returns {Object} Result
+   */
+  function mapHttpResponse(response, body, payload) {
+    if (!response.ok) {
+      // Backend returned a structured error
+      if (body && body.error) {
+        return {
+          success: false,
+          error: {
+            ...createError(body.error.code || 'API_ERROR', { messagesFrom: 'API_ERROR' }).error,
+            ...pickMessages(body.error)
+          }
+        };
+      }
+
+      return createError(`HTTP_${response.status}`, {
+        messagesFrom: 'HTTP_ERROR',
+        params: { status: response.status }
+      });
+    }
+
+    // Structured error despite 2xx
+    if (body && body.success === false) {
+      return body.error
+        ? { success: false, error: body.error }
+        : createError('UNKNOWN_ERROR');
+    }
+
+    return createSuccess((body && body.data) || { lot_id: payload.lot_id }, pickMessages(body || {}));
+  }
+
+  /**
+   * Keep the localized messages of an object
+   * @param {Object} source - Object with message_* fields
+   * @returns {Object} Only the message_es/en/de that are set
+   */
+  function pickMessages(source) {
+    const messages = {};
+    ['message_es', 'message_en', 'message_de'].forEach(key => {
+      if (source[key]) messages[key] = source[key];
+    });
+    return messages;
+  }
+
+  // ===========================
+  // ADAPTERS
+  // ===========================
+
+  /**
+   * REST adapter
+   * POST {apiBase}{endpoint} with the x-api-key header
+   * The backend validates availability, inserts the reservation and updates the lote.
+   */
+  class RestReservationAdapter {
+    /**
+     * Submit to the backend API
+     * @param {Object} payload - Reservation payload (snake_case)
+     * @param {Object} settings - RESERVATION_CONFIG (apiBase, apiKey, endpoint, timeout)
+     * @returns {Promise<Object>} Result
+     */
+    async submit(payload, settings) {
+      if (!settings.apiBase || settings.apiBase.includes('YOUR_API_BASE_URL_HERE')) {
+        console.error('Reservation API base URL is not configured. Please update assets/js/config.js');
+        return createError('ADAPTER_NOT_CONFIGURED');
+      }
+
+      if (!settings.apiKey || settings.apiKey === 'YOUR_API_KEY_HERE') {
+        console.error('Reservation API key is not configured. Please update assets/js/config.js');
+        return createError('ADAPTER_NOT_CONFIGURED');
+      }
+
+      const apiUrl = `${settings.apiBase}${settings.endpoint}`;
+      console.log('Submitting reservation to API:', apiUrl);
+
+      const { response, body } = await postJson(apiUrl, payload, { 'x-api-key': settings.apiKey }, settings.timeout);
+      return mapHttpResponse(response, body, payload);
+    }
+  }
+
+  /**
+   * Supabase adapter
+   * Inserts one row into the reservations table with the anon key, mapping
+   * the payload to its columns (toRecord). Client-side lote data (lot_details)
+   * and the status are never sent.
+   * Expected setup: RLS allowing anonymous inserts only, a column default of
+   * 'pending' for status, a unique index on lot_id for active reservations
+   * and a trigger that:
+   * - checks the lote is disponible (or held by hold_id, checked against the
+   *   private lote_hold_holders table, see lot-hold-service.js) and marks it reservado
+   * - fills loteamiento_id and the price from the lote row
+   * - verifies the anti-bot proof and the verification token, and rejects
+   *   document paths outside the lot_id folder of the documents bucket
+   */
+  class SupabaseReservationAdapter {
+    /**
+     * Insert the reservation
+     * @param {Object} payload - Reservation payload (snake_case)
+     * @param {Object} settings - { table }
+     * @returns {Promise<Object>} Result
+     */
+    async submit(payload, settings) {
+      const supabase = window.SupabaseClient;
+
+      if (!supabase || !supabase.isReady()) {
+        console.error('Supabase client not initialized');
+        return createError('ADAPTER_NOT_CONFIGURED');
+      }
+
+      const record = this.toRecord(payload);
+
+      // Insert WITHOUT .select(): anonymous users can't read reservations back
+      const { error } = await supabase.getClient()
+        .from(settings.table || 'reservations')
+        .insert([record]);
+
+      if (error) {
+        if (window.SubmissionQueue && window.SubmissionQueue.isNetworkError(error)) {
+          throw error;
+        }
+
+        if (error.code === '23505') {
+          return createError('LOT_NOT_AVAILABLE');
+        }
+
+        console.error('Reservation insert failed:', error);
+        return createError('INSERT_FAILED');
+      }
+
+      return createSuccess({ lot_id: payload.lot_id });
+    }
+
+    /**
+     * Map the payload to the columns of the reservations table
+     * @param {Object} payload - Reservation payload (snake_case)
+     * @returns {Object} Row to insert
+     */
+    toRecord(payload) {
+      const profile = payload.buyer_profile || {};
+      const antiBot = payload.anti_bot || {};
+      const verification = payload.verification || {};
+
+      return {
+        lot_id: payload.lot_id,
+        first_name: payload.first_name,
+        last_name: payload.last_name,
+        email: payload.email,
+        phone: payload.phone,
+        reservation_date: payload.reservation_date,
+        additional_message: payload.additional_message,
+        buyer_type: profile.buyer_type || null,
+        document_number: profile.document_number || null,
+        company_name: profile.company_name || null,
+        ruc: profile.ruc || null,
+        address: profile.address || null,
+        city: profile.city || null,
+        country: profile.country || null,
+        nationality: profile.nationality || null,
+        financing_preference: payload.financing_preference || null,
+        document_paths: (payload.documents || []).filter(doc => doc && doc.path).map(doc => doc.path),
+        hold_id: payload.hold_id || null,
+        anti_bot_challenge: antiBot.challenge || null,
+        anti_bot_nonce: antiBot.nonce === undefined ? null : antiBot.nonce,
+        anti_bot_fill_time_ms: antiBot.fill_time_ms === undefined ? null : antiBot.fill_time_ms,
+        verification_token: verification.token || null,
+        verification_channel: verification.channel || null
+      };
+    }
+  }
+
+  /**
+   * WhatsApp adapter
+   * Nothing is stored: the buyer sends the prefilled message to the sales
+   * team, who registers the reservation. The chat is opened right away when
+   * the browser allows it, and the confirmation links to it (data.whatsapp_url).
+   */
+  class WhatsAppReservationAdapter {
+    /**
+     * Build the click-to-chat link and open it
+     * @param {Object} payload - Reservation payload (snake_case)
+     * @param {Object} settings - { phone } in international format, digits only
+     * @returns {Promise<Object>} Result
+     */
+    async submit(payload, settings) {
+      const phone = String(settings.phone || '').replace(/\D/g, '');
+
+      if (!phone) {
+        console.error('WhatsApp number for reservations is not configured. Please update assets/js/config.js');
+        return createError('ADAPTER_NOT_CONFIGURED');
+      }
+
+      const whatsappUrl = `https://wa.me/${phone}?text=${encodeURIComponent(this.buildMessage(payload))}`;
+      window.open(whatsappUrl, '_blank', 'noopener');
+
+      return createSuccess({
+        lot_id: payload.lot_id,
+        channel: 'whatsapp',
+        whatsapp_url: whatsappUrl
+      }, ADAPTER_MESSAGES.WHATSAPP_PENDING);
+    }
+
+    /**
+     * Reservation message for the sales team (always in Spanish)
+     * @param {Object} payload - Reservation payload (snake_case)
+     * @returns {string} Message text
+     */
+    buildMessage(payload) {
+      const profile = payload.buyer_profile;
+      const lot = payload.lot_details;
+      const lines = [
+        `Hola, quiero reservar el lote ${lot.nombre} (ID ${payload.lot_id}).`,
+        '',
+        `Nombre: ${payload.first_name} ${payload.last_name}`,
+        profile.buyer_type === 'company'
+          ? `Empresa: ${profile.company_name} (RUC ${profile.ruc})`
+          : `Documento: ${profile.document_number}`,
+        `Email: ${payload.email}`,
+        `Teléfono: ${payload.phone}`,
+        `Dirección: ${profile.address}, ${profile.city}, ${profile.country}`,
+        `Pago: ${payload.financing_preference === 'financed' ? 'financiado' : 'contado'}`
+      ];
+
+      if (lot.financing_plan) {
+        const plan = lot.financing_plan;
+        lines.push(`Plan: ${plan.down_payment_percent}% de entrega, ${plan.term_months} cuotas de ${plan.monthly_payment} ${plan.currency}`);
+      }
+      if (payload.additional_message) {
+        lines.push('', payload.additional_message);
+      }
+
+      return lines.join('\n');
+    }
+  }
+
+  /**
+   * Webhook adapter
+   * POST { event, sent_at, reservation } to any URL; 2xx counts as success,
+   * a body in the reservation API format is honoured.
+   */
+  class WebhookReservationAdapter {
+    /**
+     * Send the reservation to the webhook
+     * @param {Object} payload - Reservation payload (snake_case)
+     * @param {Object} settings - { url, headers, timeout }
+     * @returns {Promise<Object>} Result
+     */
+    async submit(payload, settings) {
+      if (!settings.url) {
+        console.error('Reservation webhook URL is not configured. Please update assets/js/config.js');
+        return createError('ADAPTER_NOT_CONFIGURED');
+      }
+
+      const { response, body } = await postJson(settings.url, {
+        event: 'reservation.created',
+        sent_at: new Date().toISOString(),
+        reservation: payload
+      }, settings.headers, settings.timeout);
+
+      return mapHttpResponse(response, body, payload);
+    }
+  }
+
+  // ===========================
+  // REGISTRY
+  // ===========================
+
+  /**
+   * ReservationAdapters Class
+   * Adapter registry and per-loteamiento selection
+   */
+  class ReservationAdapters {
+    constructor() {
+      this.adapters = {
+        rest: new RestReservationAdapter(),
+        supabase: new SupabaseReservationAdapter(),
+        whatsapp: new WhatsAppReservationAdapter(),
+        webhook: new WebhookReservationAdapter()
+      };
+    }
+
+    /**
+     * Add or replace an adapter
+     * @param {string} name - Name used in RESERVATION_CONFIG.submission
+     * @param {Object} adapter - Object with submit(payload, settings)
+     */
+    register(name, adapter) {
+      this.adapters[name] = adapter;
+    }
+
+    /**
+     * Pick the adapter and its settings for a loteamiento
+     * Entries in submission.loteamientos are an adapter name or
+     * { adapter, ...settings } overriding the adapter's defaults.
+     * @param {string} loteamientoId - Loteamiento ID
+     * @returns {Object} { name, adapter, settings } (adapter is undefined for unknown names)
+     */
+    resolve(loteamientoId) {
+      const config = window.ReservationConfig || {};
+      const submission = config.submission || {};
+      const entry = (submission.loteamientos || {})[loteamientoId] || submission.defaultAdapter || 'rest';
+      const { adapter: name, ...overrides } = typeof entry === 'string' ? { adapter: entry } : entry;
+
+      // The REST adapter is configured by the top-level RESERVATION_CONFIG fields
+      const defaults = name === 'rest' ? config : submission[name];
+
+      return {
+        name,
+        adapter: this.adapters[name],
+        settings: { timeout: config.timeout, ...defaults, ...overrides }
+      };
+    }
+
+    /**
+     * Submit a payload through the loteamiento's adapter
+     * @param {Object} payload - Reservation payload (snake_case)
+     * @param {string} loteamientoId - Loteamiento ID
+     * @returns {Promise<Object>} Result (throws on connectivity errors)
+     */
+    async submit(payload, loteamientoId) {
+      const { name, adapter, settings } = this.resolve(loteamientoId);
+
+      if (!adapter) {
+        console.error(`Unknown reservation adapter "${name}" for loteamiento ${loteamientoId}`);
+        return createError('ADAPTER_NOT_CONFIGURED');
+      }
+
+      return adapter.submit(payload, settings);
+    }
+  }
+
+  // Create singleton instance
+  const reservationAdapters = new ReservationAdapters();
+
+  // Export to window for global access
+  window.ReservationAdapters = reservationAdapters;
+
+})();
@@ -0,0 +1,553 @@
+/**
+ * Reservation Confirmation - Inmobiliaria Mega Proyectos
+ *
+ * Confirmation view shown on reservation-form.html after a successful
+ * ReservationService.submitReservation.
+ *
+ * Features:
+ * - Reservation reference returned by the API (`response.data`)
+ * - Lot, buyer and financing plan summary
+ * - Static snapshot of the lot polygon (inline SVG, prints without tiles)
+ * - Next steps for the buyer
+ * - Print-friendly layout and a client-side PDF download (jsPDF)
+ * - Re-rendered on language and currency changes
+ *
+ * @requires i18n.js
+ * @requires currency.js (optional, falls back to EUR formatting)
+ * @requires https://cdn.jsdelivr.net/npm/jspdf@2.5.1 (PDF download)
+ */
+
+// ===========================
+// CONFIGURATION
+// ===========================
+
+const CONFIRMATION_CONFIG = {
+  /** Fields of `response.data` that may hold the reservation reference, in order */
+  referenceFields: ['reference', 'reservation_reference', 'reservation_code', 'reservation_id', 'id'],
+
+  /** Lot snapshot size (SVG user units / PDF millimetres) */
+  snapshot: { width: 320, height: 200, padding: 24 },
+
+  /** Next steps shown to the buyer (keys under reservation.confirmation.next_steps) */
+  nextSteps: ['contact', 'documents', 'payment'],
+
+  /** Snapshot colours (reservado, as the lot is now held for the buyer) */
+  colors: { fill: '#ffc107', stroke: '#1F4B43' }
+};
+
+// ===========================
+// RESERVATION CONFIRMATION
+// ===========================
+
+/**
+ * ReservationConfirmation Class
+ * Renders the confirmation into a container element
+ */
+class ReservationConfirmation {
+  /**
+   * @param {HTMLElement} container - Element the confirmation is rendered into
+   */
+  constructor(container) {
+    this.container = container;
+    this.summary = null;
+
+    this.handleExternalChange = this.handleExternalChange.bind(this);
+    document.addEventListener('languageChanged', this.handleExternalChange);
+    document.addEventListener('currencyChanged', this.handleExternalChange);
+  }
+
+  /**
+   * Get the reservation reference from the API response data
+   * @param {Object} data - `response.data` from ReservationService
+   * @returns {string|null} Reference or null when the API returned none
+   */
+  static getReference(data) {
+    if (!data) return null;
+
+    const field = CONFIRMATION_CONFIG.referenceFields.find(name => data[name]);
+    return field ? String(data[field]) : null;
+  }
+
+  /**
+   * Project a lot polygon into a box (equirectangular, north up)
+   * @param {Object} feature - GeoJSON feature (Polygon or MultiPolygon)
+   * @param {number} width - Box width
+   * @param {number} height - Box height
+   * @param {number} padding - Inner padding
+   * @returns {Object|null} { rings: [[[x, y], ...]], metersPerUnit } or null without geometry
+   */
+  static projectFeature(feature, width, height, padding) {
+    const geometry = feature && feature.geometry;
+    if (!geometry) return null;
+
+    let polygons = [];
+    if (geometry.type === 'Polygon') {
+      polygons = [geometry.coordinates];
+    } else if (geometry.type === 'MultiPolygon') {
+      polygons = geometry.coordinates;
+    }
+
+    // Outer rings only: holes don't matter at snapshot scale
+    const rings = polygons.map(polygon => polygon[0]).filter(ring => ring && ring.length > 2);
+    if (rings.length === 0) return null;
+
+    const all = rings.flat();
+    const lngs = all.map(([lng]) => lng);
+    const lats = all.map(([, lat]) => lat);
+    const minLng = Math.min(...lngs);
+    const maxLat = Math.max(...lats);
+    const midLat = (Math.min(...lats) + maxLat) / 2;
+    const lngScale = Math.cos(midLat * Math.PI / 180);
+
+    const spanX = (Math.max(...lngs) - minLng) * lngScale || 1e-9;
+    const spanY = (maxLat - Math.min(...lats)) || 1e-9;
+    const scale = Math.min((width - padding * 2) / spanX, (height - padding * 2) / spanY);
+
+    // Center the shape in the box
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+
+    return {
+      rings: rings.map(ring => ring.map(([lng, lat]) => [
+        offsetX + (lng - minLng) * lngScale * scale,
+        offsetY + (maxLat - lat) * scale
+      ])),
+      // 1 degree of latitude ≈ 111,320 m
+      metersPerUnit: 111320 / scale
+    };
+  }
+
+  /**
+   * Pick a round scale bar length that fits in a share of the box
+   * @param {number} metersPerUnit - Meters per box unit
+   * @param {number} maxUnits - Longest allowed bar
+   * @returns {Object} { meters, units }
+   */
+  static getScaleBar(metersPerUnit, maxUnits) {
+    const steps = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000];
+    const meters = steps.filter(step => step / metersPerUnit <= maxUnits).pop() || steps[0];
+    return { meters, units: meters / metersPerUnit };
+  }
+
+  /**
+   * Show the confirmation for a submitted reservation
+   * @param {Object} summary - Reservation summary
+   * @param {Object} summary.data - `response.data` from ReservationService
+   * @param {string} summary.reservationDate - YYYY-MM-DD
+   * @param {Object} summary.buyer - { name, email, phone }
+   * @param {Object} summary.lot - { nombre, loteamiento, lados, area, precio, feature }
+   * @param {Object|null} summary.financingPlan - FinancingCalculator.getPlan() or null
+   * @param {string} summary.mapUrl - Link back to the loteamiento map
+   */
+  show(summary) {
+    this.summary = summary;
+    this.render();
+
+    this.container.hidden = false;
+    this.container.scrollIntoView({ block: 'start' });
+  }
+
+  /**
+   * Render the confirmation
+   */
+  render() {
+    if (!this.container || !this.summary) return;
+
+    const { data, buyer, lot, financingPlan, mapUrl } = this.summary;
+    const reference = ReservationConfirmation.getReference(data);
+    const rows = this.getLotRows();
+
+    const steps = CONFIRMATION_CONFIG.nextSteps.map(step => `
+      <li>
+        <strong>${this.t(`reservation.confirmation.next_steps.${step}.title`)}</strong>
+        <span>${this.t(`reservation.confirmation.next_steps.${step}.text`)}</span>
+      </li>
+    `).join('');
+
+    this.container.innerHTML = `
+      <header class="confirmation-header">
+        <div class="confirmation-icon" aria-hidden="true">✓</div>
+        <h1 class="reservation-title" id="confirmationTitle">${this.t('reservation.confirmation.title')}</h1>
+        <p class="reservation-subtitle">${this.t('reservation.confirmation.subtitle')}</p>
+      </header>
+
+      <div class="confirmation-reference">
+        <span class="confirmation-label">${this.t('reservation.confirmation.reference')}</span>
+        <strong class="confirmation-reference-value">${reference ? this.escapeHtml(reference) : this.t('reservation.confirmation.reference_pending')}</strong>
+        <span class="confirmation-date">${this.t('reservation.confirmation.date')}: ${this.formatDate(this.summary.reservationDate)}</span>
+      </div>
+
+      <div class="confirmation-grid">
+        <section class="confirmation-section">
+          <h2 class="form-section-title">${this.t('reservation.confirmation.lot_title')}</h2>
+          <dl class="confirmation-list">
+            ${rows.map(([label, value]) => `<dt>${label}</dt><dd>${this.escapeHtml(value)}</dd>`).join('')}
+          </dl>
+        </section>
+
+        <figure class="confirmation-snapshot">
+          ${this.buildSnapshotSvg(lot.feature)}
+          <figcaption>${this.escapeHtml([lot.nombre, lot.loteamiento].filter(Boolean).join(' · '))}</figcaption>
+        </figure>
+      </div>
+
+      ${financingPlan ? `
+      <section class="confirmation-section">
+        <h2 class="form-section-title">${this.t('reservation.confirmation.financing_title')}</h2>
+        <dl class="confirmation-list">
+          ${this.getFinancingRows().map(([label, value]) => `<dt>${label}</dt><dd>${this.escapeHtml(value)}</dd>`).join('')}
+        </dl>
+      </section>` : ''}
+
+      <section class="confirmation-section">
+        <h2 class="form-section-title">${this.t('reservation.confirmation.buyer_title')}</h2>
+        <dl class="confirmation-list">
+          <dt>${this.t('reservation.confirmation.buyer_name')}</dt><dd>${this.escapeHtml(buyer.name)}</dd>
+          <dt>${this.t('reservation.confirmation.buyer_email')}</dt><dd>${this.escapeHtml(buyer.email)}</dd>
+          <dt>${this.t('reservation.confirmation.buyer_phone')}</dt><dd>${this.escapeHtml(buyer.phone)}</dd>
+        </dl>
+      </section>
+
+      ${data && data.whatsapp_url ? `
+      <section class="confirmation-section confirmation-whatsapp">
+        <p>${this.t('reservation.confirmation.whatsapp_text')}</p>
+        <a href="${this.escapeHtml(data.whatsapp_url)}" class="submit-btn confirmation-whatsapp-btn" target="_blank" rel="noopener">${this.t('reservation.confirmation.whatsapp_button')}</a>
+      </section>` : ''}
+
+      <section class="confirmation-section">
+        <h2 class="form-section-title">${this.t('reservation.confirmation.next_steps_title')}</h2>
+        <ol class="confirmation-steps">${steps}</ol>
+      </section>
+
+      <div class="confirmation-actions">
+        <button type="button" class="submit-btn confirmation-pdf-btn">${this.t('reservation.confirmation.download_pdf')}</button>
+        <button type="button" class="confirmation-secondary-btn confirmation-print-btn">${this.t('reservation.confirmation.print')}</button>
+        <a href="${this.escapeHtml(mapUrl || 'mapa.html')}" class="back-link">
+          <span class="back-arrow">←</span>
+          <span>${this.t('reservation.back_link')}</span>
+        </a>
+      </div>
+    `;
+
+    this.bindEvents();
+  }
+
+  /**
+   * Bind print and PDF buttons
+   */
+  bindEvents() {
+    const pdfBtn = this.container.querySelector('.confirmation-pdf-btn');
+    const printBtn = this.container.querySelector('.confirmation-print-btn');
+
+    if (pdfBtn) {
+      pdfBtn.addEventListener('click', () => this.downloadPdf());
+    }
+    if (printBtn) {
+      printBtn.addEventListener('click', () => window.print());
+    }
+  }
+
+  /**
+   * Re-render on language or currency change
+   */
+  handleExternalChange() {
+    if (this.summary) {
+      this.render();
+    }
+  }
+
+  /**
+   * Lot rows shared by the view and the PDF
+   * @returns {Array<Array<string>>} [label, value] pairs
+   */
+  getLotRows() {
+    const { lot } = this.summary;
+    const price = lot.precio ? this.formatMoney(lot.precio) : this.t('reservation.lot_info.consult');
+
+    return [
+      [this.t('reservation.lot_info.id'), lot.nombre || '-'],
+      [this.t('reservation.confirmation.loteamiento'), lot.loteamiento || '-'],
+      [this.t('reservation.lot_info.dimensions'), lot.lados || '-'],
+      [this.t('reservation.lot_info.area'), lot.area ? this.formatArea(lot.area) : '-'],
+      [this.t('reservation.lot_info.price'), price]
+    ];
+  }
+
+  /**
+   * Financing plan rows shared by the view and the PDF
+   * @returns {Array<Array<string>>} [label, value] pairs
+   */
+  getFinancingRows() {
+    const plan = this.summary.financingPlan;
+
+    return [
+      [this.t('financing.down_payment'), `${this.formatMoney(plan.down_payment_amount)} (${plan.down_payment_percent}%)`],
+      [this.t('financing.term'), this.t('financing.months').replace('{months}', plan.term_months)],
+      [this.t('financing.interest_rate'), `${plan.annual_interest_rate}%`],
+      [this.t('financing.monthly_payment'), this.formatMoney(plan.monthly_payment)],
+      [this.t('financing.total_paid'), this.formatMoney(plan.total_paid)]
+    ];
+  }
+
+  /**
+   * Build the static lot snapshot
+   * @param {Object} feature - Lot GeoJSON feature
+   * @returns {string} SVG markup (empty without geometry)
+   */
+  buildSnapshotSvg(feature) {
+    const { width, height, padding } = CONFIRMATION_CONFIG.snapshot;
+    const projection = ReservationConfirmation.projectFeature(feature, width, height, padding);
+    if (!projection) return '';
+
+    const { colors } = CONFIRMATION_CONFIG;
+    const polygons = projection.rings.map(ring => {
+      const points = ring.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+      return `<polygon points="${points}" fill="${colors.fill}" fill-opacity="0.6" stroke="${colors.stroke}" stroke-width="2" stroke-linejoin="round" />`;
+    }).join('');
+
+    const bar = ReservationConfirmation.getScaleBar(projection.metersPerUnit, width * 0.3);
+    const barY = height - 10;
+
+    return `
+      <svg class="confirmation-snapshot-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="${this.t('reservation.confirmation.snapshot_label')}">
+        <rect width="${width}" height="${height}" fill="#f4f4f4" />
+        ${polygons}
+        <g fill="${colors.stroke}" font-family="sans-serif" font-size="11">
+          <path d="M${width - 16} 8 l6 14 l-6 -4 l-6 4 z" />
+          <text x="${width - 16}" y="34" text-anchor="middle">N</text>
+          <rect x="10" y="${barY - 3}" width="${bar.units.toFixed(1)}" height="3" />
+          <text x="10" y="${barY - 7}">${bar.meters} m</text>
+        </g>
+      </svg>
+    `;
+  }
+
+  // ===========================
+  // PDF
+  // ===========================
+
+  /**
+   * Build and download the reservation summary as PDF
+   */
+  downloadPdf() {
+    if (!window.jspdf || !window.jspdf.jsPDF) {
+      console.error('jsPDF not loaded');
+      if (typeof showError === 'function') {
+        showError(this.t('reservation.confirmation.pdf_error'));
+      }
+      return;
+    }
+
+    const { data, buyer, lot, financingPlan, reservationDate } = this.summary;
+    const reference = ReservationConfirmation.getReference(data);
+    const doc = new window.jspdf.jsPDF({ unit: 'mm', format: 'a4' });
+    const text = (value) => this.toPdfText(value);
+    const left = 20;
+    let y = 22;
+
+    // Header
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(16);
+    doc.setTextColor(31, 75, 67);
+    doc.text(text(this.t('reservation.confirmation.title')), left, y);
+    y += 8;
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.setTextColor(60, 60, 60);
+    doc.text(text('Inmobiliaria Mega Proyectos'), left, y);
+    y += 10;
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.setTextColor(0, 0, 0);
+    doc.text(text(`${this.t('reservation.confirmation.reference')}: ${reference || this.t('reservation.confirmation.reference_pending')}`), left, y);
+    y += 6;
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.text(text(`${this.t('reservation.confirmation.date')}: ${this.formatDate(reservationDate)}`), left, y);
+    y += 10;
+
+    // Lot details with the snapshot on the right
+    const snapshotTop = y;
+    y = this.addPdfSection(doc, this.t('reservation.confirmation.lot_title'), this.getLotRows(), left, y);
+    this.addPdfSnapshot(doc, lot.feature, 120, snapshotTop, 70, 48);
+    y = Math.max(y, snapshotTop + 54);
+
+    if (financingPlan) {
+      y = this.addPdfSection(doc, this.t('reservation.confirmation.financing_title'), this.getFinancingRows(), left, y);
+    }
+
+    y = this.addPdfSection(doc, this.t('reservation.confirmation.buyer_title'), [
+      [this.t('reservation.confirmation.buyer_name'), buyer.name],
+      [this.t('reservation.confirmation.buyer_email'), buyer.email],
+      [this.t('reservation.confirmation.buyer_phone'), buyer.phone]
+    ], left, y);
+
+    // Next steps
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    doc.setTextColor(31, 75, 67);
+    doc.text(text(this.t('reservation.confirmation.next_steps_title')), left, y);
+    y += 6;
+
+    doc.setFontSize(10);
+    doc.setTextColor(0, 0, 0);
+    CONFIRMATION_CONFIG.nextSteps.forEach((step, index) => {
+      doc.setFont('helvetica', 'bold');
+      doc.text(text(`${index + 1}. ${this.t(`reservation.confirmation.next_steps.${step}.title`)}`), left, y);
+      y += 5;
+
+      doc.setFont('helvetica', 'normal');
+      const lines = doc.splitTextToSize(text(this.t(`reservation.confirmation.next_steps.${step}.text`)), 165);
+      doc.text(lines, left + 4, y);
+      y += lines.length * 5 + 2;
+    });
+
+    const fileRef = (reference || lot.nombre || 'reserva').replace(/[^a-zA-Z0-9-]+/g, '-');
+    doc.save(`reserva-${fileRef}-${reservationDate}.pdf`);
+  }
+
+  /**
+   * Write a titled label/value section to the PDF
+   * @param {Object} doc - jsPDF document
+   * @param {string} title - Section title
+   * @param {Array<Array<string>>} rows - [label, value] pairs
+   * @param {number} x - Left position (mm)
+   * @param {number} y - Top position (mm)
+   * @returns {number} Position below the section
+   */
+  addPdfSection(doc, title, rows, x, y) {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    doc.setTextColor(31, 75, 67);
+    doc.text(this.toPdfText(title), x, y);
+    y += 6;
+
+    doc.setFontSize(10);
+    doc.setTextColor(0, 0, 0);
+    rows.forEach(([label, value]) => {
+      doc.setFont('helvetica', 'normal');
+      doc.text(this.toPdfText(label), x, y);
+      doc.setFont('helvetica', 'bold');
+      doc.text(this.toPdfText(value), x + 40, y);
+      y += 5;
+    });
+
+    return y + 5;
+  }
+
+  /**
+   * Draw the lot polygon into the PDF
+   * @param {Object} doc - jsPDF document
+   * @param {Object} feature - Lot GeoJSON feature
+   * @param {number} x - Left position (mm)
+   * @param {number} y - Top position (mm)
+   * @param {number} width - Width (mm)
+   * @param {number} height - Height (mm)
+   */
+  addPdfSnapshot(doc, feature, x, y, width, height) {
+    const projection = ReservationConfirmation.projectFeature(feature, width, height, 6);
+    if (!projection) return;
+
+    doc.setFillColor(244, 244, 244);
+    doc.rect(x, y, width, height, 'F');
+
+    doc.setDrawColor(31, 75, 67);
+    doc.setFillColor(255, 193, 7);
+    doc.setLineWidth(0.5);
+    projection.rings.forEach(ring => {
+      const [start, ...rest] = ring;
+      const segments = rest.map((point, index) => [point[0] - ring[index][0], point[1] - ring[index][1]]);
+      doc.lines(segments, x + start[0], y + start[1], [1, 1], 'FD', true);
+    });
+
+    const bar = ReservationConfirmation.getScaleBar(projection.metersPerUnit, width * 0.3);
+    doc.setFillColor(31, 75, 67);
+    doc.rect(x + 3, y + height - 4, bar.units, 1, 'F');
+    doc.setFontSize(8);
+    doc.text(`${bar.meters} m`, x + 3, y + height - 5.5);
+    doc.text('N', x + width - 5, y + 6);
+  }
+
+  /**
+   * Make text safe for the PDF standard fonts (WinAnsi encoding)
+   * @param {*} value - Text
+   * @returns {string} Text without unsupported characters
+   */
+  toPdfText(value) {
+    return String(value === null || value === undefined ? '-' : value)
+      .replace(/₲\s?/g, 'Gs. ')
+      .replace(/≈\s?/g, '~')
+      .replace(/[\u00A0\u202F]/g, ' ');
+  }
+
+  // ===========================
+  // FORMATTING
+  // ===========================
+
+  /**
+   * Format an amount in the base currency in the visitor's currency
+   * @param {number} amount - Amount
+   * @returns {string} Formatted amount
+   */
+  formatMoney(amount) {
+    if (window.Currency) {
+      return window.Currency.format(amount);
+    }
+    return new Intl.NumberFormat('de-DE', { style: 'currency', currency: 'EUR' }).format(amount);
+  }
+
+  /**
+   * Format an area in m²
+   * @param {number} area - Area
+   * @returns {string} Formatted area
+   */
+  formatArea(area) {
+    return `${Number(area).toLocaleString(this.getLocale())} m²`;
+  }
+
+  /**
+   * Format a YYYY-MM-DD date in the current language
+   * @param {string} date - Date
+   * @returns {string} Formatted date
+   */
+  formatDate(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Intl.DateTimeFormat(this.getLocale(), { dateStyle: 'long' }).format(new Date(year, month - 1, day));
+  }
+
+  /**
+   * Get the number/date formatting locale for the current language
+   * @returns {string} Locale
+   */
+  getLocale() {
+    const currentLang = window.i18n && window.i18n.getCurrentLanguage ? window.i18n.getCurrentLanguage() : 'es';
+    const localeMap = { 'es': 'es-PY', 'en': 'en-US', 'de': 'de-DE' };
+    return localeMap[currentLang] || 'es-PY';
+  }
+
+  /**
+   * Escape text for HTML
+   * @param {*} value - Value
+   * @returns {string} Escaped text
+   */
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value === null || value === undefined ? '' : String(value);
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Translate a key (returns the key itself when missing)
+   * @param {string} key - Translation key
+   * @returns {string} Translated text
+   */
+  t(key) {
+    return window.i18n && window.i18n.t ? window.i18n.t(key) : key;
+  }
+}
+
+// Export for use in reservation-form.html
+window.ReservationConfirmation = ReservationConfirmation;
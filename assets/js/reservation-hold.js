@@ -0,0 +1,314 @@
+/**
+ * Reservation Hold - Inmobiliaria Mega Proyectos
+ *
+ * Keeps the lote held for the buyer while reservation-form.html is open,
+ * so a second buyer cannot start a reservation for the same lote.
+ *
+ * Features:
+ * - Acquires the hold when the form loads and shows a countdown
+ * - Renews the hold while the buyer is active (input, clicks, keys)
+ * - Lets the buyer resume after an expiry if nobody else took the lote
+ * - Releases the hold on submit and when the page is left
+ *
+ * @requires lot-hold-service.js
+ */
+
+// ===========================
+// CONFIGURATION
+// ===========================
+
+const HOLD_UI_CONFIG = {
+  /** Countdown refresh interval */
+  tickInterval: 1000,
+
+  /** Countdown is highlighted below this many seconds */
+  warningSeconds: 60,
+
+  /** Activity events that keep the hold alive */
+  activityEvents: ['input', 'pointerdown', 'keydown']
+};
+
+// ===========================
+// RESERVATION HOLD
+// ===========================
+
+/**
+ * ReservationHold Class
+ * Countdown banner and renew/release lifecycle of the lote hold
+ */
+class ReservationHold {
+  /**
+   * @param {HTMLElement} container - Element for the countdown banner
+   * @param {Object} options - Options
+   * @param {string} options.loteId - Lote ID
+   * @param {string} options.loteamientoId - Loteamiento ID
+   * @param {Function} [options.onUnavailable] - (error) => void when another buyer holds the lote
+   */
+  constructor(container, options) {
+    this.container = container;
+    this.loteId = options.loteId;
+    this.loteamientoId = options.loteamientoId;
+    this.onUnavailable = options.onUnavailable || null;
+
+    this.expiresAt = null;
+    this.lastRenewAt = 0;
+    this.lastActivityAt = Date.now();
+    this.tickTimer = null;
+    this.isActive = false;
+    this.isExpired = false;
+    this.isRenewing = false;
+
+    this.handleActivity = this.handleActivity.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
+    this.tick = this.tick.bind(this);
+  }
+
+  /**
+   * Acquire the hold and start the countdown
+   * Storage errors don't block the form: the backend still checks availability
+   * @returns {Promise<Object>} LotHoldService.acquire response
+   */
+  async start() {
+    const response = await window.LotHoldService.acquire(this.loteId, this.loteamientoId);
+
+    if (response.success) {
+      this.activate(response.data.expiresAt);
+      HOLD_UI_CONFIG.activityEvents.forEach(eventName => {
+        document.addEventListener(eventName, this.handleActivity, { passive: true });
+      });
+      window.addEventListener('pagehide', this.handlePageHide);
+      document.addEventListener('languageChanged', this.tick);
+    } else if (this.isUnavailable(response.error)) {
+      this.renderUnavailable(response.error);
+    } else {
+      console.warn('Lote hold unavailable, continuing without countdown:', response.error.code);
+    }
+
+    return response;
+  }
+
+  /**
+   * Start (or restart) the countdown for a new expiry
+   * @param {Date} expiresAt - Hold expiry
+   */
+  activate(expiresAt) {
+    this.expiresAt = expiresAt;
+    this.lastRenewAt = Date.now();
+    this.isActive = true;
+    this.isExpired = false;
+
+    clearInterval(this.tickTimer);
+    this.tickTimer = setInterval(this.tick, HOLD_UI_CONFIG.tickInterval);
+    this.tick();
+  }
+
+  /**
+   * Record buyer activity
+   */
+  handleActivity() {
+    this.lastActivityAt = Date.now();
+  }
+
+  /**
+   * Update the countdown; renew while the buyer is active
+   */
+  tick() {
+    if (!this.isActive) return;
+
+    const config = (window.ReservationConfig && window.ReservationConfig.hold) || {};
+    const now = Date.now();
+    const remainingSeconds = Math.max(0, Math.ceil((this.expiresAt.getTime() - now) / 1000));
+
+    if (remainingSeconds === 0) {
+      this.expire();
+      return;
+    }
+
+    const isDueForRenewal = now - this.lastRenewAt >= (config.renewIntervalSeconds || 60) * 1000;
+    const isBuyerActive = now - this.lastActivityAt < (config.idleTimeoutSeconds || 300) * 1000;
+
+    if (isDueForRenewal && isBuyerActive) {
+      this.renew();
+    }
+
+    this.renderCountdown(remainingSeconds);
+  }
+
+  /**
+   * Extend the hold (same holder, so the RPC only moves expires_at)
+   * @returns {Promise<boolean>} True if the hold is still ours
+   */
+  async renew() {
+    if (this.isRenewing) return this.isActive;
+
+    this.isRenewing = true;
+    this.lastRenewAt = Date.now();
+
+    try {
+      const response = await window.LotHoldService.acquire(this.loteId, this.loteamientoId);
+
+      if (response.success) {
+        this.activate(response.data.expiresAt);
+        return true;
+      }
+
+      if (this.isUnavailable(response.error)) {
+        this.stop();
+        this.renderUnavailable(response.error);
+      }
+      return false;
+
+    } finally {
+      this.isRenewing = false;
+    }
+  }
+
+  /**
+   * Stop the countdown after the hold lapsed and offer to resume
+   */
+  expire() {
+    clearInterval(this.tickTimer);
+    this.isActive = false;
+    this.isExpired = true;
+
+    this.container.classList.add('is-expired');
+    this.container.classList.remove('is-warning');
+    this.container.innerHTML = `
+      <span class="reservation-hold-text">${this.t('expired', 'El tiempo de reserva expiró y el lote quedó libre para otros compradores.')}</span>
+      <button type="button" class="reservation-hold-resume">${this.t('resume', 'Continuar reservando')}</button>
+    `;
+    this.container.hidden = false;
+
+    this.container.querySelector('.reservation-hold-resume').addEventListener('click', () => {
+      this.handleActivity();
+      this.renew();
+    });
+  }
+
+  /**
+   * Release the hold (after submitting)
+   * @returns {Promise<boolean>} True if the release was sent
+   */
+  async release() {
+    const wasHeld = this.isActive || this.isExpired;
+    this.stop();
+    this.container.hidden = true;
+
+    return wasHeld ? window.LotHoldService.release(this.loteId) : false;
+  }
+
+  /**
+   * Release with a keepalive request when the page is left
+   */
+  handlePageHide() {
+    if (!this.isActive) return;
+
+    this.stop();
+    window.LotHoldService.release(this.loteId, { keepalive: true });
+  }
+
+  /**
+   * Stop the countdown and remove the listeners
+   */
+  stop() {
+    clearInterval(this.tickTimer);
+    this.isActive = false;
+    this.isExpired = false;
+
+    HOLD_UI_CONFIG.activityEvents.forEach(eventName => {
+      document.removeEventListener(eventName, this.handleActivity);
+    });
+    window.removeEventListener('pagehide', this.handlePageHide);
+    document.removeEventListener('languageChanged', this.tick);
+  }
+
+  // ===========================
+  // RENDERING
+  // ===========================
+
+  /**
+   * Render the countdown banner
+   * @param {number} remainingSeconds - Seconds left on the hold
+   */
+  renderCountdown(remainingSeconds) {
+    const minutes = Math.floor(remainingSeconds / 60);
+    const seconds = String(remainingSeconds % 60).padStart(2, '0');
+    const text = this.t('countdown', 'Lote apartado para usted por {time}')
+      .replace('{time}', `<strong>${minutes}:${seconds}</strong>`);
+
+    this.container.classList.remove('is-expired', 'is-unavailable');
+    this.container.classList.toggle('is-warning', remainingSeconds <= HOLD_UI_CONFIG.warningSeconds);
+    this.container.innerHTML = `<span class="reservation-hold-text">${text}</span>`;
+    this.container.hidden = false;
+  }
+
+  /**
+   * Render the "another buyer is reserving this lote" notice
+   * @param {Object} error - LotHoldService error ({ code, message_es, ... })
+   */
+  renderUnavailable(error) {
+    const message = error[`message_${this.getLanguage()}`] || error.message_es;
+
+    this.container.classList.remove('is-warning', 'is-expired');
+    this.container.classList.add('is-unavailable');
+    this.container.innerHTML = `<span class="reservation-hold-text">${this.escapeHtml(message)}</span>`;
+    this.container.hidden = false;
+
+    if (this.onUnavailable) {
+      this.onUnavailable(error);
+    }
+  }
+
+  // ===========================
+  // HELPERS
+  // ===========================
+
+  /**
+   * Whether a hold error means the lote cannot be reserved now
+   * (held by another buyer, or no longer disponible)
+   * @param {Object} error - LotHoldService error
+   * @returns {boolean} True if the form must be blocked
+   */
+  isUnavailable(error) {
+    return error.code === 'LOT_ON_HOLD' || error.code === 'LOT_NOT_AVAILABLE';
+  }
+
+  /**
+   * Get the current language code
+   * @returns {string} 'es', 'en' or 'de'
+   */
+  getLanguage() {
+    return (window.i18n && window.i18n.isInitialized && window.i18n.isInitialized())
+      ? window.i18n.getCurrentLanguage()
+      : 'es';
+  }
+
+  /**
+   * Escape text for HTML insertion
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Translate a hold key with fallback
+   * @param {string} key - Key under reservation.hold
+   * @param {string} fallback - Spanish fallback
+   * @returns {string} Translated text
+   */
+  t(key, fallback) {
+    if (window.i18n && window.i18n.isInitialized && window.i18n.isInitialized()) {
+      const fullKey = `reservation.hold.${key}`;
+      const text = window.i18n.t(fullKey);
+      if (text !== fullKey) return text;
+    }
+    return fallback;
+  }
+}
+
+// Export for use in reservation-form.html
+window.ReservationHold = ReservationHold;
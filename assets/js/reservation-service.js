@@ -3,14 +3,36 @@
  * Service layer for managing reservation operations via Backend API
  *
  * Responsibilities:
- * - Submit reservations to backend Web Service API
- * - Client-side validation of form data
+ * - Submit reservations through the loteamiento's adapter
+ *   (REST API, Supabase, WhatsApp or webhook - reservation-adapters.js)
+ * - Client-side validation of form data, per wizard step or complete
+ * - Upload buyer documents (ID scans) to Supabase Storage
+ * - Verify the buyer's phone or email with a one-time code
  * - Handle API responses and errors
  * - Provide multilingual error messages (Spanish/English/German)
+ * - Queue submissions that fail while offline (submission-queue.js)
+ * - Attach the bot protection token (form-guard.js) as `anti_bot`
  *
- * @requires config.js (window.ReservationConfig)
+ * @requires config.js (window.ReservationConfig, window.VerificationConfig)
+ * @requires reservation-adapters.js
+ * @requires submission-queue.js (optional, enables offline retry)
+ * @requires supabase-client.js (document uploads)
+ * @requires form-guard.js (optional, enables bot protection)
  */
 
+/**
+ * Wizard steps in order, as validated by validateReservationData
+ */
+const RESERVATION_STEPS = ['buyer', 'address', 'financing', 'documents', 'review'];
+
+/**
+ * Documents required/accepted per buyer type
+ */
+const RESERVATION_DOCUMENT_RULES = {
+  individual: { required: ['id_front'], optional: ['id_back'] },
+  company: { required: ['id_front', 'ruc_certificate'], optional: ['id_back'] }
+};
+
 class ReservationService {
   constructor() {
     this.isProcessing = false;
@@ -18,8 +40,8 @@ class ReservationService {
   }
 
   /**
-   * Submit a reservation to the backend API
-   * The backend will handle:
+   * Submit a reservation through the loteamiento's adapter (reservation-adapters.js)
+   * The backend behind the adapter will handle:
    * 1. Lot availability validation
    * 2. Database transaction (insert reservation + update lot estado)
    * 3. Business logic and data persistence
@@ -30,16 +52,35 @@ class ReservationService {
    * @param {string} reservationData.email - Email address
    * @param {string} reservationData.phone - Phone number
    * @param {string} reservationData.additionalMessage - Optional message
+   * @param {string} reservationData.buyerType - 'individual' or 'company'
+   * @param {string} [reservationData.documentNumber] - Cédula or passport (individual)
+   * @param {string} [reservationData.companyName] - Company name (company)
+   * @param {string} [reservationData.ruc] - RUC with check digit, e.g. 80016096-7 (company)
+   * @param {string} reservationData.address - Street address
+   * @param {string} reservationData.city - City
+   * @param {string} reservationData.country - Country of residence (ISO 3166-1 alpha-2)
+   * @param {string} reservationData.nationality - Nationality (ISO 3166-1 alpha-2)
+   * @param {string} reservationData.financingPreference - 'cash' or 'financed'
+   * @param {Array<Object>} reservationData.documents - Uploaded documents (see uploadDocument)
    * @param {string} reservationData.loteId - Lote ID (from URL)
    * @param {string} reservationData.loteamientoId - Loteamiento ID (from URL)
+   * @param {string} [reservationData.holdId] - Holder ID of the lote hold (see lot-hold-service.js)
+   * @param {string} [reservationData.verificationToken] - Token from verifyCode (required when verification is enabled)
+   * @param {string} [reservationData.verificationChannel] - 'sms' or 'email'
+   * @param {Object} [reservationData.antiBot] - Form guard token (added here; renewed when resent from the queue)
    * @param {Object} reservationData.lotDetails - Full lote data for database and email generation
    * @param {string} reservationData.lotDetails.nombre - Lot name
    * @param {string} reservationData.lotDetails.loteamiento_id - Parent development ID
    * @param {number} [reservationData.lotDetails.area_m2] - Area in square meters (optional)
    * @param {string} [reservationData.lotDetails.lados] - Lot dimensions/sides (optional)
+   * @param {Object} [reservationData.lotDetails.financing_plan] - Instalment plan chosen in the calculator (optional)
+   * @param {string} [reservationData.reservationDate] - YYYY-MM-DD, kept when retried from the queue
+   * @param {Object} [options] - Submission options
+   * @param {boolean} [options.fromQueue=false] - Retry from the offline queue (don't queue again)
    * @returns {Promise<Object>} Response with success/error status and messages
+   *   (`queued: true` when it was stored for retry after a network failure)
    */
-  async submitReservation(reservationData) {
+  async submitReservation(reservationData, options = {}) {
     // Prevent concurrent submissions
     if (this.isProcessing) {
       return {
@@ -73,117 +114,72 @@ class ReservationService {
         };
       }
 
-      // Check if API configuration is loaded
-      if (!window.ReservationConfig) {
-        throw new Error('Reservation API configuration not loaded. Please ensure config.js is loaded before reservation-service.js');
+      // Bot protection; retries from the queue keep the original honeypot
+      // and fill time data but solve a fresh challenge
+      if (window.FormGuard) {
+        const guard = options.fromQueue
+          ? await window.FormGuard.renew(reservationData.antiBot || null, 'reservation')
+          : await window.FormGuard.protect('reservation');
+        if (!guard.success) {
+          this.isProcessing = false;
+          return guard;
+        }
+        reservationData = { ...reservationData, antiBot: guard.data };
       }
 
-      const config = window.ReservationConfig;
-
-      // Validate configuration
-      if (!config.apiBase || config.apiBase.includes('YOUR_API_BASE_URL_HERE')) {
-        throw new Error('Reservation API base URL is not configured. Please update assets/js/config.js');
+      // Check if API configuration and adapters are loaded
+      if (!window.ReservationConfig) {
+        throw new Error('Reservation API configuration not loaded. Please ensure config.js is loaded before reservation-service.js');
       }
 
-      if (!config.apiKey || config.apiKey === 'YOUR_API_KEY_HERE') {
-        throw new Error('Reservation API key is not configured. Please update assets/js/config.js');
+      if (!window.ReservationAdapters) {
+        throw new Error('Reservation adapters not loaded. Please ensure reservation-adapters.js is loaded before reservation-service.js');
       }
 
-      // Build API endpoint URL
-      const apiUrl = `${config.apiBase}${config.endpoint}`;
-
-      // Prepare request payload (snake_case format matching backend API schema)
+      // Prepare request payload (snake_case format matching backend API schema,
+      // shared by every submission adapter)
       const payload = {
         first_name: reservationData.firstName.trim(),
         last_name: reservationData.lastName.trim(),
         email: reservationData.email.trim().toLowerCase(),
         lot_id: reservationData.loteId,
-        reservation_date: new Date().toISOString().split('T')[0], // YYYY-MM-DD format
+        reservation_date: reservationData.reservationDate || new Date().toISOString().split('T')[0], // YYYY-MM-DD format
         phone: reservationData.phone.trim(),
         additional_message: reservationData.additionalMessage ? reservationData.additionalMessage.trim() : null,
+        buyer_profile: {
+          buyer_type: reservationData.buyerType,
+          document_number: reservationData.buyerType === 'individual' ? reservationData.documentNumber.trim() : null,
+          company_name: reservationData.buyerType === 'company' ? reservationData.companyName.trim() : null,
+          ruc: reservationData.buyerType === 'company' ? reservationData.ruc.trim() : null,
+          address: reservationData.address.trim(),
+          city: reservationData.city.trim(),
+          country: reservationData.country,
+          nationality: reservationData.nationality
+        },
+        financing_preference: reservationData.financingPreference,
+        documents: reservationData.documents,
+        hold_id: reservationData.holdId || null,
+        anti_bot: reservationData.antiBot || null,
+        verification: reservationData.verificationToken ? {
+          token: reservationData.verificationToken,
+          channel: reservationData.verificationChannel
+        } : null,
         lot_details: reservationData.lotDetails || {
           nombre: 'Unknown',
           loteamiento_id: reservationData.loteamientoId
         }
       };
 
-      console.log('Submitting reservation to API:', apiUrl);
-
-      // Make API request with timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), config.timeout || 30000);
-
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': config.apiKey
-        },
-        body: JSON.stringify(payload),
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
-
-      // Parse response
-      const responseData = await response.json();
-
-      // Handle HTTP errors
-      if (!response.ok) {
-        this.isProcessing = false;
-
-        // API returned structured error
-        if (responseData.error) {
-          return {
-            success: false,
-            error: {
-              code: responseData.error.code || 'API_ERROR',
-              message_es: responseData.error.message_es || 'Error al procesar la reservación.',
-              message_en: responseData.error.message_en || 'Error processing reservation.',
-              message_de: responseData.error.message_de || 'Fehler bei der Verarbeitung der Reservierung.'
-            }
-          };
-        }
-
-        // Generic HTTP error
-        return {
-          success: false,
-          error: {
-            code: `HTTP_${response.status}`,
-            message_es: `Error del servidor (${response.status}). Por favor, intente nuevamente.`,
-            message_en: `Server error (${response.status}). Please try again.`,
-            message_de: `Serverfehler (${response.status}). Bitte versuchen Sie es erneut.`
-          }
-        };
-      }
+      // Deliver through the loteamiento's adapter (REST API, Supabase, WhatsApp or webhook)
+      const response = await window.ReservationAdapters.submit(payload, reservationData.loteamientoId);
 
-      // Success response
       this.isProcessing = false;
 
-      // Return API response (backend should provide success/error structure)
-      if (responseData.success === false) {
-        // Backend returned structured error despite 200 OK
-        return {
-          success: false,
-          error: responseData.error || {
-            code: 'UNKNOWN_ERROR',
-            message_es: 'Error desconocido al procesar la reservación.',
-            message_en: 'Unknown error processing reservation.',
-            message_de: 'Unbekannter Fehler bei der Verarbeitung der Reservierung.'
-          }
-        };
+      if (response.success && window.FormGuard) {
+        window.FormGuard.recordSubmission('reservation');
       }
 
-      // Successful reservation
-      return {
-        success: true,
-        data: responseData.data || {
-          lot_id: reservationData.loteId
-        },
-        message_es: responseData.message_es || '¡Reservación enviada exitosamente! Nos pondremos en contacto con usted pronto.',
-        message_en: responseData.message_en || 'Reservation submitted successfully! We will contact you soon.',
-        message_de: responseData.message_de || 'Reservierung erfolgreich übermittelt! Wir werden uns bald bei Ihnen melden.'
-      };
+      return response;
 
     } catch (error) {
       this.error = error.message;
@@ -202,7 +198,30 @@ class ReservationService {
         };
       }
 
-      if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
+      if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError') ||
+          (window.SubmissionQueue && window.SubmissionQueue.isNetworkError(error))) {
+        // Keep the reservation and send it once the connection is back
+        if (!options.fromQueue && window.SubmissionQueue) {
+          const queuedData = {
+            ...reservationData,
+            reservationDate: reservationData.reservationDate || new Date().toISOString().split('T')[0]
+          };
+          const dedupeKey = `reservation:${reservationData.loteId}:${reservationData.email.trim().toLowerCase()}`;
+
+          if (await window.SubmissionQueue.enqueue('reservation', queuedData, dedupeKey)) {
+            return {
+              success: false,
+              queued: true,
+              error: {
+                code: 'QUEUED_OFFLINE',
+                message_es: 'Sin conexión. Su reservación se enviará automáticamente al recuperar la conexión.',
+                message_en: 'No connection. Your reservation will be sent automatically once you are back online.',
+                message_de: 'Keine Verbindung. Ihre Reservierung wird automatisch gesendet, sobald Sie wieder online sind.'
+              }
+            };
+          }
+        }
+
         return {
           success: false,
           error: {
@@ -232,9 +251,105 @@ class ReservationService {
    * Validate reservation data (client-side validation)
    * Backend will perform additional validation
    * @param {Object} data - Reservation data
+   * @param {Object} [options] - Options
+   * @param {string} [options.step] - Only validate one wizard step (see RESERVATION_STEPS)
+   * @returns {Object} Validation result
+   */
+  validateReservationData(data, options = {}) {
+    const stepValidators = {
+      buyer: () => this.validateBuyerStep(data),
+      address: () => this.validateAddressStep(data),
+      financing: () => this.validateFinancingStep(data),
+      documents: () => this.validateDocumentsStep(data),
+      review: () => this.validateReviewStep(data)
+    };
+
+    if (options.step) {
+      return stepValidators[options.step] ? stepValidators[options.step]() : { isValid: true };
+    }
+
+    // Complete validation: first failing step wins
+    for (const step of RESERVATION_STEPS) {
+      const result = stepValidators[step]();
+      if (!result.isValid) {
+        return { ...result, step };
+      }
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Validate buyer type, identification and contact details
+   * @param {Object} data - Reservation data
    * @returns {Object} Validation result
    */
-  validateReservationData(data) {
+  validateBuyerStep(data) {
+    if (!RESERVATION_DOCUMENT_RULES[data.buyerType]) {
+      return {
+        isValid: false,
+        field: 'buyerType',
+        message_es: 'Seleccione si reserva como persona física o como empresa.',
+        message_en: 'Please choose whether you reserve as an individual or as a company.',
+        message_de: 'Bitte wählen Sie, ob Sie als Privatperson oder als Unternehmen reservieren.'
+      };
+    }
+
+    if (data.buyerType === 'individual') {
+      const documentNumber = (data.documentNumber || '').replace(/[\s.\-]/g, '');
+      if (documentNumber.length === 0) {
+        return {
+          isValid: false,
+          field: 'documentNumber',
+          message_es: 'El número de cédula o pasaporte es obligatorio.',
+          message_en: 'ID card or passport number is required.',
+          message_de: 'Ausweis- oder Reisepassnummer ist erforderlich.'
+        };
+      }
+
+      if (!/^[A-Za-z0-9]{5,15}$/.test(documentNumber)) {
+        return {
+          isValid: false,
+          field: 'documentNumber',
+          message_es: 'Ingrese un número de cédula o pasaporte válido.',
+          message_en: 'Please enter a valid ID card or passport number.',
+          message_de: 'Bitte geben Sie eine gültige Ausweis- oder Reisepassnummer ein.'
+        };
+      }
+    }
+
+    if (data.buyerType === 'company') {
+      if (!data.companyName || data.companyName.trim().length === 0) {
+        return {
+          isValid: false,
+          field: 'companyName',
+          message_es: 'La razón social es obligatoria.',
+          message_en: 'Company name is required.',
+          message_de: 'Firmenname ist erforderlich.'
+        };
+      }
+
+      if (!data.ruc || data.ruc.trim().length === 0) {
+        return {
+          isValid: false,
+          field: 'ruc',
+          message_es: 'El RUC es obligatorio.',
+          message_en: 'RUC (tax ID) is required.',
+          message_de: 'RUC (Steuernummer) ist erforderlich.'
+        };
+      }
+
+      if (!this.isValidRuc(data.ruc.trim())) {
+        return {
+          isValid: false,
+          field: 'ruc',
+          message_es: 'Ingrese un RUC válido con dígito verificador (ej. 80016096-7).',
+          message_en: 'Please enter a valid RUC including the check digit (e.g. 80016096-7).',
+          message_de: 'Bitte geben Sie eine gültige RUC mit Prüfziffer ein (z. B. 80016096-7).'
+        };
+      }
+    }
+
     // Required fields validation
     if (!data.firstName || data.firstName.trim().length === 0) {
       return {
@@ -301,6 +416,116 @@ class ReservationService {
       };
     }
 
+    return { isValid: true };
+  }
+
+  /**
+   * Validate address and nationality
+   * @param {Object} data - Reservation data
+   * @returns {Object} Validation result
+   */
+  validateAddressStep(data) {
+    if (!data.address || data.address.trim().length === 0) {
+      return {
+        isValid: false,
+        field: 'address',
+        message_es: 'La dirección es obligatoria.',
+        message_en: 'Address is required.',
+        message_de: 'Adresse ist erforderlich.'
+      };
+    }
+
+    if (data.address.length > 200) {
+      return {
+        isValid: false,
+        field: 'address',
+        message_es: 'La dirección no puede superar los 200 caracteres.',
+        message_en: 'Address cannot exceed 200 characters.',
+        message_de: 'Adresse darf 200 Zeichen nicht überschreiten.'
+      };
+    }
+
+    if (!data.city || data.city.trim().length === 0) {
+      return {
+        isValid: false,
+        field: 'city',
+        message_es: 'La ciudad es obligatoria.',
+        message_en: 'City is required.',
+        message_de: 'Stadt ist erforderlich.'
+      };
+    }
+
+    if (!/^[A-Z]{2}$/.test(data.country || '')) {
+      return {
+        isValid: false,
+        field: 'country',
+        message_es: 'Seleccione su país de residencia.',
+        message_en: 'Please select your country of residence.',
+        message_de: 'Bitte wählen Sie Ihr Wohnsitzland.'
+      };
+    }
+
+    if (!/^[A-Z]{2}$/.test(data.nationality || '')) {
+      return {
+        isValid: false,
+        field: 'nationality',
+        message_es: 'Seleccione su nacionalidad.',
+        message_en: 'Please select your nationality.',
+        message_de: 'Bitte wählen Sie Ihre Staatsangehörigkeit.'
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Validate the financing preference
+   * @param {Object} data - Reservation data
+   * @returns {Object} Validation result
+   */
+  validateFinancingStep(data) {
+    if (!['cash', 'financed'].includes(data.financingPreference)) {
+      return {
+        isValid: false,
+        field: 'financingPreference',
+        message_es: 'Seleccione una forma de pago.',
+        message_en: 'Please choose a payment method.',
+        message_de: 'Bitte wählen Sie eine Zahlungsart.'
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Validate that the documents required for the buyer type were uploaded
+   * @param {Object} data - Reservation data
+   * @returns {Object} Validation result
+   */
+  validateDocumentsStep(data) {
+    const rules = RESERVATION_DOCUMENT_RULES[data.buyerType] || RESERVATION_DOCUMENT_RULES.individual;
+    const uploaded = (data.documents || []).filter(doc => doc && doc.path).map(doc => doc.type);
+    const missing = rules.required.find(type => !uploaded.includes(type));
+
+    if (missing) {
+      return {
+        isValid: false,
+        field: `document_${missing}`,
+        message_es: 'Suba los documentos obligatorios para continuar.',
+        message_en: 'Please upload the required documents to continue.',
+        message_de: 'Bitte laden Sie die erforderlichen Dokumente hoch, um fortzufahren.'
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Validate the final step (lote, additional message and contact verification)
+   * @param {Object} data - Reservation data
+   * @returns {Object} Validation result
+   */
+  validateReviewStep(data) {
     if (!data.loteId) {
       return {
         isValid: false,
@@ -322,9 +547,272 @@ class ReservationService {
       };
     }
 
+    // Verified phone/email (one-time code)
+    if (this.isVerificationEnabled() && !data.verificationToken) {
+      return {
+        isValid: false,
+        field: 'verificationCode',
+        message_es: 'Verifique su teléfono o correo electrónico con el código que le enviamos.',
+        message_en: 'Please verify your phone or email with the code we sent you.',
+        message_de: 'Bitte bestätigen Sie Ihre Telefonnummer oder E-Mail-Adresse mit dem zugesandten Code.'
+      };
+    }
+
     return { isValid: true };
   }
 
+  /**
+   * Check a Paraguayan RUC ("base-check digit", modulo 11)
+   * @param {string} ruc - RUC, e.g. '80016096-7'
+   * @returns {boolean} True if the format and check digit are valid
+   */
+  isValidRuc(ruc) {
+    const match = /^(\d{5,8})-(\d)$/.exec(ruc);
+    if (!match) return false;
+
+    const [, base, checkDigit] = match;
+    let total = 0;
+    let factor = 2;
+
+    for (let i = base.length - 1; i >= 0; i--) {
+      if (factor > 11) factor = 2;
+      total += parseInt(base[i], 10) * factor;
+      factor++;
+    }
+
+    const remainder = total % 11;
+    const expected = remainder > 1 ? 11 - remainder : 0;
+
+    return expected === parseInt(checkDigit, 10);
+  }
+
+  /**
+   * Get the documents required and accepted for a buyer type
+   * @param {string} buyerType - 'individual' or 'company'
+   * @returns {Object} { required: string[], optional: string[] }
+   */
+  getDocumentRules(buyerType) {
+    return RESERVATION_DOCUMENT_RULES[buyerType] || RESERVATION_DOCUMENT_RULES.individual;
+  }
+
+  /**
+   * Upload a buyer document (ID scan, RUC certificate) to Supabase Storage
+   * @param {File} file - Selected file
+   * @param {Object} options - Upload options
+   * @param {string} options.loteId - Lote being reserved (used as folder)
+   * @param {string} options.documentType - Document type (see RESERVATION_DOCUMENT_RULES)
+   * @returns {Promise<Object>} { success, data: { type, path, name, size, content_type } } or { success: false, error }
+   */
+  async uploadDocument(file, { loteId, documentType }) {
+    const config = (window.ReservationConfig && window.ReservationConfig.documents) || {};
+    const allowedTypes = config.allowedTypes || [];
+    const maxSizeMB = config.maxSizeMB || 5;
+
+    if (!allowedTypes.includes(file.type)) {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_FILE_TYPE',
+          message_es: 'Formato no admitido. Suba una imagen JPG/PNG o un PDF.',
+          message_en: 'Unsupported format. Please upload a JPG/PNG image or a PDF.',
+          message_de: 'Nicht unterstütztes Format. Bitte laden Sie ein JPG/PNG-Bild oder ein PDF hoch.'
+        }
+      };
+    }
+
+    if (file.size > maxSizeMB * 1024 * 1024) {
+      return {
+        success: false,
+        error: {
+          code: 'FILE_TOO_LARGE',
+          message_es: `El archivo supera los ${maxSizeMB} MB.`,
+          message_en: `The file exceeds ${maxSizeMB} MB.`,
+          message_de: `Die Datei überschreitet ${maxSizeMB} MB.`
+        }
+      };
+    }
+
+    const bucket = window.SupabaseClient ? window.SupabaseClient.storage(config.bucket) : null;
+    if (!bucket) {
+      return {
+        success: false,
+        error: {
+          code: 'STORAGE_UNAVAILABLE',
+          message_es: 'No se pudo conectar con el almacenamiento de documentos.',
+          message_en: 'Could not connect to document storage.',
+          message_de: 'Verbindung zum Dokumentenspeicher fehlgeschlagen.'
+        }
+      };
+    }
+
+    const extension = (file.name.split('.').pop() || 'bin').toLowerCase();
+    const randomId = Math.random().toString(36).slice(2, 10);
+    const path = `${loteId}/${Date.now()}-${randomId}-${documentType}.${extension}`;
+
+    try {
+      const { data, error } = await bucket.upload(path, file, {
+        contentType: file.type,
+        upsert: false
+      });
+
+      if (error) throw error;
+
+      return {
+        success: true,
+        data: {
+          type: documentType,
+          path: data.path,
+          name: file.name,
+          size: file.size,
+          content_type: file.type
+        }
+      };
+
+    } catch (error) {
+      console.error('Document upload failed:', error);
+      return {
+        success: false,
+        error: {
+          code: 'UPLOAD_ERROR',
+          message_es: 'No se pudo subir el archivo. Verifique su conexión e intente nuevamente.',
+          message_en: 'The file could not be uploaded. Please check your connection and try again.',
+          message_de: 'Die Datei konnte nicht hochgeladen werden. Bitte prüfen Sie Ihre Verbindung und versuchen Sie es erneut.'
+        }
+      };
+    }
+  }
+
+  // ===========================
+  // CONTACT VERIFICATION
+  // ===========================
+
+  /**
+   * Check whether a verified contact is required before submitting
+   * @returns {boolean}
+   */
+  isVerificationEnabled() {
+    return !!(typeof window !== 'undefined' && window.VerificationConfig && window.VerificationConfig.enabled);
+  }
+
+  /**
+   * Send a one-time code to the buyer's phone (sms) or email
+   * @param {Object} options - Request options
+   * @param {string} options.channel - 'sms' or 'email'
+   * @param {string} options.destination - Full phone number or email address
+   * @param {string} options.loteId - Lote being reserved
+   * @returns {Promise<Object>} { success, data: { requestId, expiresIn } } or { success: false, error }
+   */
+  async requestVerificationCode({ channel, destination, loteId }) {
+    const response = await this.postVerification('sendEndpoint', {
+      channel,
+      destination,
+      lot_id: loteId
+    });
+
+    if (!response.success) return response;
+
+    return {
+      success: true,
+      data: {
+        requestId: response.data.request_id,
+        expiresIn: response.data.expires_in
+      }
+    };
+  }
+
+  /**
+   * Exchange a one-time code for a verification token
+   * @param {Object} options - Verify options
+   * @param {string} options.requestId - request_id returned when the code was sent
+   * @param {string} options.code - Code entered by the buyer
+   * @returns {Promise<Object>} { success, data: { token } } or { success: false, error }
+   */
+  async verifyCode({ requestId, code }) {
+    const config = window.VerificationConfig;
+    const pattern = new RegExp(`^\\d{${config.codeLength || 6}}$`);
+
+    if (!pattern.test(code)) {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_CODE_FORMAT',
+          message_es: `Ingrese el código de ${config.codeLength || 6} dígitos.`,
+          message_en: `Please enter the ${config.codeLength || 6}-digit code.`,
+          message_de: `Bitte geben Sie den ${config.codeLength || 6}-stelligen Code ein.`
+        }
+      };
+    }
+
+    const response = await this.postVerification('verifyEndpoint', {
+      request_id: requestId,
+      code
+    });
+
+    if (!response.success) return response;
+
+    return {
+      success: true,
+      data: { token: response.data.verification_token }
+    };
+  }
+
+  /**
+   * POST to a verification endpoint of VerificationConfig
+   * @param {string} endpointKey - 'sendEndpoint' or 'verifyEndpoint'
+   * @param {Object} body - JSON body
+   * @returns {Promise<Object>} { success, data } or { success: false, error }
+   */
+  async postVerification(endpointKey, body) {
+    const config = window.VerificationConfig;
+    const reservationConfig = window.ReservationConfig || {};
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), config.timeout || 15000);
+
+    try {
+      const response = await fetch(`${config.apiBase}${config[endpointKey]}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': reservationConfig.apiKey
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      const responseData = await response.json();
+
+      if (!response.ok || responseData.success === false) {
+        const error = responseData.error || {};
+        return {
+          success: false,
+          error: {
+            code: error.code || `HTTP_${response.status}`,
+            message_es: error.message_es || 'No se pudo verificar el código. Por favor, intente nuevamente.',
+            message_en: error.message_en || 'The code could not be verified. Please try again.',
+            message_de: error.message_de || 'Der Code konnte nicht überprüft werden. Bitte versuchen Sie es erneut.'
+          }
+        };
+      }
+
+      return { success: true, data: responseData };
+
+    } catch (error) {
+      console.error('Verification request failed:', error);
+      return {
+        success: false,
+        error: {
+          code: error.name === 'AbortError' ? 'TIMEOUT' : 'NETWORK_ERROR',
+          message_es: 'Error de conexión con el servicio de verificación. Por favor, intente nuevamente.',
+          message_en: 'Could not reach the verification service. Please try again.',
+          message_de: 'Der Verifizierungsdienst ist nicht erreichbar. Bitte versuchen Sie es erneut.'
+        }
+      };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
   /**
    * Check if service is currently processing a reservation
    * @returns {boolean}
@@ -346,4 +834,11 @@ class ReservationService {
 if (typeof window !== 'undefined') {
   window.ReservationService = new ReservationService();
   console.log('✓ ReservationService initialized (API mode)');
+
+  // Let the offline queue resend reservations
+  if (window.SubmissionQueue) {
+    window.SubmissionQueue.registerHandler('reservation', {
+      send: (payload) => window.ReservationService.submitReservation(payload, { fromQueue: true })
+    });
+  }
 }
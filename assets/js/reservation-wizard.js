@@ -0,0 +1,283 @@
+/**
+ * Reservation Wizard - Inmobiliaria Mega Proyectos
+ *
+ * Splits the reservation form into steps and keeps a draft of the answers
+ * so a refresh doesn't lose the buyer's progress.
+ *
+ * Features:
+ * - One `.wizard-step[data-step]` visible at a time, with progress indicator
+ * - Back/Next navigation; Next waits for the page's step validation
+ * - Draft of all named fields (except files) in localStorage, per lote
+ * - Extra draft state from the page (e.g. uploaded document references)
+ * - `reservationDraftRestored` event on document after restoring a draft
+ */
+
+// ===========================
+// CONFIGURATION
+// ===========================
+
+const WIZARD_CONFIG = {
+  /** localStorage key prefix (followed by the lote ID) */
+  draftKeyPrefix: 'reservation-draft:',
+
+  /** Drafts older than this are discarded (7 days) */
+  draftMaxAge: 7 * 24 * 60 * 60 * 1000,
+
+  /** Delay before saving after the last change */
+  saveDelay: 400
+};
+
+// ===========================
+// RESERVATION WIZARD
+// ===========================
+
+/**
+ * ReservationWizard Class
+ * Step navigation and draft persistence for reservationForm
+ */
+class ReservationWizard {
+  /**
+   * @param {HTMLFormElement} form - Form containing the `.wizard-step` sections
+   * @param {Object} options - Options
+   * @param {string} options.draftId - Draft identifier (lote ID)
+   * @param {Function} options.validateStep - async (stepName) => boolean
+   * @param {Function} [options.onStepChange] - (stepName, index) => void
+   * @param {Function} [options.getDraftExtra] - () => Object saved along with the fields
+   */
+  constructor(form, options) {
+    this.form = form;
+    this.steps = Array.from(form.querySelectorAll('.wizard-step'));
+    this.stepNames = this.steps.map(step => step.getAttribute('data-step'));
+    this.progressItems = Array.from(document.querySelectorAll('.wizard-progress [data-step]'));
+
+    this.draftKey = `${WIZARD_CONFIG.draftKeyPrefix}${options.draftId || 'default'}`;
+    this.validateStep = options.validateStep;
+    this.onStepChange = options.onStepChange || null;
+    this.getDraftExtra = options.getDraftExtra || (() => ({}));
+
+    this.currentIndex = 0;
+    this.isAdvancing = false;
+    this.saveTimer = null;
+
+    this.scheduleSave = this.scheduleSave.bind(this);
+  }
+
+  /**
+   * Bind navigation and draft saving, then show the first step
+   */
+  init() {
+    this.form.querySelectorAll('[data-wizard-next]').forEach(button => {
+      button.addEventListener('click', () => this.next());
+    });
+
+    this.form.querySelectorAll('[data-wizard-back]').forEach(button => {
+      button.addEventListener('click', () => this.back());
+    });
+
+    // Completed steps in the progress indicator can be revisited
+    this.progressItems.forEach(item => {
+      item.addEventListener('click', () => {
+        const index = this.stepNames.indexOf(item.getAttribute('data-step'));
+        if (index !== -1 && index < this.currentIndex) {
+          this.goTo(index);
+        }
+      });
+    });
+
+    this.form.addEventListener('input', this.scheduleSave);
+    this.form.addEventListener('change', this.scheduleSave);
+
+    this.goTo(0, { focus: false });
+  }
+
+  /**
+   * Get the current step name
+   * @returns {string} Step name
+   */
+  getCurrentStep() {
+    return this.stepNames[this.currentIndex];
+  }
+
+  /**
+   * Check whether the current step is the last one
+   * @returns {boolean}
+   */
+  isLastStep() {
+    return this.currentIndex === this.steps.length - 1;
+  }
+
+  /**
+   * Show a step
+   * @param {number} index - Step index
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.focus=true] - Focus the first field of the step
+   */
+  goTo(index, { focus = true } = {}) {
+    this.currentIndex = Math.max(0, Math.min(index, this.steps.length - 1));
+
+    this.steps.forEach((step, i) => {
+      step.hidden = i !== this.currentIndex;
+    });
+
+    this.progressItems.forEach(item => {
+      const itemIndex = this.stepNames.indexOf(item.getAttribute('data-step'));
+      item.classList.toggle('active', itemIndex === this.currentIndex);
+      item.classList.toggle('completed', itemIndex < this.currentIndex);
+
+      if (itemIndex === this.currentIndex) {
+        item.setAttribute('aria-current', 'step');
+      } else {
+        item.removeAttribute('aria-current');
+      }
+    });
+
+    if (this.onStepChange) {
+      this.onStepChange(this.getCurrentStep(), this.currentIndex);
+    }
+
+    if (focus) {
+      const firstField = this.steps[this.currentIndex].querySelector('input:not([type="hidden"]):not([hidden]), select, textarea');
+      if (firstField) firstField.focus();
+    }
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Validate the current step and move to the next one
+   * @returns {Promise<boolean>} True if the wizard advanced
+   */
+  async next() {
+    if (this.isAdvancing || this.isLastStep()) return false;
+
+    this.isAdvancing = true;
+    try {
+      const isValid = await this.validateStep(this.getCurrentStep());
+      if (!isValid) return false;
+
+      this.goTo(this.currentIndex + 1);
+      return true;
+    } finally {
+      this.isAdvancing = false;
+    }
+  }
+
+  /**
+   * Go back one step (no validation)
+   */
+  back() {
+    if (this.currentIndex > 0) {
+      this.goTo(this.currentIndex - 1);
+    }
+  }
+
+  // ===========================
+  // DRAFT
+  // ===========================
+
+  /**
+   * Save the draft shortly after the last change
+   */
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.saveDraft(), WIZARD_CONFIG.saveDelay);
+  }
+
+  /**
+   * Save named field values, current step and page extras
+   */
+  saveDraft() {
+    const values = {};
+
+    Array.from(this.form.elements).forEach(element => {
+      if (!element.name || element.type === 'file' || element.type === 'submit' || element.type === 'button') return;
+      if (this.isHoneypot(element)) return;
+
+      if (element.type === 'radio') {
+        if (element.checked) values[element.name] = element.value;
+      } else if (element.type === 'checkbox') {
+        values[element.name] = element.checked;
+      } else {
+        values[element.name] = element.value;
+      }
+    });
+
+    const draft = {
+      savedAt: Date.now(),
+      step: this.getCurrentStep(),
+      values,
+      extra: this.getDraftExtra()
+    };
+
+    try {
+      localStorage.setItem(this.draftKey, JSON.stringify(draft));
+    } catch (error) {
+      console.warn('Could not save reservation draft:', error);
+    }
+  }
+
+  /**
+   * Restore a saved draft into the form
+   * @returns {Object|null} Restored draft ({ step, values, extra }) or null
+   */
+  restoreDraft() {
+    let draft = null;
+    try {
+      draft = JSON.parse(localStorage.getItem(this.draftKey));
+    } catch (error) {
+      console.warn('Could not read reservation draft:', error);
+    }
+
+    if (!draft || !draft.values) return null;
+
+    if (Date.now() - draft.savedAt > WIZARD_CONFIG.draftMaxAge) {
+      this.clearDraft();
+      return null;
+    }
+
+    Object.entries(draft.values).forEach(([name, value]) => {
+      const field = this.form.elements[name];
+      // Drafts saved before the honeypot was skipped may still contain it
+      if (!field || this.isHoneypot(field)) return;
+
+      if (field instanceof RadioNodeList) {
+        field.value = value;
+      } else if (field.type === 'checkbox') {
+        field.checked = !!value;
+      } else {
+        field.value = value;
+      }
+    });
+
+    document.dispatchEvent(new CustomEvent('reservationDraftRestored', { detail: draft }));
+
+    const stepIndex = this.stepNames.indexOf(draft.step);
+    if (stepIndex > 0) {
+      this.goTo(stepIndex, { focus: false });
+    }
+
+    console.log('✓ Reservation draft restored');
+    return draft;
+  }
+
+  /**
+   * Whether a field is the form guard honeypot (never saved or restored,
+   * so an autofilled value can't block every later submission)
+   * @param {Element|RadioNodeList} field - Form field
+   * @returns {boolean} True for the honeypot
+   */
+  isHoneypot(field) {
+    return field instanceof Element && field.hasAttribute('data-form-guard-honeypot');
+  }
+
+  /**
+   * Remove the saved draft (after a successful submission)
+   */
+  clearDraft() {
+    clearTimeout(this.saveTimer);
+    localStorage.removeItem(this.draftKey);
+  }
+}
+
+// Export for use in reservation-form.html
+window.ReservationWizard = ReservationWizard;
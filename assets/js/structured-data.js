@@ -0,0 +1,259 @@
+/**
+ * Structured Data - Inmobiliaria Mega Proyectos
+ * schema.org JSON-LD built from LoteamientoService DTOs
+ *
+ * - buildListing: RealEstateListing of one loteamiento, whose contentLocation
+ *   is the loteamiento as a Place (coordinates, area, parcels, features) and
+ *   whose offers summarize the available lotes when their counts are known
+ * - buildCatalogue: ItemList of listings (home page catalogue)
+ * - inject: write a <script type="application/ld+json"> into <head>,
+ *   replacing the previous one with the same key
+ *
+ * loteamiento.html and index.html inject their data at runtime;
+ * scripts/generate-sitemaps.js runs this same file (with LoteamientoService)
+ * to dump the JSON-LD of every loteamiento.
+ *
+ * Usage:
+ *   StructuredData.inject('loteamiento', StructuredData.buildListing(dto, { url, lang, counts }));
+ *
+ * @requires loteamiento-service.js (optional, feature labels)
+ */
+
+(function () {
+  'use strict';
+
+  const STRUCTURED_DATA_CONFIG = {
+    context: 'https://schema.org',
+
+    /** Same agent as the static JSON-LD of index.html */
+    agent: {
+      '@type': 'RealEstateAgent',
+      name: 'INMOBILIARIA MEGA PROYECTOS',
+      url: 'https://mega-proyectos.com/'
+    },
+
+    /** Every loteamiento is in Paraguay */
+    addressCountry: 'PY',
+
+    /** Detail page of a loteamiento, relative to the site root */
+    listingPath: 'loteamiento.html',
+
+    /** Attribute marking the injected scripts (value = key passed to inject) */
+    scriptAttribute: 'data-structured-data'
+  };
+
+  /**
+   * StructuredData Class
+   * Builds and injects JSON-LD for loteamientos
+   */
+  class StructuredData {
+    /**
+     * Build the RealEstateListing of a loteamiento
+     * @param {Object} loteamiento - Loteamiento DTO (name/description in `lang`)
+     * @param {Object} [options]
+     * @param {string} [options.url] - Absolute URL of its detail page
+     *   (default: getListingUrl with options.baseUrl)
+     * @param {string} [options.baseUrl] - Site root used for the default url
+     * @param {string} [options.lang] - Language of the texts (es, en, de)
+     * @param {Object} [options.counts] - { disponibles, reservados, vendidos }
+     *   from LoteService.getCountsByEstado
+     * @returns {Object} JSON-LD object
+     */
+    buildListing(loteamiento, options = {}) {
+      const url = options.url || this.getListingUrl(loteamiento.id, options.baseUrl);
+      const image = this.toAbsoluteUrl(loteamiento.photo, url);
+
+      const listing = {
+        '@context': STRUCTURED_DATA_CONFIG.context,
+        '@type': 'RealEstateListing',
+        '@id': `${url}#listing`,
+        url,
+        name: loteamiento.name,
+        description: loteamiento.description,
+        image,
+        inLanguage: options.lang,
+        datePosted: this.toDate(loteamiento.created_at),
+        dateModified: this.toDate(loteamiento.updated_at),
+        provider: STRUCTURED_DATA_CONFIG.agent,
+        contentLocation: this.buildPlace(loteamiento, url, options.lang)
+      };
+
+      if (options.counts) {
+        const available = options.counts.disponibles || 0;
+        listing.offers = {
+          '@type': 'AggregateOffer',
+          offerCount: available,
+          availability: available > 0 ? 'https://schema.org/InStock' : 'https://schema.org/SoldOut',
+          seller: STRUCTURED_DATA_CONFIG.agent
+        };
+      }
+
+      return this.clean(listing);
+    }
+
+    /**
+     * Build the Place of a loteamiento (the land itself)
+     * @param {Object} loteamiento - Loteamiento DTO
+     * @param {string} url - Absolute URL of its detail page
+     * @param {string} [lang] - Language of the feature labels
+     * @returns {Object} JSON-LD object
+     */
+    buildPlace(loteamiento, url, lang) {
+      const lat = parseFloat(loteamiento.centroid_lat || loteamiento.lat);
+      const lng = parseFloat(loteamiento.centroid_long || loteamiento.long);
+      const hasPosition = !isNaN(lat) && !isNaN(lng) && !(lat === 0 && lng === 0);
+
+      const properties = [];
+      if (loteamiento.total_dim_m2) {
+        properties.push({ '@type': 'PropertyValue', propertyID: 'area', name: 'Area', value: Math.round(loteamiento.total_dim_m2), unitCode: 'MTK' });
+      }
+      if (loteamiento.parcel_quantity) {
+        properties.push({ '@type': 'PropertyValue', propertyID: 'parcels', name: 'Parcels', value: loteamiento.parcel_quantity });
+      }
+      if (loteamiento.nro_cta_catastral) {
+        properties.push({ '@type': 'PropertyValue', propertyID: 'cadastral_account', name: 'Cadastral account', value: String(loteamiento.nro_cta_catastral) });
+      }
+
+      return {
+        '@type': 'Place',
+        '@id': `${url}#place`,
+        name: loteamiento.name,
+        geo: hasPosition ? { '@type': 'GeoCoordinates', latitude: lat, longitude: lng } : undefined,
+        address: { '@type': 'PostalAddress', addressCountry: STRUCTURED_DATA_CONFIG.addressCountry },
+        hasMap: hasPosition ? `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lng}` : undefined,
+        amenityFeature: (loteamiento.features || []).map(feature => ({
+          '@type': 'LocationFeatureSpecification',
+          name: this.getFeatureLabel(feature, lang),
+          value: true
+        })),
+        additionalProperty: properties
+      };
+    }
+
+    /**
+     * Build an ItemList of loteamiento listings
+     * @param {Array<Object>} loteamientos - Loteamiento DTOs
+     * @param {Object} [options] - Same options as buildListing (url excluded)
+     * @returns {Object} JSON-LD object
+     */
+    buildCatalogue(loteamientos, options = {}) {
+      const listOptions = { ...options, url: undefined };
+
+      return this.clean({
+        '@context': STRUCTURED_DATA_CONFIG.context,
+        '@type': 'ItemList',
+        numberOfItems: loteamientos.length,
+        itemListElement: loteamientos.map((loteamiento, index) => {
+          const listing = this.buildListing(loteamiento, listOptions);
+          delete listing['@context'];
+          return { '@type': 'ListItem', position: index + 1, item: listing };
+        })
+      });
+    }
+
+    /**
+     * Get the absolute URL of a loteamiento detail page
+     * @param {string|number} id - Loteamiento ID
+     * @param {string} [baseUrl] - Site root (default: the current page's root)
+     * @returns {string} URL
+     */
+    getListingUrl(id, baseUrl) {
+      const root = baseUrl || (typeof window.location !== 'undefined' ? `${window.location.origin}/` : STRUCTURED_DATA_CONFIG.agent.url);
+      return new URL(`${STRUCTURED_DATA_CONFIG.listingPath}?id=${encodeURIComponent(id)}`, root).toString();
+    }
+
+    /**
+     * Write JSON-LD into <head>, replacing the script previously injected
+     * with the same key
+     * @param {string} key - Identifies the script (e.g. 'loteamiento')
+     * @param {Object} data - JSON-LD object
+     */
+    inject(key, data) {
+      const selector = `script[type="application/ld+json"][${STRUCTURED_DATA_CONFIG.scriptAttribute}="${key}"]`;
+      let script = document.head.querySelector(selector);
+
+      if (!script) {
+        script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.setAttribute(STRUCTURED_DATA_CONFIG.scriptAttribute, key);
+        document.head.appendChild(script);
+      }
+
+      script.textContent = JSON.stringify(data);
+    }
+
+    // ===========================
+    // HELPERS
+    // ===========================
+
+    /**
+     * Get the label of a feature in a language
+     * @param {string} feature - Feature key
+     * @param {string} [lang] - Language code
+     * @returns {string} Label
+     */
+    getFeatureLabel(feature, lang) {
+      const service = window.LoteamientoService;
+      return service && typeof service.getFeatureLabel === 'function'
+        ? service.getFeatureLabel(feature, lang || 'es')
+        : feature;
+    }
+
+    /**
+     * Resolve a (possibly relative) URL against the page URL
+     * @param {string} value - URL or path
+     * @param {string} base - Absolute base URL
+     * @returns {string|undefined} Absolute URL
+     */
+    toAbsoluteUrl(value, base) {
+      if (!value) return undefined;
+
+      try {
+        return new URL(value, base).toString();
+      } catch (error) {
+        return undefined;
+      }
+    }
+
+    /**
+     * Format a timestamp as an ISO 8601 date
+     * @param {string} value - Timestamp
+     * @returns {string|undefined} YYYY-MM-DD
+     */
+    toDate(value) {
+      const date = value ? new Date(value) : null;
+      return date && !isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : undefined;
+    }
+
+    /**
+     * Drop empty values (undefined, null, '', []) so they are not emitted
+     * @param {*} value - JSON-LD value
+     * @returns {*} Cleaned copy
+     */
+    clean(value) {
+      if (Array.isArray(value)) {
+        return value.map(item => this.clean(item));
+      }
+
+      if (value && typeof value === 'object') {
+        return Object.keys(value).reduce((result, key) => {
+          const item = this.clean(value[key]);
+          const isEmpty = item === undefined || item === null || item === '' ||
+            (Array.isArray(item) && item.length === 0);
+          if (!isEmpty) {
+            result[key] = item;
+          }
+          return result;
+        }, {});
+      }
+
+      return value;
+    }
+  }
+
+  // Create singleton instance
+  const structuredData = new StructuredData();
+
+  // Export to window for global access
+  window.StructuredData = structuredData;
+})();
@@ -0,0 +1,336 @@
+/**
+ * Submission Queue - Inmobiliaria Mega Proyectos
+ * Keeps form submissions that failed because of connectivity and
+ * sends them again once the browser is back online
+ *
+ * Responsibilities:
+ * - Persist failed submissions (full payload) in IndexedDB
+ * - Retry with exponential backoff on `online` and on page load
+ * - Drop duplicates (same dedupe key, or already registered per service)
+ * - Notify pages through `submissionQueued` / `submissionSent` /
+ *   `submissionFailed` events on document
+ *
+ * Services register a handler per submission type:
+ *   SubmissionQueue.registerHandler('interest', { send, isDuplicate })
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Submission queue configuration
+   */
+  const QUEUE_CONFIG = {
+    dbName: 'mega-submissions',
+    dbVersion: 1,
+    storeName: 'pending',
+    baseRetryDelay: 5000,    // 5 seconds
+    maxRetryDelay: 300000,   // 5 minutes
+    // Service error codes worth retrying; anything else is a permanent failure
+    retryableCodes: ['NETWORK_ERROR', 'TIMEOUT', 'CONCURRENT_REQUEST']
+  };
+
+  /**
+   * SubmissionQueue Class
+   * IndexedDB-backed outbox for interest and reservation submissions
+   */
+  class SubmissionQueue {
+    constructor() {
+      this.isSupported = typeof window !== 'undefined' && 'indexedDB' in window;
+      this.handlers = {};
+      this.dbPromise = null;
+      this.isFlushing = false;
+      this.retryTimer = null;
+    }
+
+    /**
+     * Register the sender for a submission type
+     * @param {string} type - Submission type (e.g. 'interest', 'reservation')
+     * @param {Object} handler - Handler
+     * @param {Function} handler.send - async (payload) => service response ({ success, error })
+     * @param {Function} [handler.isDuplicate] - (payload) => true if it no longer needs sending
+     */
+    registerHandler(type, handler) {
+      this.handlers[type] = handler;
+    }
+
+    /**
+     * Check whether an error was caused by missing connectivity
+     * @param {Error|Object} error - Thrown error or Supabase error object
+     * @returns {boolean} True for network failures
+     */
+    isNetworkError(error) {
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return true;
+      }
+
+      const message = (error && (error.message || error.details)) || '';
+      return /Failed to fetch|NetworkError|Load failed|Network request failed/i.test(message);
+    }
+
+    // ===========================
+    // INDEXEDDB ACCESS
+    // ===========================
+
+    /**
+     * Open (and create if needed) the queue database
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    openDatabase() {
+      if (!this.dbPromise) {
+        this.dbPromise = new Promise((resolve, reject) => {
+          const request = indexedDB.open(QUEUE_CONFIG.dbName, QUEUE_CONFIG.dbVersion);
+
+          request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(QUEUE_CONFIG.storeName)) {
+              db.createObjectStore(QUEUE_CONFIG.storeName, { keyPath: 'id', autoIncrement: true });
+            }
+          };
+
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+
+      return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the queue store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async withStore(mode, operation) {
+      const db = await this.openDatabase();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(QUEUE_CONFIG.storeName, mode);
+        const request = operation(transaction.objectStore(QUEUE_CONFIG.storeName));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+      });
+    }
+
+    /**
+     * Get all queued entries
+     * @returns {Promise<Array<Object>>} Entries
+     */
+    async getAll() {
+      if (!this.isSupported) return [];
+
+      try {
+        return await this.withStore('readonly', (store) => store.getAll());
+      } catch (error) {
+        console.warn('Could not read submission queue:', error);
+        return [];
+      }
+    }
+
+    /**
+     * Count queued entries, optionally of one type
+     * @param {string} [type] - Submission type
+     * @returns {Promise<number>} Number of pending submissions
+     */
+    async getPendingCount(type) {
+      const entries = await this.getAll();
+      return type ? entries.filter(entry => entry.type === type).length : entries.length;
+    }
+
+    // ===========================
+    // QUEUE OPERATIONS
+    // ===========================
+
+    /**
+     * Store a failed submission for later delivery
+     * An entry with the same dedupe key is replaced by the newer payload
+     *
+     * @param {string} type - Submission type
+     * @param {Object} payload - Full data passed to the service
+     * @param {string} dedupeKey - Key identifying the same submission (e.g. 'interest:<lotId>')
+     * @returns {Promise<Object|null>} Stored entry, or null if it could not be queued
+     */
+    async enqueue(type, payload, dedupeKey) {
+      if (!this.isSupported) return null;
+
+      const handler = this.handlers[type];
+      if (handler && handler.isDuplicate && handler.isDuplicate(payload)) {
+        console.log(`Submission ${dedupeKey} already registered, not queued`);
+        return null;
+      }
+
+      try {
+        const entries = await this.getAll();
+        const existing = entries.find(entry => entry.dedupeKey === dedupeKey);
+
+        const entry = {
+          type,
+          dedupeKey,
+          payload,
+          attempts: 0,
+          createdAt: existing ? existing.createdAt : new Date().toISOString(),
+          nextAttemptAt: Date.now() + QUEUE_CONFIG.baseRetryDelay
+        };
+
+        if (existing) {
+          entry.id = existing.id;
+        }
+
+        entry.id = await this.withStore('readwrite', (store) => store.put(entry));
+
+        console.log(`✓ Submission ${dedupeKey} queued for retry`);
+        this.dispatch('submissionQueued', entry);
+        this.scheduleRetry();
+
+        return entry;
+      } catch (error) {
+        console.error('Could not queue submission:', error);
+        return null;
+      }
+    }
+
+    /**
+     * Remove an entry from the queue
+     * @param {number} id - Entry ID
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+      await this.withStore('readwrite', (store) => store.delete(id));
+    }
+
+    /**
+     * Try to send every due entry that has a registered handler
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.force=false] - Ignore backoff (e.g. connection just came back)
+     * @returns {Promise<void>}
+     */
+    async flush({ force = false } = {}) {
+      if (!this.isSupported || this.isFlushing) return;
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+
+      this.isFlushing = true;
+
+      try {
+        const entries = await this.getAll();
+        const now = Date.now();
+
+        for (const entry of entries) {
+          const handler = this.handlers[entry.type];
+
+          // Entries of other types are sent by the page that owns their service
+          if (!handler) continue;
+          if (!force && entry.nextAttemptAt > now) continue;
+
+          await this.deliver(entry, handler);
+        }
+      } finally {
+        this.isFlushing = false;
+        this.scheduleRetry();
+      }
+    }
+
+    /**
+     * Send one entry and update the queue according to the result
+     * @param {Object} entry - Queue entry
+     * @param {Object} handler - Registered handler
+     * @returns {Promise<void>}
+     */
+    async deliver(entry, handler) {
+      if (handler.isDuplicate && handler.isDuplicate(entry.payload)) {
+        await this.remove(entry.id);
+        console.log(`Dropped duplicate submission ${entry.dedupeKey}`);
+        return;
+      }
+
+      let response;
+      try {
+        response = await handler.send(entry.payload);
+      } catch (error) {
+        response = {
+          success: false,
+          error: { code: this.isNetworkError(error) ? 'NETWORK_ERROR' : 'UNEXPECTED_ERROR', message: error.message }
+        };
+      }
+
+      if (response && response.success) {
+        await this.remove(entry.id);
+        console.log(`✓ Queued submission ${entry.dedupeKey} sent`);
+        this.dispatch('submissionSent', entry, response);
+        return;
+      }
+
+      const error = (response && response.error) || {};
+
+      if (QUEUE_CONFIG.retryableCodes.includes(error.code)) {
+        entry.attempts += 1;
+        entry.nextAttemptAt = Date.now() + this.getRetryDelay(entry.attempts);
+        await this.withStore('readwrite', (store) => store.put(entry));
+        return;
+      }
+
+      // Rejected by the backend (validation, lot no longer available...): retrying won't help
+      await this.remove(entry.id);
+      console.warn(`Queued submission ${entry.dedupeKey} rejected:`, error);
+      this.dispatch('submissionFailed', entry, response);
+    }
+
+    /**
+     * Exponential backoff delay for an attempt number
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempts) {
+      return Math.min(QUEUE_CONFIG.baseRetryDelay * Math.pow(2, attempts), QUEUE_CONFIG.maxRetryDelay);
+    }
+
+    /**
+     * Set a timer for the next due entry this page can send
+     * @returns {Promise<void>}
+     */
+    async scheduleRetry() {
+      if (this.retryTimer) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+      }
+
+      const entries = (await this.getAll()).filter(entry => this.handlers[entry.type]);
+      if (entries.length === 0) return;
+
+      const nextAttemptAt = Math.min(...entries.map(entry => entry.nextAttemptAt));
+      const delay = Math.max(nextAttemptAt - Date.now(), 0);
+
+      this.retryTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    /**
+     * Dispatch a queue event on document
+     * @param {string} eventName - Event name
+     * @param {Object} entry - Queue entry
+     * @param {Object} [response] - Service response
+     */
+    dispatch(eventName, entry, response = null) {
+      document.dispatchEvent(new CustomEvent(eventName, {
+        detail: { type: entry.type, dedupeKey: entry.dedupeKey, payload: entry.payload, response }
+      }));
+    }
+  }
+
+  // Create singleton instance
+  const submissionQueue = new SubmissionQueue();
+
+  // Export to window for global access
+  window.SubmissionQueue = submissionQueue;
+
+  // Retry right away when the connection comes back
+  window.addEventListener('online', () => {
+    submissionQueue.flush({ force: true });
+  });
+
+  // Send anything left over from a previous visit
+  window.addEventListener('load', () => {
+    submissionQueue.flush({ force: true });
+  });
+
+})();
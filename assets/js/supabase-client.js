@@ -165,6 +165,118 @@
       }
       return this.client.from(tableName);
     }
+
+    /**
+     * Get a Storage bucket reference
+     * @param {string} bucketName - Name of the bucket
+     * @returns {Object|null} Bucket reference or null
+     */
+    storage(bucketName) {
+      if (!this.isReady()) {
+        console.error('Cannot access storage: client not initialized');
+        return null;
+      }
+      return this.client.storage.from(bucketName);
+    }
+
+    /**
+     * Call a Postgres function (RPC)
+     * @param {string} functionName - Function name
+     * @param {Object} params - Named function arguments
+     * @returns {Promise<Object>} { data, error } from supabase-js
+     */
+    async rpc(functionName, params = {}) {
+      if (!this.isReady()) {
+        return { data: null, error: new Error('Supabase client not initialized') };
+      }
+      return this.client.rpc(functionName, params);
+    }
+
+    /**
+     * Call a Postgres function with a keepalive request
+     * Used while the page unloads, when supabase-js requests may be cancelled
+     * @param {string} functionName - Function name
+     * @param {Object} params - Named function arguments
+     * @returns {boolean} True if the request was queued
+     */
+    rpcKeepalive(functionName, params = {}) {
+      if (!this.isReady()) {
+        return false;
+      }
+
+      try {
+        fetch(`${SUPABASE_CONFIG.url}/rest/v1/rpc/${functionName}`, {
+          method: 'POST',
+          keepalive: true,
+          headers: {
+            'Content-Type': 'application/json',
+            apikey: SUPABASE_CONFIG.anonKey,
+            Authorization: `Bearer ${SUPABASE_CONFIG.anonKey}`
+          },
+          body: JSON.stringify(params)
+        }).catch(() => {});
+        return true;
+      } catch (error) {
+        console.warn(`Keepalive RPC ${functionName} failed:`, error);
+        return false;
+      }
+    }
+
+    /**
+     * Insert rows with a keepalive request
+     * Used while the page unloads, when supabase-js requests may be cancelled
+     * @param {string} table - Table name
+     * @param {Array<Object>} rows - Rows to insert
+     * @returns {boolean} True if the request was queued
+     */
+    insertKeepalive(table, rows) {
+      if (!this.isReady()) {
+        return false;
+      }
+
+      try {
+        fetch(`${SUPABASE_CONFIG.url}/rest/v1/${table}`, {
+          method: 'POST',
+          keepalive: true,
+          headers: {
+            'Content-Type': 'application/json',
+            apikey: SUPABASE_CONFIG.anonKey,
+            Authorization: `Bearer ${SUPABASE_CONFIG.anonKey}`,
+            Prefer: 'return=minimal'
+          },
+          body: JSON.stringify(rows)
+        }).catch(() => {});
+        return true;
+      } catch (error) {
+        console.warn(`Keepalive insert into ${table} failed:`, error);
+        return false;
+      }
+    }
+
+    /**
+     * Create a realtime channel
+     * @param {string} channelName - Unique channel name
+     * @returns {Object|null} Realtime channel or null
+     */
+    channel(channelName) {
+      if (!this.isReady()) {
+        console.error('Cannot create channel: client not initialized');
+        return null;
+      }
+      return this.client.channel(channelName);
+    }
+
+    /**
+     * Unsubscribe and remove a realtime channel
+     * @param {Object} channel - Channel returned by channel()
+     * @returns {Promise<void>}
+     */
+    async removeChannel(channel) {
+      if (!this.isReady() || !channel) {
+        return;
+      }
+      await this.client.removeChannel(channel);
+    }
   }
 
   // Create singleton instance
@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+/**
+ * Sitemap Generator - Inmobiliaria Mega Proyectos
+ *
+ * Writes sitemap.xml (mega-proyectos.com: Spanish, and English through
+ * ?lang=en) and sitemap-de.xml (grundstucke-paraguay.com) with the static
+ * pages, the detail page of every loteamiento (loteamiento.html?id=) and a
+ * mapa.html deep link per lote still on sale. Each URL lists its es/en/de
+ * versions as hreflang alternates (plus x-default), the same URLs i18n.js
+ * puts in the canonical and <link rel="alternate"> tags.
+ *
+ * Rows are turned into the DTOs the pages use by running
+ * assets/js/loteamiento-service.js and lote-service.js, and --jsonld writes
+ * the schema.org RealEstateListing of every loteamiento per language with
+ * assets/js/structured-data.js (the JSON-LD the pages inject at runtime).
+ *
+ * Usage:
+ *   node scripts/generate-sitemaps.js [--input dump.json] [--out-dir dir] [--jsonld file]
+ *
+ *   Without --input, loteamientos and lotes are read from Supabase
+ *   (SUPABASE_URL / SUPABASE_ANON_KEY, default: assets/js/supabase-client.js).
+ *   A dump is { "loteamientos": [...], "lotes": [...] } with rows of
+ *   public_loteamientos and public_lotes.
+ *   --out-dir defaults to the repository root.
+ *
+ * No dependencies: Node 18+ only.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ===========================
+// CONFIGURATION
+// ===========================
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const SITEMAP_CONFIG = {
+  /** Where each language is served (keep in sync with HOSTNAME_LANGUAGE_MAP in i18n.js) */
+  sites: {
+    es: { origin: 'https://mega-proyectos.com', file: 'sitemap.xml' },
+    en: { origin: 'https://mega-proyectos.com', file: 'sitemap.xml', params: { lang: 'en' } },
+    de: { origin: 'https://grundstucke-paraguay.com', file: 'sitemap-de.xml' }
+  },
+
+  /** Language of the x-default alternate */
+  defaultLanguage: 'es',
+
+  staticPages: [
+    { path: '', changefreq: 'weekly', priority: '1.0' },
+    { path: 'mapa.html', changefreq: 'weekly', priority: '0.8' },
+    { path: 'reservation-form.html', changefreq: 'monthly', priority: '0.5' }
+  ],
+
+  loteamientoPage: { path: 'loteamiento.html', changefreq: 'weekly', priority: '0.7' },
+
+  /** Estados change often, so lote links are revisited daily */
+  lotePage: { path: 'mapa.html', changefreq: 'daily', priority: '0.5' },
+
+  /** Lotes listed in the sitemaps (sold ones are left out) */
+  loteEstados: ['disponible', 'reservado'],
+
+  /** Lote columns needed for the links */
+  loteColumns: 'id,loteamiento_id,nombre,nombre_obj,estado',
+
+  /** Rows per Supabase request */
+  pageSize: 1000,
+
+  /** Browser scripts run to build DTOs and JSON-LD (in this order) */
+  scripts: [
+    'assets/js/loteamiento-service.js',
+    'assets/js/lote-service.js',
+    'assets/js/structured-data.js'
+  ]
+};
+
+// ===========================
+// DATA
+// ===========================
+
+/**
+ * Parse the command line options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { input, outDir, jsonld }
+ */
+function parseArgs(argv) {
+  const options = { input: null, outDir: ROOT_DIR, jsonld: null };
+  const names = { '--input': 'input', '--out-dir': 'outDir', '--jsonld': 'jsonld' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = names[argv[i]];
+    if (!name || !argv[i + 1]) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    options[name] = path.resolve(argv[++i]);
+  }
+
+  return options;
+}
+
+/**
+ * Run the browser services in a sandbox, with the language they read from
+ * I18n.getCurrentLanguage switchable through `context.language`
+ * @returns {Object} Sandbox context (window.LoteamientoService, ...)
+ */
+function createBrowserContext() {
+  const context = {
+    language: SITEMAP_CONFIG.defaultLanguage,
+    console: { log() {}, warn: console.warn, error: console.error },
+    URL,
+    URLSearchParams
+  };
+  context.window = {
+    I18n: { getCurrentLanguage: () => context.language }
+  };
+  vm.createContext(context);
+
+  SITEMAP_CONFIG.scripts.forEach(file => {
+    const code = fs.readFileSync(path.join(ROOT_DIR, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+  });
+
+  return context;
+}
+
+/**
+ * Get the Supabase URL and anon key: environment, else the browser config
+ * @returns {Object} { url, anonKey }
+ */
+function getSupabaseConfig() {
+  if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
+    return { url: process.env.SUPABASE_URL, anonKey: process.env.SUPABASE_ANON_KEY };
+  }
+
+  const source = fs.readFileSync(path.join(ROOT_DIR, 'assets/js/supabase-client.js'), 'utf8');
+  const url = source.match(/url:\s*'([^']+)'/);
+  const anonKey = source.match(/anonKey:\s*'([^']+)'/);
+
+  if (!url || !anonKey) {
+    throw new Error('Supabase configuration not found. Set SUPABASE_URL and SUPABASE_ANON_KEY.');
+  }
+
+  return { url: url[1], anonKey: anonKey[1] };
+}
+
+/**
+ * Read every row of a table through the Supabase REST API
+ * @param {Object} config - { url, anonKey }
+ * @param {string} table - Table or view name
+ * @param {string} columns - Columns to select
+ * @returns {Promise<Array>} Rows
+ */
+async function fetchRows(config, table, columns) {
+  const rows = [];
+
+  for (let offset = 0; ; offset += SITEMAP_CONFIG.pageSize) {
+    const query = new URLSearchParams({
+      select: columns.replace(/\s+/g, ''),
+      order: 'id.asc',
+      limit: String(SITEMAP_CONFIG.pageSize),
+      offset: String(offset)
+    });
+
+    const response = await fetch(`${config.url}/rest/v1/${table}?${query}`, {
+      headers: { apikey: config.anonKey, Authorization: `Bearer ${config.anonKey}` }
+    });
+
+    if (!response.ok) {
+      throw new Error(`${table}: HTTP ${response.status} ${await response.text()}`);
+    }
+
+    const page = await response.json();
+    rows.push(...page);
+
+    if (page.length < SITEMAP_CONFIG.pageSize) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Load loteamiento and lote rows from a dump or from Supabase
+ * @param {Object} options - Command line options
+ * @param {Object} context - Browser sandbox (LIST_COLUMNS)
+ * @returns {Promise<Object>} { loteamientos, lotes } raw rows
+ */
+async function loadRows(options, context) {
+  if (options.input) {
+    const dump = JSON.parse(fs.readFileSync(options.input, 'utf8'));
+    return { loteamientos: dump.loteamientos || [], lotes: dump.lotes || [] };
+  }
+
+  const config = getSupabaseConfig();
+  const [loteamientos, lotes] = await Promise.all([
+    fetchRows(config, 'public_loteamientos', vm.runInContext('LIST_COLUMNS', context)),
+    fetchRows(config, 'public_lotes', SITEMAP_CONFIG.loteColumns)
+  ]);
+
+  return { loteamientos, lotes };
+}
+
+// ===========================
+// SITEMAPS
+// ===========================
+
+/**
+ * Build the absolute URL of a page in a language
+ * Parameter order matches the canonical URL written by i18n.js
+ * (data-canonical-params first, then lang)
+ * @param {string} lang - Language code
+ * @param {string} pagePath - Path relative to the site root
+ * @param {Object} [params] - Page parameters
+ * @returns {string} URL
+ */
+function buildUrl(lang, pagePath, params = {}) {
+  const site = SITEMAP_CONFIG.sites[lang];
+  const url = new URL(pagePath, `${site.origin}/`);
+
+  Object.entries({ ...params, ...site.params }).forEach(([name, value]) => {
+    url.searchParams.set(name, value);
+  });
+
+  return url.toString();
+}
+
+/**
+ * List the pages to include in the sitemaps
+ * @param {Object} context - Browser sandbox
+ * @param {Object} rows - { loteamientos, lotes } raw rows
+ * @returns {Array<Object>} { path, params, lastmod, changefreq, priority }
+ */
+function collectPages(context, rows) {
+  const { LoteamientoService, LoteService } = context.window;
+  context.language = SITEMAP_CONFIG.defaultLanguage;
+
+  const pages = SITEMAP_CONFIG.staticPages.map(page => ({ ...page, params: {} }));
+  const loteamientos = new Map();
+
+  rows.loteamientos.forEach(row => {
+    const loteamiento = LoteamientoService.transformToDTO(row);
+    loteamientos.set(String(loteamiento.id), loteamiento);
+
+    pages.push({
+      ...SITEMAP_CONFIG.loteamientoPage,
+      params: { id: loteamiento.id },
+      lastmod: toDate(loteamiento.updated_at || loteamiento.created_at)
+    });
+  });
+
+  rows.lotes.forEach(lote => {
+    const loteamiento = loteamientos.get(String(lote.loteamiento_id));
+    const isLote = (lote.nombre_obj || 'LOTE').toString().toUpperCase() === 'LOTE';
+    const isListed = SITEMAP_CONFIG.loteEstados.includes(LoteService.normalizeEstado(lote.estado));
+
+    if (!loteamiento || !isLote || !isListed) return;
+
+    // Same parameters as the map deep links (mapa.js parseURLParameters)
+    pages.push({
+      ...SITEMAP_CONFIG.lotePage,
+      params: { loteamiento: loteamiento.id, name: loteamiento.name, lote: lote.id }
+    });
+  });
+
+  return pages;
+}
+
+/**
+ * Render the <url> entry of a page in one language
+ * @param {Object} page - Page from collectPages
+ * @param {string} lang - Language of <loc>
+ * @returns {string} XML
+ */
+function renderUrl(page, lang) {
+  const languages = Object.keys(SITEMAP_CONFIG.sites);
+  const alternates = languages.map(alternate => [alternate, buildUrl(alternate, page.path, page.params)]);
+  alternates.push(['x-default', buildUrl(SITEMAP_CONFIG.defaultLanguage, page.path, page.params)]);
+
+  const lines = [
+    '  <url>',
+    `    <loc>${escapeXml(buildUrl(lang, page.path, page.params))}</loc>`,
+    ...alternates.map(([hreflang, href]) => `    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escapeXml(href)}" />`)
+  ];
+
+  if (page.lastmod) {
+    lines.push(`    <lastmod>${page.lastmod}</lastmod>`);
+  }
+  lines.push(`    <changefreq>${page.changefreq}</changefreq>`);
+  lines.push(`    <priority>${page.priority}</priority>`);
+  lines.push('  </url>');
+
+  return lines.join('\n');
+}
+
+/**
+ * Write one sitemap file per site
+ * @param {Array<Object>} pages - Pages from collectPages
+ * @param {string} outDir - Output directory
+ */
+function writeSitemaps(pages, outDir) {
+  const files = new Map();
+
+  Object.entries(SITEMAP_CONFIG.sites).forEach(([lang, site]) => {
+    if (!files.has(site.file)) {
+      files.set(site.file, []);
+    }
+    files.get(site.file).push(lang);
+  });
+
+  files.forEach((languages, file) => {
+    const entries = [];
+    languages.forEach(lang => {
+      pages.forEach(page => entries.push(renderUrl(page, lang)));
+    });
+
+    const xml = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+      ...entries,
+      '</urlset>',
+      ''
+    ].join('\n');
+
+    fs.writeFileSync(path.join(outDir, file), xml);
+    console.log(`✓ ${file}: ${entries.length} URLs (${languages.join(', ')})`);
+  });
+}
+
+// ===========================
+// JSON-LD
+// ===========================
+
+/**
+ * Write the RealEstateListing JSON-LD of every loteamiento per language
+ * @param {Object} context - Browser sandbox
+ * @param {Object} rows - { loteamientos, lotes } raw rows
+ * @param {string} file - Output file
+ */
+function writeJsonLd(context, rows, file) {
+  const { LoteamientoService, LoteService, StructuredData } = context.window;
+  const listings = {};
+
+  Object.keys(SITEMAP_CONFIG.sites).forEach(lang => {
+    context.language = lang;
+
+    listings[lang] = rows.loteamientos.map(row => {
+      const loteamiento = LoteamientoService.transformToDTO(row);
+      LoteService.lotes = rows.lotes.filter(lote => String(lote.loteamiento_id) === String(loteamiento.id));
+
+      return StructuredData.buildListing(loteamiento, {
+        url: buildUrl(lang, SITEMAP_CONFIG.loteamientoPage.path, { id: loteamiento.id }),
+        lang,
+        counts: LoteService.lotes.length > 0 ? LoteService.getCountsByEstado() : null
+      });
+    });
+  });
+
+  fs.writeFileSync(file, `${JSON.stringify(listings, null, 2)}\n`);
+  console.log(`✓ ${path.basename(file)}: ${rows.loteamientos.length} listings per language`);
+}
+
+// ===========================
+// HELPERS
+// ===========================
+
+/**
+ * Format a timestamp as a W3C date for <lastmod>
+ * @param {string} value - Timestamp
+ * @returns {string|null} YYYY-MM-DD
+ */
+function toDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// ===========================
+// MAIN
+// ===========================
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const context = createBrowserContext();
+  const rows = await loadRows(options, context);
+
+  console.log(`Loaded ${rows.loteamientos.length} loteamientos and ${rows.lotes.length} lotes`);
+
+  writeSitemaps(collectPages(context, rows), options.outDir);
+
+  if (options.jsonld) {
+    writeJsonLd(context, rows, options.jsonld);
+  }
+}
+
+main().catch(error => {
+  console.error('✗ Sitemap generation failed:', error.message);
+  process.exitCode = 1;
+});
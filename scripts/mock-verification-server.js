@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Mock Verification Server - Inmobiliaria Mega Proyectos
+ *
+ * Local stand-in for the one-time code backend configured in
+ * assets/js/config.js (VERIFICATION_CONFIG), so the reservation form can be
+ * developed without an SMS/email provider. Codes are printed to the console
+ * instead of being sent.
+ *
+ * Usage:
+ *   node scripts/mock-verification-server.js [port]
+ *   (then set VERIFICATION_CONFIG.apiBase to 'http://localhost:8787')
+ *
+ * Endpoints:
+ * - POST /api/verification/send   { channel, destination, lot_id }
+ * - POST /api/verification/verify { request_id, code }
+ *
+ * No dependencies: Node 18+ only.
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+// ===========================
+// CONFIGURATION
+// ===========================
+
+const MOCK_CONFIG = {
+  port: Number(process.argv[2]) || 8787,
+
+  /** Digits in the code (keep in sync with VERIFICATION_CONFIG.codeLength) */
+  codeLength: 6,
+
+  /** Code lifetime in seconds */
+  codeTtlSeconds: 600,
+
+  /** Wrong attempts before a code is invalidated */
+  maxAttempts: 5,
+
+  /** Destination that always fails to receive codes (to test error handling) */
+  failingDestination: 'fail@example.com'
+};
+
+/** Pending codes by request_id */
+const pendingCodes = new Map();
+
+// ===========================
+// HANDLERS
+// ===========================
+
+/**
+ * Create a code for a destination
+ * @param {Object} body - { channel, destination, lot_id }
+ * @returns {Array} [status, response body]
+ */
+function handleSend(body) {
+  if (!['sms', 'email'].includes(body.channel) || !body.destination) {
+    return [400, errorBody('INVALID_REQUEST', 'Canal o destino inválido.', 'Invalid channel or destination.', 'Ungültiger Kanal oder Empfänger.')];
+  }
+
+  if (body.destination === MOCK_CONFIG.failingDestination) {
+    return [502, errorBody('DELIVERY_FAILED', 'No se pudo enviar el código.', 'The code could not be sent.', 'Der Code konnte nicht gesendet werden.')];
+  }
+
+  const requestId = crypto.randomUUID();
+  const code = String(crypto.randomInt(0, 10 ** MOCK_CONFIG.codeLength)).padStart(MOCK_CONFIG.codeLength, '0');
+
+  pendingCodes.set(requestId, {
+    code,
+    destination: body.destination,
+    attempts: 0,
+    expiresAt: Date.now() + MOCK_CONFIG.codeTtlSeconds * 1000
+  });
+
+  console.log(`[${body.channel}] ${body.destination} (lote ${body.lot_id || '-'}): code ${code}`);
+
+  return [200, { success: true, request_id: requestId, expires_in: MOCK_CONFIG.codeTtlSeconds }];
+}
+
+/**
+ * Check a code and issue a verification token
+ * @param {Object} body - { request_id, code }
+ * @returns {Array} [status, response body]
+ */
+function handleVerify(body) {
+  const pending = pendingCodes.get(body.request_id);
+
+  if (!pending || pending.expiresAt < Date.now()) {
+    pendingCodes.delete(body.request_id);
+    return [410, errorBody('CODE_EXPIRED', 'El código expiró. Solicite uno nuevo.', 'The code has expired. Please request a new one.', 'Der Code ist abgelaufen. Bitte fordern Sie einen neuen an.')];
+  }
+
+  if (pending.code !== String(body.code)) {
+    pending.attempts++;
+    if (pending.attempts >= MOCK_CONFIG.maxAttempts) {
+      pendingCodes.delete(body.request_id);
+    }
+    return [400, errorBody('CODE_MISMATCH', 'El código no es correcto.', 'The code is not correct.', 'Der Code ist nicht korrekt.')];
+  }
+
+  pendingCodes.delete(body.request_id);
+  const token = `mock.${crypto.randomBytes(16).toString('hex')}`;
+  console.log(`✓ ${pending.destination} verified: ${token}`);
+
+  return [200, { success: true, verification_token: token }];
+}
+
+/**
+ * Build an error body in the reservation API format
+ * @returns {Object} { success: false, error }
+ */
+function errorBody(code, messageEs, messageEn, messageDe) {
+  return {
+    success: false,
+    error: { code, message_es: messageEs, message_en: messageEn, message_de: messageDe }
+  };
+}
+
+// ===========================
+// SERVER
+// ===========================
+
+const routes = {
+  '/api/verification/send': handleSend,
+  '/api/verification/verify': handleVerify
+};
+
+const server = http.createServer((req, res) => {
+  // The form is served from another origin (local static server)
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-api-key');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const handler = routes[req.url];
+  if (!handler || req.method !== 'POST') {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(errorBody('NOT_FOUND', 'Ruta no encontrada.', 'Not found.', 'Nicht gefunden.')));
+    return;
+  }
+
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let body;
+    try {
+      body = JSON.parse(raw || '{}');
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(errorBody('INVALID_JSON', 'JSON inválido.', 'Invalid JSON.', 'Ungültiges JSON.')));
+      return;
+    }
+
+    const [status, responseBody] = handler(body);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(responseBody));
+  });
+});
+
+server.listen(MOCK_CONFIG.port, () => {
+  console.log(`Mock verification server on http://localhost:${MOCK_CONFIG.port}`);
+});
@@ -0,0 +1,259 @@
+/**
+ * Service Worker - Inmobiliaria Mega Proyectos
+ * Offline support for the interactive map (mapa.html)
+ *
+ * Caches:
+ * - App shell: mapa.html, styles, scripts, locale files and CDN libraries.
+ *   Pages and same-origin assets are network first, so a deploy never pairs
+ *   new HTML with old scripts; versioned CDN libraries are stale while
+ *   revalidate
+ * - Map tiles: OpenStreetMap tiles the visitor has viewed, trimmed to
+ *   MAX_TILE_ENTRIES after every write. Tiles are never bulk downloaded and
+ *   Google satellite tiles are never stored: both providers' terms forbid it
+ * - Data payloads are written by offline-cache.js into the data cache;
+ *   the worker only keeps that cache across version upgrades
+ *
+ * Registered by assets/js/offline-cache.js
+ */
+
+/** Bump whenever SHELL_URLS changes, so the new list is installed */
+const SW_VERSION = 'v2';
+
+const CACHE_NAMES = {
+  shell: `mega-shell-${SW_VERSION}`,
+  tiles: 'mega-tiles',
+  data: 'mega-data'
+};
+
+/**
+ * Maximum number of tiles kept in the tiles cache
+ * Tiles are opaque cross-origin responses, which browsers count at several
+ * MB each against the storage quota, so the limit is kept low
+ */
+const MAX_TILE_ENTRIES = 300;
+
+/** App shell resources needed to open the map offline */
+const SHELL_URLS = [
+  'mapa.html',
+  'assets/css/index.css',
+  'assets/css/mapa.css',
+  'assets/js/i18n.js',
+  'assets/js/consent-manager.js',
+  'assets/js/currency.js',
+  'assets/js/offline-cache.js',
+  'assets/js/submission-queue.js',
+  'assets/js/supabase-client.js',
+  'assets/js/analytics.js',
+  'assets/js/loteamiento-service.js',
+  'assets/js/lot-hold-service.js',
+  'assets/js/lote-service.js',
+  'assets/js/form-guard.js',
+  'assets/js/interest-service.js',
+  'assets/js/lot-contact.js',
+  'assets/js/favorites.js',
+  'assets/js/financing-calculator.js',
+  'assets/js/gallery-modal.js',
+  'assets/js/mapa.js',
+  'assets/js/interest-points.js',
+  'assets/js/lot-compare.js',
+  'assets/js/lot-data-tools.js',
+  'assets/img/favicon.ico',
+  'assets/img/map-marker-svgrepo-com.svg',
+  'locales/es.json',
+  'locales/en.json',
+  'locales/de.json',
+  'assets/data/exchange-rates.json',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  'https://unpkg.com/togeojson@0.16.0',
+  'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2'
+];
+
+/** Tile hosts whose viewed tiles may be cached (base layer of mapa.js) */
+const TILE_HOST_PATTERN = /(^|\.)tile\.openstreetmap\.org$/;
+
+// ===========================
+// LIFECYCLE
+// ===========================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAMES.shell).then((cache) =>
+      // Cache resources one by one so a single CDN failure doesn't abort install
+      Promise.allSettled(SHELL_URLS.map((url) => cache.add(url)))
+    ).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = Object.values(CACHE_NAMES);
+
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(
+        names.filter((name) => !keep.includes(name)).map((name) => caches.delete(name))
+      ))
+      .then(() => dropUncacheableTiles())
+      .then(() => self.clients.claim())
+  );
+});
+
+// ===========================
+// FETCH STRATEGIES
+// ===========================
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // Map tiles: cache first
+  if (TILE_HOST_PATTERN.test(url.hostname)) {
+    event.respondWith(cacheFirst(request, CACHE_NAMES.tiles));
+    return;
+  }
+
+  // Page navigations: network first, cached page (any query string) offline
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, CACHE_NAMES.shell, { ignoreSearch: true }));
+    return;
+  }
+
+  // Same-origin assets: network first, like the pages that load them
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request, CACHE_NAMES.shell));
+    return;
+  }
+
+  // Shell CDN libraries (versioned URLs): stale while revalidate
+  if (SHELL_URLS.includes(request.url)) {
+    event.respondWith(staleWhileRevalidate(request, CACHE_NAMES.shell));
+  }
+
+  // Everything else (Supabase API, analytics...) goes to the network untouched
+});
+
+/**
+ * Serve from cache, falling back to the network (and caching the response)
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache name
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  let response;
+  try {
+    response = await fetch(request);
+  } catch (error) {
+    return new Response('', { status: 504, statusText: 'Offline' });
+  }
+
+  // Tiles are cross-origin images: opaque responses (status 0) are cacheable too
+  if (response.ok || response.type === 'opaque') {
+    try {
+      await putTile(cache, request, response.clone());
+      await trimCache(cacheName, MAX_TILE_ENTRIES);
+    } catch (error) {
+      console.warn('Tile not cached:', error);
+    }
+  }
+
+  return response;
+}
+
+/**
+ * Try the network first, falling back to the cache when offline
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache name
+ * @param {Object} matchOptions - Cache match options
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request, cacheName, matchOptions = {}) {
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, matchOptions);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Serve cached copy immediately and refresh it in the background
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache name
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached);
+
+  return cached || network;
+}
+
+// ===========================
+// TILE CACHE
+// ===========================
+
+/**
+ * Delete tiles from hosts that may no longer be cached (stored by older
+ * versions of this worker)
+ */
+async function dropUncacheableTiles() {
+  const cache = await caches.open(CACHE_NAMES.tiles);
+  const requests = await cache.keys();
+
+  await Promise.all(requests
+    .filter((request) => !TILE_HOST_PATTERN.test(new URL(request.url).hostname))
+    .map((request) => cache.delete(request)));
+}
+
+/**
+ * Store a tile, halving the tiles cache once if the storage quota is exceeded
+ * @param {Cache} cache - Tiles cache
+ * @param {Request|string} request - Tile request or URL
+ * @param {Response} response - Tile response
+ */
+async function putTile(cache, request, response) {
+  try {
+    await cache.put(request, response.clone());
+  } catch (error) {
+    if (error.name !== 'QuotaExceededError') throw error;
+
+    await trimCache(CACHE_NAMES.tiles, Math.floor(MAX_TILE_ENTRIES / 2));
+    await cache.put(request, response);
+  }
+}
+
+/**
+ * Drop the oldest entries when a cache grows past its limit
+ * @param {string} cacheName - Cache name
+ * @param {number} maxEntries - Maximum entries to keep
+ */
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+
+  if (keys.length <= maxEntries) return;
+
+  await Promise.all(keys.slice(0, keys.length - maxEntries).map((key) => cache.delete(key)));
+}